@@ -1,30 +1,38 @@
 /**
  * Hub API – Batch Build endpoints.
  *
- * POST /api/batch/create       – create a new batch job
+ * POST /api/batch/create       – create a batch job from idea IDs, a filter or a campaign
  * GET  /api/batch/status       – get job status (?jobId=xxx)
  * POST /api/batch/pause        – pause a running job
  * POST /api/batch/resume       – resume a paused job
  * POST /api/batch/cancel       – cancel a job
  * POST /api/batch/retry-item   – retry a failed item
  * POST /api/batch/skip-item    – skip a queued item
+ * POST /api/batch/policy       – change the retry policy of a paused job
  * GET  /api/batch/events       – SSE stream (?jobId=xxx)
  * GET  /api/batch/jobs         – list all jobs (optionally by campaign)
  */
 
+import fs from 'node:fs/promises';
 import path from 'node:path';
 import { readJsonSafe, writeJsonAtomic } from '../../../packages/shared/atomic_fs.mjs';
+import { createBuildStatusStore } from '../../../packages/shared/build_status_store.mjs';
+import { normalizeIdeaList } from '../../../packages/shared/json_contract.mjs';
 import {
   normalizeBatchJobList,
   createBatchJob,
   findJob,
-  findActiveJobsByCampaign,
+  findActiveJobsWithIdeas,
   upsertJob,
   updateJobStatus,
   updateItemStatus,
   computeJobStats,
+  reconcileInterruptedJob,
+  updateJobRetryPolicy,
 } from '../../../packages/engine/core/modules/batch_job.mjs';
+import { normalizeIdeaFilter, selectIdeaIds } from '../../../packages/engine/core/modules/idea_filter.mjs';
 import { runBatchJob } from './batch_runner.mjs';
+import { isEntryProcessAlive } from './build_queue_service.mjs';
 
 // ---------------------------------------------------------------------------
 // Internal state
@@ -42,6 +50,15 @@ async function saveBatch(labRuntime, container) {
   await writeJsonAtomic(batchPath(labRuntime), container);
 }
 
+/** Start the runner for `jobId` in the background (one job at a time). */
+function startRunner(jobId, { labRuntime, buildQueue }) {
+  const emit = (event, data) => broadcastSSE(jobId, event, data);
+  const promise = runBatchJob(jobId, { labRuntime, buildQueue, emit })
+    .catch(e => ({ ok: false, error: e.message }))
+    .finally(() => { if (activeRun?.jobId === jobId) activeRun = null; });
+  activeRun = { jobId, promise };
+}
+
 function broadcastSSE(jobId, event, data) {
   const clients = sseClients.get(jobId);
   if (!clients || clients.size === 0) return;
@@ -53,6 +70,11 @@ function broadcastSSE(jobId, event, data) {
 
 // ---------------------------------------------------------------------------
 // POST /api/batch/create
+//   { ideaIds }              – build exactly these backlog ideas, in order
+//   { filter }               – build the ideas matching a saved filter
+//                              ({ status, keyword, maxSimilarity, campaignId })
+//   { campaignId, ideaIds? } – campaign-scoped job (all its unbuilt ideas
+//                              when ideaIds is omitted)
 // ---------------------------------------------------------------------------
 export async function handleBatchCreate(req, res, { labRuntime }) {
   let body = '';
@@ -60,26 +82,49 @@ export async function handleBatchCreate(req, res, { labRuntime }) {
   await new Promise(r => req.on('end', r));
 
   const input = JSON.parse(body || '{}');
-  const { campaignId, ideaIds, concurrency } = input;
+  const { concurrency, retryPolicy } = input;
+  const hasIds = Array.isArray(input.ideaIds) && input.ideaIds.length > 0;
 
-  if (!campaignId || !Array.isArray(ideaIds) || ideaIds.length === 0) {
+  if (!hasIds && !input.filter && !input.campaignId) {
     res.writeHead(400, { 'Content-Type': 'application/json' });
-    return res.end(JSON.stringify({ ok: false, error: 'campaignId and non-empty ideaIds required' }));
+    return res.end(JSON.stringify({ ok: false, error: 'ideaIds, filter or campaignId required' }));
   }
 
-  // Check for existing active job on this campaign
+  const backlog = normalizeIdeaList(await readJsonSafe(path.join(labRuntime, 'data', 'idea_backlog.json'), { ideas: [] }));
+  const filter = hasIds ? null : normalizeIdeaFilter({ ...input.filter, campaignId: input.filter?.campaignId || input.campaignId });
+  const campaignId = input.campaignId || filter?.campaignId || null;
+
+  let ideaIds;
+  if (hasIds) {
+    const known = new Set(backlog.ideas.map(i => String(i.id)));
+    const unknown = input.ideaIds.map(String).filter(id => !known.has(id));
+    if (unknown.length > 0) {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      return res.end(JSON.stringify({ ok: false, error: `Unknown idea IDs: ${unknown.join(', ')}` }));
+    }
+    ideaIds = input.ideaIds.map(String);
+  } else {
+    ideaIds = selectIdeaIds(backlog.ideas, filter);
+    if (ideaIds.length === 0) {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      return res.end(JSON.stringify({ ok: false, error: 'No ideas match the filter', filter }));
+    }
+  }
+
+  // Two active jobs must not build the same idea
   const container = await readBatch(labRuntime);
-  const existing = findActiveJobsByCampaign(container, campaignId);
-  if (existing.length > 0) {
+  const overlapping = findActiveJobsWithIdeas(container, ideaIds);
+  if (overlapping.length > 0) {
     res.writeHead(409, { 'Content-Type': 'application/json' });
     return res.end(JSON.stringify({
       ok: false,
-      error: 'An active batch job already exists for this campaign',
-      activeJobId: existing[0].jobId,
+      error: 'An active batch job already includes some of these ideas',
+      activeJobId: overlapping[0].job.jobId,
+      ideaIds: overlapping.flatMap(m => m.ideaIds),
     }));
   }
 
-  const job = createBatchJob({ campaignId, ideaIds, concurrency });
+  const job = createBatchJob({ campaignId, ideaIds, filter, concurrency, retryPolicy });
   const updated = upsertJob(container, job);
   await saveBatch(labRuntime, updated);
 
@@ -90,7 +135,7 @@ export async function handleBatchCreate(req, res, { labRuntime }) {
 // ---------------------------------------------------------------------------
 // POST /api/batch/start
 // ---------------------------------------------------------------------------
-export async function handleBatchStart(req, res, { labRuntime, labRoot }) {
+export async function handleBatchStart(req, res, { labRuntime, buildQueue }) {
   let body = '';
   req.on('data', c => body += c);
   await new Promise(r => req.on('end', r));
@@ -107,12 +152,7 @@ export async function handleBatchStart(req, res, { labRuntime, labRoot }) {
   }
 
   // Start the runner in background
-  const emit = (event, data) => broadcastSSE(jobId, event, data);
-  const promise = runBatchJob(jobId, { labRuntime, labRoot, emit })
-    .catch(e => ({ ok: false, error: e.message }))
-    .finally(() => { if (activeRun?.jobId === jobId) activeRun = null; });
-
-  activeRun = { jobId, promise };
+  startRunner(jobId, { labRuntime, buildQueue });
 
   res.writeHead(200, { 'Content-Type': 'application/json' });
   res.end(JSON.stringify({ ok: true, message: `Batch job ${jobId} started` }));
@@ -173,7 +213,7 @@ export async function handleBatchPause(req, res, { labRuntime }) {
 // ---------------------------------------------------------------------------
 // POST /api/batch/resume
 // ---------------------------------------------------------------------------
-export async function handleBatchResume(req, res, { labRuntime, labRoot }) {
+export async function handleBatchResume(req, res, { labRuntime, buildQueue }) {
   let body = '';
   req.on('data', c => body += c);
   await new Promise(r => req.on('end', r));
@@ -197,11 +237,7 @@ export async function handleBatchResume(req, res, { labRuntime, labRoot }) {
 
   // Re-start the runner if no active run
   if (!activeRun || !activeRun.jobId) {
-    const emit = (event, data) => broadcastSSE(jobId, event, data);
-    const promise = runBatchJob(jobId, { labRuntime, labRoot, emit })
-      .catch(e => ({ ok: false, error: e.message }))
-      .finally(() => { if (activeRun?.jobId === jobId) activeRun = null; });
-    activeRun = { jobId, promise };
+    startRunner(jobId, { labRuntime, buildQueue });
   }
 
   res.writeHead(200, { 'Content-Type': 'application/json' });
@@ -211,7 +247,7 @@ export async function handleBatchResume(req, res, { labRuntime, labRoot }) {
 // ---------------------------------------------------------------------------
 // POST /api/batch/cancel
 // ---------------------------------------------------------------------------
-export async function handleBatchCancel(req, res, { labRuntime }) {
+export async function handleBatchCancel(req, res, { labRuntime, buildQueue }) {
   let body = '';
   req.on('data', c => body += c);
   await new Promise(r => req.on('end', r));
@@ -232,6 +268,8 @@ export async function handleBatchCancel(req, res, { labRuntime }) {
 
   const updated = upsertJob(container, result.job);
   await saveBatch(labRuntime, updated);
+  // Its item waiting in the build queue goes too; a running build finishes
+  await buildQueue.cancelJob(jobId);
 
   res.writeHead(200, { 'Content-Type': 'application/json' });
   res.end(JSON.stringify({ ok: true, status: 'cancelled' }));
@@ -266,6 +304,34 @@ export async function handleBatchRetryItem(req, res, { labRuntime }) {
   res.end(JSON.stringify({ ok: true, stats: computeJobStats(result.job) }));
 }
 
+// ---------------------------------------------------------------------------
+// POST /api/batch/policy – { jobId, retryPolicy: { maxAttempts?, backoffMs?, retryableCategories? } }
+// ---------------------------------------------------------------------------
+export async function handleBatchPolicy(req, res, { labRuntime }) {
+  let body = '';
+  req.on('data', c => body += c);
+  await new Promise(r => req.on('end', r));
+  const { jobId, retryPolicy } = JSON.parse(body || '{}');
+
+  const container = await readBatch(labRuntime);
+  const job = findJob(container, jobId);
+  if (!job) {
+    res.writeHead(404, { 'Content-Type': 'application/json' });
+    return res.end(JSON.stringify({ ok: false, error: 'Job not found' }));
+  }
+
+  const result = updateJobRetryPolicy(job, retryPolicy || {});
+  if (!result.ok) {
+    res.writeHead(409, { 'Content-Type': 'application/json' });
+    return res.end(JSON.stringify({ ok: false, error: result.error }));
+  }
+
+  await saveBatch(labRuntime, upsertJob(container, result.job));
+
+  res.writeHead(200, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({ ok: true, retryPolicy: result.job.retryPolicy }));
+}
+
 // ---------------------------------------------------------------------------
 // POST /api/batch/skip-item
 // ---------------------------------------------------------------------------
@@ -346,3 +412,87 @@ export async function handleBatchJobs(req, res, { labRuntime }) {
   res.writeHead(200, { 'Content-Type': 'application/json' });
   res.end(JSON.stringify({ ok: true, jobs: enriched }));
 }
+
+// ---------------------------------------------------------------------------
+// Startup reconciliation
+// ---------------------------------------------------------------------------
+
+async function hasBuiltOutput(labOutputs, outId) {
+  for (const file of ['index.html', path.join('dist', 'index.html')]) {
+    try { await fs.access(path.join(labOutputs, outId, file)); return true; } catch (_) { /* try next */ }
+  }
+  return false;
+}
+
+/**
+ * What became of a running item's build, from its newest queue entry and
+ * that run's status record (see reconcileInterruptedJob). null = the build
+ * never started. Builds are detached: one whose process still lives is
+ * `running`, and the next runner settles it when it exits.
+ */
+async function findItemOutcome(entry, { buildStatus, labOutputs }) {
+  if (!entry || !entry.runId) return null;
+  if (entry.status === 'running' && isEntryProcessAlive(entry)) {
+    return { status: 'running', runId: entry.runId };
+  }
+  const bs = await buildStatus.read(entry.runId).catch(() => null);
+  const outId = entry.status === 'done' ? entry.outId : (bs?.status === 'complete' ? bs.outId : null);
+  if (outId && await hasBuiltOutput(labOutputs, outId)) {
+    return { status: 'built', projectId: outId, runId: entry.runId };
+  }
+  return {
+    status: 'failed',
+    runId: entry.runId,
+    category: entry.category || null,
+    error: entry.status === 'failed' || entry.status === 'cancelled'
+      ? (entry.error || bs?.error || 'Build failed')
+      : 'Interrupted by a hub restart',
+  };
+}
+
+/**
+ * Call once on hub startup, before the build queue starts: jobs still marked
+ * `running` lost their runner with the previous hub process. Their waiting
+ * queue entries are dropped, running items are settled from the build
+ * queue and build status records (items whose build is still running stay
+ * running), and the job is paused – or, with `autoResume`, the first one
+ * continues.
+ *
+ * @param {{ labRuntime: string, labOutputs: string, buildQueue: object, autoResume?: boolean }} deps
+ * @returns {Promise<string[]>} ids of the reconciled jobs
+ */
+export async function reconcileBatchJobs({ labRuntime, labOutputs, buildQueue, autoResume = false }) {
+  const buildStatus = createBuildStatusStore({ dataDir: path.join(labRuntime, 'data') });
+  let container = await readBatch(labRuntime);
+  const reconciled = [];
+
+  for (const job of container.jobs.filter(j => j.status === 'running')) {
+    // Queued entries have no runner waiting for them any more
+    await buildQueue.cancelJob(job.jobId);
+    const entries = await buildQueue.entriesForJob(job.jobId);
+
+    const findings = new Map();
+    for (const item of job.items.filter(it => it.status === 'running')) {
+      const newest = entries.filter(e => e.ideaId === item.ideaId).pop();
+      const outcome = await findItemOutcome(newest, { buildStatus, labOutputs });
+      if (outcome) findings.set(item.ideaId, outcome);
+    }
+
+    const r = reconcileInterruptedJob(job, findings);
+    if (!r.changed) continue;
+    container = upsertJob(container, r.job);
+    reconciled.push(r.job);
+    console.log(`[Batch] Reconciled ${job.jobId} after restart → ${r.job.status} (built ${r.built.length}, failed ${r.failed.length}, requeued ${r.requeued.length}, still building ${r.running.length})`);
+  }
+  if (reconciled.length === 0) return [];
+  await saveBatch(labRuntime, container);
+
+  const resumable = reconciled.find(j => j.status === 'paused');
+  if (autoResume && resumable) {
+    const result = updateJobStatus(resumable, 'running');
+    await saveBatch(labRuntime, upsertJob(container, result.job));
+    console.log(`[Batch] Auto-resuming ${resumable.jobId}`);
+    startRunner(resumable.jobId, { labRuntime, buildQueue });
+  }
+  return reconciled.map(j => j.jobId);
+}
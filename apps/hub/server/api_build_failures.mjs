@@ -0,0 +1,39 @@
+/**
+ * Hub API – build failure causes.
+ *
+ * GET /api/build-failures?days=30 – `build.failed` events from the engine's
+ * daily event logs (runtime/logs/events-YYYY-MM-DD.jsonl), aggregated by
+ * failure category and stage.
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { summarizeFailures } from '../../../packages/engine/core/modules/build_failure.mjs';
+
+const EVENTS_RE = /^events-(\d{4}-\d{2}-\d{2})\.jsonl$/;
+const MAX_DAYS = 365;
+
+async function readFailedEvents(logDir, days) {
+  const since = new Date(Date.now() - days * 86400_000).toISOString().slice(0, 10);
+  let names = [];
+  try { names = await fs.readdir(logDir); } catch { return []; }
+
+  const events = [];
+  for (const name of names) {
+    const m = name.match(EVENTS_RE);
+    if (!m || m[1] < since) continue;
+    const text = await fs.readFile(path.join(logDir, name), 'utf8').catch(() => '');
+    for (const line of text.split('\n')) {
+      if (!line.includes('"build.failed"')) continue;
+      try { events.push(JSON.parse(line)); } catch { /* skip torn lines */ }
+    }
+  }
+  return events;
+}
+
+export async function handleBuildFailures(res, { labRuntime, days }) {
+  const n = Math.min(MAX_DAYS, Math.max(1, Number(days) || 30));
+  const events = await readFailedEvents(path.join(labRuntime, 'logs'), n);
+  res.writeHead(200, { 'Content-Type': 'application/json; charset=utf-8' });
+  res.end(JSON.stringify({ ok: true, days: n, ...summarizeFailures(events) }));
+}
@@ -0,0 +1,65 @@
+/**
+ * Hub API – build queue (build_queue_service.mjs).
+ *
+ * GET  /api/build-queue          – running and queued entries (with estimated start times)
+ * POST /api/build-queue          – { ideaId, lang? } queue a manual build
+ * POST /api/build-queue/cancel   – { entryId } cancel a queued entry or stop its build
+ * POST /api/build-queue/pause    – hold queued entries (running builds finish)
+ * POST /api/build-queue/resume   – start queued entries again
+ */
+
+import path from 'node:path';
+import { readJsonSafe } from '../../../packages/shared/atomic_fs.mjs';
+import { normalizeIdeaList } from '../../../packages/shared/json_contract.mjs';
+import { normalizeLang } from '../../../packages/shared/lang.mjs';
+import { findBacklogIdea } from './api_idea_prioritize.mjs';
+
+function sendJson(res, code, body) {
+  res.writeHead(code, { 'Content-Type': 'application/json; charset=utf-8' });
+  res.end(JSON.stringify(body));
+}
+
+async function readBody(req) {
+  let body = '';
+  req.on('data', c => body += c);
+  await new Promise(r => req.on('end', r));
+  return JSON.parse(body || '{}');
+}
+
+export async function handleBuildQueue(res, { labRuntime, buildQueue }) {
+  const snapshot = await buildQueue.snapshot();
+  const backlog = normalizeIdeaList(await readJsonSafe(path.join(labRuntime, 'data', 'idea_backlog.json'), { ideas: [] }));
+  const titles = new Map(backlog.ideas.map(i => [String(i.id), i.title]));
+  const withTitle = (e) => ({ ...e, title: titles.get(e.ideaId) || e.ideaId || e.target });
+  sendJson(res, 200, {
+    ok: true,
+    ...snapshot,
+    running: snapshot.running.map(withTitle),
+    queued: snapshot.queued.map(withTitle),
+    recent: snapshot.recent.map(withTitle),
+  });
+}
+
+export async function handleBuildQueueAdd(req, res, { labRuntime, buildQueue }) {
+  const input = await readBody(req);
+  if (!input.ideaId) return sendJson(res, 400, { ok: false, error: 'ideaId required' });
+  const lang = input.lang ? normalizeLang(input.lang) : null;
+  if (input.lang && !lang) return sendJson(res, 400, { ok: false, error: `Unknown language: ${input.lang}` });
+  if (!await findBacklogIdea(labRuntime, input.ideaId)) {
+    return sendJson(res, 404, { ok: false, error: `Idea ${input.ideaId} not found in backlog` });
+  }
+  const { entry, created } = await buildQueue.enqueue({ ideaId: String(input.ideaId), source: 'manual', lang });
+  sendJson(res, 200, { ok: true, entry, created });
+}
+
+export async function handleBuildQueueCancel(req, res, { buildQueue }) {
+  const { entryId } = await readBody(req);
+  if (!entryId) return sendJson(res, 400, { ok: false, error: 'entryId required' });
+  const result = await buildQueue.cancel(String(entryId));
+  sendJson(res, result.ok ? 200 : 404, result);
+}
+
+export async function handleBuildQueuePause(res, { buildQueue, paused }) {
+  await buildQueue.setPaused(paused);
+  sendJson(res, 200, { ok: true, paused });
+}
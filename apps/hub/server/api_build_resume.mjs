@@ -0,0 +1,62 @@
+/**
+ * Hub API – quarantined (failed) builds.
+ *
+ * GET  /api/failed-builds – list outputs/_failed/* checkpoints
+ * POST /api/build-resume  – { outId } → queue generate.mjs --resume <outId>
+ *
+ * Failed outputs are moved to outputs/_failed/<outId> by generate.mjs
+ * together with a stage checkpoint; resuming skips the completed stages.
+ * The resume runs from the build queue as a manual entry.
+ */
+
+import { listFailedBuilds, readCheckpoint, quarantineDir, resumeStageFor } from '../../../packages/engine/core/modules/build_checkpoint.mjs';
+
+const OUT_ID_RE = /^\d{4}-\d{2}-\d{2}[\w.-]*$/;
+
+export async function handleFailedBuilds(res, { labOutputs }) {
+  const items = await listFailedBuilds(labOutputs);
+  res.writeHead(200, { 'Content-Type': 'application/json; charset=utf-8' });
+  res.end(JSON.stringify({
+    ok: true,
+    items: items.map(cp => ({
+      outId: cp.outId,
+      ideaId: cp.ideaId,
+      title: cp.title,
+      failedStage: cp.failedStage,
+      resumeStage: cp.resumeStage,
+      completedStages: cp.completedStages,
+      error: cp.error,
+      resumes: cp.resumes,
+      updatedAt: cp.updatedAt,
+    })),
+  }));
+}
+
+export async function handleBuildResume(req, res, { labOutputs, buildQueue }) {
+  let body = '';
+  req.on('data', c => body += c);
+  await new Promise(r => req.on('end', r));
+  const input = JSON.parse(body || '{}');
+  const outId = String(input.outId || '');
+
+  if (!OUT_ID_RE.test(outId)) {
+    res.writeHead(400, { 'Content-Type': 'application/json; charset=utf-8' });
+    return res.end(JSON.stringify({ ok: false, error: 'valid outId required' }));
+  }
+
+  const cp = await readCheckpoint(quarantineDir(labOutputs, outId));
+  if (!cp) {
+    res.writeHead(404, { 'Content-Type': 'application/json; charset=utf-8' });
+    return res.end(JSON.stringify({ ok: false, error: `No quarantined build: ${outId}` }));
+  }
+
+  const { entry, created } = await buildQueue.enqueue({ kind: 'resume', target: outId, ideaId: cp.ideaId || null, source: 'manual' });
+  if (!created) {
+    res.writeHead(409, { 'Content-Type': 'application/json; charset=utf-8' });
+    return res.end(JSON.stringify({ ok: false, error: `${outId} is already in the build queue (${entry.kind}, ${entry.status})` }));
+  }
+  console.log(`[Resume] Queued ${outId} from stage ${resumeStageFor(cp)} as ${entry.entryId}`);
+
+  res.writeHead(200, { 'Content-Type': 'application/json; charset=utf-8' });
+  res.end(JSON.stringify({ ok: true, outId, entryId: entry.entryId, resumeStage: resumeStageFor(cp) }));
+}
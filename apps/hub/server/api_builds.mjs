@@ -0,0 +1,33 @@
+/**
+ * Hub API – build status, one record per run (shared/build_status_store.mjs).
+ *
+ * GET /api/builds              – `{ ok, builds: [record] }` running and failed runs, newest first
+ * GET /api/builds?runId=<id>   – `{ ok, build: record }` one run, also after it finished
+ * GET /api/build-status        – the newest active record, or `{ status: 'idle' }`
+ *                                (the single-build view older clients poll)
+ */
+
+import path from 'node:path';
+import { createBuildStatusStore } from '../../../packages/shared/build_status_store.mjs';
+
+function sendJson(res, code, body) {
+  res.writeHead(code, { 'Content-Type': 'application/json; charset=utf-8' });
+  res.end(JSON.stringify(body));
+}
+
+const storeFor = (labRuntime) => createBuildStatusStore({ dataDir: path.join(labRuntime, 'data') });
+
+export async function handleBuilds(res, { labRuntime, runId }) {
+  const store = storeFor(labRuntime);
+  if (runId) {
+    const build = await store.read(runId);
+    if (!build) return sendJson(res, 404, { ok: false, error: `No build status for ${runId}` });
+    return sendJson(res, 200, { ok: true, build });
+  }
+  sendJson(res, 200, { ok: true, builds: await store.listActive() });
+}
+
+export async function handleBuildStatus(res, { labRuntime }) {
+  const [latest] = await storeFor(labRuntime).listActive();
+  sendJson(res, 200, latest || { status: 'idle' });
+}
@@ -1,35 +1,36 @@
-import { getActiveGenerationProcess } from './api_idea_prioritize.mjs';
-import { writeJsonAtomic } from '../../../packages/shared/atomic_fs.mjs';
-import { normalizeBuildStatus } from '../../../packages/shared/json_contract.mjs';
+import { createBuildStatusStore } from '../../../packages/shared/build_status_store.mjs';
 import path from 'node:path';
 
-export async function handleIdeaAbort(req, res, { labRuntime }) {
-  const child = getActiveGenerationProcess();
-  
-  if (child) {
-    try {
-      console.log(`[Abort] Killing process ${child.pid}`);
-      // Use negative PID to kill the process group if it was spawned with detached: true
-      process.kill(-child.pid, 'SIGTERM');
-    } catch (e) {
-      console.error(`[Abort] Failed to kill process ${child.pid}:`, e.message);
-      // Even if kill fails (process already dead), we proceed to reset the status
-    }
-  }
+/**
+ * POST /api/idea-abort – { runId }
+ *
+ * Stops the build queue entry running as `runId` and marks its run
+ * aborted. A `runId` no queued build runs under (e.g. a failed run shown in
+ * the HUD) is dismissed from the active builds instead.
+ */
+export async function handleIdeaAbort(req, res, { labRuntime, buildQueue }) {
+  let body = '';
+  req.on('data', c => body += c);
+  await new Promise(r => req.on('end', r));
+  let input = {};
+  try { input = JSON.parse(body || '{}'); } catch (_e) { /* no body */ }
+
+  const runId = input.runId ? String(input.runId) : null;
+  const stopping = !!runId && !!buildQueue?.abortRun(runId);
 
   try {
-    // ALWAYS update build_status.json to idle (atomic)
-    const p = path.join(labRuntime, 'data', 'build_status.json');
-    await writeJsonAtomic(p, normalizeBuildStatus({
-      status: 'idle',
-      stage: 'aborted',
-      updatedAt: new Date().toISOString()
-    }));
+    const store = createBuildStatusStore({ dataDir: path.join(labRuntime, 'data') });
+    if (runId && stopping) {
+      const prev = await store.read(runId);
+      await store.write(runId, 'idle', { title: prev?.title, outId: prev?.outId, stage: 'aborted' });
+    } else if (runId) {
+      await store.dismiss(runId);
+    }
 
     res.writeHead(200, { 'Content-Type': 'application/json; charset=utf-8' });
-    res.end(JSON.stringify({ ok: true, message: 'Aborted successfully' }));
+    res.end(JSON.stringify({ ok: true, runId: runId || null, message: stopping ? 'Aborted successfully' : 'Dismissed' }));
   } catch (e) {
-    console.error(`[Abort] Failed to update build_status.json:`, e.message);
+    console.error(`[Abort] Failed to update the build status:`, e.message);
     res.writeHead(500, { 'Content-Type': 'application/json; charset=utf-8' });
     res.end(JSON.stringify({ ok: false, error: e.message }));
   }
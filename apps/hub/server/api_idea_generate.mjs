@@ -12,9 +12,11 @@ import { callWithRetry } from '../../../packages/shared/extract_json.mjs';
 import { normalizeIdea, normalizeIdeaList } from '../../../packages/shared/json_contract.mjs';
 import { writeJsonAtomic, readJsonSafe, withFileLock } from '../../../packages/shared/atomic_fs.mjs';
 import { createEventLogger, generateRunId } from '../../../packages/shared/event_logger.mjs';
+import { resolveLang } from '../../../packages/shared/lang.mjs';
+import { TEMPLATES, DEFAULT_TEMPLATE } from '../../../packages/engine/core/templates/index.mjs';
+import { loadThemePresets } from '../../../packages/engine/core/modules/theme_presets.mjs';
 
 export async function handleIdeaGenerate(req, res, { labRuntime, labRoot }){
-  const LANG = process.env.DAILY_APP_LAB_LANG || 'zh-CN';
   const runId = generateRunId();
   const eventLog = createEventLogger({ logDir: path.join(labRuntime, 'logs') });
   const diagLogDir = path.join(labRuntime, 'logs', 'diagnostics');
@@ -31,14 +33,19 @@ export async function handleIdeaGenerate(req, res, { labRuntime, labRoot }){
   const categories = Array.isArray(input.categories) ? input.categories.join(', ') : 'General';
   const styles = Array.isArray(input.styles) ? input.styles.join(', ') : 'Tactile';
   const form = input.form || 'ui-template';
+  // Tech stack for the generated ideas; 'auto' leaves it to the idea's form at build time
+  const stack = typeof input.stack === 'string' && Object.hasOwn(TEMPLATES, input.stack) ? input.stack : null;
+  const stackLabel = TEMPLATES[stack || DEFAULT_TEMPLATE].label;
+  // Output language of the ideas and, later, of the apps built from them
+  const LANG = resolveLang([input.lang]);
 
-  await eventLog.emit('idea_generate.start', { runId, count, want, strictness, categories, styles, form });
+  await eventLog.emit('idea_generate.start', { runId, count, want, strictness, categories, styles, form, stack, lang: LANG });
 
   // Optional: refresh research
   const refreshResearch = input.refreshResearch === true;
   if (refreshResearch) {
     try {
-      await runPlannerResearch({ labRoot, timeoutMs: 600000 });
+      await runPlannerResearch({ labRoot, lang: LANG, timeoutMs: 600000 });
     } catch (err) {
       console.warn('Failed to refresh research data:', err.message);
     }
@@ -51,6 +58,11 @@ export async function handleIdeaGenerate(req, res, { labRuntime, labRoot }){
   })));
 
   const sourcesRaw = await fs.readFile(path.join(labRuntime,'data','idea_sources.json'), 'utf8').catch(() => '{"sources":[]}');
+  // Built-in and user-defined theme presets (runtime/data/theme_presets.json)
+  const presets = await loadThemePresets(path.join(labRuntime, 'data', 'theme_presets.json'));
+  const presetChoices = Object.entries(presets)
+    .map(([id, p]) => p.description ? `${id} (${p.description})` : id)
+    .join(', ');
 
   const model = process.env.AZURE_OPENAI_MODEL || 'gpt-5.2';
   const { baseUrl, apiKey } = await readClawdbotAzureConfig();
@@ -72,7 +84,7 @@ Context:
 Goal:
 - Generate ${generateCount} NEW micro-app/web tool ideas (we will select top ${want} later).
 - FOCUS: "Simple, Fast, Tactile".
-- CONSTRAINT: Each idea must be buildable in 60 mins (React+Tailwind).
+- CONSTRAINT: Each idea must be buildable in 60 mins (${stackLabel}).
 - CONSTRAINT: Works offline — use local mock data or browser APIs (localStorage, Canvas, Web Audio, WebRTC, etc.).
 
 CRITICAL — ANTI-REPETITION RULES (your output will be REJECTED if violated):
@@ -132,7 +144,7 @@ Return ONLY valid JSON with schema (all string fields must be in ${LANG}):
       "title": "简洁有趣的产品名（禁止用'模拟器/演练/离线'）",
       "hudScenario": "[具体人物如:奶茶店店员/工地监工/宝妈] 用它来 [做什么] 得到 [什么具体产出]",
       "targetPersona": "具体行业+角色，如'街边早餐店老板'、'外卖骑手'、'幼儿园老师'",
-      "visualTheme": "Choose ONE preset: professional (clean, biz), tech (slate, cyber, data), nature (sage, organic), vibrant (bright, energetic), creative (deep purple, magic), minimal (monochrome, zen)",
+      "visualTheme": "Choose ONE preset id: ${presetChoices}",
       "output": "Concrete output users can copy/export/share",
       "coreInteractions": ["Swipe to...", "Drag to...", "Pinch to..."],
       "mockDataStrategy": "How to fake the data? (e.g. 'Generate 10 random items', 'Pre-load JSON')",
@@ -190,10 +202,13 @@ Return ONLY valid JSON with schema (all string fields must be in ${LANG}):
     const arrKey = Object.keys(json || {}).find(k => Array.isArray(json[k]) && json[k].length > 0 && json[k][0]?.title);
     rawIdeas = arrKey ? json[arrKey] : [];
   }
-  const normalizedIdeas = rawIdeas.map(normalizeIdea).filter(Boolean);
+  const normalizedIdeas = rawIdeas
+    .map(raw => raw && typeof raw === 'object' ? { form, ...raw, ...(stack ? { stack } : {}), lang: LANG } : raw)
+    .map(normalizeIdea)
+    .filter(Boolean);
 
   // Local similarity hard filter vs history (dynamic manifest)
-  const { embed, cosine } = await import('./similarity.mjs');
+  const { embed, cosine } = await import('../../../packages/shared/similarity.mjs');
   const histEmb = manifestEntries.map(e => {
     const txt = `${e.title||''}\n${e.desc||''}`.trim();
     return { id: e.id, date: e.date, title: e.title, v: embed(txt) };
@@ -1,16 +1,32 @@
 import path from 'node:path';
-import { spawn } from 'node:child_process';
-import { writeJsonAtomic, readJsonSafe, withFileLock } from '../../../packages/shared/atomic_fs.mjs';
+import { readJsonSafe } from '../../../packages/shared/atomic_fs.mjs';
 import { normalizeIdeaList } from '../../../packages/shared/json_contract.mjs';
+import { normalizeLang } from '../../../packages/shared/lang.mjs';
 
-// Global state to track the running generation process
-let activeGenerationProcess = null;
+/**
+ * Env for a spawned build: a PATH that finds npm/aider under launchd, and the
+ * run id generate.mjs reports its status under (DAILY_APP_LAB_RUN_ID).
+ */
+export function generationEnv(runId) {
+  return {
+    ...process.env,
+    PATH: `/opt/homebrew/bin:/usr/local/bin:/usr/bin:/bin:${process.env.PATH}`,
+    DAILY_APP_LAB_RUN_ID: runId,
+  };
+}
 
-export function getActiveGenerationProcess() {
-  return activeGenerationProcess;
+/** The backlog idea `ideaId`, or null – builds of unknown ideas are refused up front. */
+export async function findBacklogIdea(labRuntime, ideaId) {
+  const backlogPath = path.join(labRuntime, 'data', 'idea_backlog.json');
+  const backlog = normalizeIdeaList(await readJsonSafe(backlogPath, { ideas: [] }));
+  return backlog.ideas.find(it => String(it.id) === String(ideaId)) || null;
 }
 
-export async function handleIdeaPrioritizeAndExecute(req, res, { labRuntime, labRoot }){
+/**
+ * POST /api/idea-prioritize – { id }: "Implement now". Queues the idea as a
+ * manual build, ahead of batch and idle entries (build_queue_service.mjs).
+ */
+export async function handleIdeaPrioritizeAndExecute(req, res, { labRuntime, buildQueue }){
   let body='';
   req.on('data', c => body += c);
   await new Promise(r => req.on('end', r));
@@ -18,50 +34,44 @@ export async function handleIdeaPrioritizeAndExecute(req, res, { labRuntime, lab
   const ideaId = input.id;
   if(!ideaId) throw new Error('ideaId required');
 
-  // 1. Mark as implement-now in backlog.json (atomic + locked)
-  const backlogPath = path.join(labRuntime, 'data', 'idea_backlog.json');
-  let found = false;
+  if (!await findBacklogIdea(labRuntime, ideaId)) {
+    res.writeHead(404, { 'Content-Type': 'application/json; charset=utf-8' });
+    return res.end(JSON.stringify({ ok: false, error: `Idea ${ideaId} not found in backlog` }));
+  }
 
-  await withFileLock(backlogPath, async () => {
-    const backlog = normalizeIdeaList(await readJsonSafe(backlogPath, { ideas: [] }));
-    const nextIdeas = backlog.ideas.map(idea => {
-      if (String(idea.id) === String(ideaId)) {
-        found = true;
-        return { ...idea, status: 'implement-now', prioritizedAt: new Date().toISOString() };
-      }
-      // Optional: reset other implement-now items to avoid confusion
-      if (idea.status === 'implement-now') return { ...idea, status: 'new' };
-      return idea;
-    });
+  const { entry, created } = await buildQueue.enqueue({ ideaId: String(ideaId), source: 'manual' });
+  console.log(`[Prioritize] Queued ${ideaId} as ${entry.entryId}${created ? '' : ' (already queued)'}`);
 
-    if (!found) throw new Error(`Idea ${ideaId} not found in backlog`);
-    await writeJsonAtomic(backlogPath, { ...backlog, ideas: nextIdeas, updatedAt: new Date().toISOString() });
-  });
+  res.writeHead(200, { 'Content-Type': 'application/json; charset=utf-8' });
+  res.end(JSON.stringify({ ok: true, entryId: entry.entryId, created, message: created ? 'Queued for build' : 'Already in the build queue' }));
+}
 
-  // 2. Spawn run_idle_job.sh --force in background
-  const scriptPath = path.join(labRoot, 'core', 'scripts', 'run_idle_job.sh');
-  console.log(`[Prioritize] Spawning forced execution: ${scriptPath} --force`);
-  
-  // Abort previous if exists
-  if (activeGenerationProcess) {
-    try { process.kill(-activeGenerationProcess.pid, 'SIGTERM'); } catch (_e) { /* ignore */ }
+/**
+ * POST /api/idea-build-lang – { id, lang }: build a backlog idea (any status,
+ * also one that was already built) again in another output language.
+ * Queued as a manual build; `generate.mjs --lang` overrides the idea's `lang`.
+ */
+export async function handleIdeaBuildInLang(req, res, { labRuntime, buildQueue }){
+  let body='';
+  req.on('data', c => body += c);
+  await new Promise(r => req.on('end', r));
+  const input = JSON.parse(body || '{}');
+  const ideaId = input.id;
+  const lang = normalizeLang(input.lang);
+  if (!ideaId || !lang) {
+    res.writeHead(400, { 'Content-Type': 'application/json; charset=utf-8' });
+    return res.end(JSON.stringify({ ok: false, error: 'id and a valid lang required' }));
   }
 
-  // Detach and ignore output to not block HTTP response
-  const child = spawn(scriptPath, ['--force'], {
-    cwd: labRoot,
-    detached: true,
-    stdio: 'ignore',
-    env: { ...process.env, PATH: `/opt/homebrew/bin:/usr/local/bin:/usr/bin:/bin:${process.env.PATH}` }
-  });
-
-  activeGenerationProcess = child;
-  child.on('exit', () => {
-    if (activeGenerationProcess === child) activeGenerationProcess = null;
-  });
+  if (!await findBacklogIdea(labRuntime, ideaId)) {
+    res.writeHead(404, { 'Content-Type': 'application/json; charset=utf-8' });
+    return res.end(JSON.stringify({ ok: false, error: `Idea ${ideaId} not found in backlog` }));
+  }
 
-  child.unref();
+  // A variant: the idea keeps its current output and is not unpicked if this fails
+  const { entry, created } = await buildQueue.enqueue({ ideaId: String(ideaId), source: 'manual', lang, langVariant: true });
+  console.log(`[BuildLang] Queued ${ideaId} in ${lang} as ${entry.entryId}`);
 
   res.writeHead(200, { 'Content-Type': 'application/json; charset=utf-8' });
-  res.end(JSON.stringify({ ok: true, message: 'Prioritized and execution started' }));
+  res.end(JSON.stringify({ ok: true, ideaId, lang, entryId: entry.entryId, created }));
 }
@@ -5,7 +5,7 @@ import { normalizeIdeaList } from '../../../packages/shared/json_contract.mjs';
 
 export async function handleIdeaRestore(req, res, { labRuntime, labOutputs }){
   const url = new URL(req.url, `http://${req.headers.host}`);
-  const id = url.searchParams.get('id'); // This is the folder name, e.g. 2026-02-03-extra-1234
+  const id = url.searchParams.get('id'); // This is the folder name, e.g. 2026-02-03-focus-board-3f9a1c
   
   if(!id) throw new Error('id required');
 
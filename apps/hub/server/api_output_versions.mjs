@@ -0,0 +1,112 @@
+/**
+ * Hub API – iterate an output and browse its versions.
+ *
+ * POST /api/output-iterate          – { id, instruction } → queue generate.mjs --iterate <id> --instruction …
+ * POST /api/output-retheme          – { id, preset?, seed? } → queue generate.mjs --retheme <id> [--preset …] [--seed …]
+ * GET  /api/output-versions?id=      – versions/versions.json of the output
+ * GET  /api/output-versions/diff?id=&from=&to= – file-level diff between two versions
+ * POST /api/output-versions/restore – { id, version } → make an older version current
+ *
+ * A re-theme is stored as the next version like an iteration, so the
+ * previous theme is restored from the versions list. Both run from the
+ * build queue as manual entries; an output takes one at a time.
+ *
+ * Versions are served for preview at /<id>/versions/vN/ (see serve.mjs).
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import {
+  MAX_INSTRUCTION_CHARS,
+  readVersions,
+  diffVersions,
+  restoreVersion,
+} from '../../../packages/engine/core/modules/output_versions.mjs';
+import { loadThemePresets } from '../../../packages/engine/core/modules/theme_presets.mjs';
+
+const OUT_ID_RE = /^\d{4}-\d{2}-\d{2}[\w.-]*$/;
+const MAX_SEED_CHARS = 100;
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+  res.end(JSON.stringify(body));
+}
+
+async function readBody(req) {
+  let body = '';
+  req.on('data', c => body += c);
+  await new Promise(r => req.on('end', r));
+  return JSON.parse(body || '{}');
+}
+
+/** Queue `kind` on the output, or answer 409 while it already has one queued or running. */
+async function enqueueOutputTask(res, buildQueue, { id, kind, params }) {
+  const { entry, created } = await buildQueue.enqueue({ kind, target: id, params, source: 'manual' });
+  if (!created) return sendJson(res, 409, { ok: false, error: `${id} is already in the build queue (${entry.kind}, ${entry.status})` });
+  sendJson(res, 200, { ok: true, id, entryId: entry.entryId });
+}
+
+async function resolveOutput(labOutputs, id) {
+  if (!OUT_ID_RE.test(String(id || ''))) return null;
+  const dir = path.join(labOutputs, id);
+  return fs.stat(dir).then(s => (s.isDirectory() ? dir : null)).catch(() => null);
+}
+
+export async function handleOutputIterate(req, res, { labOutputs, buildQueue }) {
+  const input = await readBody(req);
+  const id = String(input.id || '');
+  const instruction = String(input.instruction || '').trim();
+
+  if (!instruction) return sendJson(res, 400, { ok: false, error: 'instruction required' });
+  if (instruction.length > MAX_INSTRUCTION_CHARS) {
+    return sendJson(res, 400, { ok: false, error: `instruction longer than ${MAX_INSTRUCTION_CHARS} characters` });
+  }
+  const outDir = await resolveOutput(labOutputs, id);
+  if (!outDir) return sendJson(res, 404, { ok: false, error: `No output: ${id}` });
+
+  console.log(`[Iterate] ${id}: ${instruction.slice(0, 80)}`);
+  await enqueueOutputTask(res, buildQueue, { id, kind: 'iterate', params: { instruction } });
+}
+
+export async function handleOutputRetheme(req, res, { labOutputs, labRuntime, buildQueue }) {
+  const input = await readBody(req);
+  const id = String(input.id || '');
+  const preset = String(input.preset || '').trim().toLowerCase();
+  const seed = String(input.seed || '').trim();
+
+  if (seed.length > MAX_SEED_CHARS) return sendJson(res, 400, { ok: false, error: `seed longer than ${MAX_SEED_CHARS} characters` });
+  if (preset) {
+    const presets = await loadThemePresets(path.join(labRuntime, 'data', 'theme_presets.json'));
+    if (!Object.hasOwn(presets, preset)) return sendJson(res, 400, { ok: false, error: `Unknown theme preset: ${preset}` });
+  }
+  const outDir = await resolveOutput(labOutputs, id);
+  if (!outDir) return sendJson(res, 404, { ok: false, error: `No output: ${id}` });
+
+  console.log(`[Retheme] ${id}: ${preset || 'same preset'}${seed ? ` (seed ${seed})` : ''}`);
+  await enqueueOutputTask(res, buildQueue, { id, kind: 'retheme', params: { preset: preset || null, seed: seed || null } });
+}
+
+export async function handleOutputVersions(res, { labOutputs, id }) {
+  const outDir = await resolveOutput(labOutputs, id);
+  if (!outDir) return sendJson(res, 404, { ok: false, error: `No output: ${id}` });
+  const index = await readVersions(outDir);
+  sendJson(res, 200, { ok: true, id, current: index?.current ?? null, versions: index?.versions || [] });
+}
+
+export async function handleOutputVersionDiff(res, { labOutputs, id, from, to }) {
+  const outDir = await resolveOutput(labOutputs, id);
+  if (!outDir) return sendJson(res, 404, { ok: false, error: `No output: ${id}` });
+  const a = Number(from);
+  const b = Number(to);
+  if (!Number.isInteger(a) || !Number.isInteger(b)) return sendJson(res, 400, { ok: false, error: 'from and to must be version numbers' });
+  sendJson(res, 200, { ok: true, id, ...(await diffVersions(outDir, a, b)) });
+}
+
+export async function handleOutputVersionRestore(req, res, { labOutputs, buildQueue }) {
+  const input = await readBody(req);
+  const outDir = await resolveOutput(labOutputs, String(input.id || ''));
+  if (!outDir) return sendJson(res, 404, { ok: false, error: `No output: ${input.id}` });
+  if (await buildQueue.activeForOutput(String(input.id))) return sendJson(res, 409, { ok: false, error: `${input.id} is being rebuilt` });
+  const index = await restoreVersion(outDir, Number(input.version));
+  sendJson(res, 200, { ok: true, id: input.id, current: index.current, versions: index.versions });
+}
@@ -1,7 +1,7 @@
 /**
  * API: POST /api/idea/research/targeted
  *
- * Accepts { topic, creative?, count?, searchLangs? } and spawns
+ * Accepts { topic, creative?, count?, searchLangs?, lang? } and spawns
  * the targeted research runner as a child process.
  *
  * Returns SSE stream with progress events, then closes with final result.
@@ -13,6 +13,7 @@ import fs from 'node:fs/promises';
 import { readJsonSafe, writeJsonAtomic, withFileLock } from '../../../packages/shared/atomic_fs.mjs';
 import { removeCampaign } from '../../../packages/engine/core/modules/targeted_research/campaign.mjs';
 import { normalizeIdeaList } from '../../../packages/shared/json_contract.mjs';
+import { normalizeLang } from '../../../packages/shared/lang.mjs';
 
 // In-flight job tracking (only one targeted research at a time)
 let activeJob = null;
@@ -31,11 +32,13 @@ function readBody(req) {
 
 /**
  * POST /api/idea/research/targeted
- * Body: { topic: string, creative?: number, count?: number }
+ * Body: { topic: string, creative?: number, count?: number, lang?: string }
+ * `lang` is the output language of the campaign's ideas (default DAILY_APP_LAB_LANG).
  */
 export async function handleTargetedResearch(req, res, { labRoot }) {
   const body = await readBody(req);
   const { topic, creative, count } = body;
+  const lang = normalizeLang(body.lang);
 
   if (!topic || typeof topic !== 'string' || topic.trim().length < 2) {
     res.writeHead(400, { 'Content-Type': 'application/json; charset=utf-8' });
@@ -52,9 +55,9 @@ export async function handleTargetedResearch(req, res, { labRoot }) {
   const wantSSE = (req.headers.accept || '').includes('text/event-stream');
 
   if (wantSSE) {
-    await handleSSE(res, { labRoot, topic, creative, count });
+    await handleSSE(res, { labRoot, topic, creative, count, lang });
   } else {
-    await handleJSON(res, { labRoot, topic, creative, count });
+    await handleJSON(res, { labRoot, topic, creative, count, lang });
   }
 }
 
@@ -95,7 +98,7 @@ export async function handleCampaigns(_req, res, { labRuntime }) {
 
 // ── SSE mode ──────────────────────────────────────────────────
 
-async function handleSSE(res, { labRoot, topic, creative, count }) {
+async function handleSSE(res, { labRoot, topic, creative, count, lang }) {
   res.writeHead(200, {
     'Content-Type': 'text/event-stream',
     'Cache-Control': 'no-cache',
@@ -107,7 +110,7 @@ async function handleSSE(res, { labRoot, topic, creative, count }) {
     res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
   };
 
-  const args = buildArgs({ labRoot, topic, creative, count });
+  const args = buildArgs({ labRoot, topic, creative, count, lang });
   const child = spawnRunner(labRoot, args);
 
   activeJob = { topic, startedAt: new Date().toISOString(), lastEvent: 'started', child };
@@ -165,10 +168,10 @@ function req_onClose(res, cb) {
 
 // ── JSON mode (non-SSE fallback) ──────────────────────────────
 
-async function handleJSON(res, { labRoot, topic, creative, count }) {
+async function handleJSON(res, { labRoot, topic, creative, count, lang }) {
   res.writeHead(200, { 'Content-Type': 'application/json; charset=utf-8' });
 
-  const args = buildArgs({ labRoot, topic, creative, count });
+  const args = buildArgs({ labRoot, topic, creative, count, lang });
   const child = spawnRunner(labRoot, args);
 
   activeJob = { topic, startedAt: new Date().toISOString(), lastEvent: 'started', child };
@@ -204,11 +207,12 @@ async function handleJSON(res, { labRoot, topic, creative, count }) {
 
 // ── Helpers ───────────────────────────────────────────────────
 
-function buildArgs({ labRoot, topic, creative, count }) {
+function buildArgs({ labRoot, topic, creative, count, lang }) {
   const script = path.join(labRoot, 'core', 'modules', 'targeted_research', 'runner.mjs');
   const args = [script, '--topic', topic];
   if (creative != null) args.push('--creative', String(creative));
   if (count != null) args.push('--count', String(count));
+  if (lang) args.push('--output-lang', lang);
   return args;
 }
 
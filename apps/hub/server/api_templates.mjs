@@ -0,0 +1,14 @@
+/**
+ * Hub API – app templates.
+ *
+ * GET /api/templates – the engine's template registry (core/templates):
+ * `{ templates: [{ id, label, description, install }], default }`, used by
+ * the tech stack selectors.
+ */
+
+import { listTemplates, DEFAULT_TEMPLATE } from '../../../packages/engine/core/templates/index.mjs';
+
+export async function handleTemplates(res) {
+  res.writeHead(200, { 'Content-Type': 'application/json; charset=utf-8' });
+  res.end(JSON.stringify({ templates: listTemplates(), default: DEFAULT_TEMPLATE }));
+}
@@ -0,0 +1,78 @@
+/**
+ * Hub API – theme presets (engine core/modules/theme_presets.mjs).
+ *
+ * GET    /api/theme-presets          – built-in and user presets
+ * POST   /api/theme-presets          – { id?, preset } create or replace (a built-in id stores an override)
+ * DELETE /api/theme-presets?id=xxx   – delete a user preset / restore a built-in
+ * POST   /api/theme-presets/preview  – { preset, seeds? } themes generated from an unsaved preset
+ */
+
+import path from 'node:path';
+import { readJsonSafe, writeJsonAtomic, withFileLock } from '../../../packages/shared/atomic_fs.mjs';
+import { generateTheme, FONT_STACKS } from '../../../packages/engine/core/theme.mjs';
+import {
+  listPresets,
+  normalizePreset,
+  upsertPreset,
+  removePreset,
+} from '../../../packages/engine/core/modules/theme_presets.mjs';
+
+const DEFAULT_PREVIEW_SEEDS = ['preview-a', 'preview-b', 'preview-c'];
+
+function presetsPath(labRuntime) {
+  return path.join(labRuntime, 'data', 'theme_presets.json');
+}
+
+function sendJson(res, code, body) {
+  res.writeHead(code, { 'Content-Type': 'application/json; charset=utf-8' });
+  res.end(JSON.stringify(body));
+}
+
+async function readBody(req) {
+  let body = '';
+  req.on('data', c => body += c);
+  await new Promise(r => req.on('end', r));
+  return JSON.parse(body || '{}');
+}
+
+export async function handleThemePresets(res, { labRuntime }) {
+  const file = await readJsonSafe(presetsPath(labRuntime), null);
+  sendJson(res, 200, { ok: true, presets: listPresets(file), fonts: Object.keys(FONT_STACKS) });
+}
+
+export async function handleThemePresetSave(req, res, { labRuntime }) {
+  const { id, preset } = await readBody(req);
+  if (!preset || typeof preset !== 'object') return sendJson(res, 400, { ok: false, error: 'preset required' });
+
+  const p = presetsPath(labRuntime);
+  const result = await withFileLock(p, async () => {
+    const r = upsertPreset(await readJsonSafe(p, null), id, preset);
+    if (r.ok) await writeJsonAtomic(p, r.file);
+    return r;
+  });
+  if (!result.ok) return sendJson(res, 400, { ok: false, error: result.error });
+  sendJson(res, 200, { ok: true, id: result.id, preset: result.preset });
+}
+
+export async function handleThemePresetDelete(req, res, { labRuntime }) {
+  const url = new URL(req.url, `http://${req.headers.host}`);
+  const id = url.searchParams.get('id');
+  if (!id) return sendJson(res, 400, { ok: false, error: 'id query param required' });
+
+  const p = presetsPath(labRuntime);
+  const result = await withFileLock(p, async () => {
+    const r = removePreset(await readJsonSafe(p, null), id);
+    if (r.ok) await writeJsonAtomic(p, r.file);
+    return r;
+  });
+  if (!result.ok) return sendJson(res, 404, { ok: false, error: result.error });
+  sendJson(res, 200, { ok: true, restored: result.restored });
+}
+
+export async function handleThemePresetPreview(req, res) {
+  const { preset, seeds } = await readBody(req);
+  const normalized = normalizePreset(preset);
+  const list = Array.isArray(seeds) && seeds.length ? seeds.slice(0, 6).map(String) : DEFAULT_PREVIEW_SEEDS;
+  const themes = list.map(seed => generateTheme(seed, 'preview', { preview: normalized }));
+  sendJson(res, 200, { ok: true, preset: normalized, themes });
+}
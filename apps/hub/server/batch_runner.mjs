@@ -1,275 +1,235 @@
 /**
- * Batch Runner – sequential build executor for batch jobs.
+ * Batch Runner – build executor for batch jobs.
  *
- * Reads a job from batch_jobs.json, processes items one-by-one by
- * triggering the existing build pipeline (run_idle_job.sh --force)
- * and polling build_status.json for completion.
+ * Reads a job from batch_jobs.json and hands items to the hub's build queue
+ * (build_queue_service.mjs) as `batch` entries – behind manual builds, ahead
+ * of the idle job. Up to `job.concurrency` items build at the same time,
+ * each in its own output folder under its own run id; pause and cancel are
+ * checked before every item start, and builds already running finish. The
+ * run's status record drives per-item progress events; the queue entry's
+ * final status decides the attempt, and the job's retry policy whether a
+ * failed item is queued again (settleItemAttempt in batch_job.mjs).
+ *
+ * Items a job still has `running` when the runner starts are builds that
+ * outlived a hub restart (reconcileBatchJobs in api_batch.mjs): the runner
+ * waits for their queue entries instead of building them again.
  *
  * Emits progress events via a callback for SSE forwarding.
  */
 
 import path from 'node:path';
-import { spawn } from 'node:child_process';
 import { readJsonSafe, writeJsonAtomic, withFileLock } from '../../../packages/shared/atomic_fs.mjs';
-import { normalizeIdeaList, normalizeBuildStatus } from '../../../packages/shared/json_contract.mjs';
 import {
   normalizeBatchJobList,
   findJob,
   upsertJob,
   nextQueuedItem,
+  nextRetryAt,
+  settleItemAttempt,
   updateItemStatus,
   updateJobStatus,
   isJobComplete,
   computeJobStats,
 } from '../../../packages/engine/core/modules/batch_job.mjs';
 
-const POLL_INTERVAL_MS = 3000;    // poll build_status every 3s
-const BUILD_TIMEOUT_MS = 10 * 60 * 1000; // 10 min max per build
+const RETRY_POLL_MS = 3000; // while only retries are pending, re-check pause/cancel this often
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
 
 /**
  * @typedef {object} BatchRunnerDeps
  * @property {string} labRuntime – path to packages/engine/runtime
- * @property {string} labRoot   – path to packages/engine
+ * @property {ReturnType<import('./build_queue_service.mjs').createBuildQueueService>} buildQueue
  * @property {(event: string, data: object) => void} emit – SSE event emitter
  * @property {{ now: () => string }} [clock]
  */
 
 /**
- * Run a batch job (sequential, one item at a time).
+ * Run a batch job, up to `job.concurrency` items at a time.
  *
  * @param {string} jobId
  * @param {BatchRunnerDeps} deps
  * @returns {Promise<{ ok: boolean, error?: string }>}
  */
 export async function runBatchJob(jobId, deps) {
-  const { labRuntime, labRoot, emit, clock } = deps;
+  const { labRuntime, buildQueue, emit, clock } = deps;
   const clk = clock || { now: () => new Date().toISOString() };
   const batchPath = path.join(labRuntime, 'data', 'batch_jobs.json');
-  const backlogPath = path.join(labRuntime, 'data', 'idea_backlog.json');
-  const buildStatusPath = path.join(labRuntime, 'data', 'build_status.json');
 
   // --- helpers ---
   const readBatch = () => readJsonSafe(batchPath, { jobs: [] }).then(normalizeBatchJobList);
-  const saveBatch = (container) => writeJsonAtomic(batchPath, container);
 
-  // Load and validate
-  let container = await readBatch();
-  let job = findJob(container, jobId);
-  if (!job) return { ok: false, error: `Job not found: ${jobId}` };
+  /**
+   * Read-modify-write this job under the file lock – items finishing side by
+   * side each update a fresh copy. `fn` returns the new job or null (no change).
+   * @returns {Promise<object|null>} the job after the update (null if it is gone)
+   */
+  const updateJob = (fn) => withFileLock(batchPath, async () => {
+    const container = await readBatch();
+    const current = findJob(container, jobId);
+    if (!current) return null;
+    const next = fn(current);
+    if (!next || next === current) return current;
+    await writeJsonAtomic(batchPath, upsertJob(container, next, clk));
+    return next;
+  });
 
-  // Transition to running
-  const startResult = updateJobStatus(job, 'running');
-  if (!startResult.ok) return { ok: false, error: startResult.error };
-  job = startResult.job;
-  container = upsertJob(container, job, clk);
-  await saveBatch(container);
+  // Load and validate; a resumed job is already running
+  let job = findJob(await readBatch(), jobId);
+  if (!job) return { ok: false, error: `Job not found: ${jobId}` };
+  if (job.status !== 'running') {
+    let error = null;
+    job = await updateJob((j) => {
+      const r = updateJobStatus(j, 'running');
+      if (!r.ok) error = r.error;
+      return r.ok ? r.job : null;
+    });
+    if (error) return { ok: false, error };
+  }
   emit('job:started', { jobId, stats: computeJobStats(job) });
 
-  // --- Main loop: process items one by one ---
+  /** ideaId → promise of the item's build (settles after the item is updated) */
+  const inFlight = new Map();
+
+  /** `adopted` – the queue entry (or null) of a build started before a hub restart */
+  const buildItem = async (ideaId, slots, adopted) => {
+    let buildResult;
+    try {
+      buildResult = adopted === undefined
+        ? await queueAndAwaitBuild({ buildQueue, emit, jobId, ideaId, slots })
+        : await awaitEntry({ buildQueue, emit, jobId, ideaId, entryId: adopted?.entryId });
+    } catch (e) {
+      buildResult = { ok: false, runId: null, error: e.message };
+    }
+
+    // Record the attempt; a retryable failure goes back to the queue
+    let settled = null;
+    const updated = await updateJob((j) => {
+      settled = settleItemAttempt(j, ideaId, {
+        ok: buildResult.ok,
+        projectId: buildResult.outId,
+        runId: buildResult.runId,
+        error: buildResult.error,
+        category: buildResult.category,
+      }, clk);
+      return settled.ok ? settled.job : null;
+    });
+    const attempt = settled?.attempt?.attempt ?? null;
+    if (buildResult.ok) {
+      emit('item:built', {
+        jobId, ideaId, projectId: buildResult.outId, runId: buildResult.runId, attempt, stats: computeJobStats(updated),
+      });
+    } else {
+      emit('item:failed', {
+        jobId, ideaId, runId: buildResult.runId, error: buildResult.error, category: buildResult.category || null,
+        attempt, retryAt: settled?.retryAt || null, stats: computeJobStats(updated),
+      });
+    }
+  };
+
+  // --- Builds that outlived the previous hub process ---
+  const adopt = job.items.filter(it => it.status === 'running');
+  if (adopt.length) {
+    const entries = await buildQueue.entriesForJob(jobId);
+    for (const item of adopt) {
+      const entry = entries.filter(e => e.ideaId === item.ideaId).pop() || null;
+      const promise = buildItem(item.ideaId, job.concurrency || 1, entry)
+        .catch(e => emit('item:error', { jobId, ideaId: item.ideaId, error: e.message }))
+        .finally(() => inFlight.delete(item.ideaId));
+      inFlight.set(item.ideaId, promise);
+    }
+  }
+
+  // --- Main loop: keep up to `concurrency` items building ---
   while (true) {
     // Re-read job to respect external pause/cancel
-    container = await readBatch();
-    job = findJob(container, jobId);
+    job = findJob(await readBatch(), jobId);
     if (!job) {
+      await Promise.all(inFlight.values());
       emit('job:error', { jobId, error: 'Job disappeared from batch_jobs.json' });
       return { ok: false, error: 'Job disappeared' };
     }
 
-    // Check job-level status (pause/cancel)
-    if (job.status === 'paused') {
-      emit('job:paused', { jobId });
-      return { ok: true };
-    }
-    if (job.status === 'cancelled') {
-      emit('job:cancelled', { jobId });
+    // Paused or cancelled: start nothing new, let running builds finish
+    // (a resume while they finish carries on in this loop)
+    if (job.status === 'paused' || job.status === 'cancelled') {
+      if (inFlight.size > 0) {
+        await Promise.race(inFlight.values());
+        continue;
+      }
+      emit(job.status === 'paused' ? 'job:paused' : 'job:cancelled', { jobId });
       return { ok: true };
     }
 
-    const item = nextQueuedItem(job);
+    const slots = job.concurrency || 1;
+    const item = inFlight.size < slots ? nextQueuedItem(job, clk.now()) : null;
     if (!item) {
+      if (inFlight.size > 0) {
+        await Promise.race(inFlight.values());
+        continue;
+      }
+      // Only retries left that are not due yet
+      const retryAt = nextRetryAt(job);
+      if (retryAt) {
+        await sleep(Math.max(0, Math.min(RETRY_POLL_MS, Date.parse(retryAt) - Date.parse(clk.now()))));
+        continue;
+      }
       // No more queued items → mark done
       if (isJobComplete(job)) {
-        const doneResult = updateJobStatus(job, 'done');
-        if (doneResult.ok) {
-          container = upsertJob(container, doneResult.job, clk);
-          await saveBatch(container);
-        }
-        emit('job:done', { jobId, stats: computeJobStats(job) });
+        const done = await updateJob((j) => {
+          const r = updateJobStatus(j, 'done');
+          return r.ok ? r.job : null;
+        });
+        emit('job:done', { jobId, stats: computeJobStats(done) });
       }
       return { ok: true };
     }
 
     // Mark item as running
-    const runResult = updateItemStatus(job, item.ideaId, 'running', { startedAt: clk.now() });
-    if (!runResult.ok) {
-      emit('item:error', { jobId, ideaId: item.ideaId, error: runResult.error });
-      continue;
-    }
-    job = runResult.job;
-    container = upsertJob(container, job, clk);
-    await saveBatch(container);
-    emit('item:running', { jobId, ideaId: item.ideaId, stats: computeJobStats(job) });
-
-    // 1. Mark idea as implement-now in backlog
-    try {
-      await markIdeaForBuild(backlogPath, item.ideaId);
-    } catch (e) {
-      // Skip this item if idea not found
-      const failResult = updateItemStatus(job, item.ideaId, 'failed', {
-        error: e.message, finishedAt: clk.now(),
-      });
-      if (failResult.ok) job = failResult.job;
-      container = upsertJob(container, job, clk);
-      await saveBatch(container);
-      emit('item:failed', { jobId, ideaId: item.ideaId, error: e.message });
+    let runError = null;
+    const running = await updateJob((j) => {
+      const r = updateItemStatus(j, item.ideaId, 'running', { startedAt: clk.now(), retryAt: null });
+      if (!r.ok) runError = r.error;
+      return r.ok ? r.job : null;
+    });
+    if (runError) {
+      // Changed under us (skipped) – the next read sees its new status
+      emit('item:error', { jobId, ideaId: item.ideaId, error: runError });
       continue;
     }
+    emit('item:running', { jobId, ideaId: item.ideaId, attempt: (item.attempts?.length || 0) + 1, stats: computeJobStats(running) });
 
-    // 2. Spawn build process and wait for completion
-    let buildResult;
-    try {
-      buildResult = await spawnAndAwaitBuild({ labRoot, buildStatusPath, emit, jobId, ideaId: item.ideaId });
-    } catch (e) {
-      buildResult = { ok: false, error: e.message };
-    }
-
-    // 3. Update item status based on build result
-    if (buildResult.ok) {
-      const builtResult = updateItemStatus(job, item.ideaId, 'built', {
-        projectId: buildResult.outId || null,
-        finishedAt: clk.now(),
-      });
-      if (builtResult.ok) job = builtResult.job;
-      container = upsertJob(container, job, clk);
-      await saveBatch(container);
-      emit('item:built', {
-        jobId, ideaId: item.ideaId, projectId: buildResult.outId, stats: computeJobStats(job),
-      });
-    } else {
-      const failResult = updateItemStatus(job, item.ideaId, 'failed', {
-        error: buildResult.error, finishedAt: clk.now(),
-      });
-      if (failResult.ok) job = failResult.job;
-      container = upsertJob(container, job, clk);
-      await saveBatch(container);
-      emit('item:failed', { jobId, ideaId: item.ideaId, error: buildResult.error, stats: computeJobStats(job) });
-    }
+    const promise = buildItem(item.ideaId, slots)
+      .catch(e => emit('item:error', { jobId, ideaId: item.ideaId, error: e.message }))
+      .finally(() => inFlight.delete(item.ideaId));
+    inFlight.set(item.ideaId, promise);
   }
 }
 
 /**
- * Mark an idea as 'implement-now' in backlog.
- * Also resets any other 'implement-now' idea to 'new'.
+ * Add the idea to the build queue as a `batch` entry that may run beside
+ * `slots - 1` other builds, forward its status record as progress and settle
+ * when the entry finishes.
+ *
+ * @returns {Promise<{ ok: boolean, runId: string|null, outId?: string, error?: string, category?: string }>}
  */
-async function markIdeaForBuild(backlogPath, ideaId) {
-  let found = false;
-  await withFileLock(backlogPath, async () => {
-    const backlog = normalizeIdeaList(await readJsonSafe(backlogPath, { ideas: [] }));
-    const nextIdeas = backlog.ideas.map(idea => {
-      if (String(idea.id) === String(ideaId)) {
-        found = true;
-        return { ...idea, status: 'implement-now', prioritizedAt: new Date().toISOString() };
-      }
-      if (idea.status === 'implement-now') return { ...idea, status: 'new' };
-      return idea;
-    });
-    if (!found) throw new Error(`Idea ${ideaId} not found in backlog`);
-    await writeJsonAtomic(backlogPath, { ...backlog, ideas: nextIdeas, updatedAt: new Date().toISOString() });
-  });
+async function queueAndAwaitBuild({ buildQueue, emit, jobId, ideaId, slots }) {
+  const { entry } = await buildQueue.enqueue({ ideaId: String(ideaId), source: 'batch', jobId, slots });
+  return awaitEntry({ buildQueue, emit, jobId, ideaId, entryId: entry.entryId });
 }
 
 /**
- * Spawn run_idle_job.sh --force and poll build_status.json until build finishes.
+ * Forward the status record of queue entry `entryId` as progress and settle
+ * when it finishes.
  *
- * @returns {Promise<{ ok: boolean, outId?: string, error?: string }>}
+ * @returns {Promise<{ ok: boolean, runId: string|null, outId?: string, error?: string, category?: string }>}
  */
-function spawnAndAwaitBuild({ labRoot, buildStatusPath, emit, jobId, ideaId }) {
-  return new Promise((resolve) => {
-    const scriptPath = path.join(labRoot, 'core', 'scripts', 'run_idle_job.sh');
-
-    const child = spawn(scriptPath, ['--force'], {
-      cwd: labRoot,
-      detached: true,
-      stdio: 'ignore',
-      env: {
-        ...process.env,
-        PATH: `/opt/homebrew/bin:/usr/local/bin:/usr/bin:/bin:${process.env.PATH}`,
-      },
-    });
-
-    child.unref();
-    let settled = false;
-    const startTime = Date.now();
-
-    // Poll build_status.json for completion
-    const timer = setInterval(async () => {
-      if (settled) return;
-      try {
-        const raw = await readJsonSafe(buildStatusPath, {});
-        const bs = normalizeBuildStatus(raw);
-
-        // Emit progress
-        emit('item:progress', {
-          jobId, ideaId,
-          stage: bs.stage,
-          progress: bs.progress,
-          title: bs.title,
-        });
-
-        // Check for completion
-        if (bs.status === 'idle' && bs.stage !== '' && startTime < Date.now() - 5000) {
-          // Build finished (status returned to idle after being active)
-          settled = true;
-          clearInterval(timer);
-          // Check if it was successful by looking at stage
-          if (bs.stage === 'aborted') {
-            resolve({ ok: false, error: 'Build was aborted' });
-          } else {
-            resolve({ ok: true, outId: bs.outId || null });
-          }
-        } else if (bs.status === 'error') {
-          settled = true;
-          clearInterval(timer);
-          resolve({ ok: false, error: bs.error || 'Build error' });
-        } else if (bs.status === 'complete') {
-          settled = true;
-          clearInterval(timer);
-          resolve({ ok: true, outId: bs.outId || null });
-        }
-
-        // Timeout check
-        if (Date.now() - startTime > BUILD_TIMEOUT_MS) {
-          settled = true;
-          clearInterval(timer);
-          try { process.kill(-child.pid, 'SIGTERM'); } catch (_) { /* */ }
-          resolve({ ok: false, error: 'Build timeout (10 min)' });
-        }
-      } catch (_) { /* ignore read errors, retry next poll */ }
-    }, POLL_INTERVAL_MS);
-
-    // Also listen for process exit as a fallback
-    child.on('exit', (code) => {
-      if (settled) return;
-      // Give a brief delay for build_status.json to be written
-      setTimeout(async () => {
-        if (settled) return;
-        settled = true;
-        clearInterval(timer);
-        try {
-          const raw = await readJsonSafe(buildStatusPath, {});
-          const bs = normalizeBuildStatus(raw);
-          if (bs.status === 'error') {
-            resolve({ ok: false, error: bs.error || `Build exited with code ${code}` });
-          } else {
-            resolve({ ok: code === 0, outId: bs.outId || null, error: code !== 0 ? `exit code ${code}` : undefined });
-          }
-        } catch (_) {
-          resolve({ ok: code === 0, error: code !== 0 ? `exit code ${code}` : undefined });
-        }
-      }, 1000);
-    });
+async function awaitEntry({ buildQueue, emit, jobId, ideaId, entryId }) {
+  if (!entryId) return { ok: false, runId: null, error: 'Interrupted by a hub restart' };
+  const result = await buildQueue.waitFor(entryId, {
+    onProgress: (bs) => emit('item:progress', { jobId, ideaId, runId: bs.runId, stage: bs.stage, progress: bs.progress, title: bs.title }),
   });
+  if (result.ok) return { ok: true, runId: result.runId, outId: result.outId };
+  // A cancelled entry counts as aborted – never retried automatically
+  if (result.status === 'cancelled') return { ok: false, runId: result.runId, error: result.error || 'Build was cancelled', category: 'aborted' };
+  return { ok: false, runId: result.runId, error: result.error || 'Build failed', category: result.category };
 }
-
-// Exported for testing
-export { markIdeaForBuild };
@@ -0,0 +1,434 @@
+/**
+ * Build Queue Service – the one place the hub starts idea builds from.
+ *
+ * "Implement now", "Build in X", batch jobs and the idle launchd job all add
+ * entries to runtime/data/build_queue.json (see engine core/modules/
+ * build_queue.mjs for ordering), and so do resume, iterate and re-theme.
+ * This service starts the next entry whenever a build slot is free, as
+ * `generate.mjs --idea-id <id> --json` (or `--resume`, `--iterate`,
+ * `--retheme <outId>`), and settles the entry from the run result line the
+ * build prints.
+ *
+ * The queue file is shared with core/scripts/enqueue_build.mjs (the idle
+ * job), so every change goes through withFileLock and the service re-reads
+ * the file on each tick. The tick also refreshes `hubHeartbeatAt`, which
+ * tells the idle job a hub is consuming the queue.
+ *
+ * One build runs at a time; a batch entry's `slots` (the job's concurrency)
+ * lets up to that many run side by side, each in its own output folder with
+ * its own run id and status record.
+ *
+ * Builds are detached, so they outlive a hub restart. A running entry keeps
+ * its build's `pid`; after a restart the entry stays `running` while that
+ * process lives (it still holds its slot and is stopped at the build
+ * timeout), and is settled from the run's status record once it exits.
+ *
+ * Batch and idle builds are stopped at a time limit that grows with the
+ * repair budget (buildTimeoutMs); manual builds only when one is configured.
+ * A stopped build is settled as a `timeout` failure, not as cancelled.
+ *
+ * Usage:
+ *   const buildQueue = createBuildQueueService({ labRuntime, labRoot });
+ *   buildQueue.start();
+ *   const { entry } = await buildQueue.enqueue({ ideaId, source: 'manual' });
+ *   const result = await buildQueue.waitFor(entry.entryId);
+ */
+
+import path from 'node:path';
+import { spawn } from 'node:child_process';
+import { readJsonSafe, writeJsonAtomic, withFileLock } from '../../../packages/shared/atomic_fs.mjs';
+import { createBuildStatusStore } from '../../../packages/shared/build_status_store.mjs';
+import { generateRunId } from '../../../packages/shared/event_logger.mjs';
+import { parseRunResult } from '../../../packages/engine/core/modules/run_result.mjs';
+import { resolveRepairBudget } from '../../../packages/engine/core/modules/build_repair.mjs';
+import {
+  normalizeBuildQueue,
+  enqueueBuild,
+  findEntry,
+  nextEntry,
+  hasFreeSlot,
+  runningEntries,
+  updateEntryStatus,
+  setPaused,
+  touchHeartbeat,
+  pruneFinished,
+  averageBuildMs,
+  estimateStartTimes,
+  isActiveEntry,
+  activeEntryForOutput,
+  generateArgs,
+  buildTimeoutMs,
+  markTimedOut,
+  settlement,
+} from '../../../packages/engine/core/modules/build_queue.mjs';
+import { generationEnv } from './api_idea_prioritize.mjs';
+
+const TICK_MS = 3000;                    // heartbeat, progress and pick-up of external entries
+const STDOUT_TAIL_CHARS = 64 * 1024;     // the result line is the last one
+
+/**
+ * Whether the build process of a running entry is still alive. EPERM means
+ * the pid now belongs to another user's process, so not to our build.
+ * @param {{ pid?: number }|null} entry
+ */
+export function isEntryProcessAlive(entry) {
+  const pid = Number(entry?.pid);
+  if (!Number.isInteger(pid) || pid <= 0) return false;
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (_) {
+    return false;
+  }
+}
+
+/**
+ * @typedef {object} QueueResult
+ * @property {boolean} ok
+ * @property {string} entryId
+ * @property {string} status – done | failed | cancelled
+ * @property {string|null} runId
+ * @property {string|null} [outId]
+ * @property {string|null} [error]
+ * @property {string|null} [category]
+ */
+
+/**
+ * @param {object} opts
+ * @param {string} opts.labRuntime – packages/engine/runtime
+ * @param {string} opts.labRoot    – packages/engine
+ * @param {number} [opts.concurrency=1] – builds running at the same time
+ * @param {{ now: () => string }} [opts.clock]
+ */
+export function createBuildQueueService({ labRuntime, labRoot, concurrency = 1, clock }) {
+  const clk = clock || { now: () => new Date().toISOString() };
+  const queuePath = path.join(labRuntime, 'data', 'build_queue.json');
+  const buildStatus = createBuildStatusStore({ dataDir: path.join(labRuntime, 'data') });
+
+  /** entryId → { child, runId, startedMs } for builds this process started */
+  const children = new Map();
+  /** entryId → Set<{ resolve, onProgress }> */
+  const waiters = new Map();
+  let timer = null;
+  let pumping = null;
+
+  /** Read-modify-write the queue file under its lock; `fn` returns the new queue. */
+  async function mutate(fn) {
+    return withFileLock(queuePath, async () => {
+      const queue = normalizeBuildQueue(await readJsonSafe(queuePath, null));
+      const next = await fn(queue);
+      if (next && next !== queue) await writeJsonAtomic(queuePath, next);
+      return next || queue;
+    });
+  }
+
+  const readQueue = async () => normalizeBuildQueue(await readJsonSafe(queuePath, null));
+
+  function resultOf(entry) {
+    return {
+      ok: entry.status === 'done',
+      entryId: entry.entryId,
+      status: entry.status,
+      runId: entry.runId || null,
+      outId: entry.outId || null,
+      error: entry.error || null,
+      category: entry.category || null,
+    };
+  }
+
+  function settleWaiters(entry) {
+    const set = waiters.get(entry.entryId);
+    if (!set) return;
+    waiters.delete(entry.entryId);
+    for (const w of set) w.resolve(resultOf(entry));
+  }
+
+  /** The entry's time limit under the current settings (null: none). */
+  const timeoutOf = entry => buildTimeoutMs(entry, {
+    repairAttempts: resolveRepairBudget(process.env.DAILY_APP_LAB_REPAIR_ATTEMPTS),
+  });
+
+  /** Move an entry to a final status and wake whoever waits for it. */
+  async function finishEntry(entryId, status, extra) {
+    let finished = null;
+    await mutate((q) => {
+      const [final, fields] = settlement(findEntry(q, entryId), status, extra);
+      const r = updateEntryStatus(q, entryId, final, { ...fields, finishedAt: clk.now() }, clk);
+      if (!r.ok) return q;
+      finished = r.entry;
+      return pruneFinished(r.queue);
+    });
+    if (finished) settleWaiters(finished);
+  }
+
+  function startEntry(entry) {
+    const runId = generateRunId();
+    const args = [path.join(labRoot, 'generate.mjs'), ...generateArgs(entry)];
+    const label = entry.kind === 'build' ? entry.ideaId : `${entry.kind} ${entry.target}`;
+    console.log(`[BuildQueue] Starting ${label} (${entry.source}, ${entry.entryId}) as ${runId}`);
+
+    const child = spawn(process.execPath, args, {
+      cwd: labRoot,
+      detached: true,
+      stdio: ['ignore', 'pipe', 'ignore'],
+      env: generationEnv(runId),
+    });
+    children.set(entry.entryId, { child, runId, startedMs: Date.now(), timeoutMs: timeoutOf(entry), timedOut: false });
+
+    let stdout = '';
+    child.stdout.on('data', (chunk) => {
+      stdout = (stdout + chunk).slice(-STDOUT_TAIL_CHARS);
+    });
+    child.on('error', (e) => console.error(`[BuildQueue] ${entry.entryId} failed to start:`, e.message));
+    // 'close' fires once stdout is drained, so the result line is complete
+    child.on('close', async (code) => {
+      try {
+        const result = parseRunResult(stdout);
+        if (result?.ok) {
+          await finishEntry(entry.entryId, 'done', { outId: result.outId || null });
+        } else if (result) {
+          await finishEntry(entry.entryId, result.status === 'aborted' ? 'cancelled' : 'failed', {
+            outId: result.outId || null,
+            error: result.error || `Build ${result.status}`,
+            category: result.category || null,
+          });
+        } else {
+          // No result line (crashed or killed) – the status record may still know
+          const bs = await buildStatus.read(runId).catch(() => null);
+          if (bs?.status === 'complete') await finishEntry(entry.entryId, 'done', { outId: bs.outId || null });
+          else await finishEntry(entry.entryId, 'failed', { error: bs?.error || `Build exited with code ${code}` });
+        }
+      } catch (e) {
+        console.error(`[BuildQueue] Could not settle ${entry.entryId}:`, e.message);
+      }
+      // Only now – a tick in between would take the entry for an orphan
+      children.delete(entry.entryId);
+      pump();
+    });
+    return { runId, pid: child.pid ?? null };
+  }
+
+  /**
+   * Final status of a build whose process ended without this hub watching
+   * it, from the run's status record.
+   */
+  async function orphanOutcome(entry) {
+    const bs = entry.runId ? await buildStatus.read(entry.runId).catch(() => null) : null;
+    if (bs?.status === 'complete') return settlement(entry, 'done', { outId: bs.outId || null });
+    return settlement(entry, 'failed', { error: bs?.error || 'Interrupted: the hub restarted during the build' });
+  }
+
+  /**
+   * Refresh the heartbeat, settle entries an earlier hub process started once
+   * their build has exited (stopping those past the timeout), and start
+   * queued entries while slots are free.
+   */
+  function pump() {
+    if (pumping) return pumping;
+    pumping = (async () => {
+      const orphaned = [];
+      await mutate(async (q) => {
+        let queue = touchHeartbeat(q, clk);
+        for (const e of runningEntries(queue)) {
+          if (children.has(e.entryId)) continue;
+          if (isEntryProcessAlive(e)) {
+            // Still building: it keeps its slot, the next tick looks again
+            const limit = timeoutOf(e);
+            if (!e.stopReason && limit !== null && Date.now() - Date.parse(e.startedAt || clk.now()) > limit) {
+              console.log(`[BuildQueue] ${e.entryId} (started by an earlier hub) timed out, stopping ${e.runId}`);
+              queue = markTimedOut(queue, e.entryId, limit, clk).queue;
+              try { process.kill(-e.pid, 'SIGTERM'); } catch (_) { /* already gone */ }
+            }
+            continue;
+          }
+          const [status, extra] = await orphanOutcome(e);
+          const r = updateEntryStatus(queue, e.entryId, status, { ...extra, finishedAt: clk.now() }, clk);
+          queue = r.queue;
+          orphaned.push(r.entry);
+        }
+        // In start order: an entry that must wait holds back the ones behind it
+        for (let entry = nextEntry(queue); entry && hasFreeSlot(queue, entry, concurrency); entry = nextEntry(queue)) {
+          const { runId, pid } = startEntry(entry);
+          queue = updateEntryStatus(queue, entry.entryId, 'running', { runId, pid, startedAt: clk.now() }, clk).queue;
+        }
+        return queue;
+      });
+      orphaned.forEach(settleWaiters);
+    })()
+      .catch(e => console.error('[BuildQueue] Tick failed:', e.message))
+      .finally(() => { pumping = null; });
+    return pumping;
+  }
+
+  /** Progress for waiters and the per-build timeout. */
+  async function watchRunning() {
+    for (const [entryId, running] of children) {
+      const { child, runId, startedMs, timeoutMs } = running;
+      if (running.timedOut) continue;
+      if (timeoutMs !== null && Date.now() - startedMs > timeoutMs) {
+        console.log(`[BuildQueue] ${entryId} timed out, stopping ${runId}`);
+        // Recorded before the signal, so the settlement sees it
+        await mutate(q => markTimedOut(q, entryId, timeoutMs, clk).queue);
+        running.timedOut = true;
+        try { process.kill(-child.pid, 'SIGTERM'); } catch (_) { /* already gone */ }
+        continue;
+      }
+      const set = waiters.get(entryId);
+      if (!set) continue;
+      const bs = await buildStatus.read(runId).catch(() => null);
+      if (bs?.status !== 'running') continue;
+      for (const w of set) w.onProgress?.({ ...bs, runId });
+    }
+  }
+
+  return {
+    concurrency,
+
+    /** Start ticking (idempotent). */
+    start() {
+      if (timer) return;
+      timer = setInterval(() => {
+        pump();
+        watchRunning().catch(() => { /* retry next tick */ });
+      }, TICK_MS);
+      timer.unref?.();
+      pump();
+    },
+
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    },
+
+    /**
+     * @param {{ ideaId?: string, kind?: string, target?: string, params?: object, source?: 'manual'|'batch'|'idle', lang?: string|null, langVariant?: boolean, jobId?: string|null, slots?: number }} input
+     * @returns {Promise<{ entry: object, created: boolean }>}
+     */
+    async enqueue(input) {
+      let out = null;
+      await mutate((q) => {
+        const r = enqueueBuild(q, input, clk);
+        out = { entry: r.entry, created: r.created };
+        return r.queue;
+      });
+      pump();
+      return out;
+    },
+
+    /**
+     * Resolve once the entry finished (immediately if it already has).
+     * @param {string} entryId
+     * @param {{ onProgress?: (status: object) => void }} [opts] – called with the run's status record
+     * @returns {Promise<QueueResult>}
+     */
+    waitFor(entryId, { onProgress } = {}) {
+      return new Promise((resolve, reject) => {
+        // Register first so an entry finishing during the read is not missed
+        const waiter = { resolve, onProgress };
+        if (!waiters.has(entryId)) waiters.set(entryId, new Set());
+        waiters.get(entryId).add(waiter);
+        readQueue().then((queue) => {
+          const entry = findEntry(queue, entryId);
+          if (isActiveEntry(entry)) return;
+          waiters.get(entryId)?.delete(waiter);
+          resolve(entry ? resultOf(entry) : { ok: false, entryId, status: 'failed', runId: null, error: `Queue entry not found: ${entryId}` });
+        }, reject);
+      });
+    },
+
+    /**
+     * Cancel a queued entry, or stop its build if it is running.
+     * @returns {Promise<{ ok: boolean, status?: string, error?: string }>}
+     */
+    async cancel(entryId) {
+      const running = children.get(entryId);
+      if (running) {
+        try { process.kill(-running.child.pid, 'SIGTERM'); } catch (_) { /* already gone */ }
+        return { ok: true, status: 'stopping' };
+      }
+      // A build an earlier hub process started: the tick settles it once it exited
+      const orphan = findEntry(await readQueue(), entryId);
+      if (orphan?.status === 'running' && isEntryProcessAlive(orphan)) {
+        try { process.kill(-orphan.pid, 'SIGTERM'); } catch (_) { /* already gone */ }
+        return { ok: true, status: 'stopping' };
+      }
+      let result = { ok: false, error: `Queue entry not found or not queued: ${entryId}` };
+      let cancelled = null;
+      await mutate((q) => {
+        const entry = findEntry(q, entryId);
+        if (entry?.status !== 'queued') return q;
+        const r = updateEntryStatus(q, entryId, 'cancelled', { finishedAt: clk.now() }, clk);
+        cancelled = r.entry;
+        result = { ok: true, status: 'cancelled' };
+        return r.queue;
+      });
+      if (cancelled) settleWaiters(cancelled);
+      return result;
+    },
+
+    /** Cancel the queued entries of a batch job (its running build finishes). */
+    async cancelJob(jobId) {
+      const cancelled = [];
+      await mutate((q) => {
+        let queue = q;
+        for (const e of q.entries) {
+          if (e.jobId !== jobId || e.status !== 'queued') continue;
+          const r = updateEntryStatus(queue, e.entryId, 'cancelled', { finishedAt: clk.now() }, clk);
+          queue = r.queue;
+          cancelled.push(r.entry);
+        }
+        return queue;
+      });
+      cancelled.forEach(settleWaiters);
+      return cancelled.length;
+    },
+
+    /**
+     * Stop the queued build running as `runId` (the build HUD's abort).
+     * @returns {boolean} false when no build of this queue runs under that id
+     */
+    abortRun(runId) {
+      for (const { child, runId: id } of children.values()) {
+        if (id !== runId) continue;
+        try { process.kill(-child.pid, 'SIGTERM'); } catch (_) { /* already gone */ }
+        return true;
+      }
+      return false;
+    },
+
+    /** Hold queued entries (running builds finish) or let them start again. */
+    async setPaused(paused) {
+      await mutate(q => setPaused(q, paused, clk));
+      if (!paused) pump();
+    },
+
+    /** The queued or running resume, iteration or re-theme of an output, or null. */
+    async activeForOutput(outId) {
+      return activeEntryForOutput(await readQueue(), outId);
+    },
+
+    /** Every entry (active or finished) queued for a batch job, oldest first. */
+    async entriesForJob(jobId) {
+      const queue = await readQueue();
+      return queue.entries.filter(e => e.jobId === jobId).sort((a, b) => a.seq - b.seq);
+    },
+
+    /**
+     * Queue state for the UI: active entries in start order with estimated
+     * start times, plus the most recent finished ones.
+     */
+    async snapshot({ recent = 10 } = {}) {
+      const queue = await readQueue();
+      const now = clk.now();
+      const avgBuildMs = averageBuildMs(queue);
+      const estimates = estimateStartTimes(queue, { now, concurrency, avgBuildMs });
+      const running = runningEntries(queue);
+      const queued = [...estimates.keys()].map(id => ({ ...findEntry(queue, id), estimatedStartAt: estimates.get(id) }));
+      const finished = queue.entries
+        .filter(e => !isActiveEntry(e))
+        .sort((a, b) => String(b.finishedAt || '').localeCompare(String(a.finishedAt || '')))
+        .slice(0, recent);
+      return { paused: queue.paused, concurrency, avgBuildMs, updatedAt: queue.updatedAt, running, queued, recent: finished };
+    },
+  };
+}
@@ -23,3 +23,5 @@ export const PORT = Number(process.env.DAILY_APP_LAB_PORT || 41777);
 export const USER = process.env.DAILY_APP_LAB_USER || '';
 export const PASS = process.env.DAILY_APP_LAB_PASS || '';
 
+// Continue a batch job the previous hub process left running (otherwise it is paused)
+export const BATCH_AUTO_RESUME = process.env.DAILY_APP_LAB_BATCH_AUTO_RESUME === '1';
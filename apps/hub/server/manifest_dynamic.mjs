@@ -1,5 +1,7 @@
 import fs from 'node:fs/promises';
 import path from 'node:path';
+import { readCompliance } from '../../../packages/engine/core/modules/spec_compliance.mjs';
+import { readBuildMetadata } from '../../../packages/engine/core/modules/build_metadata.mjs';
 
 export async function listOutputsAsManifest({ labOutputs }){
   const dirents = await fs.readdir(labOutputs, { withFileTypes:true });
@@ -22,10 +24,12 @@ export async function listOutputsAsManifest({ labOutputs }){
 
     const readme = path.join(base, 'README.md');
     const themePath = path.join(base, 'theme.json');
-    let title = name;
-    let desc = '';
-    let scenario = '';
-    let workflow = '';
+    // build.json written by generate.mjs; README scraping only fills what it lacks
+    const meta = await readBuildMetadata(base);
+    let title = meta?.title || name;
+    let desc = meta?.desc || '';
+    let scenario = meta?.scenario || '';
+    let workflow = meta?.workflow || '';
     let theme = null;
 
     try{
@@ -35,27 +39,50 @@ export async function listOutputsAsManifest({ labOutputs }){
       // No theme.json, will be handled by UI or default
     }
 
-    try{
+    if(!meta?.title || !desc || !scenario || !workflow) try{
       const raw = await fs.readFile(readme, 'utf8');
       const lines = raw.split(/\r?\n/);
       const h = lines.find(l => l.startsWith('# '));
-      if(h) title = h.replace(/^#\s+/,'').trim() || title;
+      if(h && !meta?.title) title = h.replace(/^#\s+/,'').trim() || title;
       const p = lines.find(l => l.trim() && !l.startsWith('#'));
-      if(p) desc = p.trim().slice(0, 200);
+      if(p && !desc) desc = p.trim().slice(0, 200);
 
       // Extract Scenario
       const scenarioMatch = raw.match(/## (?:Scenario|场景|Use Case（使用场景）|Use Case|Project Overview|项目概览)\s*([\s\S]*?)(?=\n##|$)/i);
-      if(scenarioMatch) scenario = scenarioMatch[1].trim();
+      if(scenarioMatch && !scenario) scenario = scenarioMatch[1].trim();
 
       // Extract Workflow
       const workflowMatch = raw.match(/## (?:How to use|Workflow|流程|如何使用|操作说明|Core Interactions|核心交互|Sample Workflow)\s*([\s\S]*?)(?=\n##|$)/i);
-      if(workflowMatch) workflow = workflowMatch[1].trim();
+      if(workflowMatch && !workflow) workflow = workflowMatch[1].trim();
     }catch(e){
       console.error(`Failed to parse README for ${name}:`, e.message);
     }
-    entries.push({ date: name, id: name, title, desc, scenario, workflow, indexPath, theme });
+    // DAILY_SPEC compliance report written by generate.mjs (absent for older outputs)
+    const report = await readCompliance(base);
+    const compliance = report
+      ? { score: report.score, status: report.status, violations: report.violations, dependencyViolations: report.dependencies?.violations || [] }
+      : null;
+
+    entries.push({
+      date: name, id: name, title, desc, scenario, workflow, indexPath, theme, compliance,
+      ideaId: meta?.ideaId || null,
+      campaignId: meta?.campaignId || null,
+      topicTag: meta?.topicTag || null,
+      generator: meta?.generator || null,
+      model: meta?.model || null,
+      template: meta?.template || null,
+      language: meta?.language || null,
+      builtAt: meta?.builtAt || null,
+      bundleBytes: meta?.bundleBytes ?? null,
+      appVersion: meta?.appVersion ?? null,
+    });
   }
 
+  // Ids sort by day only (the rest is a title slug) – order a day by build time
+  entries.sort((a, b) => b.id.slice(0, 10).localeCompare(a.id.slice(0, 10))
+    || String(b.builtAt || '').localeCompare(String(a.builtAt || ''))
+    || b.id.localeCompare(a.id));
+
   return { updatedAt: new Date().toISOString(), entries };
 }
 
@@ -1,7 +1,7 @@
 import fs from 'node:fs/promises';
 import path from 'node:path';
 
-import { embed, cosine } from './similarity.mjs';
+import { embed, cosine } from '../../../packages/shared/similarity.mjs';
 import { listOutputsAsManifest } from './manifest_dynamic.mjs';
 import { writeJsonAtomic } from '../../../packages/shared/atomic_fs.mjs';
 import { LAB_OUTPUTS } from './config.mjs';
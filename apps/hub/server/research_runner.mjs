@@ -1,8 +1,9 @@
 import { spawn } from 'node:child_process';
 
-export function runPlannerResearch({ labRoot, timeoutMs = 600000 }){
+export function runPlannerResearch({ labRoot, lang, timeoutMs = 600000 }){
   return new Promise((resolve, reject) => {
-    const child = spawn('node', ['core/modules/planner_research.mjs'], {
+    const args = ['core/modules/planner_research.mjs', ...(lang ? ['--lang', lang] : [])];
+    const child = spawn('node', args, {
       cwd: labRoot,
       stdio: ['ignore', 'pipe', 'pipe'],
       env: process.env,
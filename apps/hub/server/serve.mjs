@@ -1,7 +1,7 @@
 import http from 'node:http';
 import path from 'node:path';
 
-import { HUB_ROOT, LAB_OUTPUTS, LAB_RUNTIME, LAB_ROOT, PASS, PORT, USER } from './config.mjs';
+import { BATCH_AUTO_RESUME, HUB_ROOT, LAB_OUTPUTS, LAB_RUNTIME, LAB_ROOT, PASS, PORT, USER } from './config.mjs';
 import { checkAuth, unauthorized } from './basic_auth.mjs';
 import { safeJoin, serveFile } from './static.mjs';
 import { handleManifest } from './api_manifest.mjs';
@@ -10,23 +10,35 @@ import { handleIdeaGenerate } from './api_idea_generate.mjs';
 import { handleIdeaBacklog, handleIdeaBacklogAdd } from './api_idea_backlog.mjs';
 import { handleIdeaBacklogDelete } from './api_idea_backlog_delete.mjs';
 import { handleIdeaResearch } from './api_idea_research.mjs';
-import { handleIdeaPrioritizeAndExecute } from './api_idea_prioritize.mjs';
+import { handleIdeaPrioritizeAndExecute, handleIdeaBuildInLang } from './api_idea_prioritize.mjs';
 import { handleIdeaFiltered, handleIdeaFilteredDelete } from './api_idea_filtered.mjs';
 import { handleIdeaFilteredRestore } from './api_idea_filtered_restore.mjs';
 import { handleIdeaRestore } from './api_idea_restore.mjs';
 import { handleIdeaStatusRestore } from './api_idea_status_restore.mjs';
 import { handleIdeaAbort } from './api_idea_abort.mjs';
+import { handleFailedBuilds, handleBuildResume } from './api_build_resume.mjs';
+import { handleBuildFailures } from './api_build_failures.mjs';
+import { handleTemplates } from './api_templates.mjs';
+import { handleThemePresets, handleThemePresetSave, handleThemePresetDelete, handleThemePresetPreview } from './api_theme_presets.mjs';
+import { handleBuilds, handleBuildStatus } from './api_builds.mjs';
+import { handleOutputIterate, handleOutputRetheme, handleOutputVersions, handleOutputVersionDiff, handleOutputVersionRestore } from './api_output_versions.mjs';
 import { handleRagQuery, handleRagReindex } from './api_rag.mjs';
 import { handleTargetedResearch, handleTargetedResearchStatus, handleCampaigns, handleCampaignDelete } from './api_targeted_research.mjs';
 import {
   handleBatchCreate, handleBatchStart, handleBatchStatus,
   handleBatchPause, handleBatchResume, handleBatchCancel,
   handleBatchRetryItem, handleBatchSkipItem, handleBatchEvents, handleBatchJobs,
+  handleBatchPolicy, reconcileBatchJobs,
 } from './api_batch.mjs';
+import { handleBuildQueue, handleBuildQueueAdd, handleBuildQueueCancel, handleBuildQueuePause } from './api_build_queue.mjs';
+import { createBuildQueueService } from './build_queue_service.mjs';
 import { deleteOutput } from './manifest_dynamic.mjs';
 
 const SPA_DIST = path.join(HUB_ROOT, 'dist');
 
+// Every idea build (manual, batch, idle job) starts from this queue
+const buildQueue = createBuildQueueService({ labRuntime: LAB_RUNTIME, labRoot: LAB_ROOT });
+
 const server = http.createServer(async (req, res) => {
   const url = new URL(req.url, `http://${req.headers.host}`);
 
@@ -69,10 +81,7 @@ const server = http.createServer(async (req, res) => {
 
   if(url.pathname === '/api/build-status' && req.method === 'GET'){
     try{
-      const p = path.join(LAB_RUNTIME, 'data', 'build_status.json');
-      const raw = await (await import('node:fs/promises')).readFile(p, 'utf8');
-      res.writeHead(200, { 'Content-Type': 'application/json; charset=utf-8' });
-      res.end(raw);
+      await handleBuildStatus(res, { labRuntime: LAB_RUNTIME });
     }catch(_e){
       res.writeHead(200, { 'Content-Type': 'application/json; charset=utf-8' });
       res.end(JSON.stringify({ status: 'idle' }));
@@ -80,6 +89,151 @@ const server = http.createServer(async (req, res) => {
     return;
   }
 
+  if(url.pathname === '/api/builds' && req.method === 'GET'){
+    try{
+      await handleBuilds(res, { labRuntime: LAB_RUNTIME, runId: url.searchParams.get('runId') });
+    }catch(e){
+      res.writeHead(500, { 'Content-Type': 'application/json; charset=utf-8' });
+      res.end(JSON.stringify({ ok:false, error: String(e?.message||e) }));
+    }
+    return;
+  }
+
+  if(url.pathname === '/api/build-failures' && req.method === 'GET'){
+    try{
+      await handleBuildFailures(res, { labRuntime: LAB_RUNTIME, days: url.searchParams.get('days') });
+    }catch(e){
+      res.writeHead(500, { 'Content-Type': 'application/json; charset=utf-8' });
+      res.end(JSON.stringify({ ok:false, error: String(e?.message||e) }));
+    }
+    return;
+  }
+
+  if(url.pathname === '/api/templates' && req.method === 'GET'){
+    try{
+      await handleTemplates(res);
+    }catch(e){
+      res.writeHead(500, { 'Content-Type': 'application/json; charset=utf-8' });
+      res.end(JSON.stringify({ ok:false, error: String(e?.message||e) }));
+    }
+    return;
+  }
+
+  if(url.pathname === '/api/theme-presets' && req.method === 'GET'){
+    try{
+      await handleThemePresets(res, { labRuntime: LAB_RUNTIME });
+    }catch(e){
+      res.writeHead(500, { 'Content-Type': 'application/json; charset=utf-8' });
+      res.end(JSON.stringify({ ok:false, error: String(e?.message||e) }));
+    }
+    return;
+  }
+
+  if(url.pathname === '/api/theme-presets' && req.method === 'POST'){
+    try{
+      await handleThemePresetSave(req, res, { labRuntime: LAB_RUNTIME });
+    }catch(e){
+      res.writeHead(500, { 'Content-Type': 'application/json; charset=utf-8' });
+      res.end(JSON.stringify({ ok:false, error: String(e?.message||e) }));
+    }
+    return;
+  }
+
+  if(url.pathname === '/api/theme-presets' && req.method === 'DELETE'){
+    try{
+      await handleThemePresetDelete(req, res, { labRuntime: LAB_RUNTIME });
+    }catch(e){
+      res.writeHead(500, { 'Content-Type': 'application/json; charset=utf-8' });
+      res.end(JSON.stringify({ ok:false, error: String(e?.message||e) }));
+    }
+    return;
+  }
+
+  if(url.pathname === '/api/theme-presets/preview' && req.method === 'POST'){
+    try{
+      await handleThemePresetPreview(req, res);
+    }catch(e){
+      res.writeHead(500, { 'Content-Type': 'application/json; charset=utf-8' });
+      res.end(JSON.stringify({ ok:false, error: String(e?.message||e) }));
+    }
+    return;
+  }
+
+  if(url.pathname === '/api/failed-builds' && req.method === 'GET'){
+    try{
+      await handleFailedBuilds(res, { labOutputs: LAB_OUTPUTS });
+    }catch(e){
+      res.writeHead(500, { 'Content-Type': 'application/json; charset=utf-8' });
+      res.end(JSON.stringify({ ok:false, error: String(e?.message||e) }));
+    }
+    return;
+  }
+
+  if(url.pathname === '/api/build-resume' && req.method === 'POST'){
+    try{
+      await handleBuildResume(req, res, { labOutputs: LAB_OUTPUTS, buildQueue });
+    }catch(e){
+      res.writeHead(500, { 'Content-Type': 'application/json; charset=utf-8' });
+      res.end(JSON.stringify({ ok:false, error: String(e?.message||e) }));
+    }
+    return;
+  }
+
+  if(url.pathname === '/api/output-iterate' && req.method === 'POST'){
+    try{
+      await handleOutputIterate(req, res, { labOutputs: LAB_OUTPUTS, buildQueue });
+    }catch(e){
+      res.writeHead(500, { 'Content-Type': 'application/json; charset=utf-8' });
+      res.end(JSON.stringify({ ok:false, error: String(e?.message||e) }));
+    }
+    return;
+  }
+
+  if(url.pathname === '/api/output-retheme' && req.method === 'POST'){
+    try{
+      await handleOutputRetheme(req, res, { labOutputs: LAB_OUTPUTS, labRuntime: LAB_RUNTIME, buildQueue });
+    }catch(e){
+      res.writeHead(500, { 'Content-Type': 'application/json; charset=utf-8' });
+      res.end(JSON.stringify({ ok:false, error: String(e?.message||e) }));
+    }
+    return;
+  }
+
+  if(url.pathname === '/api/output-versions' && req.method === 'GET'){
+    try{
+      await handleOutputVersions(res, { labOutputs: LAB_OUTPUTS, id: url.searchParams.get('id') });
+    }catch(e){
+      res.writeHead(500, { 'Content-Type': 'application/json; charset=utf-8' });
+      res.end(JSON.stringify({ ok:false, error: String(e?.message||e) }));
+    }
+    return;
+  }
+
+  if(url.pathname === '/api/output-versions/diff' && req.method === 'GET'){
+    try{
+      await handleOutputVersionDiff(res, {
+        labOutputs: LAB_OUTPUTS,
+        id: url.searchParams.get('id'),
+        from: url.searchParams.get('from'),
+        to: url.searchParams.get('to'),
+      });
+    }catch(e){
+      res.writeHead(500, { 'Content-Type': 'application/json; charset=utf-8' });
+      res.end(JSON.stringify({ ok:false, error: String(e?.message||e) }));
+    }
+    return;
+  }
+
+  if(url.pathname === '/api/output-versions/restore' && req.method === 'POST'){
+    try{
+      await handleOutputVersionRestore(req, res, { labOutputs: LAB_OUTPUTS, buildQueue });
+    }catch(e){
+      res.writeHead(500, { 'Content-Type': 'application/json; charset=utf-8' });
+      res.end(JSON.stringify({ ok:false, error: String(e?.message||e) }));
+    }
+    return;
+  }
+
   if(url.pathname === '/api/output' && req.method === 'DELETE'){
     try{
       const id = url.searchParams.get('id');
@@ -159,7 +313,17 @@ const server = http.createServer(async (req, res) => {
 
   if(url.pathname === '/api/idea-prioritize' && req.method === 'POST'){
     try{
-      await handleIdeaPrioritizeAndExecute(req, res, { labRuntime: LAB_RUNTIME, labRoot: LAB_ROOT });
+      await handleIdeaPrioritizeAndExecute(req, res, { labRuntime: LAB_RUNTIME, buildQueue });
+    }catch(e){
+      res.writeHead(500, { 'Content-Type': 'application/json; charset=utf-8' });
+      res.end(JSON.stringify({ ok:false, error: String(e?.message||e) }));
+    }
+    return;
+  }
+
+  if(url.pathname === '/api/idea-build-lang' && req.method === 'POST'){
+    try{
+      await handleIdeaBuildInLang(req, res, { labRuntime: LAB_RUNTIME, buildQueue });
     }catch(e){
       res.writeHead(500, { 'Content-Type': 'application/json; charset=utf-8' });
       res.end(JSON.stringify({ ok:false, error: String(e?.message||e) }));
@@ -291,6 +455,43 @@ const server = http.createServer(async (req, res) => {
     return;
   }
 
+  // --- Build Queue API ---
+  if(url.pathname === '/api/build-queue' && req.method === 'GET'){
+    try{ await handleBuildQueue(res, { labRuntime: LAB_RUNTIME, buildQueue }); }catch(e){
+      res.writeHead(500, { 'Content-Type': 'application/json; charset=utf-8' });
+      res.end(JSON.stringify({ ok:false, error: String(e?.message||e) }));
+    }
+    return;
+  }
+  if(url.pathname === '/api/build-queue' && req.method === 'POST'){
+    try{ await handleBuildQueueAdd(req, res, { labRuntime: LAB_RUNTIME, buildQueue }); }catch(e){
+      res.writeHead(500, { 'Content-Type': 'application/json; charset=utf-8' });
+      res.end(JSON.stringify({ ok:false, error: String(e?.message||e) }));
+    }
+    return;
+  }
+  if(url.pathname === '/api/build-queue/cancel' && req.method === 'POST'){
+    try{ await handleBuildQueueCancel(req, res, { buildQueue }); }catch(e){
+      res.writeHead(500, { 'Content-Type': 'application/json; charset=utf-8' });
+      res.end(JSON.stringify({ ok:false, error: String(e?.message||e) }));
+    }
+    return;
+  }
+  if(url.pathname === '/api/build-queue/pause' && req.method === 'POST'){
+    try{ await handleBuildQueuePause(res, { buildQueue, paused: true }); }catch(e){
+      res.writeHead(500, { 'Content-Type': 'application/json; charset=utf-8' });
+      res.end(JSON.stringify({ ok:false, error: String(e?.message||e) }));
+    }
+    return;
+  }
+  if(url.pathname === '/api/build-queue/resume' && req.method === 'POST'){
+    try{ await handleBuildQueuePause(res, { buildQueue, paused: false }); }catch(e){
+      res.writeHead(500, { 'Content-Type': 'application/json; charset=utf-8' });
+      res.end(JSON.stringify({ ok:false, error: String(e?.message||e) }));
+    }
+    return;
+  }
+
   // --- Batch Build API ---
   if(url.pathname === '/api/batch/create' && req.method === 'POST'){
     try{ await handleBatchCreate(req, res, { labRuntime: LAB_RUNTIME }); }catch(e){
@@ -300,7 +501,7 @@ const server = http.createServer(async (req, res) => {
     return;
   }
   if(url.pathname === '/api/batch/start' && req.method === 'POST'){
-    try{ await handleBatchStart(req, res, { labRuntime: LAB_RUNTIME, labRoot: LAB_ROOT }); }catch(e){
+    try{ await handleBatchStart(req, res, { labRuntime: LAB_RUNTIME, buildQueue }); }catch(e){
       res.writeHead(500, { 'Content-Type': 'application/json; charset=utf-8' });
       res.end(JSON.stringify({ ok:false, error: String(e?.message||e) }));
     }
@@ -321,14 +522,14 @@ const server = http.createServer(async (req, res) => {
     return;
   }
   if(url.pathname === '/api/batch/resume' && req.method === 'POST'){
-    try{ await handleBatchResume(req, res, { labRuntime: LAB_RUNTIME, labRoot: LAB_ROOT }); }catch(e){
+    try{ await handleBatchResume(req, res, { labRuntime: LAB_RUNTIME, buildQueue }); }catch(e){
       res.writeHead(500, { 'Content-Type': 'application/json; charset=utf-8' });
       res.end(JSON.stringify({ ok:false, error: String(e?.message||e) }));
     }
     return;
   }
   if(url.pathname === '/api/batch/cancel' && req.method === 'POST'){
-    try{ await handleBatchCancel(req, res, { labRuntime: LAB_RUNTIME }); }catch(e){
+    try{ await handleBatchCancel(req, res, { labRuntime: LAB_RUNTIME, buildQueue }); }catch(e){
       res.writeHead(500, { 'Content-Type': 'application/json; charset=utf-8' });
       res.end(JSON.stringify({ ok:false, error: String(e?.message||e) }));
     }
@@ -348,6 +549,13 @@ const server = http.createServer(async (req, res) => {
     }
     return;
   }
+  if(url.pathname === '/api/batch/policy' && req.method === 'POST'){
+    try{ await handleBatchPolicy(req, res, { labRuntime: LAB_RUNTIME }); }catch(e){
+      res.writeHead(500, { 'Content-Type': 'application/json; charset=utf-8' });
+      res.end(JSON.stringify({ ok:false, error: String(e?.message||e) }));
+    }
+    return;
+  }
   if(url.pathname === '/api/batch/events' && req.method === 'GET'){
     try{ handleBatchEvents(req, res, { labRuntime: LAB_RUNTIME }); }catch(e){
       res.writeHead(500, { 'Content-Type': 'application/json; charset=utf-8' });
@@ -365,7 +573,7 @@ const server = http.createServer(async (req, res) => {
 
   if(url.pathname === '/api/idea-abort' && req.method === 'POST'){
     try{
-      await handleIdeaAbort(req, res, { labRuntime: LAB_RUNTIME });
+      await handleIdeaAbort(req, res, { labRuntime: LAB_RUNTIME, buildQueue });
     }catch(e){
       res.writeHead(500, { 'Content-Type': 'application/json; charset=utf-8' });
       res.end(JSON.stringify({ ok:false, error: String(e?.message||e) }));
@@ -446,6 +654,22 @@ const server = http.createServer(async (req, res) => {
       return;
     }
 
+    // Stored versions preview from their own dist: /<id>/versions/vN/…
+    const versionMatch = rest.match(/^\/versions\/(v\d+)(\/.*)?$/);
+    if (versionMatch) {
+      if (!versionMatch[2]) {
+        res.writeHead(302, { 'Location': url.pathname + '/' + (url.search || '') });
+        res.end();
+        return;
+      }
+      const versionDist = path.join(LAB_OUTPUTS, projectId, 'versions', versionMatch[1], 'dist');
+      const mappedVersion = safeJoin(versionDist, versionMatch[2]);
+      if(mappedVersion && await serveFile(res, mappedVersion, url)) return;
+      res.writeHead(404);
+      res.end('not found');
+      return;
+    }
+
     const projectDir = path.join(LAB_OUTPUTS, projectId);
     const distDir = path.join(projectDir, 'dist');
     
@@ -494,4 +718,8 @@ const server = http.createServer(async (req, res) => {
 server.listen(PORT, '0.0.0.0', () => {
   console.log(`Daily App Lab Hub: http://0.0.0.0:${PORT}/ (basic auth user=${USER}, pass=${PASS?'<set>':'<not set>'})`);
   console.log(`LAB_ROOT=${LAB_ROOT}`);
+  // Settle batch jobs a previous hub left running before the queue picks up entries
+  reconcileBatchJobs({ labRuntime: LAB_RUNTIME, labOutputs: LAB_OUTPUTS, buildQueue, autoResume: BATCH_AUTO_RESUME })
+    .catch(e => console.error('[Batch] Reconcile failed:', e.message))
+    .finally(() => buildQueue.start());
 });
@@ -1,6 +1,6 @@
 import type { Feedback } from '../types/feedback';
-import type { Manifest } from '../types/manifest';
-import type { Idea, Campaign, BatchJob } from '../types/idea';
+import type { Manifest, ManifestEntry, OutputVersion, OutputVersionDiff } from '../types/manifest';
+import type { Idea, Campaign, BatchJob, BatchRetryPolicy, FailureCategory, AppTemplate, ThemePreset, ThemePresetInput } from '../types/idea';
 
 export async function fetchManifest(): Promise<Manifest> {
   const r = await fetch('/api/manifest');
@@ -8,18 +8,27 @@ export async function fetchManifest(): Promise<Manifest> {
   return (await r.json()) as Manifest;
 }
 
+/** One build run's status record (GET /api/builds) */
 export interface BuildStatus {
-  status: 'idle' | 'running' | 'error';
+  status: 'idle' | 'running' | 'error' | 'complete';
+  runId?: string;
+  outId?: string;
+  updatedAt?: string;
   stage?: string;
   progress?: number;
   title?: string;
+  attempt?: number;
   error?: string;
+  /** Dependency install outcome: hit | partial | miss | disabled | none (template without npm) */
+  cache?: string | null;
 }
 
-export async function fetchBuildStatus(): Promise<BuildStatus> {
-  const r = await fetch('/api/build-status');
-  if (!r.ok) return { status: 'idle' };
-  return (await r.json()) as BuildStatus;
+/** Running and failed builds, newest first. */
+export async function fetchBuilds(): Promise<BuildStatus[]> {
+  const r = await fetch('/api/builds');
+  if (!r.ok) throw new Error(`builds http ${r.status}`);
+  const j = await r.json();
+  return j.builds || [];
 }
 
 export async function fetchFeedback(date: string): Promise<Feedback | null> {
@@ -117,7 +126,7 @@ export async function fetchFiltered(): Promise<Idea[]> {
   return j.ideas || [];
 }
 
-export async function generateIdeas(prefs: { refreshResearch?: boolean; tags?: string[] }): Promise<Idea[]> {
+export async function generateIdeas(prefs: { refreshResearch?: boolean; tags?: string[]; stack?: string; lang?: string }): Promise<Idea[]> {
   const r = await fetch('/api/idea-generate', {
     method: 'POST',
     headers: { 'Content-Type': 'application/json' },
@@ -129,6 +138,48 @@ export async function generateIdeas(prefs: { refreshResearch?: boolean; tags?: s
   return j.ideas || [];
 }
 
+export async function fetchTemplates(): Promise<AppTemplate[]> {
+  const r = await fetch('/api/templates');
+  if (!r.ok) throw new Error(`templates http ${r.status}`);
+  const j = await r.json();
+  return j.templates || [];
+}
+
+/** Set (or with '' clear) the tech stack a backlog idea is built with. */
+export async function updateIdeaStack(id: string, stack: string): Promise<void> {
+  const r = await fetch('/api/idea-backlog', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ idea: { id, stack } }),
+  });
+  if (!r.ok) throw new Error(`idea stack http ${r.status}`);
+  const j = await r.json();
+  if (!j.ok) throw new Error(j.error || 'update stack failed');
+}
+
+/** Set (or with '' clear) the theme preset a backlog idea is built with. */
+export async function updateIdeaTheme(id: string, visualTheme: string): Promise<void> {
+  const r = await fetch('/api/idea-backlog', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ idea: { id, visualTheme } }),
+  });
+  if (!r.ok) throw new Error(`idea theme http ${r.status}`);
+  const j = await r.json();
+  if (!j.ok) throw new Error(j.error || 'update theme failed');
+}
+
+/** Queue a build of a backlog idea (again) in another output language. */
+export async function buildIdeaInLang(id: string, lang: string): Promise<void> {
+  const r = await fetch('/api/idea-build-lang', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ id, lang }),
+  });
+  const j = await r.json().catch(() => ({}));
+  if (!r.ok || !j.ok) throw new Error(j.error || `idea-build-lang http ${r.status}`);
+}
+
 export async function runResearch(): Promise<{ ok: boolean; message: string; stdout?: string }> {
   const r = await fetch('/api/idea-research', {
     method: 'POST',
@@ -156,6 +207,7 @@ export async function saveToQueue(idea: Idea): Promise<void> {
   if (!j.ok) throw new Error(j.error || 'save to queue failed');
 }
 
+/** "Implement now": queue the idea ahead of batch and idle builds. */
 export async function prioritizeAndExecute(id: string): Promise<void> {
   const r = await fetch('/api/idea-prioritize', {
     method: 'POST',
@@ -167,21 +219,221 @@ export async function prioritizeAndExecute(id: string): Promise<void> {
   if (!j.ok) throw new Error(j.error || 'prioritization failed');
 }
 
-export async function abortIdeaGeneration(): Promise<void> {
+export interface FailedBuild {
+  outId: string;
+  ideaId: string | null;
+  title: string;
+  failedStage: string | null;
+  resumeStage: string | null;
+  completedStages: string[];
+  error: string | null;
+  resumes: number;
+  updatedAt: string;
+}
+
+export async function fetchFailedBuilds(): Promise<FailedBuild[]> {
+  const r = await fetch('/api/failed-builds');
+  if (!r.ok) throw new Error(`failed-builds http ${r.status}`);
+  const j = await r.json();
+  return j.items || [];
+}
+
+export async function resumeFailedBuild(outId: string): Promise<{ resumeStage: string | null }> {
+  const r = await fetch('/api/build-resume', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ outId }),
+  });
+  const j = await r.json().catch(() => ({}));
+  if (!r.ok || !j.ok) throw new Error(j.error || `build-resume http ${r.status}`);
+  return { resumeStage: j.resumeStage ?? null };
+}
+
+export async function iterateOutput(id: string, instruction: string): Promise<void> {
+  const r = await fetch('/api/output-iterate', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ id, instruction }),
+  });
+  const j = await r.json().catch(() => ({}));
+  if (!r.ok || !j.ok) throw new Error(j.error || `output-iterate http ${r.status}`);
+}
+
+/** Swap the output's palette and tokens; an empty preset keeps the current one with a new seed. */
+export async function rethemeOutput(id: string, preset?: string, seed?: string): Promise<void> {
+  const r = await fetch('/api/output-retheme', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ id, preset: preset || undefined, seed: seed || undefined }),
+  });
+  const j = await r.json().catch(() => ({}));
+  if (!r.ok || !j.ok) throw new Error(j.error || `output-retheme http ${r.status}`);
+}
+
+export async function fetchOutputVersions(id: string): Promise<{ current: number | null; versions: OutputVersion[] }> {
+  const r = await fetch(`/api/output-versions?id=${encodeURIComponent(id)}`);
+  if (!r.ok) throw new Error(`output-versions http ${r.status}`);
+  const j = await r.json();
+  return { current: j.current ?? null, versions: j.versions || [] };
+}
+
+export async function fetchOutputVersionDiff(id: string, from: number, to: number): Promise<OutputVersionDiff> {
+  const r = await fetch(`/api/output-versions/diff?id=${encodeURIComponent(id)}&from=${from}&to=${to}`);
+  const j = await r.json().catch(() => ({}));
+  if (!r.ok || !j.ok) throw new Error(j.error || `output-versions diff http ${r.status}`);
+  return j as OutputVersionDiff;
+}
+
+export async function restoreOutputVersion(id: string, version: number): Promise<void> {
+  const r = await fetch('/api/output-versions/restore', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ id, version }),
+  });
+  const j = await r.json().catch(() => ({}));
+  if (!r.ok || !j.ok) throw new Error(j.error || `output-versions restore http ${r.status}`);
+}
+
+export interface BuildFailureSummary {
+  days: number;
+  total: number;
+  byCategory: { category: FailureCategory; label: string; count: number }[];
+  byStage: Record<string, number>;
+  recent: {
+    ts: string;
+    ideaId: string | null;
+    title: string;
+    category: FailureCategory;
+    failedStage: string;
+    evidence: string | null;
+  }[];
+}
+
+export async function fetchBuildFailures(days = 30): Promise<BuildFailureSummary> {
+  const r = await fetch(`/api/build-failures?days=${days}`);
+  if (!r.ok) throw new Error(`build-failures http ${r.status}`);
+  return await r.json();
+}
+
+/** Stop the running build (or dismiss the failed run `runId`). */
+export async function abortIdeaGeneration(runId?: string): Promise<void> {
   const r = await fetch('/api/idea-abort', {
     method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(runId ? { runId } : {}),
   });
   if (!r.ok) throw new Error(`abort http ${r.status}`);
   const j = await r.json();
   if (!j.ok) throw new Error(j.error || 'abort failed');
 }
 
+// ── Build Queue ──────────────────────────────────────────────
+
+export type BuildQueueSource = 'manual' | 'batch' | 'idle';
+export type BuildQueueKind = 'build' | 'resume' | 'iterate' | 'retheme';
+
+export interface BuildQueueEntry {
+  entryId: string;
+  /** null for an iteration or re-theme of an output without a backlog idea */
+  ideaId: string | null;
+  title: string;
+  kind: BuildQueueKind;
+  /** Output id a resume, iteration or re-theme works on */
+  target: string | null;
+  source: BuildQueueSource;
+  lang: string | null;
+  jobId: string | null;
+  status: 'queued' | 'running' | 'done' | 'failed' | 'cancelled';
+  enqueuedAt: string;
+  startedAt: string | null;
+  finishedAt: string | null;
+  runId: string | null;
+  outId: string | null;
+  error: string | null;
+  /** Queued entries only; null while the queue is paused */
+  estimatedStartAt?: string | null;
+}
+
+export interface BuildQueueSnapshot {
+  paused: boolean;
+  concurrency: number;
+  avgBuildMs: number;
+  running: BuildQueueEntry[];
+  queued: BuildQueueEntry[];
+  recent: BuildQueueEntry[];
+}
+
+export async function fetchBuildQueue(): Promise<BuildQueueSnapshot> {
+  const r = await fetch('/api/build-queue');
+  if (!r.ok) throw new Error(`build-queue http ${r.status}`);
+  return await r.json();
+}
+
+/** Cancel a queued entry, or stop its build if it already runs. */
+export async function cancelQueueEntry(entryId: string): Promise<void> {
+  const r = await fetch('/api/build-queue/cancel', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ entryId }),
+  });
+  const j = await r.json().catch(() => ({}));
+  if (!r.ok || !j.ok) throw new Error(j.error || `build-queue cancel http ${r.status}`);
+}
+
+export async function setBuildQueuePaused(paused: boolean): Promise<void> {
+  const r = await fetch(`/api/build-queue/${paused ? 'pause' : 'resume'}`, { method: 'POST' });
+  const j = await r.json().catch(() => ({}));
+  if (!r.ok || !j.ok) throw new Error(j.error || `build-queue ${paused ? 'pause' : 'resume'} http ${r.status}`);
+}
+
+// ── Theme Presets ────────────────────────────────────────────
+
+export async function fetchThemePresets(): Promise<{ presets: ThemePreset[]; fonts: string[] }> {
+  const r = await fetch('/api/theme-presets');
+  if (!r.ok) throw new Error(`theme-presets http ${r.status}`);
+  const j = await r.json();
+  return { presets: j.presets || [], fonts: j.fonts || [] };
+}
+
+/** Create or replace a preset; saving a built-in id stores an override. */
+export async function saveThemePreset(id: string | null, preset: ThemePresetInput): Promise<string> {
+  const r = await fetch('/api/theme-presets', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ id: id || undefined, preset }),
+  });
+  const j = await r.json().catch(() => ({}));
+  if (!r.ok || !j.ok) throw new Error(j.error || `theme-presets http ${r.status}`);
+  return j.id;
+}
+
+/** Delete a user preset, or reset a built-in to its defaults. */
+export async function deleteThemePreset(id: string): Promise<void> {
+  const r = await fetch(`/api/theme-presets?id=${encodeURIComponent(id)}`, { method: 'DELETE' });
+  const j = await r.json().catch(() => ({}));
+  if (!r.ok || !j.ok) throw new Error(j.error || `theme-presets delete http ${r.status}`);
+}
+
+/** Themes the engine would generate from an unsaved preset. */
+export async function previewThemePreset(preset: ThemePresetInput): Promise<NonNullable<ManifestEntry['theme']>[]> {
+  const r = await fetch('/api/theme-presets/preview', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ preset }),
+  });
+  const j = await r.json().catch(() => ({}));
+  if (!r.ok || !j.ok) throw new Error(j.error || `theme-presets preview http ${r.status}`);
+  return j.themes || [];
+}
+
 // ── Targeted Research ─────────────────────────────────────────
 
 export interface TargetedResearchOpts {
   topic: string;
   creative?: number;
   count?: number;
+  /** Output language of the campaign's ideas; unset = server default */
+  lang?: string;
 }
 
 export interface TargetedResearchSSEEvent {
@@ -328,11 +580,21 @@ export async function deleteCampaign(campaignId: string): Promise<{ removed: boo
 
 // ── Batch Build API ──────────────────────────────────────────
 
-export async function createBatchJob(campaignId: string, ideaIds: string[]): Promise<{ jobId: string }> {
+/**
+ * `campaignId`: null for a job over any selection of backlog ideas.
+ * `concurrency` (1–4): how many of the job's items build at the same time.
+ * `retryPolicy`: automatic retries of failed items (server defaults when omitted).
+ */
+export async function createBatchJob(
+  campaignId: string | null,
+  ideaIds: string[],
+  concurrency = 1,
+  retryPolicy?: Partial<BatchRetryPolicy>,
+): Promise<{ jobId: string }> {
   const r = await fetch('/api/batch/create', {
     method: 'POST',
     headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({ campaignId, ideaIds }),
+    body: JSON.stringify({ campaignId, ideaIds, concurrency, retryPolicy }),
   });
   if (!r.ok) {
     const j = await r.json().catch(() => ({ error: `HTTP ${r.status}` }));
@@ -405,6 +667,18 @@ export async function skipBatchItem(jobId: string, ideaId: string): Promise<void
   if (!r.ok) throw new Error(`batch skip http ${r.status}`);
 }
 
+/** Change the retry policy of a paused job. */
+export async function updateBatchRetryPolicy(jobId: string, retryPolicy: Partial<BatchRetryPolicy>): Promise<BatchRetryPolicy> {
+  const r = await fetch('/api/batch/policy', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ jobId, retryPolicy }),
+  });
+  const j = await r.json().catch(() => ({}));
+  if (!r.ok || !j.ok) throw new Error(j.error || `batch policy http ${r.status}`);
+  return j.retryPolicy;
+}
+
 export async function fetchBatchJobs(campaignId?: string): Promise<BatchJob[]> {
   const params = campaignId ? `?campaignId=${encodeURIComponent(campaignId)}` : '';
   const r = await fetch(`/api/batch/jobs${params}`);
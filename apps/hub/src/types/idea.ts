@@ -18,6 +18,57 @@ export interface ComplexityBudget {
   interactions: number;
 }
 
+export type FailureCategory =
+  | 'aborted'
+  | 'smoke_test'
+  | 'dependency_policy'
+  | 'missing_api_key'
+  | 'llm_content_filter'
+  | 'llm_token_limit'
+  | 'timeout'
+  | 'npm_eresolve'
+  | 'typescript_error'
+  | 'vite_build_error'
+  | 'unknown';
+
+/** Entry of GET /api/templates */
+export interface AppTemplate {
+  id: string;
+  label: string;
+  description: string;
+  /** false for templates that need no npm install */
+  install: boolean;
+}
+
+/** Theme preset (engine core/theme.mjs PRESETS, runtime/data/theme_presets.json) */
+export interface ThemePresetInput {
+  name: string;
+  description: string;
+  /** [min, max] ranges the seed picks from */
+  baseHue: [number, number];
+  saturation: [number, number];
+  lightness: [number, number];
+  /** Hue offset of the secondary color */
+  analogous: number;
+  tokens: {
+    /** FONT_STACKS key */
+    display: string;
+    radius: number;
+    typeScale: number;
+    motionMs: number;
+    easing: string;
+  };
+  /** Title/scenario words that make the builder guess this preset */
+  keywords: string[];
+}
+
+export interface ThemePreset extends ThemePresetInput {
+  id: string;
+  builtin: boolean;
+  /** Built-in with a user override saved */
+  overridden: boolean;
+}
+
 export interface Idea {
   id: string;
   title: string;
@@ -27,13 +78,27 @@ export interface Idea {
   selfHealing: string[];
   keywords: string[];
   visualTheme?: string;
+  /** App template id (engine core/templates); unset = pick by `form` */
+  stack?: string;
+  form?: string;
+  /** Output language (BCP 47) of the idea and its app; unset = server default */
+  lang?: string;
   complexityBudget?: ComplexityBudget;
   sources: IdeaSource[];
   similarity?: Similarity;
   createdAt?: string;
   implementedAt?: string;
   outputDate?: string;
-  status?: 'new' | 'filtered' | 'backlog' | 'implemented' | 'picked';
+  status?: 'new' | 'filtered' | 'backlog' | 'implemented' | 'picked' | 'blocked';
+
+  // Build failure bookkeeping (written by generate.mjs)
+  failures?: number;
+  lastFailureReason?: string;
+  lastFailureStage?: string;
+  lastFailureCategory?: FailureCategory;
+  lastFailureAt?: string;
+  lastFailedOutId?: string;
+  lastResumeStage?: string;
 
   // Targeted Research fields
   campaignId?: string;
@@ -59,20 +124,54 @@ export interface Campaign {
 }
 
 // Batch Build types
+/** One build attempt of a batch item (newest last). */
+export interface BatchAttempt {
+  attempt: number;
+  startedAt: string | null;
+  finishedAt: string;
+  status: 'built' | 'failed';
+  runId: string | null;
+  projectId: string | null;
+  error: string | null;
+  category: FailureCategory | null;
+}
+
+export interface BatchRetryPolicy {
+  maxAttempts: number;
+  backoffMs: number;
+  retryableCategories: FailureCategory[];
+}
+
 export interface BatchItem {
   ideaId: string;
   status: 'queued' | 'running' | 'built' | 'failed' | 'skipped';
   projectId: string | null;
+  runId?: string | null;
   error: string | null;
   startedAt: string | null;
   finishedAt: string | null;
+  attempts?: BatchAttempt[];
+  /** Queued for an automatic retry, not before this time */
+  retryAt?: string | null;
+}
+
+/** Saved filter a batch job selected its ideas by (engine core/modules/idea_filter.mjs) */
+export interface IdeaFilter {
+  status: string[] | null;
+  keyword: string | null;
+  /** Highest dedupe similarity score to include */
+  maxSimilarity: number | null;
+  campaignId: string | null;
 }
 
 export interface BatchJob {
   jobId: string;
-  campaignId: string;
+  /** null for a job over an arbitrary selection */
+  campaignId: string | null;
+  filter?: IdeaFilter | null;
   createdAt: string;
   concurrency: number;
+  retryPolicy?: BatchRetryPolicy;
   status: 'pending' | 'running' | 'done' | 'paused' | 'cancelled';
   items: BatchItem[];
   stats?: { total: number; queued: number; running: number; built: number; failed: number; skipped: number };
@@ -1,3 +1,38 @@
+export type ComplianceReport = {
+  score: number;
+  status: 'pass' | 'warn' | 'fail';
+  violations: { id: string; label: string; detail: string }[];
+  // Packages the dependency policy stripped, pinned or rejected at install time
+  dependencyViolations?: DependencyViolation[];
+};
+
+export type DependencyViolation = {
+  name: string;
+  field: string;
+  wanted: string;
+  rule: 'denied' | 'unknown' | 'source' | 'version' | 'lifecycle_script' | 'override' | 'bundled';
+  action: 'stripped' | 'pinned' | 'rejected';
+  pinnedTo?: string;
+};
+
+export type ThemeContrast = {
+  level: 'AA';
+  pass: boolean;
+  /** "--on-primary/--primary" → ratio */
+  ratios: Record<string, number>;
+  failing: string[];
+  /** Vars whose lightness was nudged to reach AA */
+  adjusted?: string[];
+};
+
+/** How the build picked the theme preset (engine core/modules/theme_classifier.mjs) */
+export type ThemeSelection = {
+  method: 'explicit' | 'keywords' | 'embedding' | 'default';
+  /** 0–1; 1 when the idea named the preset */
+  confidence: number;
+  reasons: string[];
+};
+
 export type ManifestEntry = {
   date: string;
   title: string;
@@ -13,8 +48,44 @@ export type ManifestEntry = {
     };
     metadata?: {
       presetName?: string;
+      /** WCAG AA check of the palette (themes generated before it have none) */
+      contrast?: ThemeContrast;
+      /** Themes generated before the classifier have none */
+      selection?: ThemeSelection;
     };
   };
+  compliance?: ComplianceReport | null;
+  // From the output's build.json (null for outputs built before it existed)
+  ideaId?: string | null;
+  campaignId?: string | null;
+  topicTag?: string | null;
+  generator?: string | null;
+  model?: string | null;
+  /** App template id (engine core/templates) */
+  template?: string | null;
+  language?: string | null;
+  builtAt?: string | null;
+  bundleBytes?: number | null;
+  appVersion?: number | null;
+};
+
+// outputs/<id>/versions/versions.json (written by `generate.mjs --iterate`)
+export type OutputVersion = {
+  version: number;
+  instruction: string | null;
+  parent: number | null;
+  runId: string | null;
+  createdAt: string;
+};
+
+export type FileChange = { path: string; added: number | null; removed: number | null };
+
+export type OutputVersionDiff = {
+  from: number;
+  to: number;
+  added: FileChange[];
+  removed: FileChange[];
+  modified: FileChange[];
 };
 
 export type Manifest = {
@@ -9,9 +9,12 @@ import {
   fetchResearchIndex,
   fetchResearchLog,
   generateIdeas, 
+  updateIdeaStack,
+  updateIdeaTheme,
   runResearch,
   saveToQueue,
   prioritizeAndExecute,
+  resumeFailedBuild,
   restoreIdeaStatus,
   restoreIdeaFromFiltered,
   fetchCampaigns,
@@ -28,7 +31,12 @@ import { BuildProgress } from './components/BuildProgress';
 import { IdeaCard } from './components/IdeaCard';
 import { TargetedResearchPanel } from './components/TargetedResearchPanel';
 import BatchBuildPanel from './components/BatchBuildPanel';
-import { LayoutGrid, History, Calendar, CheckCircle2, Save, Trash2, X, AlertCircle, Loader2, Search, SortAsc, BookOpen, BrainCircuit, Archive, Crosshair, ChevronDown, ChevronRight, Package } from 'lucide-react';
+import { FailureSummary } from './components/FailureSummary';
+import { BuildQueuePanel } from './components/BuildQueuePanel';
+import { ThemePresetEditor } from './components/ThemePresetEditor';
+import { FAILURE_LABELS } from './components/FailureBadge';
+import { STACK_LABELS } from './components/StackSelect';
+import { LayoutGrid, History, Calendar, CheckCircle2, Save, Trash2, X, AlertCircle, AlertTriangle, Loader2, Search, SortAsc, BookOpen, BrainCircuit, Archive, Crosshair, ChevronDown, ChevronRight, Package, ListOrdered, Palette } from 'lucide-react';
 import { clsx } from 'clsx';
 import ReactMarkdown from 'react-markdown';
 import remarkGfm from 'remark-gfm';
@@ -97,14 +105,20 @@ export function App() {
   const [isPrioritizing, setIsPrioritizing] = useState(false);
   const [isResearching, setIsResearching] = useState(false);
   const [isRestoring, setIsRestoring] = useState(false);
+  const [isResuming, setIsResuming] = useState(false);
   const [toast, setToast] = useState<{ msg: string; type: 'success' | 'error' } | null>(null);
 
   // Targeted Research / Campaign state
   const [showTargetedPanel, setShowTargetedPanel] = useState(false);
+  const [showFailures, setShowFailures] = useState(false);
+  const [showBuildQueue, setShowBuildQueue] = useState(false);
+  const [showThemePresets, setShowThemePresets] = useState(false);
   const [campaigns, setCampaigns] = useState<Campaign[]>([]);
   const [selectedCampaign, setSelectedCampaign] = useState<string | null>(null);
   const [collapsedCampaigns, setCollapsedCampaigns] = useState<Set<string>>(new Set());
-  const [batchBuildCampaignId, setBatchBuildCampaignId] = useState<string | null>(null);
+  // Batch build of a campaign's unbuilt ideas or of the ideas selected in batch mode
+  const [batchBuild, setBatchBuild] = useState<{ campaignId: string | null; ideaIds: string[] | null } | null>(null);
+  const [galleryCampaign, setGalleryCampaign] = useState<string | null>(null);
 
   const showToast = (msg: string, type: 'success' | 'error' = 'success') => {
     setToast({ msg, type });
@@ -173,7 +187,7 @@ export function App() {
     }
   };
 
-  const handleGenerate = async (prefs: { refreshResearch?: boolean; tags?: string[] }) => {
+  const handleGenerate = async (prefs: { refreshResearch?: boolean; tags?: string[]; stack?: string; lang?: string }) => {
     setLoading(true);
     try {
       const list = await generateIdeas(prefs);
@@ -244,7 +258,7 @@ export function App() {
     setIsPrioritizing(true);
     try {
       await prioritizeAndExecute(id);
-      showToast('Prioritized! Generation started in background.');
+      showToast('Queued! It builds ahead of batch and idle builds.');
     } catch (err: unknown) {
       showToast((err as Error).message || 'Action failed', 'error');
     } finally {
@@ -252,6 +266,20 @@ export function App() {
     }
   };
 
+  const handleResumeBuild = async (idea: Idea) => {
+    if (!idea.lastFailedOutId) return;
+    setIsResuming(true);
+    try {
+      const { resumeStage } = await resumeFailedBuild(idea.lastFailedOutId);
+      setIdeas(prev => prev.map(i => i.id === idea.id ? { ...i, lastFailedOutId: undefined } : i));
+      showToast(`Resuming build from ${resumeStage || 'last stage'}`);
+    } catch (err: unknown) {
+      showToast((err as Error).message || 'Resume failed', 'error');
+    } finally {
+      setIsResuming(false);
+    }
+  };
+
   const handleRestoreStatus = async (id: string) => {
     setIsRestoring(true);
     try {
@@ -284,6 +312,28 @@ export function App() {
     }
   };
 
+  const handleStackChange = async (id: string, stack: string) => {
+    const value = stack === 'auto' ? '' : stack;
+    try {
+      await updateIdeaStack(id, value);
+      setIdeas(prev => prev.map(i => i.id === id ? { ...i, stack: value || undefined } : i));
+      showToast(value ? `Stack set to ${STACK_LABELS[value] || value}` : 'Stack reset to auto');
+    } catch (_err) {
+      showToast('Failed to update stack', 'error');
+    }
+  };
+
+  const handleThemeChange = async (id: string, presetId: string) => {
+    const value = presetId === 'auto' ? '' : presetId;
+    try {
+      await updateIdeaTheme(id, value);
+      setIdeas(prev => prev.map(i => i.id === id ? { ...i, visualTheme: value || undefined } : i));
+      showToast(value ? `Theme set to ${value}` : 'Theme reset to auto');
+    } catch (_err) {
+      showToast('Failed to update theme', 'error');
+    }
+  };
+
   const handleBatchDelete = async () => {
     if (batchIds.size === 0) return;
     if (!confirm(`Delete ${batchIds.size} ideas permanently?`)) return;
@@ -318,15 +368,32 @@ export function App() {
 
   const todayKey = localYYYYMMDD();
   const sortedEntries = useMemo(() => [...entries].sort((a, b) => b.date.localeCompare(a.date)), [entries]);
-  
+
+  // Campaigns that produced at least one output (from build.json), for the gallery filter
+  const galleryCampaigns = useMemo(() => {
+    const counts = new Map<string, { campaignId: string; label: string; count: number }>();
+    for (const e of entries) {
+      if (!e.campaignId) continue;
+      const prev = counts.get(e.campaignId);
+      const label = e.topicTag || campaigns.find(c => c.campaignId === e.campaignId)?.topicTag || e.campaignId;
+      counts.set(e.campaignId, { campaignId: e.campaignId, label, count: (prev?.count || 0) + 1 });
+    }
+    return [...counts.values()].sort((a, b) => b.count - a.count);
+  }, [entries, campaigns]);
+
+  const galleryEntries = useMemo(
+    () => (galleryCampaign ? sortedEntries.filter((e) => e.campaignId === galleryCampaign) : sortedEntries),
+    [sortedEntries, galleryCampaign]
+  );
+
   const todayEntries = useMemo(
-    () => sortedEntries.filter((e) => String(e.date || '').startsWith(todayKey)),
-    [sortedEntries, todayKey]
+    () => galleryEntries.filter((e) => String(e.date || '').startsWith(todayKey)),
+    [galleryEntries, todayKey]
   );
 
   const historyEntries = useMemo(
-    () => sortedEntries.filter((e) => !String(e.date || '').startsWith(todayKey)),
-    [sortedEntries, todayKey]
+    () => galleryEntries.filter((e) => !String(e.date || '').startsWith(todayKey)),
+    [galleryEntries, todayKey]
   );
 
   const filteredIdeas = useMemo(() => {
@@ -517,6 +584,30 @@ export function App() {
         </div>
       </div>
 
+      {idea.status !== 'implemented' && idea.lastFailureStage && (
+        <div className="p-3 sm:p-4 rounded-xl sm:rounded-2xl bg-red-50/60 dark:bg-red-900/10 border border-red-100/60 dark:border-red-900/20 space-y-2">
+          <div className="flex items-center gap-2 text-[9px] sm:text-[10px] font-bold uppercase tracking-widest text-red-600 dark:text-red-400">
+            <AlertCircle size={12} />
+            <span>Last build failed · {idea.lastFailureStage}</span>
+            {idea.lastFailureCategory && <span>· {FAILURE_LABELS[idea.lastFailureCategory] || idea.lastFailureCategory}</span>}
+            {!!idea.failures && <span className="opacity-60">({idea.failures}x)</span>}
+          </div>
+          {idea.lastFailureReason && (
+            <p className="text-[10px] sm:text-xs font-mono leading-relaxed text-red-700/80 dark:text-red-300/80 break-words line-clamp-3">{idea.lastFailureReason}</p>
+          )}
+          {idea.lastFailedOutId && (
+            <button
+              onClick={() => handleResumeBuild(idea)}
+              disabled={isResuming}
+              className="w-full flex items-center justify-center gap-2 py-2.5 rounded-xl bg-red-600 hover:bg-red-700 text-white text-[11px] sm:text-xs font-bold active:scale-[0.98] transition-all disabled:opacity-50"
+            >
+              {isResuming ? <Loader2 size={14} className="animate-spin" /> : <History size={14} />}
+              <span>Resume from {idea.lastResumeStage || 'last stage'}</span>
+            </button>
+          )}
+        </div>
+      )}
+
       <div className="pt-2 sm:pt-4 flex flex-col gap-2 sm:gap-3">
         {idea.status === 'implemented' || labView === 'filtered' ? (
           <button 
@@ -573,6 +664,39 @@ export function App() {
       <main className="max-w-[1200px] mx-auto px-4 md:px-8">
         {activeTab === 'hub' ? (
           <div className="space-y-16">
+            {galleryCampaigns.length > 0 && (
+              <div className="flex flex-wrap items-center gap-2 -mb-8">
+                <button
+                  onClick={() => setGalleryCampaign(null)}
+                  className={clsx(
+                    'px-3 py-1 rounded-full text-[11px] font-bold border transition-colors',
+                    !galleryCampaign
+                      ? 'bg-[#1d1d1f] text-white border-[#1d1d1f] dark:bg-white dark:text-black dark:border-white'
+                      : 'bg-white text-[#666] border-gray-200 hover:border-gray-300 dark:bg-[#1c1c1e] dark:text-[#86868b] dark:border-[#2d2d2f]'
+                  )}
+                >
+                  All
+                </button>
+                {galleryCampaigns.map(c => (
+                  <button
+                    key={c.campaignId}
+                    onClick={() => setGalleryCampaign(prev => (prev === c.campaignId ? null : c.campaignId))}
+                    className={clsx(
+                      'flex items-center gap-1.5 px-3 py-1 rounded-full text-[11px] font-bold border transition-colors',
+                      galleryCampaign === c.campaignId
+                        ? 'bg-indigo-600 text-white border-indigo-600'
+                        : 'bg-white text-[#666] border-gray-200 hover:border-indigo-300 dark:bg-[#1c1c1e] dark:text-[#86868b] dark:border-[#2d2d2f]'
+                    )}
+                    title={c.campaignId}
+                  >
+                    <Crosshair size={11} />
+                    {c.label}
+                    <span className="opacity-60">{c.count}</span>
+                  </button>
+                ))}
+              </div>
+            )}
+
             {todayEntries.length > 0 && (
               <section className="space-y-6">
                 <div className="flex items-center gap-2">
@@ -782,6 +906,20 @@ export function App() {
                   </button>
                 )}
 
+                {isBatchMode && batchIds.size > 0 && labView === 'backlog' && (
+                  <button
+                    onClick={() => {
+                      setBatchBuild({ campaignId: null, ideaIds: Array.from(batchIds) });
+                      setBatchIds(new Set());
+                      setIsBatchMode(false);
+                    }}
+                    className="flex items-center gap-2 px-3 sm:px-4 py-2 sm:py-2.5 rounded-xl bg-indigo-600 text-white text-[10px] sm:text-[11px] font-bold uppercase tracking-widest shadow-lg shadow-indigo-500/20 animate-in zoom-in duration-200 shrink-0"
+                  >
+                    <Package size={13} className="sm:size-3.5" />
+                    <span>Build {batchIds.size}</span>
+                  </button>
+                )}
+
                 {isBatchMode && batchIds.size > 0 && (
                   <button 
                     onClick={handleBatchDelete}
@@ -835,6 +973,39 @@ export function App() {
                   <span className="sm:hidden">调研</span>
                 </button>
 
+                <button
+                  onClick={() => setShowFailures(!showFailures)}
+                  className={clsx(
+                    "flex items-center gap-2 px-3 sm:px-4 py-2 sm:py-2.5 rounded-xl text-[10px] sm:text-[11px] font-bold uppercase tracking-widest transition-all shrink-0",
+                    showFailures ? "bg-red-600 text-white shadow-lg shadow-red-500/30" : "bg-[#f5f5f7] dark:bg-[#2d2d2f] text-gray-500 hover:bg-gray-200"
+                  )}
+                >
+                  <AlertTriangle size={13} className="sm:size-3.5" />
+                  <span>Failures</span>
+                </button>
+
+                <button
+                  onClick={() => setShowBuildQueue(!showBuildQueue)}
+                  className={clsx(
+                    "flex items-center gap-2 px-3 sm:px-4 py-2 sm:py-2.5 rounded-xl text-[10px] sm:text-[11px] font-bold uppercase tracking-widest transition-all shrink-0",
+                    showBuildQueue ? "bg-blue-600 text-white shadow-lg shadow-blue-500/30" : "bg-[#f5f5f7] dark:bg-[#2d2d2f] text-gray-500 hover:bg-gray-200"
+                  )}
+                >
+                  <ListOrdered size={13} className="sm:size-3.5" />
+                  <span>Queue</span>
+                </button>
+
+                <button
+                  onClick={() => setShowThemePresets(!showThemePresets)}
+                  className={clsx(
+                    "flex items-center gap-2 px-3 sm:px-4 py-2 sm:py-2.5 rounded-xl text-[10px] sm:text-[11px] font-bold uppercase tracking-widest transition-all shrink-0",
+                    showThemePresets ? "bg-blue-600 text-white shadow-lg shadow-blue-500/30" : "bg-[#f5f5f7] dark:bg-[#2d2d2f] text-gray-500 hover:bg-gray-200"
+                  )}
+                >
+                  <Palette size={13} className="sm:size-3.5" />
+                  <span>Themes</span>
+                </button>
+
                 {selectedTag && (
                   <div className="flex items-center gap-2 px-3 py-1.5 bg-blue-600 text-white rounded-xl text-[9px] sm:text-[10px] font-bold uppercase tracking-wider animate-in zoom-in duration-200 shrink-0">
                     <span>#{selectedTag}</span>
@@ -868,6 +1039,27 @@ export function App() {
                 </div>
               )}
 
+              {/* Build failure causes */}
+              {showFailures && (
+                <div className="lg:col-span-12 animate-in slide-in-from-top duration-300">
+                  <FailureSummary onClose={() => setShowFailures(false)} />
+                </div>
+              )}
+
+              {/* Build queue */}
+              {showBuildQueue && (
+                <div className="lg:col-span-12 animate-in slide-in-from-top duration-300">
+                  <BuildQueuePanel onClose={() => setShowBuildQueue(false)} />
+                </div>
+              )}
+
+              {/* Theme presets */}
+              {showThemePresets && (
+                <div className="lg:col-span-12 animate-in slide-in-from-top duration-300">
+                  <ThemePresetEditor onClose={() => setShowThemePresets(false)} />
+                </div>
+              )}
+
               {/* Campaign Groups (only in backlog view when not filtering by campaign) */}
               {labView === 'backlog' && !selectedCampaign && campaignGroups.length > 0 && !search && !selectedTag && (
                 <div className="lg:col-span-12 space-y-3">
@@ -919,7 +1111,7 @@ export function App() {
                                 查看
                               </button>
                               <button
-                                onClick={() => setBatchBuildCampaignId(campaignId)}
+                                onClick={() => setBatchBuild({ campaignId, ideaIds: null })}
                                 className="px-2.5 py-1 rounded-lg bg-green-600 text-white text-[9px] font-bold hover:bg-green-700 transition-colors flex items-center gap-1"
                               >
                                 <Package size={10} />
@@ -1013,6 +1205,8 @@ export function App() {
                           // Optional: scroll to the card if needed
                         }}
                         onDelete={handleDeleteIdea}
+                        onStackChange={labView === 'backlog' ? handleStackChange : undefined}
+                        onThemeChange={labView === 'backlog' ? handleThemeChange : undefined}
                         onTagClick={(tag) => setSelectedTag(tag)}
                       />
                       {/* Inline detail for mobile/tablet/laptop - up to xl breakpoint */}
@@ -1048,13 +1242,15 @@ export function App() {
       </main>
 
       {/* Batch Build Modal */}
-      {batchBuildCampaignId && (() => {
-        const campIdeas = ideas.filter(i => i.campaignId === batchBuildCampaignId && i.status !== 'implemented');
+      {batchBuild && (() => {
+        const buildIdeas = batchBuild.ideaIds
+          ? ideas.filter(i => batchBuild.ideaIds!.includes(i.id))
+          : ideas.filter(i => i.campaignId === batchBuild.campaignId && i.status !== 'implemented');
         return (
           <BatchBuildPanel
-            campaignId={batchBuildCampaignId}
-            ideas={campIdeas}
-            onClose={() => setBatchBuildCampaignId(null)}
+            campaignId={batchBuild.campaignId}
+            ideas={buildIdeas}
+            onClose={() => setBatchBuild(null)}
             onRefresh={() => fetchLabIdeas('backlog')}
           />
         );
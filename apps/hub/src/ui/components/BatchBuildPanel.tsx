@@ -3,15 +3,19 @@ import {
   Play, Pause, XCircle, RotateCcw, SkipForward,
   CheckCircle2, Loader2, AlertCircle, Clock, Package,
 } from 'lucide-react';
-import type { Idea, BatchJob, BatchItem } from '../../types/idea';
+import type { Idea, BatchJob, BatchItem, BatchRetryPolicy } from '../../types/idea';
 import {
   createBatchJob, startBatchJob, fetchBatchStatus,
   pauseBatchJob, resumeBatchJob, cancelBatchJob,
   retryBatchItem, skipBatchItem, subscribeBatchEvents,
+  updateBatchRetryPolicy,
 } from '../../lib/api';
+import RetryPolicyEditor, { DEFAULT_RETRY_POLICY } from './RetryPolicyEditor';
+import { FAILURE_LABELS } from './FailureBadge';
 
 interface BatchBuildPanelProps {
-  campaignId: string;
+  /** null for a job over an arbitrary selection of backlog ideas */
+  campaignId: string | null;
   ideas: Idea[];
   onClose: () => void;
   onRefresh: () => void;
@@ -29,11 +33,24 @@ const STATUS_LABEL: Record<string, string> = {
   queued: '队列中', running: '生成中', built: '已完成', failed: '失败', skipped: '已跳过',
 };
 
+const CONCURRENCY_OPTIONS = [1, 2, 3, 4];
+
+interface ItemProgress {
+  stage?: string;
+  progress?: number;
+}
+
+const formatTime = (iso: string) => new Date(iso).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' });
+
 export default function BatchBuildPanel({ campaignId, ideas, onClose, onRefresh }: BatchBuildPanelProps) {
   const [selectedIds, setSelectedIds] = useState<Set<string>>(() => new Set(ideas.map(i => i.id)));
   const [job, setJob] = useState<BatchJob | null>(null);
   const [error, setError] = useState('');
   const [isCreating, setIsCreating] = useState(false);
+  const [concurrency, setConcurrency] = useState(1);
+  const [progress, setProgress] = useState<Record<string, ItemProgress>>({});
+  const [retryPolicy, setRetryPolicy] = useState<BatchRetryPolicy>(DEFAULT_RETRY_POLICY);
+  const [policyDirty, setPolicyDirty] = useState(false);
   const sseRef = useRef<{ close: () => void } | null>(null);
 
   // Cleanup SSE on unmount
@@ -61,8 +78,13 @@ export default function BatchBuildPanel({ campaignId, ideas, onClose, onRefresh
         if (d.stats) {
           setJob(prev => prev ? { ...prev, stats: d.stats as BatchJob['stats'] } : prev);
         }
+        // Per-item progress – several items can build at once
+        if (evt.event === 'item:progress' && typeof d.ideaId === 'string') {
+          const ideaId = d.ideaId;
+          setProgress(prev => ({ ...prev, [ideaId]: { stage: d.stage as string | undefined, progress: d.progress as number | undefined } }));
+        }
         // Refresh full job status on key events
-        if (['item:built', 'item:failed', 'job:done', 'job:paused', 'job:cancelled'].includes(evt.event)) {
+        if (['item:running', 'item:built', 'item:failed', 'job:done', 'job:paused', 'job:cancelled'].includes(evt.event)) {
           fetchBatchStatus(jobId).then(setJob).catch(() => {});
         }
       },
@@ -80,7 +102,7 @@ export default function BatchBuildPanel({ campaignId, ideas, onClose, onRefresh
     setIsCreating(true);
     setError('');
     try {
-      const result = await createBatchJob(campaignId, [...selectedIds]);
+      const result = await createBatchJob(campaignId, [...selectedIds], concurrency, retryPolicy);
       const jobId = result.jobId;
       await startBatchJob(jobId);
       const fresh = await fetchBatchStatus(jobId);
@@ -93,9 +115,30 @@ export default function BatchBuildPanel({ campaignId, ideas, onClose, onRefresh
     }
   };
 
+  // Policy edits on a paused job are saved explicitly
+  const handlePolicyChange = (policy: BatchRetryPolicy) => {
+    setRetryPolicy(policy);
+    if (job) setPolicyDirty(true);
+  };
+
+  const handleSavePolicy = async () => {
+    if (!job) return;
+    try {
+      const saved = await updateBatchRetryPolicy(job.jobId, retryPolicy);
+      setJob({ ...job, retryPolicy: saved });
+      setRetryPolicy(saved);
+      setPolicyDirty(false);
+    } catch (e) { setError((e as Error).message); }
+  };
+
   const handlePause = async () => {
     if (!job) return;
-    try { await pauseBatchJob(job.jobId); setJob({ ...job, status: 'paused' }); } catch (e) { setError((e as Error).message); }
+    try {
+      await pauseBatchJob(job.jobId);
+      setJob({ ...job, status: 'paused' });
+      setRetryPolicy(job.retryPolicy || DEFAULT_RETRY_POLICY);
+      setPolicyDirty(false);
+    } catch (e) { setError((e as Error).message); }
   };
 
   const handleResume = async () => {
@@ -148,6 +191,9 @@ export default function BatchBuildPanel({ campaignId, ideas, onClose, onRefresh
           <div className="flex items-center gap-3">
             <Package className="w-5 h-5 text-indigo-600" />
             <h2 className="text-lg font-semibold text-slate-800">批量生成</h2>
+            {job && job.concurrency > 1 && (
+              <span className="px-1.5 py-0.5 text-[10px] rounded bg-indigo-50 text-indigo-600">并行 {job.concurrency}</span>
+            )}
             {stats && (
               <span className="text-sm text-slate-500">
                 {stats.built}/{stats.total} 完成
@@ -215,11 +261,28 @@ export default function BatchBuildPanel({ campaignId, ideas, onClose, onRefresh
             </>
           )}
 
+          {(!job || isPaused) && (
+            <div className="p-3 rounded-lg border border-slate-200 bg-slate-50/60 space-y-2">
+              <div className="flex items-center justify-between">
+                <span className="text-xs font-medium text-slate-500">失败自动重试</span>
+                {isPaused && policyDirty && (
+                  <button onClick={handleSavePolicy} className="px-3 py-1 rounded-lg bg-indigo-600 text-white text-xs font-medium hover:bg-indigo-700">
+                    保存策略
+                  </button>
+                )}
+              </div>
+              <RetryPolicyEditor value={retryPolicy} onChange={handlePolicyChange} />
+            </div>
+          )}
+
           {job && (
             /* Job item list */
             <div className="space-y-2">
               {job.items.map((item: BatchItem) => {
                 const idea = ideas.find(i => i.id === item.ideaId);
+                const attempts = item.attempts || [];
+                const attemptNo = attempts.length + (item.status === 'running' ? 1 : 0);
+                const maxAttempts = job.retryPolicy?.maxAttempts;
                 return (
                   <div
                     key={item.ideaId}
@@ -237,8 +300,35 @@ export default function BatchBuildPanel({ campaignId, ideas, onClose, onRefresh
                       </div>
                       <div className="text-xs text-slate-500">
                         {STATUS_LABEL[item.status] || item.status}
+                        {attemptNo > 0 && (
+                          <span className="ml-2 text-slate-400">第 {attemptNo}{maxAttempts ? `/${maxAttempts}` : ''} 次</span>
+                        )}
+                        {item.status === 'queued' && item.retryAt && (
+                          <span className="ml-2 text-amber-600">{formatTime(item.retryAt)} 重试</span>
+                        )}
+                        {item.status === 'running' && progress[item.ideaId]?.stage && (
+                          <span className="ml-2 text-blue-500">
+                            {progress[item.ideaId].stage}
+                            {typeof progress[item.ideaId].progress === 'number' && ` · ${progress[item.ideaId].progress}%`}
+                          </span>
+                        )}
                         {item.error && <span className="text-red-500 ml-2">{item.error}</span>}
                       </div>
+                      {attempts.length > 1 && (
+                        <ol className="mt-1 space-y-0.5 text-[11px] text-slate-400">
+                          {attempts.map(a => (
+                            <li key={a.attempt} className="truncate" title={a.error || undefined}>
+                              #{a.attempt} {formatTime(a.finishedAt)} · {a.status === 'built' ? '完成' : `失败${a.category ? ` · ${FAILURE_LABELS[a.category] || a.category}` : ''}`}
+                              {a.projectId && ` · ${a.projectId}`}
+                            </li>
+                          ))}
+                        </ol>
+                      )}
+                      {item.status === 'running' && typeof progress[item.ideaId]?.progress === 'number' && (
+                        <div className="h-1 mt-1.5 rounded-full bg-blue-100 overflow-hidden">
+                          <div className="h-full bg-blue-500 transition-all duration-500" style={{ width: `${progress[item.ideaId].progress}%` }} />
+                        </div>
+                      )}
                     </div>
                     <div className="flex gap-1">
                       {item.status === 'failed' && !isDone && (
@@ -261,6 +351,18 @@ export default function BatchBuildPanel({ campaignId, ideas, onClose, onRefresh
 
         {/* Footer */}
         <div className="flex items-center justify-end gap-3 px-6 py-4 border-t border-slate-200 bg-slate-50">
+          {!job && (
+            <label className="flex items-center gap-2 mr-auto text-sm text-slate-500">
+              并行
+              <select
+                value={concurrency}
+                onChange={e => setConcurrency(Number(e.target.value))}
+                className="px-2 py-1 rounded-lg border border-slate-200 bg-white text-slate-700 text-sm"
+              >
+                {CONCURRENCY_OPTIONS.map(n => <option key={n} value={n}>{n}</option>)}
+              </select>
+            </label>
+          )}
           {!job && (
             <button
               onClick={handleStart}
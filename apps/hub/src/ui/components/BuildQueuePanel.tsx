@@ -0,0 +1,144 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { ListOrdered, Loader2, Pause, Play, X } from 'lucide-react';
+import { clsx } from 'clsx';
+import {
+  fetchBuildQueue,
+  cancelQueueEntry,
+  setBuildQueuePaused,
+  type BuildQueueEntry,
+  type BuildQueueSnapshot,
+  type BuildQueueSource,
+} from '../../lib/api';
+import { langLabel } from './LangSelect';
+
+const POLL_MS = 3000;
+
+const SOURCE_STYLES: Record<BuildQueueSource, string> = {
+  manual: 'bg-blue-50 text-blue-600 dark:bg-blue-900/30 dark:text-blue-300',
+  batch: 'bg-indigo-50 text-indigo-600 dark:bg-indigo-900/30 dark:text-indigo-300',
+  idle: 'bg-gray-100 text-gray-500 dark:bg-gray-800 dark:text-gray-400',
+};
+
+/** "now", "in ~7 min" or "~14:05" for estimates further out. */
+function formatStart(iso: string | null | undefined, paused: boolean): string {
+  if (paused || !iso) return 'paused';
+  const mins = Math.round((new Date(iso).getTime() - Date.now()) / 60000);
+  if (mins <= 0) return 'next';
+  if (mins < 90) return `in ~${mins} min`;
+  return `~${new Date(iso).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`;
+}
+
+interface BuildQueuePanelProps {
+  onClose: () => void;
+}
+
+export const BuildQueuePanel: React.FC<BuildQueuePanelProps> = ({ onClose }) => {
+  const [queue, setQueue] = useState<BuildQueueSnapshot | null>(null);
+  const [error, setError] = useState<string | null>(null);
+  const [busy, setBusy] = useState<string | null>(null);
+
+  const load = useCallback(async () => {
+    try {
+      setQueue(await fetchBuildQueue());
+      setError(null);
+    } catch (e) {
+      setError(e instanceof Error ? e.message : String(e));
+    }
+  }, []);
+
+  useEffect(() => {
+    load();
+    const timer = setInterval(load, POLL_MS);
+    return () => clearInterval(timer);
+  }, [load]);
+
+  const act = async (key: string, fn: () => Promise<void>) => {
+    setBusy(key);
+    try {
+      await fn();
+      await load();
+    } catch (e) {
+      setError(e instanceof Error ? e.message : String(e));
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const entries = queue ? [...queue.running, ...queue.queued] : [];
+
+  const renderEntry = (e: BuildQueueEntry) => (
+    <li key={e.entryId} className="flex items-center gap-2 text-[10px] sm:text-xs">
+      <span className={clsx('shrink-0 px-1.5 py-0.5 rounded-md text-[9px] font-bold uppercase tracking-wider', SOURCE_STYLES[e.source])}>
+        {e.source}
+      </span>
+      <div className="min-w-0 flex-1">
+        <span className="font-bold">{e.title || e.ideaId || e.target}</span>
+        {e.kind !== 'build' && <span className="text-gray-400"> · {e.kind}</span>}
+        {e.lang && <span className="text-gray-400"> · {langLabel(e.lang)}</span>}
+      </div>
+      <span className="shrink-0 text-[9px] font-bold uppercase tracking-wider text-gray-400">
+        {e.status === 'running'
+          ? <span className="flex items-center gap-1 text-blue-500"><Loader2 size={10} className="animate-spin" />building</span>
+          : formatStart(e.estimatedStartAt, !!queue?.paused)}
+      </span>
+      <button
+        onClick={() => act(e.entryId, () => cancelQueueEntry(e.entryId))}
+        disabled={busy === e.entryId}
+        className="p-1 rounded-lg text-gray-400 hover:text-red-500 hover:bg-red-50 dark:hover:bg-red-900/20 transition-colors disabled:opacity-40"
+        title={e.status === 'running' ? 'Stop build' : 'Remove from queue'}
+        aria-label={e.status === 'running' ? 'Stop build' : 'Remove from queue'}
+      >
+        <X size={12} />
+      </button>
+    </li>
+  );
+
+  return (
+    <div className="p-4 sm:p-5 rounded-2xl border border-blue-100 dark:border-blue-900/30 bg-white dark:bg-[#1c1c1e] space-y-4">
+      <div className="flex items-center justify-between gap-3">
+        <div className="flex items-center gap-2">
+          <ListOrdered size={14} className="text-blue-500" />
+          <h3 className="text-[10px] sm:text-[11px] font-bold uppercase tracking-widest text-gray-500">
+            Build queue{queue ? ` · ${entries.length}` : ''}
+          </h3>
+          {!queue && !error && <Loader2 size={12} className="animate-spin text-gray-400" />}
+        </div>
+        <div className="flex items-center gap-1">
+          {queue && (
+            <button
+              onClick={() => act('pause', () => setBuildQueuePaused(!queue.paused))}
+              disabled={busy === 'pause'}
+              className={clsx(
+                'flex items-center gap-1 px-2 py-1 rounded-lg text-[9px] font-bold uppercase tracking-wider transition-colors disabled:opacity-40',
+                queue.paused ? 'bg-amber-500 text-white' : 'bg-[#f5f5f7] dark:bg-[#2d2d2f] text-gray-500 hover:bg-gray-200'
+              )}
+            >
+              {queue.paused ? <Play size={10} /> : <Pause size={10} />}
+              {queue.paused ? 'Resume' : 'Pause'}
+            </button>
+          )}
+          <button
+            onClick={onClose}
+            className="p-1 ml-1 rounded-lg text-gray-400 hover:bg-gray-100 dark:hover:bg-gray-800 transition-colors"
+            title="Close"
+            aria-label="Close"
+          >
+            <X size={14} />
+          </button>
+        </div>
+      </div>
+
+      {error && <p className="text-xs text-red-500">{error}</p>}
+
+      {queue && entries.length === 0 && (
+        <p className="text-xs text-gray-400">Nothing queued. "Implement now", batch jobs and the idle job add builds here.</p>
+      )}
+
+      {entries.length > 0 && <ul className="space-y-1.5">{entries.map(renderEntry)}</ul>}
+
+      {queue && queue.paused && queue.queued.length > 0 && (
+        <p className="text-[10px] text-amber-600">Paused – running builds finish, queued ones wait.</p>
+      )}
+    </div>
+  );
+};
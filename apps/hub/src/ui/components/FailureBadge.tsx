@@ -0,0 +1,48 @@
+import React from 'react';
+import { clsx } from 'clsx';
+import type { FailureCategory } from '../../types/idea';
+
+// Mirrors FAILURE_CATEGORIES in packages/engine/core/modules/build_failure.mjs
+export const FAILURE_LABELS: Record<FailureCategory, string> = {
+  aborted: 'Aborted',
+  smoke_test: 'Smoke test',
+  dependency_policy: 'Dependency policy',
+  missing_api_key: 'Missing API key',
+  llm_content_filter: 'LLM content filter',
+  llm_token_limit: 'LLM token limit',
+  timeout: 'Timeout',
+  npm_eresolve: 'npm ERESOLVE',
+  typescript_error: 'TypeScript error',
+  vite_build_error: 'Vite build error',
+  unknown: 'Unknown',
+};
+
+const CATEGORY_STYLES: Partial<Record<FailureCategory, string>> = {
+  aborted: 'bg-gray-50 text-gray-600 border-gray-200 dark:bg-gray-800/40 dark:text-gray-400 dark:border-gray-700',
+  missing_api_key: 'bg-amber-50 text-amber-700 border-amber-100 dark:bg-amber-900/20 dark:text-amber-400 dark:border-amber-900/30',
+  llm_content_filter: 'bg-purple-50 text-purple-700 border-purple-100 dark:bg-purple-900/20 dark:text-purple-400 dark:border-purple-900/30',
+  llm_token_limit: 'bg-purple-50 text-purple-700 border-purple-100 dark:bg-purple-900/20 dark:text-purple-400 dark:border-purple-900/30',
+  timeout: 'bg-orange-50 text-orange-700 border-orange-100 dark:bg-orange-900/20 dark:text-orange-400 dark:border-orange-900/30',
+};
+
+const DEFAULT_STYLE = 'bg-red-50 text-red-700 border-red-100 dark:bg-red-900/20 dark:text-red-400 dark:border-red-900/30';
+
+interface FailureBadgeProps {
+  category: FailureCategory;
+  count?: number;
+  className?: string;
+}
+
+export const FailureBadge: React.FC<FailureBadgeProps> = ({ category, count, className }) => (
+  <span
+    className={clsx(
+      'inline-flex items-center gap-1 px-1.5 py-0.5 rounded-md text-[8px] font-bold uppercase tracking-wider border',
+      CATEGORY_STYLES[category] || DEFAULT_STYLE,
+      className
+    )}
+    title={`Build failure: ${FAILURE_LABELS[category] || category}`}
+  >
+    {FAILURE_LABELS[category] || category}
+    {count !== undefined && <span className="opacity-60">{count}</span>}
+  </span>
+);
@@ -0,0 +1,98 @@
+import React, { useEffect, useState } from 'react';
+import { AlertCircle, Loader2, X } from 'lucide-react';
+import { clsx } from 'clsx';
+import { fetchBuildFailures, type BuildFailureSummary } from '../../lib/api';
+import { FailureBadge } from './FailureBadge';
+
+const RANGES = [7, 30, 90];
+
+interface FailureSummaryProps {
+  onClose: () => void;
+}
+
+export const FailureSummary: React.FC<FailureSummaryProps> = ({ onClose }) => {
+  const [days, setDays] = useState(30);
+  const [summary, setSummary] = useState<BuildFailureSummary | null>(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    setError(null);
+    fetchBuildFailures(days)
+      .then((s) => { if (!cancelled) setSummary(s); })
+      .catch((e) => { if (!cancelled) setError(e instanceof Error ? e.message : String(e)); })
+      .finally(() => { if (!cancelled) setLoading(false); });
+    return () => { cancelled = true; };
+  }, [days]);
+
+  return (
+    <div className="p-4 sm:p-5 rounded-2xl border border-red-100 dark:border-red-900/30 bg-white dark:bg-[#1c1c1e] space-y-4">
+      <div className="flex items-center justify-between gap-3">
+        <div className="flex items-center gap-2">
+          <AlertCircle size={14} className="text-red-500" />
+          <h3 className="text-[10px] sm:text-[11px] font-bold uppercase tracking-widest text-gray-500">
+            Build failures{summary ? ` · ${summary.total}` : ''}
+          </h3>
+          {loading && <Loader2 size={12} className="animate-spin text-gray-400" />}
+        </div>
+        <div className="flex items-center gap-1">
+          {RANGES.map((d) => (
+            <button
+              key={d}
+              onClick={() => setDays(d)}
+              className={clsx(
+                'px-2 py-1 rounded-lg text-[9px] font-bold uppercase tracking-wider transition-colors',
+                days === d ? 'bg-red-600 text-white' : 'bg-[#f5f5f7] dark:bg-[#2d2d2f] text-gray-500 hover:bg-gray-200'
+              )}
+            >
+              {d}d
+            </button>
+          ))}
+          <button
+            onClick={onClose}
+            className="p-1 ml-1 rounded-lg text-gray-400 hover:bg-gray-100 dark:hover:bg-gray-800 transition-colors"
+            title="Close"
+            aria-label="Close"
+          >
+            <X size={14} />
+          </button>
+        </div>
+      </div>
+
+      {error && <p className="text-xs text-red-500">{error}</p>}
+
+      {summary && summary.total === 0 && !loading && (
+        <p className="text-xs text-gray-400">No failed builds in the last {summary.days} days.</p>
+      )}
+
+      {summary && summary.total > 0 && (
+        <>
+          <div className="flex flex-wrap gap-1.5">
+            {summary.byCategory.map((c) => (
+              <FailureBadge key={c.category} category={c.category} count={c.count} className="text-[9px] px-2 py-1" />
+            ))}
+          </div>
+          <div className="flex flex-wrap gap-3 text-[9px] font-bold uppercase tracking-wider text-gray-400">
+            {Object.entries(summary.byStage).map(([stage, n]) => (
+              <span key={stage}>{stage}: {n}</span>
+            ))}
+          </div>
+          <ul className="space-y-1.5">
+            {summary.recent.map((r) => (
+              <li key={`${r.ts}-${r.ideaId}`} className="flex items-start gap-2 text-[10px] sm:text-xs">
+                <FailureBadge category={r.category} className="shrink-0 mt-0.5" />
+                <div className="min-w-0">
+                  <span className="font-bold">{r.title || r.ideaId || 'Untitled'}</span>
+                  <span className="text-gray-400"> · {r.failedStage} · {new Date(r.ts).toLocaleString()}</span>
+                  {r.evidence && <p className="font-mono text-[10px] text-gray-500 truncate">{r.evidence}</p>}
+                </div>
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+    </div>
+  );
+};
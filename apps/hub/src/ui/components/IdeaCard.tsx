@@ -1,8 +1,12 @@
 import React from 'react';
-import { Check, Trash2, Clock, Fingerprint, Crosshair } from 'lucide-react';
+import { Check, Trash2, Clock, Fingerprint, Crosshair, Languages } from 'lucide-react';
 import type { Idea } from '../../types/idea';
 import { clsx } from 'clsx';
 import { twMerge } from 'tailwind-merge';
+import { FailureBadge } from './FailureBadge';
+import { StackSelect } from './StackSelect';
+import { ThemeSelect } from './ThemeSelect';
+import { langLabel } from './LangSelect';
 
 function cn(...inputs: (string | undefined | null | boolean | Record<string, boolean>)[] ) {
   return twMerge(clsx(inputs));
@@ -16,6 +20,10 @@ interface IdeaCardProps {
   isMultiSelectMode?: boolean;
   isBatchSelected?: boolean;
   onToggleBatch?: (id: string) => void;
+  /** Backlog only: change the tech stack the idea is built with */
+  onStackChange?: (id: string, stack: string) => void;
+  /** Backlog only: change the theme preset (`visualTheme`) the idea is built with */
+  onThemeChange?: (id: string, presetId: string) => void;
 }
 
 export const IdeaCard: React.FC<IdeaCardProps> = ({ 
@@ -25,7 +33,9 @@ export const IdeaCard: React.FC<IdeaCardProps> = ({
   isSelected,
   isMultiSelectMode,
   isBatchSelected,
-  onToggleBatch
+  onToggleBatch,
+  onStackChange,
+  onThemeChange
 }) => {
   const score = idea.similarity?.score ?? 0;
   
@@ -87,6 +97,9 @@ export const IdeaCard: React.FC<IdeaCardProps> = ({
               {idea.visualTheme}
             </div>
           )}
+          {idea.status !== 'implemented' && idea.lastFailureCategory && (
+            <FailureBadge category={idea.lastFailureCategory} className="self-start" />
+          )}
         </div>
         <div className="flex gap-1.5 shrink-0">
           {idea.status === 'implemented' && (
@@ -171,9 +184,29 @@ export const IdeaCard: React.FC<IdeaCardProps> = ({
                 <span>{idea.complexityBudget.minutes}m / {idea.complexityBudget.screens}S</span>
               </div>
             )}
+            {idea.lang && (
+              <div className="flex items-center gap-1 text-[#86868b]" title="Output language">
+                <Languages size={11} />
+                <span>{langLabel(idea.lang)}</span>
+              </div>
+            )}
           </div>
           
-          <div className="flex gap-2 min-w-0">
+          <div className="flex items-center gap-2 min-w-0">
+            {onStackChange && idea.status !== 'implemented' && (
+              <StackSelect
+                value={idea.stack || 'auto'}
+                onChange={(stack) => onStackChange(idea.id, stack)}
+                className="max-w-[110px] px-1.5 py-0.5 text-[9px]"
+              />
+            )}
+            {onThemeChange && idea.status !== 'implemented' && (
+              <ThemeSelect
+                value={idea.visualTheme || 'auto'}
+                onChange={(presetId) => onThemeChange(idea.id, presetId)}
+                className="max-w-[100px] px-1.5 py-0.5 text-[9px]"
+              />
+            )}
             {(idea.sources || []).slice(0, 1).map((s, idx) => (
               <a 
                 key={idx}
@@ -0,0 +1,40 @@
+import React from 'react';
+import { clsx } from 'clsx';
+
+// Output languages offered in the hub; any BCP 47 tag works on the server
+// (packages/shared/lang.mjs), these are just the ones with a label
+export const LANG_LABELS: Record<string, string> = {
+  'zh-CN': '中文',
+  'en': 'English',
+  'ja': '日本語',
+};
+
+export const langLabel = (lang?: string | null): string => (lang ? LANG_LABELS[lang] || lang : '');
+
+interface LangSelectProps {
+  /** Language tag, or '' for the server default (DAILY_APP_LAB_LANG) */
+  value: string;
+  onChange: (lang: string) => void;
+  disabled?: boolean;
+  className?: string;
+}
+
+export const LangSelect: React.FC<LangSelectProps> = ({ value, onChange, disabled, className }) => (
+  <select
+    value={value}
+    onChange={e => onChange(e.target.value)}
+    onClick={e => e.stopPropagation()}
+    disabled={disabled}
+    className={clsx(
+      "block rounded-lg border border-[#e5e5e7] dark:border-[#2d2d2f] bg-white dark:bg-[#1c1c1e] font-bold focus:ring-2 focus:ring-blue-500 transition-all outline-none",
+      className
+    )}
+    aria-label="Output language"
+    title="Output language of the ideas and the apps built from them"
+  >
+    <option value="">Default</option>
+    {Object.entries(LANG_LABELS).map(([id, label]) => (
+      <option key={id} value={id}>{label}</option>
+    ))}
+  </select>
+);
@@ -1,11 +1,15 @@
 import React, { useState } from 'react';
 import { Sparkles, MessageSquare, History, FilterX, Settings2, Loader2, X } from 'lucide-react';
 import { clsx } from 'clsx';
+import { StackSelect } from './StackSelect';
+import { LangSelect } from './LangSelect';
 
 interface LabPrefs {
   categories: string[];
   styles: string[];
   form: string;
+  stack: string;
+  lang: string;
   strictness: number;
   refreshResearch: boolean;
 }
@@ -41,6 +45,8 @@ export const NavBar: React.FC<NavBarProps> = ({
     categories: ['Utilities'],
     styles: ['Tactile', 'Glassmorphism'],
     form: 'ui-template',
+    stack: 'auto',
+    lang: '',
     strictness: 0.78,
     refreshResearch: false
   });
@@ -244,12 +250,40 @@ export const NavBar: React.FC<NavBarProps> = ({
                   <option value="tool">Micro Tool</option>
                   <option value="component">Component Prototype</option>
                   <option value="simulator">Simulation/Viz</option>
+                  <option value="game">Mini Game</option>
+                  <option value="single-file">Single-file Page</option>
                 </select>
                 <p className="text-[9px] text-gray-400 font-medium leading-tight max-w-[180px]">
                   {prefs.form === 'ui-template' && "Focus on animations and UI feel."}
                   {prefs.form === 'tool' && "Functional utility with input/output."}
                   {prefs.form === 'component' && "Reusable logic or UI building block."}
                   {prefs.form === 'simulator' && "Data visualizer or concept sandbox."}
+                  {prefs.form === 'game' && "Canvas game loop with on-screen controls."}
+                  {prefs.form === 'single-file' && "One self-contained HTML file, no install."}
+                </p>
+              </div>
+
+              <div className="space-y-3">
+                <label className="text-[10px] font-bold text-gray-400 uppercase tracking-widest">Tech Stack</label>
+                <StackSelect
+                  value={prefs.stack}
+                  onChange={stack => setPrefs(p => ({ ...p, stack }))}
+                  className="min-w-[140px] px-4 py-2 text-xs shadow-sm"
+                />
+                <p className="text-[9px] text-gray-400 font-medium leading-tight max-w-[180px]">
+                  {prefs.stack === 'auto' ? "Games build on Canvas, single-file pages as one HTML file, the rest on React." : "Every generated idea is built with this stack."}
+                </p>
+              </div>
+
+              <div className="space-y-3">
+                <label className="text-[10px] font-bold text-gray-400 uppercase tracking-widest">Language</label>
+                <LangSelect
+                  value={prefs.lang}
+                  onChange={lang => setPrefs(p => ({ ...p, lang }))}
+                  className="min-w-[120px] px-4 py-2 text-xs shadow-sm"
+                />
+                <p className="text-[9px] text-gray-400 font-medium leading-tight max-w-[180px]">
+                  Ideas are written and built in this language.
                 </p>
               </div>
             </div>
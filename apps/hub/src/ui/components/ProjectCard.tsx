@@ -1,11 +1,14 @@
 import React, { useEffect, useMemo, useState } from 'react';
-import { Trash2, Star, Calendar, ArrowRight, RotateCcw, ChevronDown, ChevronUp, BookOpen, Fingerprint } from 'lucide-react';
+import { Trash2, Star, Calendar, ArrowRight, RotateCcw, ChevronDown, ChevronUp, BookOpen, Fingerprint, ShieldCheck, ShieldAlert, GitBranch, Package, Layers, Languages, Contrast } from 'lucide-react';
 import { clsx } from 'clsx';
 import { ManifestEntry } from '../../types/manifest';
 import { Feedback } from '../../types/feedback';
-import { restoreIdea } from '../../lib/api';
+import { restoreIdea, buildIdeaInLang } from '../../lib/api';
 import ReactMarkdown from 'react-markdown';
 import { ensureEntryThemeStyle, getEntryThemeId } from '../theme';
+import { VersionsPanel } from './VersionsPanel';
+import { STACK_LABELS } from './StackSelect';
+import { LANG_LABELS, langLabel } from './LangSelect';
 
 interface ProjectCardProps {
   entry: ManifestEntry;
@@ -17,6 +20,12 @@ interface ProjectCardProps {
 export const ProjectCard: React.FC<ProjectCardProps> = ({ entry, feedback, onRateClick, onDelete }) => {
   const [isDeleting, setIsDeleting] = useState(false);
   const [showDetails, setShowDetails] = useState(false);
+  const [showViolations, setShowViolations] = useState(false);
+  const [showVersions, setShowVersions] = useState(false);
+  const [isBuildingLang, setIsBuildingLang] = useState(false);
+  const compliance = entry.compliance;
+  const depViolations = compliance?.dependencyViolations || [];
+  const hasViolations = !!compliance && compliance.violations.length + depViolations.length > 0;
   const rating = feedback?.rating;
   const tags = feedback?.tags || {};
 
@@ -50,7 +59,22 @@ export const ProjectCard: React.FC<ProjectCardProps> = ({ entry, feedback, onRat
     }
   };
 
+  const handleBuildInLang = async (lang: string) => {
+    if (!entry.ideaId || !lang) return;
+    if (!confirm(`Build [${entry.title}] again in ${langLabel(lang)}? The current output is kept.`)) return;
+    setIsBuildingLang(true);
+    try {
+      await buildIdeaInLang(entry.ideaId, lang);
+    } catch (err: unknown) {
+      alert((err as Error).message || 'Build failed to start');
+    } finally {
+      setIsBuildingLang(false);
+    }
+  };
+
   const themeId = useMemo(() => getEntryThemeId(entry), [entry]);
+  const contrast = entry.theme?.metadata?.contrast;
+  const selection = entry.theme?.metadata?.selection;
 
   useEffect(() => {
     ensureEntryThemeStyle(entry);
@@ -68,13 +92,78 @@ export const ProjectCard: React.FC<ProjectCardProps> = ({ entry, feedback, onRat
             {entry.date}
           </div>
           {entry.theme?.metadata?.presetName && (
-            <div className="flex items-center gap-1.5 px-2 py-1 rounded-lg bg-[var(--prj-accent-soft,rgba(0,113,227,0.1))] text-[10px] font-bold text-[var(--prj-primary,#0071e3)] uppercase tracking-widest border border-[var(--prj-primary)]/10">
+            <div
+              className="flex items-center gap-1.5 px-2 py-1 rounded-lg bg-[var(--prj-accent-soft,rgba(0,113,227,0.1))] text-[10px] font-bold text-[var(--prj-primary,#0071e3)] uppercase tracking-widest border border-[var(--prj-primary)]/10"
+              title={selection ? [`Theme chosen by ${selection.method}`, ...selection.reasons].join('\n') : undefined}
+            >
               <Fingerprint size={12} />
               {entry.theme.metadata.presetName}
+              {selection && selection.method !== 'explicit' && (
+                <span className="opacity-60">{Math.round(selection.confidence * 100)}%</span>
+              )}
+            </div>
+          )}
+          {contrast && !contrast.pass && (
+            <div
+              className="flex items-center gap-1.5 px-2 py-1 rounded-lg bg-orange-50 text-orange-700 border border-orange-100 dark:bg-orange-900/20 dark:text-orange-400 dark:border-orange-900/30 text-[10px] font-bold uppercase tracking-widest"
+              title={`Below WCAG AA: ${contrast.failing.map(k => `${k} ${contrast.ratios[k]}:1`).join(', ')}`}
+            >
+              <Contrast size={12} />
+              Contrast
             </div>
           )}
+          {entry.template && (
+            <div
+              className="flex items-center gap-1.5 px-2 py-1 rounded-lg bg-[#f5f5f7] dark:bg-[#2d2d2f] text-[10px] font-bold text-gray-500 dark:text-gray-400 uppercase tracking-widest"
+              title="App template"
+            >
+              <Layers size={12} />
+              {STACK_LABELS[entry.template] || entry.template}
+            </div>
+          )}
+          {entry.language && (
+            <div
+              className="flex items-center gap-1.5 px-2 py-1 rounded-lg bg-[#f5f5f7] dark:bg-[#2d2d2f] text-[10px] font-bold text-gray-500 dark:text-gray-400 uppercase tracking-widest"
+              title="Output language"
+            >
+              <Languages size={12} />
+              {langLabel(entry.language)}
+            </div>
+          )}
+          {compliance && (
+            <button
+              onClick={() => setShowViolations(!showViolations)}
+              disabled={!hasViolations}
+              title={hasViolations ? 'Show DAILY_SPEC and dependency policy violations' : 'Meets every DAILY_SPEC check'}
+              className={clsx(
+                "flex items-center gap-1.5 px-2 py-1 rounded-lg text-[10px] font-bold uppercase tracking-widest border transition-colors",
+                compliance.status === 'pass' && "bg-green-50 text-green-700 border-green-100 dark:bg-green-900/20 dark:text-green-400 dark:border-green-900/30",
+                compliance.status === 'warn' && "bg-orange-50 text-orange-700 border-orange-100 dark:bg-orange-900/20 dark:text-orange-400 dark:border-orange-900/30 hover:bg-orange-100",
+                compliance.status === 'fail' && "bg-red-50 text-red-700 border-red-100 dark:bg-red-900/20 dark:text-red-400 dark:border-red-900/30 hover:bg-red-100"
+              )}
+            >
+              {compliance.status === 'pass' ? <ShieldCheck size={12} /> : <ShieldAlert size={12} />}
+              Spec {compliance.score}
+              {depViolations.length > 0 && <Package size={11} className="ml-0.5" />}
+            </button>
+          )}
         </div>
         <div className="flex items-center gap-2 opacity-0 group-hover:opacity-100 transition-opacity">
+          {entry.ideaId && (
+            <select
+              value=""
+              onChange={e => handleBuildInLang(e.target.value)}
+              disabled={isBuildingLang}
+              title="Build this idea in another language"
+              aria-label="Build in another language"
+              className="w-8 p-1.5 rounded-lg text-[10px] font-bold text-gray-500 bg-transparent hover:bg-gray-100 dark:hover:bg-gray-800 transition-colors outline-none cursor-pointer appearance-none"
+            >
+              <option value="" disabled>文/A</option>
+              {Object.entries(LANG_LABELS).filter(([id]) => id !== entry.language).map(([id, label]) => (
+                <option key={id} value={id}>Build in {label}</option>
+              ))}
+            </select>
+          )}
           <button 
             onClick={handleRestore}
             disabled={isDeleting}
@@ -100,6 +189,22 @@ export const ProjectCard: React.FC<ProjectCardProps> = ({ entry, feedback, onRat
           {entry.desc || 'No description available for this experiment.'}
         </p>
 
+        {showViolations && compliance && hasViolations && (
+          <ul className="mt-2 p-3 rounded-2xl bg-orange-50/60 dark:bg-orange-900/10 border border-orange-100/60 dark:border-orange-900/20 space-y-1.5 animate-in slide-in-from-top duration-200">
+            {compliance.violations.map(v => (
+              <li key={v.id} className="text-[10px] leading-relaxed text-orange-800 dark:text-orange-300">
+                <span className="font-bold">{v.label}:</span> {v.detail}
+              </li>
+            ))}
+            {depViolations.map(v => (
+              <li key={`${v.field}:${v.name}`} className="text-[10px] leading-relaxed text-orange-800 dark:text-orange-300">
+                <span className="font-bold">Dependency {v.name}:</span>{' '}
+                {v.rule.replace('_', ' ')}, {v.action === 'pinned' ? `pinned ${v.wanted} → ${v.pinnedTo}` : `${v.action} (${v.wanted})`}
+              </li>
+            ))}
+          </ul>
+        )}
+
         {(entry.scenario || entry.workflow) && (
           <button 
             onClick={() => setShowDetails(!showDetails)}
@@ -137,6 +242,8 @@ export const ProjectCard: React.FC<ProjectCardProps> = ({ entry, feedback, onRat
           </div>
         )}
 
+        {showVersions && <VersionsPanel outId={entry.date} />}
+
         {allTags.length > 0 && (
           <div className="flex flex-wrap gap-1 mt-2">
             {allTags.map(t => (
@@ -160,13 +267,27 @@ export const ProjectCard: React.FC<ProjectCardProps> = ({ entry, feedback, onRat
           <span>{rating ? `Rated ${rating}` : 'Rate This'}</span>
         </button>
 
-        <a 
-          href={entry.indexPath || `/${entry.date}/index.html`}
-          className="flex items-center gap-1.5 px-4 py-1.5 rounded-xl bg-blue-600 text-white text-[11px] font-bold shadow-lg shadow-blue-500/20 hover:bg-blue-700 active:scale-95 transition-all"
-        >
-          <span>Open</span>
-          <ArrowRight size={14} />
-        </a>
+        <div className="flex items-center gap-2">
+          <button
+            onClick={() => setShowVersions(!showVersions)}
+            title="Iterate and browse versions"
+            className={clsx(
+              "flex items-center gap-1.5 px-3 py-1.5 rounded-xl text-[11px] font-bold transition-all",
+              showVersions ? "bg-blue-50 text-blue-600 dark:bg-blue-900/10 dark:text-blue-400" : "bg-gray-50 dark:bg-gray-800 text-gray-400 dark:text-gray-500 hover:text-gray-600 dark:hover:text-gray-400"
+            )}
+          >
+            <GitBranch size={14} />
+            <span>{entry.appVersion && entry.appVersion > 1 ? `v${entry.appVersion}` : 'Iterate'}</span>
+          </button>
+
+          <a 
+            href={entry.indexPath || `/${entry.date}/index.html`}
+            className="flex items-center gap-1.5 px-4 py-1.5 rounded-xl bg-blue-600 text-white text-[11px] font-bold shadow-lg shadow-blue-500/20 hover:bg-blue-700 active:scale-95 transition-all"
+          >
+            <span>Open</span>
+            <ArrowRight size={14} />
+          </a>
+        </div>
       </div>
     </div>
   );
@@ -0,0 +1,88 @@
+import type { BatchRetryPolicy, FailureCategory } from '../../types/idea';
+import { FAILURE_LABELS } from './FailureBadge';
+
+// Mirrors DEFAULT_RETRY_POLICY in packages/engine/core/modules/batch_job.mjs
+export const DEFAULT_RETRY_POLICY: BatchRetryPolicy = {
+  maxAttempts: 2,
+  backoffMs: 60 * 1000,
+  retryableCategories: ['timeout', 'npm_eresolve', 'typescript_error', 'vite_build_error', 'smoke_test', 'llm_token_limit', 'unknown'],
+};
+
+const ATTEMPT_OPTIONS = [1, 2, 3, 4, 5];
+
+const BACKOFF_OPTIONS: { ms: number; label: string }[] = [
+  { ms: 0, label: '立即' },
+  { ms: 30 * 1000, label: '30 秒' },
+  { ms: 60 * 1000, label: '1 分钟' },
+  { ms: 5 * 60 * 1000, label: '5 分钟' },
+  { ms: 15 * 60 * 1000, label: '15 分钟' },
+];
+
+// A user abort is never retried
+const CATEGORIES = (Object.keys(FAILURE_LABELS) as FailureCategory[]).filter(c => c !== 'aborted');
+
+interface RetryPolicyEditorProps {
+  value: BatchRetryPolicy;
+  onChange: (policy: BatchRetryPolicy) => void;
+  disabled?: boolean;
+}
+
+/** Max attempts, backoff (doubling per attempt) and retryable failure categories of a batch job. */
+export default function RetryPolicyEditor({ value, onChange, disabled }: RetryPolicyEditorProps) {
+  const toggleCategory = (c: FailureCategory) => {
+    const has = value.retryableCategories.includes(c);
+    onChange({
+      ...value,
+      retryableCategories: has ? value.retryableCategories.filter(x => x !== c) : [...value.retryableCategories, c],
+    });
+  };
+
+  return (
+    <div className="space-y-2 text-sm text-slate-600">
+      <div className="flex flex-wrap items-center gap-4">
+        <label className="flex items-center gap-2">
+          最多尝试
+          <select
+            value={value.maxAttempts}
+            disabled={disabled}
+            onChange={e => onChange({ ...value, maxAttempts: Number(e.target.value) })}
+            className="px-2 py-1 rounded-lg border border-slate-200 bg-white text-slate-700 text-sm"
+          >
+            {ATTEMPT_OPTIONS.map(n => <option key={n} value={n}>{n} 次</option>)}
+          </select>
+        </label>
+        <label className="flex items-center gap-2">
+          重试间隔
+          <select
+            value={value.backoffMs}
+            disabled={disabled || value.maxAttempts === 1}
+            onChange={e => onChange({ ...value, backoffMs: Number(e.target.value) })}
+            className="px-2 py-1 rounded-lg border border-slate-200 bg-white text-slate-700 text-sm"
+          >
+            {BACKOFF_OPTIONS.map(o => <option key={o.ms} value={o.ms}>{o.label}</option>)}
+          </select>
+          <span className="text-xs text-slate-400">每次翻倍</span>
+        </label>
+      </div>
+      {value.maxAttempts > 1 && (
+        <div className="flex flex-wrap gap-1.5">
+          {CATEGORIES.map(c => (
+            <button
+              key={c}
+              type="button"
+              disabled={disabled}
+              onClick={() => toggleCategory(c)}
+              className={`px-2 py-0.5 rounded-md text-[11px] border transition-colors ${
+                value.retryableCategories.includes(c)
+                  ? 'border-indigo-300 bg-indigo-50 text-indigo-700'
+                  : 'border-slate-200 text-slate-400 hover:border-slate-300'
+              }`}
+            >
+              {FAILURE_LABELS[c]}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
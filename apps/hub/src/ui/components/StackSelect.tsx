@@ -0,0 +1,61 @@
+import React, { useEffect, useState } from 'react';
+import { clsx } from 'clsx';
+import type { AppTemplate } from '../../types/idea';
+import { fetchTemplates } from '../../lib/api';
+
+// Mirrors TEMPLATES in packages/engine/core/templates/index.mjs; used until
+// /api/templates answers and for chips on built projects
+export const STACK_LABELS: Record<string, string> = {
+  'react-tailwind': 'React + Tailwind',
+  'preact': 'Preact + Tailwind',
+  'svelte': 'Svelte',
+  'vanilla-canvas': 'Vanilla TS + Canvas',
+  'single-html': 'Single HTML file',
+};
+
+let templatesOnce: Promise<AppTemplate[]> | null = null;
+
+function useTemplates(): AppTemplate[] {
+  const [templates, setTemplates] = useState<AppTemplate[]>(() =>
+    Object.entries(STACK_LABELS).map(([id, label]) => ({ id, label, description: '', install: id !== 'single-html' })),
+  );
+  useEffect(() => {
+    let alive = true;
+    templatesOnce ??= fetchTemplates().catch(() => { templatesOnce = null; return []; });
+    templatesOnce.then(list => { if (alive && list.length) setTemplates(list); });
+    return () => { alive = false; };
+  }, []);
+  return templates;
+}
+
+interface StackSelectProps {
+  /** Template id, or '' / 'auto' for "pick by product form" */
+  value: string;
+  onChange: (stack: string) => void;
+  disabled?: boolean;
+  className?: string;
+}
+
+export const StackSelect: React.FC<StackSelectProps> = ({ value, onChange, disabled, className }) => {
+  const templates = useTemplates();
+  const current = templates.find(t => t.id === value);
+  return (
+    <select
+      value={current ? value : 'auto'}
+      onChange={e => onChange(e.target.value)}
+      onClick={e => e.stopPropagation()}
+      disabled={disabled}
+      className={clsx(
+        "block rounded-lg border border-[#e5e5e7] dark:border-[#2d2d2f] bg-white dark:bg-[#1c1c1e] font-bold focus:ring-2 focus:ring-blue-500 transition-all outline-none",
+        className
+      )}
+      aria-label="Tech stack"
+      title={current?.description || 'Tech stack (Auto: chosen by product form)'}
+    >
+      <option value="auto">Auto (by form)</option>
+      {templates.map(t => (
+        <option key={t.id} value={t.id}>{t.label}</option>
+      ))}
+    </select>
+  );
+};
@@ -3,6 +3,7 @@ import { Crosshair, Loader2, X, ChevronDown, ChevronUp, Zap, Search as SearchIco
 import { clsx } from 'clsx';
 import { runTargetedResearchSSE, type TargetedResearchSSEEvent } from '../../lib/api';
 import type { Idea, Campaign } from '../../types/idea';
+import { LangSelect } from './LangSelect';
 
 interface TargetedResearchPanelProps {
   onComplete: (campaign: Campaign | null, ideas: Idea[]) => void;
@@ -29,6 +30,7 @@ export const TargetedResearchPanel: React.FC<TargetedResearchPanelProps> = ({ on
   const [topic, setTopic] = useState('');
   const [creative, setCreative] = useState(0.6);
   const [count, setCount] = useState(6);
+  const [lang, setLang] = useState('');
   const [showAdvanced, setShowAdvanced] = useState(false);
   const [isRunning, setIsRunning] = useState(false);
   const [steps, setSteps] = useState<ProgressStep[]>([]);
@@ -47,7 +49,7 @@ export const TargetedResearchPanel: React.FC<TargetedResearchPanelProps> = ({ on
     let currentStepIdx = -1;
 
     const ctrl = runTargetedResearchSSE(
-      { topic: topic.trim(), creative, count },
+      { topic: topic.trim(), creative, count, ...(lang ? { lang } : {}) },
       {
         onEvent: (evt: TargetedResearchSSEEvent) => {
           // Update logs
@@ -181,6 +183,17 @@ export const TargetedResearchPanel: React.FC<TargetedResearchPanelProps> = ({ on
                 <span className="text-xs font-mono font-bold text-indigo-600 w-6">{count}</span>
               </div>
             </div>
+            <div className="space-y-1.5">
+              <label className="text-[9px] font-bold text-gray-400 uppercase tracking-widest">
+                输出语言 (Language)
+              </label>
+              <LangSelect
+                value={lang}
+                onChange={setLang}
+                disabled={isRunning}
+                className="w-full px-2 py-1 text-xs"
+              />
+            </div>
           </div>
         )}
 
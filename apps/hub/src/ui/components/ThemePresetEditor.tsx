@@ -0,0 +1,278 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { Palette, Loader2, Plus, RotateCcw, Save, Trash2, X } from 'lucide-react';
+import { clsx } from 'clsx';
+import {
+  fetchThemePresets,
+  saveThemePreset,
+  deleteThemePreset,
+  previewThemePreset,
+} from '../../lib/api';
+import type { ThemePreset, ThemePresetInput } from '../../types/idea';
+import type { ManifestEntry } from '../../types/manifest';
+import { ensureEntryThemeStyle, getEntryThemeId } from '../theme';
+import { reloadThemePresets } from './ThemeSelect';
+
+const PREVIEW_DELAY_MS = 300;
+
+const SWATCHES: { v: string; label: string }[] = [
+  { v: 'bg-[var(--prj-primary)]', label: 'primary' },
+  { v: 'bg-[var(--prj-primary-dark)]', label: 'dark' },
+  { v: 'bg-[var(--prj-primary-light)]', label: 'light' },
+  { v: 'bg-[var(--prj-secondary)]', label: 'secondary' },
+  { v: 'bg-[var(--prj-surface-dark)]', label: 'surface dark' },
+];
+
+const NEW_PRESET: ThemePresetInput = {
+  name: '',
+  description: '',
+  baseHue: [200, 230],
+  saturation: [40, 60],
+  lightness: [40, 50],
+  analogous: 30,
+  tokens: { display: 'sans', radius: 10, typeScale: 1.2, motionMs: 200, easing: 'ease-out' },
+  keywords: [],
+};
+
+function toInput(p: ThemePreset): ThemePresetInput {
+  const { name, description, baseHue, saturation, lightness, analogous, tokens, keywords } = p;
+  return { name, description, baseHue, saturation, lightness, analogous, tokens, keywords };
+}
+
+const inputClass = 'w-full px-2 py-1 rounded-lg border border-[#e5e5e7] dark:border-[#2d2d2f] bg-white dark:bg-[#1c1c1e] text-xs focus:ring-2 focus:ring-blue-500 outline-none';
+const labelClass = 'block space-y-1 text-[9px] font-bold uppercase tracking-wider text-gray-400';
+
+interface RangeFieldProps {
+  label: string;
+  value: [number, number];
+  min: number;
+  max: number;
+  onChange: (v: [number, number]) => void;
+}
+
+const RangeField: React.FC<RangeFieldProps> = ({ label, value, min, max, onChange }) => (
+  <label className={labelClass}>
+    <span>{label}</span>
+    <div className="flex items-center gap-1">
+      <input type="number" min={min} max={max} value={value[0]} onChange={e => onChange([Number(e.target.value), value[1]])} className={inputClass} />
+      <span>–</span>
+      <input type="number" min={min} max={max} value={value[1]} onChange={e => onChange([value[0], Number(e.target.value)])} className={inputClass} />
+    </div>
+  </label>
+);
+
+interface ThemePresetEditorProps {
+  onClose: () => void;
+}
+
+/** Built-in and user theme presets with a live preview of the palettes they generate. */
+export const ThemePresetEditor: React.FC<ThemePresetEditorProps> = ({ onClose }) => {
+  const [presets, setPresets] = useState<ThemePreset[] | null>(null);
+  const [fonts, setFonts] = useState<string[]>([]);
+  // null id = a new preset (its id is derived from the name)
+  const [selected, setSelected] = useState<string | null>(null);
+  const [draft, setDraft] = useState<ThemePresetInput>(NEW_PRESET);
+  const [keywordText, setKeywordText] = useState('');
+  const [preview, setPreview] = useState<ManifestEntry[]>([]);
+  const [error, setError] = useState<string | null>(null);
+  const [busy, setBusy] = useState(false);
+
+  const select = useCallback((p: ThemePreset | null) => {
+    setSelected(p ? p.id : null);
+    setDraft(p ? toInput(p) : NEW_PRESET);
+    setKeywordText(p ? p.keywords.join(', ') : '');
+  }, []);
+
+  const load = useCallback(async (selectId?: string | null) => {
+    try {
+      const r = await fetchThemePresets();
+      setPresets(r.presets);
+      setFonts(r.fonts);
+      setError(null);
+      if (selectId !== undefined) select(r.presets.find(p => p.id === selectId) || null);
+    } catch (e) {
+      setError(e instanceof Error ? e.message : String(e));
+    }
+  }, [select]);
+
+  useEffect(() => { load(); }, [load]);
+
+  // Regenerate the preview palettes shortly after the last edit
+  useEffect(() => {
+    let alive = true;
+    const timer = setTimeout(async () => {
+      try {
+        const themes = await previewThemePreset(draft);
+        if (!alive) return;
+        const entries = themes.map((theme, i) => ({ id: `preset-preview-${i}`, date: '', title: '', theme }));
+        entries.forEach(ensureEntryThemeStyle);
+        setPreview(entries);
+      } catch (e) {
+        if (alive) setError(e instanceof Error ? e.message : String(e));
+      }
+    }, PREVIEW_DELAY_MS);
+    return () => { alive = false; clearTimeout(timer); };
+  }, [draft]);
+
+  const current = presets?.find(p => p.id === selected) || null;
+  const set = (patch: Partial<ThemePresetInput>) => setDraft(d => ({ ...d, ...patch }));
+  const setTokens = (patch: Partial<ThemePresetInput['tokens']>) => setDraft(d => ({ ...d, tokens: { ...d.tokens, ...patch } }));
+
+  const run = async (fn: () => Promise<string | null>) => {
+    setBusy(true);
+    try {
+      await load(await fn());
+      reloadThemePresets();
+    } catch (e) {
+      setError(e instanceof Error ? e.message : String(e));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const save = () => run(() => saveThemePreset(selected, {
+    ...draft,
+    keywords: keywordText.split(/[,，\n]/).map(k => k.trim()).filter(Boolean),
+  }));
+  const remove = () => current && run(async () => {
+    await deleteThemePreset(current.id);
+    return current.builtin ? current.id : null;
+  });
+
+  return (
+    <div className="p-4 sm:p-5 rounded-2xl border border-blue-100 dark:border-blue-900/30 bg-white dark:bg-[#1c1c1e] space-y-4">
+      <div className="flex items-center justify-between gap-3">
+        <div className="flex items-center gap-2">
+          <Palette size={14} className="text-blue-500" />
+          <h3 className="text-[10px] sm:text-[11px] font-bold uppercase tracking-widest text-gray-500">
+            Theme presets{presets ? ` · ${presets.length}` : ''}
+          </h3>
+          {!presets && !error && <Loader2 size={12} className="animate-spin text-gray-400" />}
+        </div>
+        <button
+          onClick={onClose}
+          className="p-1 ml-1 rounded-lg text-gray-400 hover:bg-gray-100 dark:hover:bg-gray-800 transition-colors"
+          title="Close"
+          aria-label="Close"
+        >
+          <X size={14} />
+        </button>
+      </div>
+
+      {error && <p className="text-xs text-red-500">{error}</p>}
+
+      {presets && (
+        <div className="flex flex-wrap gap-1.5">
+          {presets.map(p => (
+            <button
+              key={p.id}
+              onClick={() => select(p)}
+              className={clsx(
+                'px-2 py-1 rounded-lg text-[10px] font-bold transition-colors',
+                selected === p.id ? 'bg-blue-600 text-white' : 'bg-[#f5f5f7] dark:bg-[#2d2d2f] text-gray-500 hover:bg-gray-200'
+              )}
+              title={p.description}
+            >
+              {p.name}
+              {!p.builtin && <span className="opacity-60"> · custom</span>}
+              {p.overridden && <span className="opacity-60"> · edited</span>}
+            </button>
+          ))}
+          <button
+            onClick={() => select(null)}
+            className={clsx(
+              'flex items-center gap-1 px-2 py-1 rounded-lg text-[10px] font-bold transition-colors',
+              selected === null ? 'bg-blue-600 text-white' : 'bg-[#f5f5f7] dark:bg-[#2d2d2f] text-gray-500 hover:bg-gray-200'
+            )}
+          >
+            <Plus size={10} /> New
+          </button>
+        </div>
+      )}
+
+      <div className="grid grid-cols-2 sm:grid-cols-4 gap-3">
+        <label className={labelClass}>
+          <span>Name{selected ? ` (${selected})` : ''}</span>
+          <input value={draft.name} onChange={e => set({ name: e.target.value })} className={inputClass} placeholder="Ocean" />
+        </label>
+        <label className={clsx(labelClass, 'col-span-1 sm:col-span-3')}>
+          <span>Description (shown to the idea generator)</span>
+          <input value={draft.description} onChange={e => set({ description: e.target.value })} className={inputClass} placeholder="teal, calm" />
+        </label>
+        <RangeField label="Hue" value={draft.baseHue} min={0} max={360} onChange={baseHue => set({ baseHue })} />
+        <RangeField label="Saturation %" value={draft.saturation} min={0} max={100} onChange={saturation => set({ saturation })} />
+        <RangeField label="Lightness %" value={draft.lightness} min={5} max={95} onChange={lightness => set({ lightness })} />
+        <label className={labelClass}>
+          <span>Secondary hue offset</span>
+          <input type="number" min={0} max={360} value={draft.analogous} onChange={e => set({ analogous: Number(e.target.value) })} className={inputClass} />
+        </label>
+        <label className={labelClass}>
+          <span>Display font</span>
+          <select value={draft.tokens.display} onChange={e => setTokens({ display: e.target.value })} className={inputClass}>
+            {fonts.map(f => <option key={f} value={f}>{f}</option>)}
+          </select>
+        </label>
+        <label className={labelClass}>
+          <span>Radius px</span>
+          <input type="number" min={0} max={32} value={draft.tokens.radius} onChange={e => setTokens({ radius: Number(e.target.value) })} className={inputClass} />
+        </label>
+        <label className={labelClass}>
+          <span>Type scale</span>
+          <input type="number" min={1.05} max={1.618} step={0.005} value={draft.tokens.typeScale} onChange={e => setTokens({ typeScale: Number(e.target.value) })} className={inputClass} />
+        </label>
+        <label className={labelClass}>
+          <span>Motion ms</span>
+          <input type="number" min={0} max={1000} step={10} value={draft.tokens.motionMs} onChange={e => setTokens({ motionMs: Number(e.target.value) })} className={inputClass} />
+        </label>
+        <label className={clsx(labelClass, 'col-span-2 sm:col-span-4')}>
+          <span>Keywords (comma separated, any language)</span>
+          <input value={keywordText} onChange={e => setKeywordText(e.target.value)} className={inputClass} placeholder="sea, boat, 海" />
+        </label>
+      </div>
+
+      {preview.length > 0 && (
+        <div className="flex flex-wrap gap-3">
+          {preview.map(entry => {
+            const contrast = entry.theme?.metadata?.contrast;
+            return (
+              <div key={entry.id} data-theme={getEntryThemeId(entry)} className="p-2 rounded-xl bg-[var(--prj-surface)] border border-[var(--prj-primary)]/10 space-y-2">
+                <div className="flex gap-1">
+                  {SWATCHES.map(s => (
+                    <span key={s.label} className={clsx('w-6 h-6 rounded-md', s.v)} title={s.label} />
+                  ))}
+                </div>
+                <div className="flex items-center justify-between gap-2">
+                  <span className="px-2 py-0.5 rounded-md bg-[var(--prj-primary)] text-[var(--prj-on-primary)] text-[10px] font-bold">Button</span>
+                  <span className={clsx('text-[9px] font-bold uppercase tracking-wider', contrast?.pass === false ? 'text-orange-500' : 'text-gray-400')}>
+                    {contrast?.pass === false ? 'AA fails' : 'AA'}
+                  </span>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      <div className="flex items-center gap-2">
+        <button
+          onClick={save}
+          disabled={busy || !draft.name.trim()}
+          className="flex items-center gap-1 px-3 py-1.5 rounded-lg bg-blue-600 text-white text-[10px] font-bold uppercase tracking-wider transition-colors disabled:opacity-40"
+        >
+          <Save size={11} /> Save
+        </button>
+        {current && (!current.builtin || current.overridden) && (
+          <button
+            onClick={remove}
+            disabled={busy}
+            className="flex items-center gap-1 px-3 py-1.5 rounded-lg bg-[#f5f5f7] dark:bg-[#2d2d2f] text-gray-500 hover:text-red-500 text-[10px] font-bold uppercase tracking-wider transition-colors disabled:opacity-40"
+          >
+            {current.builtin ? <><RotateCcw size={11} /> Reset</> : <><Trash2 size={11} /> Delete</>}
+          </button>
+        )}
+        <p className="text-[10px] text-gray-400">
+          Ideas use a preset through their visual theme; new builds pick it up.
+        </p>
+      </div>
+    </div>
+  );
+};
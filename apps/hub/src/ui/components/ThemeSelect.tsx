@@ -0,0 +1,67 @@
+import React, { useEffect, useState } from 'react';
+import { clsx } from 'clsx';
+import type { ThemePreset } from '../../types/idea';
+import { fetchThemePresets } from '../../lib/api';
+
+let presetsOnce: Promise<ThemePreset[]> | null = null;
+const listeners = new Set<(list: ThemePreset[]) => void>();
+
+/** Refetch the preset list for every mounted select (after the preset editor saved). */
+export function reloadThemePresets() {
+  presetsOnce = null;
+  loadPresets().then(list => listeners.forEach(fn => fn(list)));
+}
+
+function loadPresets(): Promise<ThemePreset[]> {
+  presetsOnce ??= fetchThemePresets().then(r => r.presets).catch(() => { presetsOnce = null; return []; });
+  return presetsOnce;
+}
+
+function usePresets(): ThemePreset[] {
+  const [presets, setPresets] = useState<ThemePreset[]>([]);
+  useEffect(() => {
+    let alive = true;
+    const update = (list: ThemePreset[]) => { if (alive && list.length) setPresets(list); };
+    listeners.add(update);
+    loadPresets().then(update);
+    return () => { alive = false; listeners.delete(update); };
+  }, []);
+  return presets;
+}
+
+interface ThemeSelectProps {
+  /** Preset id, or '' / 'auto' to let the build classify the idea */
+  value: string;
+  onChange: (presetId: string) => void;
+  /** Label of the 'auto' option (the re-theme form uses it for "keep the current preset") */
+  autoLabel?: string;
+  disabled?: boolean;
+  className?: string;
+}
+
+export const ThemeSelect: React.FC<ThemeSelectProps> = ({ value, onChange, autoLabel, disabled, className }) => {
+  const presets = usePresets();
+  const id = value.toLowerCase();
+  const current = presets.find(p => p.id === id);
+  return (
+    <select
+      value={current || !presets.length ? id || 'auto' : 'auto'}
+      onChange={e => onChange(e.target.value)}
+      onClick={e => e.stopPropagation()}
+      disabled={disabled}
+      className={clsx(
+        "block rounded-lg border border-[#e5e5e7] dark:border-[#2d2d2f] bg-white dark:bg-[#1c1c1e] font-bold focus:ring-2 focus:ring-blue-500 transition-all outline-none",
+        className
+      )}
+      aria-label="Theme preset"
+      title={current?.description || (autoLabel ? 'Theme preset' : "Theme preset (Auto: chosen from the idea's keywords)")}
+    >
+      <option value="auto">{autoLabel || 'Auto theme'}</option>
+      {/* Keep the current value selectable until the list has loaded */}
+      {!presets.length && id && id !== 'auto' && <option value={id}>{id}</option>}
+      {presets.map(p => (
+        <option key={p.id} value={p.id}>{p.name}</option>
+      ))}
+    </select>
+  );
+};
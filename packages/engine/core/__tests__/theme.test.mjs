@@ -0,0 +1,168 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  PRESETS,
+  AA_TEXT,
+  CONTRAST_PAIRS,
+  generateTheme,
+  contrastRatio,
+  relativeLuminance,
+  nudgeLightness,
+  checkContrast,
+  themeToCss,
+  tailwindThemeExtend,
+} from '../theme.mjs';
+
+const white = { h: 0, s: 0, l: 100 };
+const black = { h: 0, s: 0, l: 0 };
+
+// =========================================================================
+// contrastRatio
+// =========================================================================
+describe('contrastRatio', () => {
+  it('should span 1 to 21', () => {
+    assert.equal(contrastRatio(white, white), 1);
+    assert.equal(Math.round(contrastRatio(black, white) * 100) / 100, 21);
+    assert.equal(contrastRatio(white, black), contrastRatio(black, white));
+  });
+
+  it('should match known WCAG values', () => {
+    // #777777 on white is the classic 4.48:1 near-miss
+    const gray = { h: 0, s: 0, l: 46.67 };
+    assert.equal(Math.round(contrastRatio(gray, white) * 100) / 100, 4.48);
+    // Pure red: luminance 0.2126
+    assert.equal(Math.round(relativeLuminance({ h: 0, s: 100, l: 50 }) * 10000) / 10000, 0.2126);
+  });
+});
+
+// =========================================================================
+// nudgeLightness
+// =========================================================================
+describe('nudgeLightness', () => {
+  it('should darken a color on a light background until it passes', () => {
+    const orange = { h: 30, s: 85, l: 55 };
+    assert.ok(contrastRatio(orange, white) < AA_TEXT);
+    const fixed = nudgeLightness(orange, white, AA_TEXT);
+    assert.ok(fixed.l < orange.l);
+    assert.ok(contrastRatio(fixed, white) >= AA_TEXT);
+    // One step less would still fail – the nudge is minimal
+    assert.ok(contrastRatio({ ...fixed, l: fixed.l + 1 }, white) < AA_TEXT);
+  });
+
+  it('should lighten a color on a dark background', () => {
+    const fixed = nudgeLightness({ h: 220, s: 50, l: 30 }, { h: 220, s: 20, l: 8 }, AA_TEXT);
+    assert.ok(fixed.l > 30);
+  });
+
+  it('should leave a passing color alone', () => {
+    const navy = { h: 220, s: 60, l: 25 };
+    assert.deepEqual(nudgeLightness(navy, white, AA_TEXT), navy);
+  });
+});
+
+// =========================================================================
+// generateTheme
+// =========================================================================
+describe('generateTheme', () => {
+  it('should meet AA for every preset', () => {
+    for (const presetId of Object.keys(PRESETS)) {
+      for (let i = 0; i < 40; i++) {
+        const { metadata } = generateTheme(`2026-03-0${i % 9}-seed-${i}`, presetId);
+        assert.equal(metadata.contrast.pass, true, `${presetId} #${i}: ${metadata.contrast.failing}`);
+        assert.equal(Object.keys(metadata.contrast.ratios).length, CONTRAST_PAIRS.length);
+      }
+    }
+  });
+
+  it('should record the ratios and the nudged vars', () => {
+    const theme = generateTheme('2026-03-01-test', 'vibrant');
+    const { contrast } = theme.metadata;
+    assert.equal(contrast.level, 'AA');
+    assert.ok(contrast.ratios['--on-primary/--primary'] >= AA_TEXT);
+    assert.ok(Array.isArray(contrast.adjusted));
+    // Vibrant oranges are too light for white labels as picked
+    assert.ok(contrast.adjusted.includes('--primary'));
+    assert.equal(theme.palette.colors['--on-primary'], theme.palette.onPrimary);
+    assert.equal(theme.metadata.mainColor, theme.palette.colors['--primary']);
+  });
+
+  it('should stay reproducible for a seed', () => {
+    assert.deepEqual(generateTheme('abc', 'tech'), generateTheme('abc', 'tech'));
+  });
+
+  it('should fall back to professional for Object.prototype member ids', () => {
+    const theme = generateTheme('abc', 'constructor');
+    assert.equal(theme.metadata.presetName, PRESETS.professional.name);
+    assert.deepEqual(theme.palette, generateTheme('abc', 'professional').palette);
+  });
+});
+
+// =========================================================================
+// checkContrast
+// =========================================================================
+describe('checkContrast', () => {
+  it('should list failing pairs and skip missing vars', () => {
+    const r = checkContrast({ '--primary': { h: 30, s: 85, l: 60 }, '--surface': white });
+    assert.equal(r.pass, false);
+    assert.deepEqual(r.failing, ['--primary/--surface']);
+    assert.deepEqual(Object.keys(r.ratios), ['--primary/--surface']);
+  });
+});
+
+// =========================================================================
+// Design tokens
+// =========================================================================
+describe('design tokens', () => {
+  it('should emit light and dark schemes with the same vars', () => {
+    const { tokens, metadata } = generateTheme('2026-03-01-test', 'creative');
+    assert.deepEqual(Object.keys(tokens.color.dark), Object.keys(tokens.color.light));
+    assert.notEqual(tokens.color.dark['--surface'], tokens.color.light['--surface']);
+    assert.deepEqual(metadata.contrast.dark.failing, []);
+  });
+
+  it('should follow the preset for fonts, radius, type scale and motion', () => {
+    const tech = generateTheme('x', 'tech').tokens;
+    const creative = generateTheme('x', 'creative').tokens;
+    assert.match(tech.font['--font-display'], /^ui-monospace/);
+    assert.match(creative.font['--font-display'], /serif$/);
+    assert.equal(tech.radius['--radius-md'], '4px');
+    assert.equal(creative.radius['--radius-md'], '16px');
+    assert.equal(creative.type['--font-size-lg'], '1.333rem');
+    assert.equal(tech.motion['--motion-base'], '150ms');
+  });
+
+  it('should keep CJK faces before the generic family and small text legible', () => {
+    const { font, type } = generateTheme('x', 'creative').tokens;
+    for (const stack of Object.values(font)) {
+      const names = stack.split(', ');
+      assert.ok(names.indexOf('"PingFang SC"') >= 0 || names.indexOf('"Songti SC"') >= 0, stack);
+      assert.ok(/(sans-serif|serif|monospace)$/.test(names.at(-1)));
+    }
+    assert.equal(type['--font-size-xs'], '0.75rem');
+  });
+});
+
+describe('themeToCss / tailwindThemeExtend', () => {
+  it('should render :root, the dark scheme and reduced motion', () => {
+    const theme = generateTheme('2026-03-01-test', 'nature');
+    const css = themeToCss(theme);
+    assert.match(css, /^:root \{\n {2}color-scheme: light dark;/);
+    assert.ok(css.includes(`  --primary: ${theme.palette.colors['--primary']};`));
+    assert.ok(css.includes(`    --surface: ${theme.tokens.color.dark['--surface']};`));
+    assert.match(css, /@media \(prefers-reduced-motion: reduce\) \{\n {2}:root \{\n {4}--motion-fast: 0ms;/);
+  });
+
+  it('should render only the palette for themes without tokens', () => {
+    const css = themeToCss({ palette: { colors: { '--primary': 'red' } } });
+    assert.equal(css, ':root {\n  --primary: red;\n}');
+    assert.deepEqual(tailwindThemeExtend({ palette: { colors: {} } }), {});
+  });
+
+  it('should map Tailwind names onto the token vars', () => {
+    const ext = tailwindThemeExtend(generateTheme('x', 'tech'));
+    assert.equal(ext.colors.primary.DEFAULT, 'var(--primary)');
+    assert.equal(ext.borderRadius.lg, 'var(--radius-lg)');
+    assert.deepEqual(ext.fontFamily.display, ['var(--font-display)']);
+    assert.equal(ext.transitionDuration.fast, 'var(--motion-fast)');
+  });
+});
@@ -0,0 +1,251 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import os from 'node:os';
+import { createGenerator, resolveGeneratorName, GENERATORS } from '../index.mjs';
+import { parseFileMap, resolveSafePath, writeFileMap } from '../llm_direct.mjs';
+import { buildFixtureFiles } from '../fixture.mjs';
+import { buildAiderEnv, parseAiderUsage } from '../aider.mjs';
+
+let tmp;
+
+beforeEach(async () => {
+  tmp = await fs.mkdtemp(path.join(os.tmpdir(), 'gen-test-'));
+});
+
+afterEach(async () => {
+  await fs.rm(tmp, { recursive: true, force: true });
+});
+
+// =========================================================================
+// Registry
+// =========================================================================
+describe('createGenerator', () => {
+  it('should expose aider, llm and fixture backends', () => {
+    assert.deepEqual(Object.keys(GENERATORS).sort(), ['aider', 'fixture', 'llm']);
+  });
+
+  it('should create the requested backend', () => {
+    assert.equal(createGenerator('fixture').name, 'fixture');
+    assert.equal(createGenerator('LLM', { llm: { complete: async () => '' } }).name, 'llm');
+  });
+
+  it('should throw on unknown backend', () => {
+    assert.throws(() => createGenerator('copilot'), /Unknown generator "copilot"/);
+  });
+
+  it('should fall back to env then aider', () => {
+    const prev = process.env.DAILY_APP_LAB_GENERATOR;
+    try {
+      delete process.env.DAILY_APP_LAB_GENERATOR;
+      assert.equal(resolveGeneratorName(), 'aider');
+      process.env.DAILY_APP_LAB_GENERATOR = 'fixture';
+      assert.equal(resolveGeneratorName(), 'fixture');
+      assert.equal(resolveGeneratorName('llm'), 'llm');
+    } finally {
+      if (prev === undefined) delete process.env.DAILY_APP_LAB_GENERATOR;
+      else process.env.DAILY_APP_LAB_GENERATOR = prev;
+    }
+  });
+});
+
+// =========================================================================
+// LLM direct – file map handling
+// =========================================================================
+describe('parseFileMap', () => {
+  it('should parse { files: { path: content } }', () => {
+    const r = parseFileMap('{"files":{"src/App.jsx":"export default 1","README.md":"# Hi"}}');
+    assert.equal(r.ok, true);
+    assert.deepEqual(r.files.map(f => f.path), ['src/App.jsx', 'README.md']);
+  });
+
+  it('should parse an array of { path, content }', () => {
+    const r = parseFileMap('{"files":[{"path":"a.js","content":"1"},{"path":"b.js"}]}');
+    assert.equal(r.ok, true);
+    assert.deepEqual(r.files, [{ path: 'a.js', content: '1' }]);
+  });
+
+  it('should keep code fences inside file content intact', () => {
+    const content = '# Title\n\n```bash\nnpm run dev\n```\n';
+    const r = parseFileMap(JSON.stringify({ files: { 'README.md': content } }));
+    assert.equal(r.files[0].content, content);
+  });
+
+  it('should recover JSON wrapped in prose', () => {
+    const r = parseFileMap('Here you go:\n{"files":{"index.html":"<div></div>"}}\nEnjoy');
+    assert.equal(r.ok, true);
+    assert.equal(r.files[0].path, 'index.html');
+  });
+
+  it('should fail on empty or invalid output', () => {
+    assert.equal(parseFileMap('').ok, false);
+    assert.equal(parseFileMap('{"files":{}}').ok, false);
+  });
+});
+
+describe('resolveSafePath', () => {
+  it('should resolve nested relative paths', () => {
+    assert.equal(resolveSafePath(tmp, './src/App.jsx'), path.join(tmp, 'src', 'App.jsx'));
+  });
+
+  it('should reject traversal, absolute paths and build artefacts', () => {
+    assert.throws(() => resolveSafePath(tmp, '../evil.js'), /unsafe/);
+    assert.throws(() => resolveSafePath(tmp, '/etc/passwd'), /unsafe/);
+    assert.throws(() => resolveSafePath(tmp, 'src/../../x'), /unsafe/);
+    assert.throws(() => resolveSafePath(tmp, 'node_modules/x/index.js'), /artefact/);
+    assert.throws(() => resolveSafePath(tmp, 'dist/index.html'), /artefact/);
+  });
+});
+
+describe('llm generator', () => {
+  it('should write the returned file map into outDir', async () => {
+    const prompts = [];
+    const llm = {
+      async complete(prompt, opts) {
+        prompts.push({ prompt, opts });
+        return JSON.stringify({ files: { 'package.json': '{}', 'src/main.js': 'console.log(1)' } });
+      },
+    };
+    const gen = createGenerator('llm', { llm });
+    const logFile = path.join(tmp, 'gen.log');
+    const res = await gen.generate({ outDir: tmp, prompt: 'Build a timer', specPath: null, logFile, idea: null, theme: null });
+
+    assert.deepEqual(res.files, ['package.json', 'src/main.js']);
+    assert.equal(await fs.readFile(path.join(tmp, 'src', 'main.js'), 'utf8'), 'console.log(1)');
+    assert.ok(prompts[0].prompt.includes('Build a timer'));
+    assert.match(prompts[0].opts.systemPrompt, /"files"/);
+  });
+
+  it('should report the token usage passed to onUsage', async () => {
+    const llm = {
+      async complete(_prompt, opts) {
+        opts.onUsage({ inputTokens: 900, outputTokens: 300, totalTokens: 1200, calls: 1, model: 'gpt-test' });
+        return JSON.stringify({ files: { 'a.js': '1' } });
+      },
+    };
+    const gen = createGenerator('llm', { llm, model: 'gpt-test' });
+    const res = await gen.generate({ outDir: tmp, prompt: 'x', specPath: null, logFile: path.join(tmp, 'gen.log') });
+    assert.deepEqual(res.usage, { inputTokens: 900, outputTokens: 300, totalTokens: 1200, calls: 1 });
+    assert.equal(gen.model, 'gpt-test');
+  });
+
+  it('should write nothing when any path is unsafe', async () => {
+    const llm = { complete: async () => JSON.stringify({ files: { 'ok.js': '1', '../escape.js': '2' } }) };
+    const gen = createGenerator('llm', { llm });
+    await assert.rejects(
+      gen.generate({ outDir: tmp, prompt: 'x', logFile: path.join(tmp, 'gen.log') }),
+      /unsafe/,
+    );
+    await assert.rejects(fs.access(path.join(tmp, 'ok.js')));
+  });
+
+  it('should throw when the model returns no file map', async () => {
+    const llm = { complete: async () => 'Sorry, I cannot help with that.' };
+    const gen = createGenerator('llm', { llm });
+    await assert.rejects(
+      gen.generate({ outDir: tmp, prompt: 'x', logFile: path.join(tmp, 'gen.log') }),
+      /no usable file map/,
+    );
+  });
+
+  it('writeFileMap should return posix relative paths', async () => {
+    const written = await writeFileMap(tmp, [{ path: 'src/a/b.js', content: '' }]);
+    assert.deepEqual(written, ['src/a/b.js']);
+  });
+});
+
+// =========================================================================
+// Fixture
+// =========================================================================
+describe('fixture generator', () => {
+  const idea = { id: 'idea_1', title: 'Focus Timer', scenario: 'A freelancer tracks deep work blocks.' };
+  const theme = { palette: { colors: { '--primary': 'hsl(10, 50%, 40%)' } } };
+
+  it('should be deterministic for the same input', () => {
+    assert.deepEqual(buildFixtureFiles({ idea, theme }), buildFixtureFiles({ idea, theme }));
+  });
+
+  it('should include scenario section and theme variables', () => {
+    const files = buildFixtureFiles({ idea, theme });
+    assert.match(files['README.md'], /## Scenario\n\nA freelancer tracks deep work blocks\./);
+    assert.match(files['src/style.css'], /--primary: hsl\(10, 50%, 40%\);/);
+    assert.equal(JSON.parse(files['package.json']).scripts.build, 'vite build');
+  });
+
+  it('should write all files to outDir', async () => {
+    const gen = createGenerator('fixture');
+    const res = await gen.generate({ outDir: tmp, idea, theme, logFile: path.join(tmp, 'gen.log') });
+    for (const f of res.files) {
+      await fs.access(path.join(tmp, f));
+    }
+  });
+});
+
+// =========================================================================
+// Aider
+// =========================================================================
+describe('aider generator', () => {
+  it('should invoke aider in outDir with the spec and prompt', async () => {
+    const calls = [];
+    const gen = createGenerator('aider', {
+      runCommand: async (cmd, args, opts) => { calls.push({ cmd, args, opts }); return { code: 0 }; },
+      getAzureConfig: async () => null,
+      bin: 'aider-test',
+      model: 'gpt-test',
+    });
+    await gen.generate({ outDir: tmp, prompt: 'Build it', specPath: '/spec.md', logFile: path.join(tmp, 'gen.log') });
+
+    assert.equal(calls.length, 1);
+    assert.equal(calls[0].cmd, 'aider-test');
+    assert.equal(calls[0].opts.cwd, tmp);
+    assert.deepEqual(calls[0].args.slice(0, 2), ['--model', 'azure/gpt-test']);
+    assert.equal(calls[0].args[calls[0].args.indexOf('--read') + 1], '/spec.md');
+    assert.equal(calls[0].args.at(-1), 'Build it');
+    assert.equal(calls[0].args.includes('--file'), false);
+  });
+
+  it('should add the project sources as editable files outside create mode', async () => {
+    await fs.mkdir(path.join(tmp, 'src'), { recursive: true });
+    await fs.mkdir(path.join(tmp, 'node_modules', 'x'), { recursive: true });
+    await fs.writeFile(path.join(tmp, 'src', 'App.jsx'), 'export default 1;');
+    await fs.writeFile(path.join(tmp, 'index.html'), '<div id="root"></div>');
+    await fs.writeFile(path.join(tmp, 'DAILY_SPEC.md'), '# Spec');
+    await fs.writeFile(path.join(tmp, 'package-lock.json'), '{}');
+    await fs.writeFile(path.join(tmp, 'node_modules', 'x', 'index.js'), '');
+    await fs.writeFile(path.join(tmp, 'logo.png'), '');
+
+    const calls = [];
+    const gen = createGenerator('aider', {
+      runCommand: async (cmd, args) => { calls.push(args); return { code: 0 }; },
+      getAzureConfig: async () => null,
+      model: 'gpt-test',
+    });
+    await gen.generate({ outDir: tmp, prompt: 'Fix it', specPath: path.join(tmp, 'DAILY_SPEC.md'), logFile: path.join(tmp, 'gen.log'), mode: 'repair' });
+
+    const args = calls[0];
+    const files = args.flatMap((a, i) => (a === '--file' ? [args[i + 1]] : []));
+    assert.deepEqual(files, ['index.html', 'src/App.jsx']);
+    assert.ok(args.indexOf('--file') < args.indexOf('--message'));
+    assert.equal(args.at(-1), 'Fix it');
+  });
+
+  it('should sum the token report lines aider prints', async () => {
+    const out = 'Applied edit to src/App.jsx\nTokens: 4.2k sent, 1.1k received. Cost: $0.02 message\nTokens: 800 sent, 120 received.\n';
+    const gen = createGenerator('aider', {
+      runCommand: async () => ({ code: 0, out }),
+      getAzureConfig: async () => null,
+      model: 'gpt-test',
+    });
+    const res = await gen.generate({ outDir: tmp, prompt: 'x', specPath: '/spec.md', logFile: path.join(tmp, 'gen.log') });
+    assert.deepEqual(res.usage, { inputTokens: 5000, outputTokens: 1220, totalTokens: 6220, calls: 2 });
+    assert.equal(parseAiderUsage('no report'), null);
+  });
+
+  it('buildAiderEnv should strip the /openai/v1 suffix for AZURE_API_BASE', () => {
+    const env = buildAiderEnv({ baseUrl: 'https://x.openai.azure.com/openai/v1/', apiKey: 'k', version: 'v' });
+    assert.equal(env.AZURE_API_BASE, 'https://x.openai.azure.com');
+    assert.equal(env.OPENAI_API_BASE, 'https://x.openai.azure.com/openai/v1/');
+    assert.deepEqual(buildAiderEnv(null), {});
+  });
+});
@@ -0,0 +1,121 @@
+/**
+ * Aider Generator – delegates code generation to the `aider` CLI.
+ *
+ * Aider edits files in place inside `outDir`, reading DAILY_SPEC.md as a
+ * read-only context file. Runs with `--no-git` only see the files they are
+ * given, so repair and iterate runs add the project sources with `--file`
+ * (the same selection llm_direct puts in its prompt). Azure credentials are mapped onto the env vars
+ * aider / litellm expect.
+ *
+ * Env: DAILY_APP_LAB_AIDER_BIN (default `aider`), AZURE_OPENAI_MODEL.
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { readProjectSources } from './llm_direct.mjs';
+import { runCommand as defaultRunCommand } from '../modules/run_command.mjs';
+import { getAzureConfig as defaultGetAzureConfig } from '../modules/azure_config.mjs';
+
+/**
+ * Map an Azure config onto the env vars aider/litellm read.
+ * @param {{ baseUrl: string, apiKey: string, version: string }|null} az
+ */
+export function buildAiderEnv(az) {
+  const env = {};
+  if (!az) return env;
+
+  let cleanEndpoint = az.baseUrl;
+  if (cleanEndpoint.endsWith('/openai/v1/')) cleanEndpoint = cleanEndpoint.replace('/openai/v1/', '');
+  if (cleanEndpoint.endsWith('/openai/v1')) cleanEndpoint = cleanEndpoint.replace('/openai/v1', '');
+
+  env.OPENAI_API_BASE = az.baseUrl; // Keep for openai-compatible calls
+  env.OPENAI_API_KEY = az.apiKey;
+  env.OPENAI_API_TYPE = 'azure'; // Explicitly set for aider/litellm
+
+  env.AZURE_API_BASE = cleanEndpoint;
+  env.AZURE_API_KEY = az.apiKey;
+  env.AZURE_API_VERSION = az.version;
+  env.AZURE_OPENAI_API_KEY = az.apiKey;
+  env.AZURE_OPENAI_ENDPOINT = cleanEndpoint;
+  env.AZURE_OPENAI_API_VERSION = az.version;
+  return env;
+}
+
+const TOKENS_RE = /Tokens:\s*([\d.]+)([kM]?)\s*sent,\s*([\d.]+)([kM]?)\s*received/g;
+const scale = (n, unit) => Math.round(Number(n) * (unit === 'k' ? 1e3 : unit === 'M' ? 1e6 : 1));
+
+/**
+ * Sum aider's per-message "Tokens: 4.2k sent, 1.1k received." report lines.
+ * Counts are rounded as aider prints them.
+ * @returns {{ inputTokens: number, outputTokens: number, totalTokens: number, calls: number }|null}
+ */
+export function parseAiderUsage(text) {
+  let inputTokens = 0;
+  let outputTokens = 0;
+  let calls = 0;
+  for (const m of String(text || '').matchAll(TOKENS_RE)) {
+    inputTokens += scale(m[1], m[2]);
+    outputTokens += scale(m[3], m[4]);
+    calls++;
+  }
+  return calls ? { inputTokens, outputTokens, totalTokens: inputTokens + outputTokens, calls } : null;
+}
+
+/**
+ * @param {object} [deps]
+ * @param {Function} [deps.runCommand]
+ * @param {Function} [deps.getAzureConfig]
+ * @param {string}   [deps.bin]   – aider executable
+ * @param {string}   [deps.model] – model id (prefixed with `azure/` when bare)
+ */
+export function createAiderGenerator(deps = {}) {
+  const runCommand = deps.runCommand || defaultRunCommand;
+  const getAzureConfig = deps.getAzureConfig || defaultGetAzureConfig;
+  const bin = deps.bin || process.env.DAILY_APP_LAB_AIDER_BIN || 'aider';
+  const model = deps.model || process.env.AZURE_OPENAI_MODEL || 'gpt-5.2';
+
+  return {
+    name: 'aider',
+    model,
+
+    async generate({ outDir, prompt, specPath, logFile, mode = 'create' }) {
+      const az = await getAzureConfig();
+      const env = buildAiderEnv(az);
+      if (az) {
+        await fs.appendFile(logFile, `Using Azure AI config for Aider. Endpoint: ${env.AZURE_API_BASE}\n`).catch(()=>{});
+      }
+
+      const modelArg = model.includes('/') ? model : `azure/${model}`;
+      // The spec is passed read-only; never hand it to aider as an editable file
+      const sources = mode === 'create' ? [] : (await readProjectSources(outDir))
+        .map(f => f.path)
+        .filter(rel => !specPath || path.resolve(outDir, rel) !== path.resolve(specPath));
+      if (sources.length) {
+        await fs.appendFile(logFile, `Aider ${mode}: ${sources.length} source file(s) in the chat\n`).catch(()=>{});
+      }
+
+      let result;
+      try {
+        result = await runCommand(bin, [
+          '--model', modelArg,
+          '--no-git',
+          '--read', specPath, // Ensure SPEC is visible to Aider!
+          '--yes-always',
+          '--no-auto-commits',
+          '--no-suggest-shell-commands',
+          '--no-attribute-author',
+          '--no-attribute-committer',
+          ...sources.flatMap(rel => ['--file', rel]),
+          '--message', prompt,
+        ], { cwd: outDir, logFile, env });
+      } catch (e) {
+        await fs.appendFile(logFile, `\nAIDER_FAILED: ${String(e?.message || e)}\n`).catch(()=>{});
+        // If Aider failed, do NOT silently scaffold a template (would create "empty project").
+        // Instead, fail this generation so backlog can move on.
+        throw e;
+      }
+
+      return { files: null, usage: parseAiderUsage(result?.out) };
+    },
+  };
+}
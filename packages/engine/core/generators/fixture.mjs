@@ -0,0 +1,170 @@
+/**
+ * Fixture Generator – deterministic canned Vite app, no LLM involved.
+ *
+ * Used to exercise the rest of the build pipeline (install → build →
+ * manifest → backlog) in tests and offline smoke runs. The app follows the
+ * DAILY_SPEC basics: theme CSS variables, README `## Scenario`, localStorage
+ * state, Copy/Export and a global error guard. For the `single-html`
+ * template it writes one self-contained index.html instead of a Vite app.
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+function escapeHtml(s) {
+  return String(s || '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+const BASE_CSS = [
+  'body { margin: 0; font-family: system-ui, sans-serif; background: var(--surface, #fafafa); }',
+  'main { max-width: 40rem; margin: 3rem auto; padding: 1.5rem; }',
+  'button { background: var(--primary); color: #fff; border: 0; border-radius: 0.5rem; padding: 0.5rem 1rem; }',
+];
+
+/** Counter app body shared by both layouts; renders into `#${mountId}`. */
+function appScript({ appTitle, storageKey, mountId }) {
+  return [
+    `const STORAGE_KEY = ${JSON.stringify(storageKey)};`,
+    '',
+    "window.addEventListener('error', (e) => console.error('[fixture]', e.message));",
+    '',
+    'const state = JSON.parse(localStorage.getItem(STORAGE_KEY) || \'{"count":0}\');',
+    '',
+    'function render() {',
+    `  document.getElementById('${mountId}').innerHTML = \``,
+    '    <main>',
+    `      <h1>${escapeHtml(appTitle)}</h1>`,
+    '      <p>Count: ${state.count}</p>',
+    '      <button id="inc">+1</button>',
+    '      <button id="copy">Copy</button>',
+    '    </main>`;',
+    "  document.getElementById('inc').onclick = () => {",
+    '    state.count += 1;',
+    '    localStorage.setItem(STORAGE_KEY, JSON.stringify(state));',
+    '    render();',
+    '  };',
+    "  document.getElementById('copy').onclick = () => navigator.clipboard?.writeText(JSON.stringify(state));",
+    '}',
+    '',
+    'render();',
+  ];
+}
+
+/**
+ * Build the canned file map for an idea/theme pair.
+ * @param {{ idea?: object|null, theme?: object|null, title?: string, scenario?: string, template?: string, lang?: string }} input
+ * @returns {Record<string, string>}
+ */
+export function buildFixtureFiles({ idea = null, theme = null, title, scenario, template, lang = 'en' } = {}) {
+  const appTitle = title || idea?.title || 'Fixture App';
+  const appScenario = scenario ?? idea?.scenario ?? '';
+  const colors = theme?.palette?.colors || { '--primary': 'hsl(220, 70%, 50%)' };
+  const storageKey = `fixture:${idea?.id || 'app'}`;
+
+  const cssVars = Object.entries(colors).map(([k, v]) => `  ${k}: ${v};`).join('\n');
+
+  const readme = [
+    `# ${appTitle}`,
+    '',
+    '## Scenario',
+    '',
+    appScenario || 'Fixture build for pipeline testing.',
+    '',
+  ].join('\n');
+
+  if (template === 'single-html') {
+    return {
+      'index.html': [
+        '<!doctype html>',
+        `<html lang="${escapeHtml(lang)}">`,
+        '  <head>',
+        '    <meta charset="UTF-8" />',
+        '    <meta name="viewport" content="width=device-width, initial-scale=1.0" />',
+        `    <title>${escapeHtml(appTitle)}</title>`,
+        '    <style>',
+        ':root {',
+        cssVars,
+        '}',
+        ...BASE_CSS,
+        '    </style>',
+        '  </head>',
+        '  <body>',
+        '    <div id="app"></div>',
+        '    <script>',
+        ...appScript({ appTitle, storageKey, mountId: 'app' }),
+        '    </script>',
+        '  </body>',
+        '</html>',
+        '',
+      ].join('\n'),
+      'README.md': readme,
+    };
+  }
+
+  return {
+    'package.json': JSON.stringify({
+      name: 'fixture-app',
+      private: true,
+      version: '0.0.0',
+      type: 'module',
+      scripts: { dev: 'vite', build: 'vite build', preview: 'vite preview' },
+      devDependencies: { vite: '^7.0.0' },
+    }, null, 2) + '\n',
+
+    'index.html': [
+      '<!doctype html>',
+      `<html lang="${escapeHtml(lang)}">`,
+      '  <head>',
+      '    <meta charset="UTF-8" />',
+      '    <meta name="viewport" content="width=device-width, initial-scale=1.0" />',
+      `    <title>${escapeHtml(appTitle)}</title>`,
+      '  </head>',
+      '  <body>',
+      '    <div id="root"></div>',
+      '    <script type="module" src="/src/main.js"></script>',
+      '  </body>',
+      '</html>',
+      '',
+    ].join('\n'),
+
+    'src/style.css': [
+      ':root {',
+      cssVars,
+      '}',
+      '',
+      ...BASE_CSS,
+      '',
+    ].join('\n'),
+
+    'src/main.js': [
+      "import './style.css';",
+      '',
+      ...appScript({ appTitle, storageKey, mountId: 'root' }),
+      '',
+    ].join('\n'),
+
+    'README.md': readme,
+  };
+}
+
+export function createFixtureGenerator() {
+  return {
+    name: 'fixture',
+    model: null,
+
+    async generate({ outDir, idea, theme, template, lang, logFile }) {
+      const files = buildFixtureFiles({ idea, theme, template, lang });
+      for (const [rel, content] of Object.entries(files)) {
+        const abs = path.join(outDir, rel);
+        await fs.mkdir(path.dirname(abs), { recursive: true });
+        await fs.writeFile(abs, content, 'utf8');
+      }
+      await fs.appendFile(logFile, `Fixture generator wrote ${Object.keys(files).length} files\n`).catch(()=>{});
+      return { files: Object.keys(files), usage: null };
+    },
+  };
+}
@@ -0,0 +1,62 @@
+/**
+ * Generators – pluggable code generation backends for generate.mjs.
+ *
+ * Every backend implements the same contract:
+ *
+ *   {
+ *     name: string,
+ *     model: string|null,
+ *     generate({ outDir, prompt, specPath, logFile, idea, theme, template, lang, mode })
+ *       → Promise<{ files: string[]|null, usage: object|null }>
+ *   }
+ *
+ * `mode` is `create` (default), `repair` or `iterate`. In repair mode `prompt`
+ * carries the failing build output, in iterate mode a follow-up instruction
+ * for a finished app; both edit the existing files. `template` is the id of
+ * the app stack (core/templates) and `lang` the output language (BCP 47);
+ * the prompt already asks for both.
+ *
+ * `files` lists the relative paths written (null when the backend cannot tell,
+ * e.g. aider edits in place). `usage` is `{ inputTokens, outputTokens,
+ * totalTokens, calls }` when the backend can report it. `generate` throws on
+ * failure.
+ *
+ * Selection: `--generator <name>` CLI flag, else DAILY_APP_LAB_GENERATOR,
+ * else `aider`.
+ */
+
+import { createAiderGenerator } from './aider.mjs';
+import { createLlmDirectGenerator } from './llm_direct.mjs';
+import { createFixtureGenerator } from './fixture.mjs';
+
+export const GENERATORS = Object.freeze({
+  aider: createAiderGenerator,
+  llm: createLlmDirectGenerator,
+  fixture: createFixtureGenerator,
+});
+
+export const DEFAULT_GENERATOR = 'aider';
+
+/**
+ * Resolve the backend name from an explicit value or the environment.
+ * @param {string} [name]
+ * @returns {string}
+ */
+export function resolveGeneratorName(name) {
+  return String(name || process.env.DAILY_APP_LAB_GENERATOR || DEFAULT_GENERATOR).trim().toLowerCase();
+}
+
+/**
+ * @param {string} [name] – aider | llm | fixture
+ * @param {object} [deps] – forwarded to the backend factory (runCommand, llm, …)
+ */
+export function createGenerator(name, deps = {}) {
+  const id = resolveGeneratorName(name);
+  const factory = GENERATORS[id];
+  if (!factory) {
+    throw new Error(`Unknown generator "${id}". Available: ${Object.keys(GENERATORS).join(', ')}`);
+  }
+  return factory(deps);
+}
+
+export { createAiderGenerator, createLlmDirectGenerator, createFixtureGenerator };
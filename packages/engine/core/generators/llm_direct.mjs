@@ -0,0 +1,183 @@
+/**
+ * LLM Direct Generator – single Responses API call returning a file map.
+ *
+ * No external coding agent: the model receives DAILY_SPEC.md plus the build
+ * prompt and must answer with JSON of the form
+ *   { "files": { "src/App.jsx": "...", "package.json": "..." } }
+ * (an array of `{ path, content }` is accepted too). Files are written under
+ * `outDir`; paths that escape it are rejected.
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { extractJsonObject } from '../../../shared/extract_json.mjs';
+import { createLlmProvider } from '../modules/research_providers.mjs';
+import { getAzureConfig as defaultGetAzureConfig } from '../modules/azure_config.mjs';
+
+const FILE_MAP_INSTRUCTIONS = [
+  'You are an expert app developer that writes complete project files.',
+  'Respond with ONLY a JSON object, no prose and no markdown fences:',
+  '{"files": {"<relative/path>": "<full file content>", ...}}',
+  'Paths are relative to the project root. Never emit node_modules/ or dist/.',
+  'When repairing an existing project, return only the files you change.',
+].join('\n');
+
+const SOURCE_EXT_RE = /\.(jsx?|tsx?|mjs|cjs|css|html|json|md|svelte|vue)$/i;
+const MAX_CONTEXT_CHARS = 60_000;
+
+// ---------------------------------------------------------------------------
+// File map parsing & writing
+// ---------------------------------------------------------------------------
+
+/**
+ * Parse raw model output into a list of files.
+ * @param {string} text
+ * @returns {{ ok: boolean, files: { path: string, content: string }[], error: string|null }}
+ */
+export function parseFileMap(text) {
+  let value = null;
+  try {
+    value = JSON.parse(String(text || '').trim());
+  } catch {
+    const r = extractJsonObject(text);
+    if (!r.ok) return { ok: false, files: [], error: r.error || 'invalid JSON' };
+    value = r.value;
+  }
+
+  const raw = value?.files ?? value;
+  let files = [];
+  if (Array.isArray(raw)) {
+    files = raw
+      .filter(f => f && typeof f.path === 'string' && typeof f.content === 'string')
+      .map(f => ({ path: f.path, content: f.content }));
+  } else if (raw && typeof raw === 'object') {
+    files = Object.entries(raw)
+      .filter(([, content]) => typeof content === 'string')
+      .map(([p, content]) => ({ path: p, content }));
+  }
+
+  if (!files.length) return { ok: false, files: [], error: 'file map is empty' };
+  return { ok: true, files, error: null };
+}
+
+/**
+ * Resolve a model-supplied relative path inside `rootDir`.
+ * Throws on absolute paths, `..` escapes and build artefact folders.
+ */
+export function resolveSafePath(rootDir, relPath) {
+  const clean = String(relPath || '').replace(/\\/g, '/').replace(/^\.\//, '');
+  if (!clean || path.isAbsolute(clean) || /^[a-zA-Z]:/.test(clean)) {
+    throw new Error(`Refusing unsafe file path: ${relPath}`);
+  }
+  const target = path.resolve(rootDir, clean);
+  const rel = path.relative(rootDir, target);
+  if (!rel || rel.startsWith('..') || path.isAbsolute(rel)) {
+    throw new Error(`Refusing unsafe file path: ${relPath}`);
+  }
+  const top = rel.split(path.sep)[0];
+  if (top === 'node_modules' || top === 'dist') {
+    throw new Error(`Refusing to write build artefact: ${relPath}`);
+  }
+  return target;
+}
+
+/**
+ * Write files under `rootDir`, validating every path before touching disk.
+ * @returns {Promise<string[]>} relative paths written
+ */
+export async function writeFileMap(rootDir, files) {
+  const targets = files.map(f => ({ ...f, abs: resolveSafePath(rootDir, f.path) }));
+  for (const f of targets) {
+    await fs.mkdir(path.dirname(f.abs), { recursive: true });
+    await fs.writeFile(f.abs, f.content, 'utf8');
+  }
+  return targets.map(f => path.relative(rootDir, f.abs).split(path.sep).join('/'));
+}
+
+/**
+ * Read the current project sources for repair prompts, capped at
+ * MAX_CONTEXT_CHARS so large lockfiles don't blow the context.
+ */
+export async function readProjectSources(rootDir) {
+  const out = [];
+  let budget = MAX_CONTEXT_CHARS;
+  async function walk(abs, rel) {
+    let entries = [];
+    try { entries = await fs.readdir(abs, { withFileTypes: true }); } catch { return; }
+    for (const ent of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+      const childRel = rel ? `${rel}/${ent.name}` : ent.name;
+      if (ent.isDirectory()) {
+        if (['node_modules', 'dist', 'versions', '.git'].includes(ent.name)) continue;
+        await walk(path.join(abs, ent.name), childRel);
+      } else if (ent.isFile() && SOURCE_EXT_RE.test(ent.name) && ent.name !== 'package-lock.json') {
+        const content = await fs.readFile(path.join(abs, ent.name), 'utf8').catch(() => null);
+        if (content === null || content.length > budget) continue;
+        budget -= content.length;
+        out.push({ path: childRel, content });
+      }
+    }
+  }
+  await walk(rootDir, '');
+  return out;
+}
+
+// ---------------------------------------------------------------------------
+// Generator
+// ---------------------------------------------------------------------------
+
+/**
+ * @param {object} [deps]
+ * @param {{ complete(prompt: string, opts?: object): Promise<string> }} [deps.llm]
+ * @param {Function} [deps.getAzureConfig]
+ * @param {string}   [deps.model]
+ */
+export function createLlmDirectGenerator(deps = {}) {
+  const getAzureConfig = deps.getAzureConfig || defaultGetAzureConfig;
+  const model = deps.model || process.env.AZURE_OPENAI_MODEL || 'gpt-5.2';
+  let llm = deps.llm || null;
+
+  async function getLlm() {
+    if (llm) return llm;
+    const az = await getAzureConfig();
+    if (!az?.apiKey || !az?.baseUrl) {
+      throw new Error('Azure OpenAI config missing: set AZURE_OPENAI_API_KEY and AZURE_OPENAI_ENDPOINT');
+    }
+    llm = createLlmProvider({ baseUrl: az.baseUrl, apiKey: az.apiKey, models: [{ id: model }] }, { model });
+    return llm;
+  }
+
+  return {
+    name: 'llm',
+    model,
+
+    async generate({ outDir, prompt, specPath, logFile, mode = 'create' }) {
+      const spec = specPath ? await fs.readFile(specPath, 'utf8').catch(() => '') : '';
+      const current = mode === 'create' ? [] : await readProjectSources(outDir);
+      const input = [
+        spec ? `# DAILY_SPEC.md\n\n${spec}` : '',
+        current.length ? `# Current files\n\n${JSON.stringify({ files: Object.fromEntries(current.map(f => [f.path, f.content])) })}` : '',
+        `# Task\n\n${prompt}`,
+      ].filter(Boolean).join('\n\n');
+
+      const client = await getLlm();
+      await fs.appendFile(logFile, `LLM direct generation via ${model}\n`).catch(()=>{});
+      let usage = null;
+      const text = await client.complete(input, {
+        systemPrompt: FILE_MAP_INSTRUCTIONS,
+        temperature: 0.4,
+        timeout: 600_000,
+        onUsage: ({ inputTokens, outputTokens, totalTokens, calls }) => { usage = { inputTokens, outputTokens, totalTokens, calls }; },
+      });
+
+      const parsed = parseFileMap(text);
+      if (!parsed.ok) {
+        await fs.appendFile(logFile, `\nLLM_OUTPUT_INVALID: ${parsed.error}\n${String(text || '').slice(0, 2000)}\n`).catch(()=>{});
+        throw new Error(`LLM generator returned no usable file map: ${parsed.error}`);
+      }
+
+      const written = await writeFileMap(outDir, parsed.files);
+      await fs.appendFile(logFile, `Wrote ${written.length} files:\n${written.map(f => `  ${f}`).join('\n')}\n`).catch(()=>{});
+      return { files: written, usage };
+    },
+  };
+}
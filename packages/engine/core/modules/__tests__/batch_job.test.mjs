@@ -14,6 +14,13 @@ import {
   upsertJob,
   findJob,
   findActiveJobsByCampaign,
+  findActiveJobsWithIdeas,
+  reconcileInterruptedJob,
+  normalizeRetryPolicy,
+  settleItemAttempt,
+  updateJobRetryPolicy,
+  nextRetryAt,
+  DEFAULT_RETRY_POLICY,
 } from '../batch_job.mjs';
 
 const fixedClock = { now: () => '2026-02-09T10:00:00.000Z' };
@@ -205,8 +212,13 @@ describe('createBatchJob', () => {
     assert.equal(j2.concurrency, 4);
   });
 
-  it('should throw if campaignId is missing', () => {
-    assert.throws(() => createBatchJob({ ideaIds: ['a'], clock: fixedClock }), /campaignId/);
+  it('should create a job over a selection without a campaign', () => {
+    const filter = { status: ['new'], keyword: 'timer', maxSimilarity: null, campaignId: null };
+    const job = createBatchJob({ ideaIds: ['a', 'b', 'a'], filter, clock: fixedClock });
+    assert.match(job.jobId, /^job_/);
+    assert.equal(job.campaignId, null);
+    assert.deepEqual(job.filter, filter);
+    assert.deepEqual(job.items.map(it => it.ideaId), ['a', 'b']);
   });
 
   it('should throw if ideaIds is empty', () => {
@@ -464,3 +476,146 @@ describe('findActiveJobsByCampaign', () => {
     assert.deepEqual(findActiveJobsByCampaign(null, 'camp_x'), []);
   });
 });
+
+// =========================================================================
+// findActiveJobsWithIdeas
+// =========================================================================
+describe('findActiveJobsWithIdeas', () => {
+  const item = (ideaId, status) => ({ ideaId, status });
+  const container = {
+    jobs: [
+      { jobId: 'j1', campaignId: null, status: 'running', items: [item('a', 'built'), item('b', 'running'), item('c', 'queued')] },
+      { jobId: 'j2', campaignId: 'camp_a', status: 'paused', items: [item('d', 'queued'), item('e', 'failed')] },
+      { jobId: 'j3', campaignId: null, status: 'done', items: [item('f', 'built')] },
+    ],
+  };
+
+  it('should report active jobs still building one of the ideas', () => {
+    const hits = findActiveJobsWithIdeas(container, ['b', 'c', 'd', 'x']);
+    assert.deepEqual(hits.map(h => [h.job.jobId, h.ideaIds]), [['j1', ['b', 'c']], ['j2', ['d']]]);
+  });
+
+  it('should ignore finished items and terminal jobs', () => {
+    assert.deepEqual(findActiveJobsWithIdeas(container, ['a', 'e', 'f']), []);
+    assert.deepEqual(findActiveJobsWithIdeas(null, ['a']), []);
+  });
+});
+
+// =========================================================================
+// reconcileInterruptedJob
+// =========================================================================
+describe('reconcileInterruptedJob', () => {
+  function interrupted(statuses) {
+    let job = createBatchJob({ campaignId: 'c', ideaIds: Object.keys(statuses), clock: fixedClock });
+    job = updateJobStatus(job, 'running').job;
+    for (const [id, st] of Object.entries(statuses)) {
+      if (st !== 'queued') job = updateItemStatus(job, id, 'running').job;
+      if (st === 'built') job = updateItemStatus(job, id, 'built').job;
+    }
+    return job;
+  }
+
+  it('should settle running items from what became of their builds', () => {
+    const job = interrupted({ a: 'running', b: 'running', c: 'running', d: 'queued' });
+    const findings = new Map([
+      ['a', { status: 'built', projectId: 'out-a', runId: 'run-a' }],
+      ['b', { status: 'failed', error: 'no key', category: 'missing_api_key', runId: 'run-b' }],
+    ]);
+    const r = reconcileInterruptedJob(job, findings, fixedClock);
+    assert.equal(r.changed, true);
+    assert.deepEqual([r.built, r.failed, r.requeued], [['a'], ['b'], ['c']]);
+    const byId = Object.fromEntries(r.job.items.map(it => [it.ideaId, it]));
+    assert.equal(byId.a.status, 'built');
+    assert.equal(byId.a.projectId, 'out-a');
+    assert.equal(byId.b.error, 'no key');
+    assert.equal(byId.b.attempts.length, 1);
+    assert.equal(byId.c.status, 'queued');
+    assert.equal(byId.c.startedAt, null);
+    assert.equal(r.job.status, 'paused');
+  });
+
+  it('should keep items whose build is still running', () => {
+    const job = interrupted({ a: 'built', b: 'running' });
+    const r = reconcileInterruptedJob(job, new Map([['b', { status: 'running', runId: 'run-b' }]]), fixedClock);
+    assert.deepEqual([r.built, r.failed, r.requeued, r.running], [[], [], [], ['b']]);
+    const b = r.job.items.find(it => it.ideaId === 'b');
+    assert.equal(b.status, 'running');
+    assert.equal(b.attempts?.length || 0, 0);
+    assert.equal(r.job.status, 'paused');
+  });
+
+  it('should finish a job whose last builds completed', () => {
+    const job = interrupted({ a: 'built', b: 'running' });
+    const r = reconcileInterruptedJob(job, new Map([['b', { status: 'built', projectId: 'out-b' }]]), fixedClock);
+    assert.equal(r.job.status, 'done');
+  });
+
+  it('should leave jobs that are not running alone', () => {
+    const job = updateJobStatus(interrupted({ a: 'running' }), 'paused').job;
+    const r = reconcileInterruptedJob(job, new Map(), fixedClock);
+    assert.equal(r.changed, false);
+    assert.equal(r.job, job);
+  });
+});
+
+// =========================================================================
+// Retry policy
+// =========================================================================
+describe('retry policy', () => {
+  const at = (iso) => ({ now: () => iso });
+  const T0 = '2026-02-09T10:00:00.000Z';
+
+  function runningJob(retryPolicy) {
+    let job = createBatchJob({ campaignId: 'c', ideaIds: ['a', 'b'], retryPolicy, clock: fixedClock });
+    job = updateJobStatus(job, 'running').job;
+    return updateItemStatus(job, 'a', 'running', { startedAt: T0 }).job;
+  }
+
+  it('should fill in and clamp a policy', () => {
+    assert.deepEqual(normalizeRetryPolicy(null), { ...DEFAULT_RETRY_POLICY, retryableCategories: [...DEFAULT_RETRY_POLICY.retryableCategories] });
+    const p = normalizeRetryPolicy({ maxAttempts: 99, backoffMs: -5, retryableCategories: ['timeout', 'bogus', 'timeout'] });
+    assert.deepEqual(p, { maxAttempts: 5, backoffMs: 0, retryableCategories: ['timeout'] });
+  });
+
+  it('should queue a retryable failure with backoff and keep every attempt', () => {
+    let job = runningJob({ maxAttempts: 3, backoffMs: 60000 });
+    let r = settleItemAttempt(job, 'a', { ok: false, error: 'tsc', category: 'typescript_error', runId: 'r1' }, at(T0));
+    assert.equal(r.ok, true);
+    assert.equal(r.retryAt, '2026-02-09T10:01:00.000Z');
+    job = r.job;
+    const a = job.items[0];
+    assert.equal(a.status, 'queued');
+    assert.equal(a.error, 'tsc');
+    assert.deepEqual(a.attempts.map(x => [x.attempt, x.status, x.runId]), [[1, 'failed', 'r1']]);
+
+    // Not due yet: the next item goes first
+    assert.equal(nextQueuedItem(job, '2026-02-09T10:00:30.000Z').ideaId, 'b');
+    assert.equal(nextRetryAt(job), '2026-02-09T10:01:00.000Z');
+
+    job = updateItemStatus(job, 'a', 'running').job;
+    r = settleItemAttempt(job, 'a', { ok: false, error: 'tsc again', category: 'typescript_error' }, at('2026-02-09T10:05:00.000Z'));
+    assert.equal(r.retryAt, '2026-02-09T10:07:00.000Z');
+    job = updateItemStatus(r.job, 'a', 'running').job;
+    r = settleItemAttempt(job, 'a', { ok: true, projectId: 'out-a', runId: 'r3' }, at(T0));
+    assert.equal(r.job.items[0].status, 'built');
+    assert.equal(r.job.items[0].projectId, 'out-a');
+    assert.deepEqual(r.job.items[0].attempts.map(x => x.status), ['failed', 'failed', 'built']);
+  });
+
+  it('should stop at maxAttempts and on non-retryable categories', () => {
+    let r = settleItemAttempt(runningJob({ maxAttempts: 1 }), 'a', { ok: false, category: 'timeout' }, at(T0));
+    assert.equal(r.job.items[0].status, 'failed');
+    r = settleItemAttempt(runningJob({ maxAttempts: 3 }), 'a', { ok: false, category: 'missing_api_key' }, at(T0));
+    assert.equal(r.job.items[0].status, 'failed');
+    assert.equal(r.retryAt, null);
+  });
+
+  it('should only change the policy of a paused job', () => {
+    const job = runningJob();
+    assert.match(updateJobRetryPolicy(job, { maxAttempts: 4 }).error, /only change while a job is paused/);
+    const r = updateJobRetryPolicy(updateJobStatus(job, 'paused').job, { maxAttempts: 4 });
+    assert.equal(r.ok, true);
+    assert.equal(r.job.retryPolicy.maxAttempts, 4);
+    assert.equal(r.job.retryPolicy.backoffMs, DEFAULT_RETRY_POLICY.backoffMs);
+  });
+});
@@ -0,0 +1,133 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import os from 'node:os';
+import {
+  BUILD_STAGES,
+  createCheckpoint,
+  normalizeCheckpoint,
+  markStageComplete,
+  markStageFailed,
+  resumeStageFor,
+  shouldRunStage,
+  beginResume,
+  writeCheckpoint,
+  quarantineOutput,
+  restoreQuarantined,
+  listFailedBuilds,
+} from '../build_checkpoint.mjs';
+
+const fixedClock = { now: () => '2026-02-09T10:00:00.000Z' };
+const idea = { id: 'idea_1', title: 'Focus Timer' };
+
+// =========================================================================
+// Pure checkpoint state
+// =========================================================================
+describe('createCheckpoint', () => {
+  it('should start with no completed stages', () => {
+    const cp = createCheckpoint({ outId: 'o1', runId: 'r1', idea, presetId: 'tech', generator: 'aider' }, fixedClock);
+    assert.deepEqual(cp.completedStages, []);
+    assert.equal(cp.ideaId, 'idea_1');
+    assert.equal(cp.title, 'Focus Timer');
+    assert.equal(cp.createdAt, fixedClock.now());
+    assert.equal(resumeStageFor(cp), 'coding');
+  });
+});
+
+describe('markStageComplete', () => {
+  it('should keep stages in pipeline order and be idempotent', () => {
+    let cp = createCheckpoint({ outId: 'o1', runId: 'r1', idea }, fixedClock);
+    cp = markStageComplete(cp, 'installing', fixedClock);
+    cp = markStageComplete(cp, 'coding', fixedClock);
+    cp = markStageComplete(cp, 'coding', fixedClock);
+    assert.deepEqual(cp.completedStages, ['coding', 'installing']);
+    assert.equal(resumeStageFor(cp), 'building');
+    assert.equal(shouldRunStage(cp, 'coding'), false);
+    assert.equal(shouldRunStage(cp, 'building'), true);
+  });
+
+  it('should ignore unknown stages and not mutate input', () => {
+    const cp = createCheckpoint({ outId: 'o1', runId: 'r1', idea }, fixedClock);
+    const next = markStageComplete(cp, 'deploying', fixedClock);
+    assert.equal(next, cp);
+    markStageComplete(cp, 'coding', fixedClock);
+    assert.deepEqual(cp.completedStages, []);
+  });
+
+  it('resumeStageFor should be null once every stage completed', () => {
+    let cp = createCheckpoint({ outId: 'o1', runId: 'r1', idea }, fixedClock);
+    for (const s of BUILD_STAGES) cp = markStageComplete(cp, s, fixedClock);
+    assert.equal(resumeStageFor(cp), null);
+  });
+});
+
+describe('markStageFailed / beginResume', () => {
+  it('should record the failed stage and clear it on resume', () => {
+    let cp = createCheckpoint({ outId: 'o1', runId: 'r1', idea }, fixedClock);
+    cp = markStageFailed(cp, 'installing', new Error('ERESOLVE'), fixedClock);
+    assert.equal(cp.failedStage, 'installing');
+    assert.match(cp.error, /ERESOLVE/);
+
+    const resumed = beginResume(cp, 'r2', fixedClock);
+    assert.equal(resumed.runId, 'r2');
+    assert.equal(resumed.failedStage, null);
+    assert.equal(resumed.resumes, 1);
+  });
+});
+
+describe('normalizeCheckpoint', () => {
+  it('should reject garbage and sanitize stages', () => {
+    assert.equal(normalizeCheckpoint(null), null);
+    assert.equal(normalizeCheckpoint({}), null);
+    const cp = normalizeCheckpoint({ outId: 'o', completedStages: ['building', 'bogus', 'coding'], failedStage: 'x' });
+    assert.deepEqual(cp.completedStages, ['coding', 'building']);
+    assert.equal(cp.failedStage, null);
+    assert.equal(cp.resumes, 0);
+  });
+});
+
+// =========================================================================
+// Quarantine
+// =========================================================================
+describe('quarantineOutput / restoreQuarantined / listFailedBuilds', () => {
+  it('should move outputs into _failed and back', async () => {
+    const outputs = await fs.mkdtemp(path.join(os.tmpdir(), 'quarantine-'));
+    try {
+      const dir = path.join(outputs, '2026-02-09-a');
+      await fs.mkdir(dir, { recursive: true });
+      const cp = markStageFailed(createCheckpoint({ outId: '2026-02-09-a', runId: 'r1', idea }, fixedClock), 'coding', 'boom', fixedClock);
+      await writeCheckpoint(dir, cp);
+
+      const dest = await quarantineOutput(outputs, '2026-02-09-a');
+      assert.equal(dest, path.join(outputs, '_failed', '2026-02-09-a'));
+      await assert.rejects(fs.access(dir));
+
+      const list = await listFailedBuilds(outputs);
+      assert.equal(list.length, 1);
+      assert.equal(list[0].resumeStage, 'coding');
+
+      await restoreQuarantined(outputs, '2026-02-09-a');
+      await fs.access(path.join(dir, 'checkpoint.json'));
+      assert.deepEqual(await listFailedBuilds(outputs), []);
+    } finally {
+      await fs.rm(outputs, { recursive: true, force: true });
+    }
+  });
+
+  it('should keep only the newest entries', async () => {
+    const outputs = await fs.mkdtemp(path.join(os.tmpdir(), 'quarantine-'));
+    try {
+      for (const [i, ts] of ['2026-02-01T00:00:00Z', '2026-02-03T00:00:00Z', '2026-02-02T00:00:00Z'].entries()) {
+        const id = `2026-02-0${i + 1}-x`;
+        await fs.mkdir(path.join(outputs, id), { recursive: true });
+        await writeCheckpoint(path.join(outputs, id), createCheckpoint({ outId: id, runId: 'r', idea }, { now: () => ts }));
+        await quarantineOutput(outputs, id, { keep: 2 });
+      }
+      const ids = (await listFailedBuilds(outputs)).map(c => c.outId);
+      assert.deepEqual(ids, ['2026-02-02-x', '2026-02-03-x']);
+    } finally {
+      await fs.rm(outputs, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,145 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  FAILURE_CATEGORIES,
+  tagStage,
+  withStage,
+  classifyFailure,
+  countsAsFailure,
+  summarizeFailures,
+} from '../build_failure.mjs';
+
+// =========================================================================
+// tagStage / withStage
+// =========================================================================
+describe('tagStage / withStage', () => {
+  it('should tag errors with the stage they were thrown in', async () => {
+    await assert.rejects(
+      withStage('building', async () => { throw new Error('boom'); }),
+      (e) => e.stage === 'building' && e.message === 'boom',
+    );
+  });
+
+  it('should keep the innermost stage when nested', async () => {
+    await assert.rejects(
+      withStage('finalizing', () => withStage('coding', async () => { throw new Error('x'); })),
+      (e) => e.stage === 'coding',
+    );
+  });
+
+  it('should wrap non-Error values', () => {
+    const e = tagStage('plain string', 'installing');
+    assert.ok(e instanceof Error);
+    assert.equal(e.message, 'plain string');
+    assert.equal(e.stage, 'installing');
+  });
+
+  it('should pass results through', async () => {
+    assert.equal(await withStage('coding', async () => 42), 42);
+  });
+});
+
+// =========================================================================
+// classifyFailure
+// =========================================================================
+describe('classifyFailure', () => {
+  const cases = [
+    ['llm_token_limit', "LLM Error (400): {\"error\":{\"code\":\"context_length_exceeded\"}}"],
+    ['llm_token_limit', 'litellm.ContextWindowExceededError: This model\'s maximum context length is 128000 tokens'],
+    ['llm_content_filter', 'LLM Error (400): {"error":{"code":"content_filter","innererror":{"code":"ResponsibleAIPolicyViolation"}}}'],
+    ['missing_api_key', 'Azure OpenAI config missing: set AZURE_OPENAI_ENDPOINT'],
+    ['missing_api_key', 'litellm.AuthenticationError: AzureException - Access denied due to invalid subscription key'],
+    ['npm_eresolve', 'npm ERR! code ERESOLVE\nnpm ERR! ERESOLVE unable to resolve dependency tree'],
+    ['typescript_error', "src/App.tsx(12,5): error TS2322: Type 'string' is not assignable to type 'number'."],
+    ['vite_build_error', 'error during build:\nsrc/App.jsx (4:7): "Chart" is not exported by "src/chart.js"'],
+    ['vite_build_error', '[vite]: Rollup failed to resolve import "recharts" from "src/App.jsx".'],
+    ['timeout', 'request to https://x.openai.azure.com failed, reason: connect ETIMEDOUT'],
+    ['timeout', 'AbortError: This operation was aborted'],
+    ['aborted', 'npm run build -- --base ./ killed by SIGTERM'],
+    ['smoke_test', 'Smoke test failed: nothing rendered into #root within 5000ms'],
+  ];
+
+  for (const [category, log] of cases) {
+    it(`should classify ${category}: ${log.split('\n')[0].slice(0, 50)}`, () => {
+      const r = classifyFailure({ log, stage: 'building' });
+      assert.equal(r.category, category);
+      assert.equal(r.label, FAILURE_CATEGORIES[category]);
+      assert.equal(r.stage, 'building');
+      assert.ok(r.evidence);
+    });
+  }
+
+  it('should prefer the root cause over later generic build errors', () => {
+    const log = [
+      'Azure OpenAI config missing: set AZURE_OPENAI_API_KEY',
+      'npm run build -- --base ./ exited 1',
+      'error during build:',
+    ].join('\n');
+    assert.equal(classifyFailure({ log }).category, 'missing_api_key');
+  });
+
+  it('should look at the error message as well as the log', () => {
+    const r = classifyFailure({ message: 'npm install killed by SIGTERM', log: 'added 120 packages' });
+    assert.equal(r.category, 'aborted');
+    assert.equal(r.evidence, 'npm install killed by SIGTERM');
+  });
+
+  it('should prefer the error message over older lines in the log', () => {
+    const r = classifyFailure({
+      message: 'npm run build -- --base ./ exited 1\nerror during build:',
+      log: 'Smoke test failed: nothing rendered into #root within 5000ms',
+    });
+    assert.equal(r.category, 'vite_build_error');
+  });
+
+  it('should not treat benign mentions of timeouts as timeouts', () => {
+    assert.equal(classifyFailure({ log: 'src/timer.js: setTimeout(tick, 1000)' }).category, 'unknown');
+  });
+
+  it('should fall back to unknown with no evidence', () => {
+    assert.deepEqual(classifyFailure({ message: 'something odd', stage: 'coding' }), {
+      category: 'unknown', label: 'Unknown', evidence: null, stage: 'coding',
+    });
+    assert.equal(classifyFailure().category, 'unknown');
+  });
+});
+
+describe('countsAsFailure', () => {
+  it('should not count aborted runs against the idea', () => {
+    assert.equal(countsAsFailure('aborted'), false);
+    assert.equal(countsAsFailure('vite_build_error'), true);
+  });
+});
+
+// =========================================================================
+// summarizeFailures
+// =========================================================================
+describe('summarizeFailures', () => {
+  const events = [
+    { event: 'build.start', ts: '2026-03-01T09:00:00.000Z' },
+    { event: 'build.failed', ts: '2026-03-01T10:00:00.000Z', ideaId: 'a', category: 'vite_build_error', failedStage: 'building', categoryEvidence: 'error during build:' },
+    { event: 'build.failed', ts: '2026-03-02T10:00:00.000Z', ideaId: 'b', category: 'vite_build_error', failedStage: 'building' },
+    { event: 'build.failed', ts: '2026-03-03T10:00:00.000Z', ideaId: 'c', category: 'npm_eresolve', failedStage: 'installing' },
+    { event: 'build.failed', ts: '2026-03-04T10:00:00.000Z', ideaId: 'd' },
+  ];
+
+  it('should count failures by category (most frequent first) and stage', () => {
+    const s = summarizeFailures(events);
+    assert.equal(s.total, 4);
+    assert.deepEqual(s.byCategory.map(c => [c.category, c.count]), [
+      ['vite_build_error', 2], ['npm_eresolve', 1], ['unknown', 1],
+    ]);
+    assert.equal(s.byCategory[0].label, 'Vite build error');
+    assert.deepEqual(s.byStage, { building: 2, installing: 1, unknown: 1 });
+  });
+
+  it('should list recent failures newest first', () => {
+    const s = summarizeFailures(events, { recent: 2 });
+    assert.deepEqual(s.recent.map(r => r.ideaId), ['d', 'c']);
+    assert.equal(s.recent[0].category, 'unknown');
+  });
+
+  it('should handle no events', () => {
+    assert.deepEqual(summarizeFailures([]), { total: 0, byCategory: [], byStage: {}, recent: [] });
+  });
+});
@@ -0,0 +1,116 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import os from 'node:os';
+import {
+  BUILD_META_FILE,
+  createStageTimer,
+  mergeUsage,
+  createBuildMetadata,
+  measureOutput,
+  writeBuildMetadata,
+  readBuildMetadata,
+} from '../build_metadata.mjs';
+
+const clock = { now: () => '2026-03-01T10:00:00.000Z' };
+
+// =========================================================================
+// createStageTimer
+// =========================================================================
+describe('createStageTimer', () => {
+  it('should accumulate time per stage across rounds', () => {
+    let t = 0;
+    const timer = createStageTimer({ coding: 500 }, () => t);
+    timer.start('building'); t += 100; timer.stop('building');
+    timer.start('building'); t += 50; timer.stop('building');
+    timer.start('coding'); t += 10; timer.stop('coding');
+    assert.deepEqual(timer.durations(), { coding: 510, building: 150 });
+  });
+
+  it('should ignore stop without start', () => {
+    const timer = createStageTimer({}, () => 0);
+    timer.stop('installing');
+    assert.deepEqual(timer.durations(), {});
+  });
+});
+
+// =========================================================================
+// mergeUsage
+// =========================================================================
+describe('mergeUsage', () => {
+  it('should sum token counts and calls', () => {
+    const a = { inputTokens: 100, outputTokens: 20, totalTokens: 120, calls: 1 };
+    const b = { inputTokens: 50, outputTokens: 5, totalTokens: 55, calls: 1 };
+    assert.deepEqual(mergeUsage(a, b), { inputTokens: 150, outputTokens: 25, totalTokens: 175, calls: 2 });
+  });
+
+  it('should treat null as unknown', () => {
+    const a = { inputTokens: 1, outputTokens: 1, totalTokens: 2, calls: 1 };
+    assert.deepEqual(mergeUsage(null, a), a);
+    assert.deepEqual(mergeUsage(a, null), a);
+    assert.equal(mergeUsage(null, null), null);
+  });
+});
+
+// =========================================================================
+// createBuildMetadata
+// =========================================================================
+describe('createBuildMetadata', () => {
+  const idea = {
+    id: 'idea_1', title: 'Focus Board', campaignId: 'camp_1', topicTag: 'focus',
+    output: 'A kanban for deep work.', coreInteractions: ['Drag a card', 'Start a timer'],
+  };
+
+  it('should link the output to its idea and campaign', () => {
+    const meta = createBuildMetadata({
+      outId: '2026-03-01-extra-1000', runId: 'run_1', idea, title: idea.title, scenario: 'A freelancer plans.',
+      generator: 'llm', model: 'gpt-test', language: 'en', themePreset: 'calm',
+      stageDurations: { coding: 1000.4, building: 200.6 }, fileCount: 7, bundleBytes: 2048,
+    }, clock);
+    assert.equal(meta.ideaId, 'idea_1');
+    assert.equal(meta.campaignId, 'camp_1');
+    assert.equal(meta.topicTag, 'focus');
+    assert.equal(meta.desc, 'A kanban for deep work.');
+    assert.equal(meta.workflow, '- Drag a card\n- Start a timer');
+    assert.deepEqual(meta.stageDurations, { coding: 1000, building: 201 });
+    assert.equal(meta.totalDurationMs, 1201);
+    assert.equal(meta.builtAt, clock.now());
+  });
+
+  it('should leave unknown fields null without an idea', () => {
+    const meta = createBuildMetadata({ outId: 'x', runId: 'r', title: 'T', generator: 'fixture', language: 'zh-CN' }, clock);
+    assert.equal(meta.ideaId, null);
+    assert.equal(meta.campaignId, null);
+    assert.equal(meta.workflow, null);
+    assert.equal(meta.usage, null);
+    assert.equal(meta.totalDurationMs, 0);
+  });
+});
+
+// =========================================================================
+// Filesystem helpers
+// =========================================================================
+describe('build.json on disk', () => {
+  it('should measure sources and dist, then round-trip the file', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'build-meta-'));
+    try {
+      await fs.mkdir(path.join(dir, 'src'));
+      await fs.mkdir(path.join(dir, 'dist', 'assets'), { recursive: true });
+      await fs.writeFile(path.join(dir, 'src', 'App.jsx'), 'export default 1;');
+      await fs.writeFile(path.join(dir, 'package.json'), '{}');
+      await fs.writeFile(path.join(dir, 'dist', 'index.html'), '12345');
+      await fs.writeFile(path.join(dir, 'dist', 'assets', 'index.js'), '123');
+
+      assert.deepEqual(await measureOutput(dir), { fileCount: 2, bundleBytes: 8 });
+
+      assert.equal(await readBuildMetadata(dir), null);
+      const meta = createBuildMetadata({ outId: 'o', runId: 'r', title: 'T', generator: 'fixture', language: 'en' }, clock);
+      await writeBuildMetadata(dir, meta);
+      await fs.access(path.join(dir, BUILD_META_FILE));
+      assert.deepEqual(await readBuildMetadata(dir), meta);
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,253 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  normalizeBuildQueue,
+  enqueueBuild,
+  pendingEntries,
+  activeEntriesFrom,
+  nextEntry,
+  hasFreeSlot,
+  updateEntryStatus,
+  setPaused,
+  touchHeartbeat,
+  isHubAlive,
+  pruneFinished,
+  averageBuildMs,
+  estimateStartTimes,
+  activeEntryForOutput,
+  generateArgs,
+  buildTimeoutMs,
+  markTimedOut,
+  settlement,
+  DEFAULT_BUILD_TIMEOUT_MS,
+  REPAIR_ROUND_TIMEOUT_MS,
+} from '../build_queue.mjs';
+
+const clockAt = (iso) => ({ now: () => iso });
+const T0 = '2026-03-01T10:00:00.000Z';
+const clock = clockAt(T0);
+
+function queueOf(...inputs) {
+  let q = normalizeBuildQueue(null);
+  for (const input of inputs) q = enqueueBuild(q, input, clock).queue;
+  return q;
+}
+
+// =========================================================================
+// Ordering
+// =========================================================================
+describe('enqueueBuild / pendingEntries', () => {
+  it('should order by source priority, then first in first out', () => {
+    const q = queueOf(
+      { ideaId: 'idle-1', source: 'idle' },
+      { ideaId: 'batch-1', source: 'batch', jobId: 'job_1' },
+      { ideaId: 'manual-1', source: 'manual' },
+      { ideaId: 'batch-2', source: 'batch', jobId: 'job_1' },
+      { ideaId: 'manual-2', source: 'manual' },
+    );
+    assert.deepEqual(pendingEntries(q).map(e => e.ideaId), ['manual-1', 'manual-2', 'batch-1', 'batch-2', 'idle-1']);
+    assert.equal(nextEntry(q).ideaId, 'manual-1');
+  });
+
+  it('should not queue an idea twice but raise its priority', () => {
+    let q = queueOf({ ideaId: 'a', source: 'idle' }, { ideaId: 'b', source: 'batch' });
+    const again = enqueueBuild(q, { ideaId: 'a', source: 'manual' }, clock);
+    q = again.queue;
+    assert.equal(again.created, false);
+    assert.equal(q.entries.length, 2);
+    assert.deepEqual(pendingEntries(q).map(e => [e.ideaId, e.source]), [['a', 'manual'], ['b', 'batch']]);
+
+    const lower = enqueueBuild(q, { ideaId: 'a', source: 'idle' }, clock);
+    assert.equal(lower.entry.source, 'manual');
+  });
+
+  it('should queue the same idea in another language separately', () => {
+    const q = queueOf({ ideaId: 'a' }, { ideaId: 'a', lang: 'en' });
+    assert.equal(q.entries.length, 2);
+  });
+
+  it('should mark language variants only when a language is given', () => {
+    const q = queueOf({ ideaId: 'a', lang: 'en', langVariant: true }, { ideaId: 'b', langVariant: true }, { ideaId: 'c', lang: 'en' });
+    assert.deepEqual(q.entries.map(e => e.langVariant), [true, false, false]);
+  });
+
+  it('should list the queued and running entries of one source', () => {
+    let q = queueOf({ ideaId: 'a', source: 'idle' }, { ideaId: 'b', source: 'batch' }, { ideaId: 'c', source: 'idle' });
+    const [a, , c] = q.entries;
+    q = updateEntryStatus(q, a.entryId, 'running', {}, clock).queue;
+    q = updateEntryStatus(q, c.entryId, 'cancelled', {}, clock).queue;
+    assert.deepEqual(activeEntriesFrom(q, 'idle').map(e => [e.ideaId, e.status]), [['a', 'running']]);
+    q = updateEntryStatus(q, a.entryId, 'done', {}, clock).queue;
+    assert.deepEqual(activeEntriesFrom(q, 'idle'), []);
+  });
+
+  it('should queue one resume, iteration or re-theme per output', () => {
+    let q = queueOf({ ideaId: 'a' });
+    const first = enqueueBuild(q, { kind: 'iterate', target: 'out-1', params: { instruction: 'bigger' } }, clock);
+    assert.equal(first.created, true);
+    assert.equal(first.entry.ideaId, null);
+    q = first.queue;
+    const again = enqueueBuild(q, { kind: 'retheme', target: 'out-1' }, clock);
+    assert.equal(again.created, false);
+    assert.equal(again.entry.entryId, first.entry.entryId);
+    assert.equal(enqueueBuild(q, { kind: 'resume', target: 'out-2', ideaId: 'a' }, clock).created, true);
+    assert.equal(activeEntryForOutput(q, 'out-1').entryId, first.entry.entryId);
+    assert.equal(activeEntryForOutput(q, 'out-2'), null);
+    assert.equal(normalizeBuildQueue(q).entries.length, 2);
+    assert.throws(() => enqueueBuild(q, { kind: 'iterate' }, clock), /target is required/);
+  });
+
+  it('should map each kind to its generate.mjs arguments', () => {
+    assert.deepEqual(generateArgs({ kind: 'build', ideaId: 'a', lang: 'en', langVariant: true }), ['--idea-id', 'a', '--lang', 'en', '--lang-variant', '--json']);
+    assert.deepEqual(generateArgs({ kind: 'resume', target: 'o' }), ['--resume', 'o', '--json']);
+    assert.deepEqual(generateArgs({ kind: 'iterate', target: 'o', params: { instruction: 'x' } }), ['--iterate', 'o', '--instruction', 'x', '--json']);
+    assert.deepEqual(generateArgs({ kind: 'retheme', target: 'o', params: { preset: 'nature', seed: null } }), ['--retheme', 'o', '--preset', 'nature', '--json']);
+  });
+
+  it('should reject unknown sources', () => {
+    assert.throws(() => enqueueBuild(normalizeBuildQueue(null), { ideaId: 'a', source: 'cron' }, clock), /unknown build source/);
+  });
+});
+
+// =========================================================================
+// Status machine
+// =========================================================================
+describe('updateEntryStatus / setPaused', () => {
+  it('should move an entry through its lifecycle and refuse illegal moves', () => {
+    let q = queueOf({ ideaId: 'a' });
+    const id = q.entries[0].entryId;
+    let r = updateEntryStatus(q, id, 'running', { runId: 'run-1', startedAt: T0 }, clock);
+    assert.equal(r.ok, true);
+    q = r.queue;
+    assert.equal(nextEntry(q), null);
+    r = updateEntryStatus(q, id, 'done', { outId: 'o1' }, clock);
+    assert.equal(r.entry.outId, 'o1');
+    assert.match(updateEntryStatus(r.queue, id, 'running', {}, clock).error, /illegal entry transition: done → running/);
+    assert.match(updateEntryStatus(q, 'nope', 'done', {}, clock).error, /entry not found/);
+  });
+
+  it('should hold queued entries while paused', () => {
+    const q = setPaused(queueOf({ ideaId: 'a' }), true, clock);
+    assert.equal(nextEntry(q), null);
+    assert.equal(nextEntry(setPaused(q, false, clock)).ideaId, 'a');
+  });
+
+  it('should let an entry with more slots start beside running builds', () => {
+    let q = queueOf({ ideaId: 'a', source: 'batch', slots: 2 }, { ideaId: 'b', source: 'batch', slots: 2 }, { ideaId: 'c' });
+    q = updateEntryStatus(q, q.entries[0].entryId, 'running', {}, clock).queue;
+    const [manual, batch] = pendingEntries(q);
+    assert.equal(hasFreeSlot(q, manual), false);
+    assert.equal(hasFreeSlot(q, batch), true);
+    assert.equal(hasFreeSlot(q, manual, 2), true);
+    assert.equal(queueOf({ ideaId: 'x', slots: 99 }).entries[0].slots, 4);
+  });
+
+  it('should start a new idea build after the previous one finished', () => {
+    let q = queueOf({ ideaId: 'a' });
+    q = updateEntryStatus(q, q.entries[0].entryId, 'cancelled', {}, clock).queue;
+    const again = enqueueBuild(q, { ideaId: 'a' }, clock);
+    assert.equal(again.created, true);
+    assert.equal(again.entry.seq, 2);
+  });
+});
+
+// =========================================================================
+// Container
+// =========================================================================
+describe('normalizeBuildQueue / pruneFinished / heartbeat', () => {
+  it('should repair unknown values and keep the sequence ahead of the entries', () => {
+    const q = normalizeBuildQueue({ entries: [{ entryId: 'x', ideaId: 'a', seq: 7, source: 'cron', status: 'weird' }, { ideaId: 'no-id' }] });
+    assert.equal(q.entries.length, 1);
+    assert.equal(q.entries[0].source, 'idle');
+    assert.equal(q.entries[0].status, 'queued');
+    assert.equal(q.nextSeq, 8);
+    assert.equal(q.paused, false);
+  });
+
+  it('should keep only the newest finished entries', () => {
+    let q = queueOf({ ideaId: 'a' }, { ideaId: 'b' }, { ideaId: 'c' });
+    for (const [i, e] of q.entries.slice(0, 2).entries()) {
+      q = updateEntryStatus(q, e.entryId, 'cancelled', { finishedAt: `2026-03-01T10:0${i}:00.000Z` }, clock).queue;
+    }
+    assert.deepEqual(pruneFinished(q, 1).entries.map(e => e.ideaId), ['b', 'c']);
+  });
+
+  it('should treat a hub as alive only while its heartbeat is fresh', () => {
+    const q = touchHeartbeat(normalizeBuildQueue(null), clock);
+    assert.equal(isHubAlive(q, '2026-03-01T10:00:20.000Z'), true);
+    assert.equal(isHubAlive(q, '2026-03-01T10:01:00.000Z'), false);
+    assert.equal(isHubAlive(normalizeBuildQueue(null), T0), false);
+  });
+});
+
+// =========================================================================
+// Time limit
+// =========================================================================
+describe('buildTimeoutMs / markTimedOut / settlement', () => {
+  it('should scale the batch and idle limit with the repair budget', () => {
+    assert.equal(buildTimeoutMs({ source: 'batch' }, { env: {} }), DEFAULT_BUILD_TIMEOUT_MS);
+    assert.equal(buildTimeoutMs({ source: 'idle' }, { env: {}, repairAttempts: 2 }), DEFAULT_BUILD_TIMEOUT_MS + 2 * REPAIR_ROUND_TIMEOUT_MS);
+    assert.equal(buildTimeoutMs({ source: 'batch' }, { env: { DAILY_APP_LAB_BUILD_TIMEOUT_MS: '60000' } }), 60000);
+    assert.equal(buildTimeoutMs({ source: 'batch' }, { env: { DAILY_APP_LAB_BUILD_TIMEOUT_MS: '0' } }), null);
+  });
+
+  it('should limit manual builds only when configured', () => {
+    assert.equal(buildTimeoutMs({ source: 'manual' }, { env: {}, repairAttempts: 2 }), null);
+    assert.equal(buildTimeoutMs({ source: 'manual' }, { env: { DAILY_APP_LAB_BUILD_TIMEOUT_MS: '60000' } }), null);
+    assert.equal(buildTimeoutMs({ source: 'manual' }, { env: { DAILY_APP_LAB_MANUAL_BUILD_TIMEOUT_MS: '90000' } }), 90000);
+  });
+
+  it('should settle a build stopped at its limit as a timeout failure', () => {
+    let q = queueOf({ ideaId: 'a', source: 'batch' });
+    const id = q.entries[0].entryId;
+    assert.equal(markTimedOut(q, id, 600000, clock).ok, false);
+    q = updateEntryStatus(q, id, 'running', { startedAt: T0 }, clock).queue;
+    const entry = markTimedOut(q, id, 600000, clock).entry;
+    assert.equal(entry.stopReason, 'timeout');
+
+    assert.deepEqual(settlement(entry, 'cancelled', { outId: 'o1', error: 'killed by SIGTERM', category: 'aborted' }),
+      ['failed', { outId: 'o1', error: 'Build timed out after 10 min', category: 'timeout' }]);
+    assert.deepEqual(settlement(entry, 'done', { outId: 'o1' }), ['done', { outId: 'o1' }]);
+    assert.deepEqual(settlement(q.entries[0], 'cancelled', {}), ['cancelled', {}]);
+  });
+});
+
+// =========================================================================
+// Estimates
+// =========================================================================
+describe('averageBuildMs / estimateStartTimes', () => {
+  const MIN = 60 * 1000;
+
+  function withFinished(q, minutes) {
+    for (const m of minutes) {
+      const r = enqueueBuild(q, { ideaId: `done-${m}` }, clock);
+      q = updateEntryStatus(r.queue, r.entry.entryId, 'running', { startedAt: T0 }, clock).queue;
+      q = updateEntryStatus(q, r.entry.entryId, 'done', { finishedAt: new Date(Date.parse(T0) + m * MIN).toISOString() }, clock).queue;
+    }
+    return q;
+  }
+
+  it('should average finished builds and fall back without history', () => {
+    assert.equal(averageBuildMs(normalizeBuildQueue(null), 1234), 1234);
+    assert.equal(averageBuildMs(withFinished(normalizeBuildQueue(null), [4, 8])), 6 * MIN);
+  });
+
+  it('should chain queued entries behind the running build', () => {
+    let q = queueOf({ ideaId: 'running' }, { ideaId: 'a' }, { ideaId: 'b', source: 'idle' });
+    q = updateEntryStatus(q, q.entries[0].entryId, 'running', { startedAt: T0 }, clock).queue;
+    const now = '2026-03-01T10:02:00.000Z';
+    const est = estimateStartTimes(q, { now, avgBuildMs: 5 * MIN });
+    const [a, b] = pendingEntries(q);
+    assert.equal(est.get(a.entryId), '2026-03-01T10:05:00.000Z');
+    assert.equal(est.get(b.entryId), '2026-03-01T10:10:00.000Z');
+
+    const parallel = estimateStartTimes(q, { now, avgBuildMs: 5 * MIN, concurrency: 2 });
+    assert.equal(parallel.get(a.entryId), now);
+    assert.equal(parallel.get(b.entryId), '2026-03-01T10:05:00.000Z');
+  });
+
+  it('should not promise a start time while paused', () => {
+    const q = setPaused(queueOf({ ideaId: 'a' }), true, clock);
+    assert.equal(estimateStartTimes(q, { now: T0 }).get(q.entries[0].entryId), null);
+  });
+});
@@ -0,0 +1,108 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import os from 'node:os';
+import {
+  resolveRepairBudget,
+  extractErrorExcerpt,
+  buildRepairPrompt,
+  snapshotFiles,
+  diffSnapshots,
+  DEFAULT_REPAIR_ATTEMPTS,
+  MAX_REPAIR_ATTEMPTS,
+} from '../build_repair.mjs';
+
+// =========================================================================
+// resolveRepairBudget
+// =========================================================================
+describe('resolveRepairBudget', () => {
+  it('should default when unset or invalid', () => {
+    assert.equal(resolveRepairBudget(undefined), DEFAULT_REPAIR_ATTEMPTS);
+    assert.equal(resolveRepairBudget(''), DEFAULT_REPAIR_ATTEMPTS);
+    assert.equal(resolveRepairBudget('abc'), DEFAULT_REPAIR_ATTEMPTS);
+  });
+
+  it('should allow 0 to disable repairs', () => {
+    assert.equal(resolveRepairBudget('0'), 0);
+  });
+
+  it('should clamp to MAX_REPAIR_ATTEMPTS', () => {
+    assert.equal(resolveRepairBudget(99), MAX_REPAIR_ATTEMPTS);
+    assert.equal(resolveRepairBudget(-3), 0);
+  });
+});
+
+// =========================================================================
+// extractErrorExcerpt
+// =========================================================================
+describe('extractErrorExcerpt', () => {
+  it('should start at the first error-looking line in the tail', () => {
+    const log = [
+      'vite v7.0.0 building for production...',
+      'transforming...',
+      '✓ 12 modules transformed.',
+      'error during build:',
+      'src/App.jsx (4:7): "Chart" is not exported by "src/chart.js"',
+    ].join('\n');
+    const ex = extractErrorExcerpt(log);
+    assert.ok(ex.startsWith('error during build:'));
+    assert.ok(ex.includes('"Chart" is not exported'));
+  });
+
+  it('should strip ANSI colour codes and blank lines', () => {
+    const ex = extractErrorExcerpt('\x1b[31mERROR\x1b[39m boom\n\n\n');
+    assert.equal(ex, 'ERROR boom');
+  });
+
+  it('should respect maxLines and maxChars', () => {
+    const log = Array.from({ length: 200 }, (_, i) => `line ${i}`).join('\n');
+    assert.equal(extractErrorExcerpt(log, { maxLines: 3 }), 'line 197\nline 198\nline 199');
+    assert.equal(extractErrorExcerpt(log, { maxChars: 8 }).length, 8);
+  });
+
+  it('should handle empty input', () => {
+    assert.equal(extractErrorExcerpt(undefined), '');
+  });
+});
+
+// =========================================================================
+// buildRepairPrompt
+// =========================================================================
+describe('buildRepairPrompt', () => {
+  it('should include stage, attempt counter and the excerpt', () => {
+    const p = buildRepairPrompt({ stage: 'building', excerpt: 'TS2304: Cannot find name', attempt: 1, maxAttempts: 2 });
+    assert.ok(p.includes('"building"'));
+    assert.ok(p.includes('Repair attempt 1 of 2'));
+    assert.ok(p.includes('TS2304: Cannot find name'));
+    assert.match(p, /Fix ONLY the errors/);
+  });
+});
+
+// =========================================================================
+// snapshotFiles / diffSnapshots
+// =========================================================================
+describe('snapshotFiles / diffSnapshots', () => {
+  it('should report added, modified and removed files, skipping node_modules/dist', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'repair-snap-'));
+    try {
+      await fs.mkdir(path.join(dir, 'src'), { recursive: true });
+      await fs.mkdir(path.join(dir, 'node_modules', 'x'), { recursive: true });
+      await fs.writeFile(path.join(dir, 'src', 'App.jsx'), 'a');
+      await fs.writeFile(path.join(dir, 'old.js'), 'x');
+      await fs.writeFile(path.join(dir, 'node_modules', 'x', 'i.js'), '1');
+
+      const before = await snapshotFiles(dir);
+      assert.deepEqual([...before.keys()].sort(), ['old.js', 'src/App.jsx']);
+
+      await fs.writeFile(path.join(dir, 'src', 'App.jsx'), 'abc');
+      await fs.rm(path.join(dir, 'old.js'));
+      await fs.writeFile(path.join(dir, 'src', 'new.js'), 'n');
+
+      const diff = diffSnapshots(before, await snapshotFiles(dir));
+      assert.deepEqual(diff, { added: ['src/new.js'], modified: ['src/App.jsx'], removed: ['old.js'] });
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,216 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import os from 'node:os';
+import {
+  DEFAULT_DEPENDENCY_POLICY,
+  resolveDependencyPolicyOptions,
+  mergeDependencyPolicy,
+  evaluateDependencyPolicy,
+  formatPolicyViolations,
+  loadDependencyPolicy,
+  enforceDependencyPolicy,
+  mergePolicyReports,
+} from '../dependency_policy.mjs';
+
+const strip = { ...DEFAULT_DEPENDENCY_POLICY };
+const reject = { ...DEFAULT_DEPENDENCY_POLICY, mode: 'reject' };
+const rules = (r) => r.violations.map(v => `${v.name}:${v.rule}:${v.action}`).sort();
+
+// =========================================================================
+// Options + merging
+// =========================================================================
+describe('resolveDependencyPolicyOptions', () => {
+  it('should leave unset values to the policy file', () => {
+    assert.deepEqual(resolveDependencyPolicyOptions({}), { mode: undefined, ignoreScripts: undefined });
+    assert.deepEqual(resolveDependencyPolicyOptions({ DAILY_APP_LAB_DEP_POLICY: 'bogus' }).mode, undefined);
+  });
+
+  it('should read the mode and allow install scripts on request', () => {
+    assert.deepEqual(
+      resolveDependencyPolicyOptions({ DAILY_APP_LAB_DEP_POLICY: 'Reject', DAILY_APP_LAB_INSTALL_SCRIPTS: '1' }),
+      { mode: 'reject', ignoreScripts: false },
+    );
+    assert.equal(resolveDependencyPolicyOptions({ DAILY_APP_LAB_INSTALL_SCRIPTS: '0' }).ignoreScripts, true);
+  });
+});
+
+describe('mergeDependencyPolicy', () => {
+  it('should extend the allow and deny lists from the policy file', () => {
+    const p = mergeDependencyPolicy(DEFAULT_DEPENDENCY_POLICY, { allow: { 'left-pad': '^1.3.0', dayjs: '*' }, deny: ['@evil/*'] });
+    assert.equal(p.allow['left-pad'], '^1.3.0');
+    assert.equal(p.allow.dayjs, '*');
+    assert.equal(p.allow.react, DEFAULT_DEPENDENCY_POLICY.allow.react);
+    assert.ok(p.deny.includes('@evil/*') && p.deny.includes('electron'));
+    assert.equal(p.mode, 'strip');
+    assert.equal(p.ignoreScripts, true);
+  });
+
+  it('should accept an allow array and let env overrides win over the file', () => {
+    const p = mergeDependencyPolicy(DEFAULT_DEPENDENCY_POLICY, { allow: ['left-pad'], mode: 'off', ignoreScripts: false }, { mode: 'reject' });
+    assert.equal(p.allow['left-pad'], '*');
+    assert.equal(p.mode, 'reject');
+    assert.equal(p.ignoreScripts, false);
+  });
+});
+
+// =========================================================================
+// Evaluation
+// =========================================================================
+describe('evaluateDependencyPolicy', () => {
+  it('should pass a template-only package.json untouched', () => {
+    const pkg = { dependencies: { react: '^18.2.0', 'react-dom': '^18.2.0' }, devDependencies: { vite: '^7.1.0' } };
+    const r = evaluateDependencyPolicy(pkg, strip);
+    assert.deepEqual(r.violations, []);
+    assert.equal(r.changed, false);
+    assert.deepEqual(r.pkg, pkg);
+  });
+
+  it('should strip unknown, denied and non-registry packages', () => {
+    const pkg = {
+      dependencies: { react: '^18.3.1', 'left-pad': '^1.3.0', electron: '^30.0.0', dayjs: 'github:iamkun/dayjs' },
+      devDependencies: { puppeteer: '^22.0.0' },
+    };
+    const r = evaluateDependencyPolicy(pkg, strip);
+    assert.deepEqual(rules(r), [
+      'dayjs:source:stripped',
+      'electron:denied:stripped',
+      'left-pad:unknown:stripped',
+      'puppeteer:denied:stripped',
+    ]);
+    assert.deepEqual(r.pkg.dependencies, { react: '^18.3.1' });
+    assert.deepEqual(r.pkg.devDependencies, {});
+    assert.equal(r.changed, true);
+    assert.equal(r.rejected, false);
+    assert.ok(pkg.dependencies['left-pad'], 'input is not mutated');
+  });
+
+  it('should pin off-major and tag versions to the allowlist range', () => {
+    const r = evaluateDependencyPolicy({ dependencies: { react: '^17.0.2', 'framer-motion': 'latest', three: '^0.150.0' } }, strip);
+    assert.deepEqual(r.pkg.dependencies, { react: '^18.3.1', 'framer-motion': '^11.11.0', three: '^0.150.0' });
+    assert.deepEqual(r.violations.find(v => v.name === 'react'), {
+      name: 'react', field: 'dependencies', wanted: '^17.0.2', rule: 'version', action: 'pinned', pinnedTo: '^18.3.1',
+    });
+  });
+
+  it('should strip lifecycle scripts but keep the build scripts', () => {
+    const r = evaluateDependencyPolicy({ scripts: { build: 'vite build', postinstall: 'node evil.js', prepare: 'husky' } }, strip);
+    assert.deepEqual(rules(r), ['scripts.postinstall:lifecycle_script:stripped', 'scripts.prepare:lifecycle_script:stripped']);
+    assert.deepEqual(r.pkg.scripts, { build: 'vite build' });
+  });
+
+  it('should check peerDependencies like the other dependency fields', () => {
+    const r = evaluateDependencyPolicy({ peerDependencies: { react: '^18.0.0', 'left-pad': '^1.3.0' } }, strip);
+    assert.deepEqual(rules(r), ['left-pad:unknown:stripped']);
+    assert.deepEqual(r.pkg.peerDependencies, { react: '^18.0.0' });
+  });
+
+  it('should strip overrides, resolutions and bundled dependencies', () => {
+    const r = evaluateDependencyPolicy({
+      dependencies: { react: '^18.3.1' },
+      overrides: { react: 'https://evil.example/react.tgz' },
+      resolutions: { dayjs: 'git+https://evil.example/dayjs.git' },
+      bundleDependencies: ['react'],
+    }, strip);
+    assert.deepEqual(rules(r), ['bundleDependencies:bundled:stripped', 'overrides:override:stripped', 'resolutions:override:stripped']);
+    assert.deepEqual(r.pkg, { dependencies: { react: '^18.3.1' } });
+    assert.equal(evaluateDependencyPolicy({ overrides: { react: '18.3.1' } }, reject).rejected, true);
+  });
+
+  it('should match scoped deny patterns', () => {
+    const policy = mergeDependencyPolicy(DEFAULT_DEPENDENCY_POLICY, { allow: ['@evil/ui'], deny: ['@evil/*'] });
+    assert.deepEqual(rules(evaluateDependencyPolicy({ dependencies: { '@evil/ui': '^1.0.0' } }, policy)), ['@evil/ui:denied:stripped']);
+  });
+
+  it('should reject without touching the package in reject mode', () => {
+    const pkg = { dependencies: { react: '^17.0.0', 'left-pad': '^1.3.0' } };
+    const r = evaluateDependencyPolicy(pkg, reject);
+    assert.equal(r.rejected, true);
+    assert.equal(r.changed, false);
+    assert.deepEqual(r.pkg, pkg);
+    assert.deepEqual(rules(r), ['left-pad:unknown:rejected', 'react:version:pinned']);
+  });
+
+  it('should check nothing in off mode', () => {
+    const r = evaluateDependencyPolicy({ dependencies: { 'left-pad': '^1.3.0' } }, { ...strip, mode: 'off' });
+    assert.deepEqual(r.violations, []);
+    assert.equal(r.changed, false);
+  });
+});
+
+describe('formatPolicyViolations', () => {
+  it('should print one line per violation', () => {
+    const r = evaluateDependencyPolicy({ dependencies: { react: '^17.0.0', 'left-pad': '^1.3.0' }, scripts: { install: 'sh x.sh' } }, strip);
+    assert.deepEqual(formatPolicyViolations(r.violations), [
+      '  - react@^17.0.0: version, pinned to ^18.3.1',
+      '  - left-pad@^1.3.0: unknown, stripped',
+      '  - scripts.install ("sh x.sh"): lifecycle_script, stripped',
+    ]);
+    const o = evaluateDependencyPolicy({ overrides: { react: 'file:../x' } }, strip);
+    assert.deepEqual(formatPolicyViolations(o.violations), ['  - overrides ({"react":"file:../x"}): override, stripped']);
+  });
+});
+
+describe('mergePolicyReports', () => {
+  it('should keep violations from earlier install rounds', () => {
+    const a = { mode: 'strip', ignoreScripts: true, changed: true, violations: [{ field: 'dependencies', name: 'left-pad', rule: 'unknown', wanted: '1', action: 'stripped' }] };
+    const b = { mode: 'strip', ignoreScripts: true, changed: false, violations: [] };
+    assert.equal(mergePolicyReports(null, null), null);
+    assert.deepEqual(mergePolicyReports(null, a), { mode: 'strip', ignoreScripts: true, violations: a.violations });
+    assert.deepEqual(mergePolicyReports(a, b).violations, a.violations);
+    assert.equal(mergePolicyReports(a, a).violations.length, 1);
+  });
+});
+
+// =========================================================================
+// Filesystem helpers
+// =========================================================================
+describe('loadDependencyPolicy / enforceDependencyPolicy', () => {
+  let dir;
+  beforeEach(async () => { dir = await fs.mkdtemp(path.join(os.tmpdir(), 'dep-policy-')); });
+  afterEach(async () => { await fs.rm(dir, { recursive: true, force: true }); });
+
+  it('should fall back to the defaults when the policy file is missing', async () => {
+    const p = await loadDependencyPolicy(path.join(dir, 'missing.json'), {});
+    assert.equal(p.mode, 'strip');
+    assert.equal(p.ignoreScripts, true);
+  });
+
+  it('should read the policy file and apply env overrides', async () => {
+    const file = path.join(dir, 'dependency_policy.json');
+    await fs.writeFile(file, JSON.stringify({ allow: { 'left-pad': '^1.3.0' }, ignoreScripts: false }));
+    const p = await loadDependencyPolicy(file, { DAILY_APP_LAB_DEP_POLICY: 'reject' });
+    assert.equal(p.allow['left-pad'], '^1.3.0');
+    assert.equal(p.mode, 'reject');
+    assert.equal(p.ignoreScripts, false);
+  });
+
+  it('should rewrite package.json and drop the generated lockfile', async () => {
+    await fs.writeFile(path.join(dir, 'package.json'), JSON.stringify({ dependencies: { react: '^18.3.1', 'left-pad': '^1.3.0' } }));
+    await fs.writeFile(path.join(dir, 'package-lock.json'), '{}');
+    const r = await enforceDependencyPolicy(dir, strip);
+    assert.equal(r.changed, true);
+    assert.deepEqual(JSON.parse(await fs.readFile(path.join(dir, 'package.json'), 'utf8')).dependencies, { react: '^18.3.1' });
+    await assert.rejects(fs.access(path.join(dir, 'package-lock.json')));
+  });
+
+  it('should leave a clean package.json alone but still drop its lockfiles', async () => {
+    const pkg = JSON.stringify({ dependencies: { react: '^18.3.1' } });
+    await fs.writeFile(path.join(dir, 'package.json'), pkg);
+    await fs.writeFile(path.join(dir, 'package-lock.json'), '{}');
+    await fs.writeFile(path.join(dir, 'npm-shrinkwrap.json'), '{}');
+    const r = await enforceDependencyPolicy(dir, strip);
+    assert.deepEqual(r, { mode: 'strip', ignoreScripts: true, violations: [], changed: false, rejected: false });
+    assert.equal(await fs.readFile(path.join(dir, 'package.json'), 'utf8'), pkg);
+    await assert.rejects(fs.access(path.join(dir, 'package-lock.json')));
+    await assert.rejects(fs.access(path.join(dir, 'npm-shrinkwrap.json')));
+  });
+
+  it('should keep the lockfile when the policy is off', async () => {
+    await fs.writeFile(path.join(dir, 'package.json'), JSON.stringify({ dependencies: { react: '^18.3.1' } }));
+    await fs.writeFile(path.join(dir, 'package-lock.json'), '{}');
+    await enforceDependencyPolicy(dir, { ...strip, mode: 'off' });
+    await fs.access(path.join(dir, 'package-lock.json'));
+  });
+});
@@ -0,0 +1,72 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  normalizeIdeaFilter,
+  isEmptyIdeaFilter,
+  matchesIdeaFilter,
+  selectIdeaIds,
+} from '../idea_filter.mjs';
+
+const ideas = [
+  { id: 'a', title: 'Pomodoro Timer', hudScenario: 'Focus sessions', keywords: ['focus'], status: 'new', similarity: { score: 0.2 } },
+  { id: 'b', title: 'Tea Shop Queue', hudScenario: 'Order board', keywords: ['timer', 'shop'], status: 'backlog', campaignId: 'camp_1', similarity: { score: 0.6 } },
+  { id: 'c', title: 'Budget Planner', hudScenario: 'Monthly budget', keywords: [], status: 'implemented' },
+  { id: 'd', title: 'Split Bill', hudScenario: 'Dinner with friends', keywords: ['money'], status: 'blocked', campaignId: 'camp_1' },
+];
+
+// =========================================================================
+// normalizeIdeaFilter
+// =========================================================================
+describe('normalizeIdeaFilter', () => {
+  it('should fill nulls for a missing filter', () => {
+    assert.deepEqual(normalizeIdeaFilter(null), { status: null, keyword: null, maxSimilarity: null, campaignId: null });
+    assert.equal(isEmptyIdeaFilter(undefined), true);
+  });
+
+  it('should accept a single status or a list and drop unknown ones', () => {
+    assert.deepEqual(normalizeIdeaFilter({ status: 'NEW' }).status, ['new']);
+    assert.deepEqual(normalizeIdeaFilter({ status: ['new', 'bogus', 'new', 'blocked'] }).status, ['new', 'blocked']);
+    assert.equal(normalizeIdeaFilter({ status: ['bogus'] }).status, null);
+  });
+
+  it('should trim the keyword and parse maxSimilarity', () => {
+    const f = normalizeIdeaFilter({ keyword: '  timer ', maxSimilarity: '0.5', campaignId: ' camp_1 ', extra: 1 });
+    assert.deepEqual(f, { status: null, keyword: 'timer', maxSimilarity: 0.5, campaignId: 'camp_1' });
+    assert.equal(normalizeIdeaFilter({ maxSimilarity: 'abc' }).maxSimilarity, null);
+    assert.equal(normalizeIdeaFilter({ maxSimilarity: '' }).maxSimilarity, null);
+    assert.equal(isEmptyIdeaFilter({ keyword: 'x' }), false);
+  });
+});
+
+// =========================================================================
+// matchesIdeaFilter / selectIdeaIds
+// =========================================================================
+describe('selectIdeaIds', () => {
+  it('should select the backlog view (all but built ideas) by default', () => {
+    assert.deepEqual(selectIdeaIds(ideas, {}), ['a', 'b', 'd']);
+  });
+
+  it('should filter by status', () => {
+    assert.deepEqual(selectIdeaIds(ideas, { status: ['implemented', 'blocked'] }), ['c', 'd']);
+  });
+
+  it('should match the keyword in title, keywords or scenario', () => {
+    assert.deepEqual(selectIdeaIds(ideas, { keyword: 'TIMER' }), ['a', 'b']);
+    assert.deepEqual(selectIdeaIds(ideas, { keyword: 'friends' }), ['d']);
+  });
+
+  it('should filter by campaign and similarity score', () => {
+    assert.deepEqual(selectIdeaIds(ideas, { campaignId: 'camp_1' }), ['b', 'd']);
+    // An idea without a similarity score counts as 0
+    assert.deepEqual(selectIdeaIds(ideas, { maxSimilarity: 0.5 }), ['a', 'd']);
+  });
+
+  it('should combine fields', () => {
+    assert.deepEqual(selectIdeaIds(ideas, { campaignId: 'camp_1', keyword: 'shop' }), ['b']);
+  });
+
+  it('should tolerate bad input', () => {
+    assert.deepEqual(selectIdeaIds(null, {}), []);
+    assert.equal(matchesIdeaFilter(null, {}), false);
+  });
+});
@@ -0,0 +1,165 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import os from 'node:os';
+import {
+  OUTPUT_ID_RE,
+  slugify,
+  createOutputId,
+  allocateOutputDir,
+  isLegacyOutputId,
+  migratedOutputId,
+  rewriteOutputLink,
+  migrateLegacyOutputIds,
+} from '../output_id.mjs';
+
+const DAY = new Date(2026, 2, 1, 10, 30);
+
+// =========================================================================
+// Ids
+// =========================================================================
+describe('slugify / createOutputId', () => {
+  it('should fold accents, drop punctuation and cap the length', () => {
+    assert.equal(slugify('  Café Timer: Focus & Flow! '), 'cafe-timer-focus-flow');
+    assert.equal(slugify('a'.repeat(60)).length, 40);
+    assert.equal(slugify('Word '.repeat(20)).endsWith('-'), false);
+  });
+
+  it('should fall back to "app" for titles without latin letters or digits', () => {
+    assert.equal(slugify('番茄钟看板'), 'app');
+    assert.equal(slugify(''), 'app');
+    assert.equal(slugify('番茄钟 2.0'), '2-0');
+  });
+
+  it('should start with the local date and match OUTPUT_ID_RE', () => {
+    const id = createOutputId({ title: 'Pomodoro Board', date: DAY, suffix: 'abc123' });
+    assert.equal(id, '2026-03-01-pomodoro-board-abc123');
+    assert.match(id, OUTPUT_ID_RE);
+    assert.match(createOutputId({ title: 'X' }), /^\d{4}-\d{2}-\d{2}-x-[0-9a-f]{6}$/);
+  });
+});
+
+describe('allocateOutputDir', () => {
+  let dir;
+  beforeEach(async () => { dir = await fs.mkdtemp(path.join(os.tmpdir(), 'output-id-')); });
+  afterEach(async () => { await fs.rm(dir, { recursive: true, force: true }); });
+
+  it('should create the folder and draw a new suffix on a clash', async () => {
+    const suffixes = ['aaaaaa', 'aaaaaa', 'bbbbbb'];
+    const suffix = () => suffixes.shift();
+    const first = await allocateOutputDir(dir, { title: 'Same', date: DAY }, { suffix });
+    const second = await allocateOutputDir(dir, { title: 'Same', date: DAY }, { suffix });
+    assert.equal(first.outId, '2026-03-01-same-aaaaaa');
+    assert.equal(second.outId, '2026-03-01-same-bbbbbb');
+    assert.ok((await fs.stat(second.outDir)).isDirectory());
+  });
+
+  it('should give concurrent builds of the same minute their own folders', async () => {
+    const results = await Promise.all([1, 2, 3, 4].map(() => allocateOutputDir(dir, { title: 'Batch', date: DAY })));
+    assert.equal(new Set(results.map(r => r.outId)).size, 4);
+  });
+
+  it('should give up after repeated clashes', async () => {
+    await allocateOutputDir(dir, { title: 'Same', date: DAY }, { suffix: () => 'cccccc' });
+    await assert.rejects(
+      allocateOutputDir(dir, { title: 'Same', date: DAY }, { suffix: () => 'cccccc' }),
+      /Could not allocate a unique output id/,
+    );
+  });
+});
+
+// =========================================================================
+// Migration
+// =========================================================================
+describe('migratedOutputId / rewriteOutputLink', () => {
+  it('should keep the date, add the slug and reuse HHMM as the suffix', () => {
+    assert.equal(isLegacyOutputId('2026-02-03-extra-1234'), true);
+    assert.equal(isLegacyOutputId('2026-02-03-focus-board-3f9a1c'), false);
+    assert.equal(migratedOutputId('2026-02-03-extra-1234', 'Focus Board'), '2026-02-03-focus-board-1234');
+    assert.equal(migratedOutputId('2026-02-03-focus-board-3f9a1c', 'x'), null);
+  });
+
+  it('should only rewrite renamed id segments', () => {
+    const renames = new Map([['2026-02-03-extra-1234', '2026-02-03-focus-board-1234']]);
+    assert.equal(rewriteOutputLink('/2026-02-03-extra-1234/dist/index.html', renames), '/2026-02-03-focus-board-1234/dist/index.html');
+    assert.equal(rewriteOutputLink('/2026-02-03-extra-9999/dist/index.html', renames), '/2026-02-03-extra-9999/dist/index.html');
+    assert.equal(rewriteOutputLink(undefined, renames), undefined);
+  });
+});
+
+describe('migrateLegacyOutputIds', () => {
+  let root;
+  let outputsDir;
+  let runtimeDir;
+  const read = async (...p) => JSON.parse(await fs.readFile(path.join(root, ...p), 'utf8'));
+
+  beforeEach(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'output-id-migrate-'));
+    outputsDir = path.join(root, 'outputs');
+    runtimeDir = path.join(root, 'runtime');
+    const legacy = path.join(outputsDir, '2026-02-03-extra-1234');
+    await fs.mkdir(path.join(legacy, 'dist'), { recursive: true });
+    await fs.writeFile(path.join(legacy, 'build.json'), JSON.stringify({ outId: '2026-02-03-extra-1234', title: 'Focus Board' }));
+    const readmeOnly = path.join(outputsDir, '2026-02-03-extra-1300');
+    await fs.mkdir(readmeOnly, { recursive: true });
+    await fs.writeFile(path.join(readmeOnly, 'README.md'), '# Habit Grid\n\nTrack habits.\n');
+    await fs.mkdir(path.join(outputsDir, '2026-02-04-new-style-abcdef'), { recursive: true });
+    await fs.mkdir(path.join(outputsDir, '_failed', '2026-02-02-extra-0900'), { recursive: true });
+
+    await fs.mkdir(path.join(runtimeDir, 'data'), { recursive: true });
+    await fs.writeFile(path.join(runtimeDir, 'data', 'idea_backlog.json'), JSON.stringify({
+      ideas: [
+        { id: 'i1', status: 'implemented', link: '/2026-02-03-extra-1234/dist/index.html' },
+        { id: 'i2', status: 'new' },
+      ],
+    }));
+    await fs.writeFile(path.join(runtimeDir, 'data', 'manifest.json'), JSON.stringify({
+      items: [{ id: '2026-02-03-extra-1234', title: 'Focus Board', path: '/2026-02-03-extra-1234/dist/index.html' }],
+    }));
+    await fs.mkdir(path.join(runtimeDir, 'feedback'), { recursive: true });
+    await fs.writeFile(path.join(runtimeDir, 'feedback', '2026-02-03-extra-1234.json'), JSON.stringify({ date: '2026-02-03-extra-1234', rating: 4 }));
+    await fs.mkdir(path.join(runtimeDir, 'logs'), { recursive: true });
+    await fs.writeFile(path.join(runtimeDir, 'logs', '2026-02-03-extra-1234-generate.log'), 'log\n');
+  });
+
+  afterEach(async () => { await fs.rm(root, { recursive: true, force: true }); });
+
+  it('should only report the renames on a dry run', async () => {
+    const { renames } = await migrateLegacyOutputIds({ outputsDir, runtimeDir }, { dryRun: true });
+    assert.deepEqual(renames.map(r => [r.from, r.to]), [
+      ['2026-02-03-extra-1234', '2026-02-03-focus-board-1234'],
+      ['2026-02-03-extra-1300', '2026-02-03-habit-grid-1300'],
+    ]);
+    await fs.access(path.join(outputsDir, '2026-02-03-extra-1234'));
+    await assert.rejects(fs.access(path.join(runtimeDir, 'data', 'output_id_migration.json')));
+  });
+
+  it('should rename the folders and keep links, manifest, feedback and logs valid', async () => {
+    await migrateLegacyOutputIds({ outputsDir, runtimeDir });
+
+    const names = (await fs.readdir(outputsDir)).sort();
+    assert.deepEqual(names, ['2026-02-03-focus-board-1234', '2026-02-03-habit-grid-1300', '2026-02-04-new-style-abcdef', '_failed']);
+    assert.equal((await read('outputs', '2026-02-03-focus-board-1234', 'build.json')).outId, '2026-02-03-focus-board-1234');
+
+    const backlog = await read('runtime', 'data', 'idea_backlog.json');
+    assert.equal(backlog.ideas[0].link, '/2026-02-03-focus-board-1234/dist/index.html');
+    assert.equal(backlog.ideas[1].link, undefined);
+    const manifest = await read('runtime', 'data', 'manifest.json');
+    assert.deepEqual(manifest.items[0], { id: '2026-02-03-focus-board-1234', title: 'Focus Board', path: '/2026-02-03-focus-board-1234/dist/index.html' });
+
+    assert.equal((await read('runtime', 'feedback', '2026-02-03-focus-board-1234.json')).date, '2026-02-03-focus-board-1234');
+    await assert.rejects(fs.access(path.join(runtimeDir, 'feedback', '2026-02-03-extra-1234.json')));
+    await fs.access(path.join(runtimeDir, 'logs', '2026-02-03-focus-board-1234-generate.log'));
+    await fs.access(path.join(outputsDir, '_failed', '2026-02-02-extra-0900'));
+
+    const log = await read('runtime', 'data', 'output_id_migration.json');
+    assert.equal(log.runs[0].renames.length, 2);
+  });
+
+  it('should be a no-op the second time', async () => {
+    await migrateLegacyOutputIds({ outputsDir, runtimeDir });
+    const again = await migrateLegacyOutputIds({ outputsDir, runtimeDir });
+    assert.deepEqual(again, { renames: [], skipped: [] });
+  });
+});
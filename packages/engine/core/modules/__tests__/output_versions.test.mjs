@@ -0,0 +1,136 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import os from 'node:os';
+import {
+  VERSIONS_DIR,
+  normalizeVersionIndex,
+  nextVersionNumber,
+  buildIteratePrompt,
+  countLineChanges,
+  diffFileMaps,
+  readVersions,
+  ensureBaseVersion,
+  snapshotVersion,
+  restoreVersion,
+  diffVersions,
+} from '../output_versions.mjs';
+
+const clock = { now: () => '2026-03-01T10:00:00.000Z' };
+
+// =========================================================================
+// Pure helpers
+// =========================================================================
+describe('normalizeVersionIndex / nextVersionNumber', () => {
+  it('should sort versions, drop invalid ones and default current to the latest', () => {
+    const idx = normalizeVersionIndex({ versions: [{ version: 2 }, { version: 'x' }, { version: 1 }] });
+    assert.deepEqual(idx.versions.map(v => v.version), [1, 2]);
+    assert.equal(idx.current, 2);
+    assert.equal(nextVersionNumber(idx), 3);
+  });
+
+  it('should keep an explicit current version', () => {
+    assert.equal(normalizeVersionIndex({ current: 1, versions: [{ version: 1 }, { version: 2 }] }).current, 1);
+    assert.equal(nextVersionNumber(null), 1);
+  });
+});
+
+describe('buildIteratePrompt', () => {
+  it('should carry the instruction and the target version', () => {
+    const p = buildIteratePrompt({ instruction: '  add CSV export ', title: 'Focus Board', scenario: 'Plan work.', version: 3 });
+    assert.match(p, /"Focus Board"/);
+    assert.match(p, /version 3/);
+    assert.match(p, /Requested change:\nadd CSV export\n/);
+    assert.match(p, /Scenario: Plan work\./);
+  });
+
+  it('should keep the app language only when it is known', () => {
+    const p = buildIteratePrompt({ instruction: 'x', title: 'T', version: 2, lang: 'en' });
+    assert.match(p, /Keep ALL UI text and README\.md in en\./);
+    assert.doesNotMatch(buildIteratePrompt({ instruction: 'x', title: 'T', version: 2 }), /Keep ALL UI text/);
+  });
+});
+
+describe('countLineChanges / diffFileMaps', () => {
+  it('should count added and removed lines', () => {
+    assert.deepEqual(countLineChanges('a\nb\nc', 'a\nc\nd\ne'), { added: 2, removed: 1 });
+    assert.deepEqual(countLineChanges('same', 'same'), { added: 0, removed: 0 });
+  });
+
+  it('should list added, removed and modified files', () => {
+    const before = new Map([['README.md', '# A'], ['src/App.jsx', 'x\ny'], ['old.js', '1\n2']]);
+    const after = new Map([['README.md', '# A'], ['src/App.jsx', 'x\nz'], ['src/csv.js', 'export {}']]);
+    assert.deepEqual(diffFileMaps(before, after), {
+      added: [{ path: 'src/csv.js', added: 1, removed: 0 }],
+      removed: [{ path: 'old.js', added: 0, removed: 2 }],
+      modified: [{ path: 'src/App.jsx', added: 1, removed: 1 }],
+    });
+  });
+});
+
+// =========================================================================
+// Filesystem helpers
+// =========================================================================
+describe('version snapshots', () => {
+  let dir;
+
+  const write = async (rel, content) => {
+    await fs.mkdir(path.dirname(path.join(dir, rel)), { recursive: true });
+    await fs.writeFile(path.join(dir, rel), content);
+  };
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'versions-'));
+    await write('README.md', '# App\n');
+    await write('src/App.jsx', 'export default 1;\n');
+    await write('dist/index.html', '<p>v1</p>');
+    await write('node_modules/dep/index.js', 'module.exports = 1;');
+    await write('build.json', '{"outId":"x"}');
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('should store the original build as v1 once, without node_modules', async () => {
+    assert.equal(await readVersions(dir), null);
+    const idx = await ensureBaseVersion(dir, { runId: 'run_0' }, clock);
+    assert.deepEqual(idx, { current: 1, versions: [{ version: 1, instruction: null, parent: null, runId: 'run_0', createdAt: clock.now() }] });
+    await fs.access(path.join(dir, VERSIONS_DIR, 'v1', 'dist', 'index.html'));
+    await assert.rejects(fs.access(path.join(dir, VERSIONS_DIR, 'v1', 'node_modules')));
+
+    await write('src/App.jsx', 'changed');
+    await ensureBaseVersion(dir, {}, clock);
+    assert.equal(await fs.readFile(path.join(dir, VERSIONS_DIR, 'v1', 'src', 'App.jsx'), 'utf8'), 'export default 1;\n');
+  });
+
+  it('should diff two versions and roll the root back to an older one', async () => {
+    await ensureBaseVersion(dir, {}, clock);
+    await write('src/App.jsx', 'export default 2;\n');
+    await write('src/csv.js', 'export const toCsv = () => "";\n');
+    await write('dist/index.html', '<p>v2</p>');
+    await write('build.json', '{"outId":"x","appVersion":2}');
+    const idx = await snapshotVersion(dir, { version: 2, instruction: 'add CSV export', parent: 1, runId: 'run_1' }, clock);
+    assert.equal(idx.current, 2);
+    assert.equal(idx.versions[1].instruction, 'add CSV export');
+
+    const diff = await diffVersions(dir, 1, 2);
+    assert.deepEqual(diff.added.map(c => c.path), ['src/csv.js']);
+    assert.deepEqual(diff.modified.map(c => c.path), ['src/App.jsx']);
+    assert.deepEqual(diff.removed, []);
+
+    const restored = await restoreVersion(dir, 1);
+    assert.equal(restored.current, 1);
+    assert.equal(await fs.readFile(path.join(dir, 'dist', 'index.html'), 'utf8'), '<p>v1</p>');
+    await assert.rejects(fs.access(path.join(dir, 'src', 'csv.js')));
+    await fs.access(path.join(dir, 'node_modules', 'dep', 'index.js'));
+    await fs.access(path.join(dir, VERSIONS_DIR, 'v2', 'src', 'csv.js'));
+  });
+
+  it('should reject unknown versions', async () => {
+    await ensureBaseVersion(dir, {}, clock);
+    await assert.rejects(restoreVersion(dir, 5), /Unknown version: v5/);
+    await assert.rejects(diffVersions(dir, 1, 2), /Unknown version: v2/);
+  });
+});
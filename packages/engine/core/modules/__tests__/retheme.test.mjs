@@ -0,0 +1,83 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  themeReplacements,
+  rethemeText,
+  rethemeInstruction,
+} from '../retheme.mjs';
+import { generateTheme, themeToCss } from '../../theme.mjs';
+
+const oldTheme = generateTheme('seed-a', 'tech');
+const newTheme = generateTheme('seed-b', 'nature');
+
+// =========================================================================
+// rethemeText
+// =========================================================================
+describe('rethemeText', () => {
+  it('should turn the old theme CSS into the new one', () => {
+    const r = rethemeText(themeToCss(oldTheme), themeReplacements(oldTheme, newTheme));
+    assert.equal(r.text, themeToCss(newTheme));
+    assert.ok(r.count > 0);
+  });
+
+  it('should use dark values inside the prefers-color-scheme block', () => {
+    const repl = {
+      byVar: new Map([['--on-primary', [
+        { from: '#fff', to: '#fefefe', scheme: 'light' },
+        { from: '#fff', to: '#111', scheme: 'dark' },
+      ]]]),
+      literals: new Map(),
+    };
+    const css = ':root { --on-primary: #fff; }\n@media (prefers-color-scheme: dark) { :root { --on-primary: #fff; } }';
+    assert.equal(
+      rethemeText(css, repl).text,
+      ':root { --on-primary: #fefefe; }\n@media (prefers-color-scheme: dark) { :root { --on-primary: #111; } }',
+    );
+  });
+
+  it('should leave the reduced-motion block and hand-edited values alone', () => {
+    const repl = {
+      byVar: new Map([['--motion-base', [{ from: '200ms', to: '260ms', scheme: 'light' }]], ['--primary', [{ from: '#123', to: '#456', scheme: 'light' }]]]),
+      literals: new Map([['#123', '#456']]),
+    };
+    const css = ':root { --motion-base: 200ms; --primary: #abc; }\n@media (prefers-reduced-motion: reduce) { :root { --motion-base: 200ms; } }';
+    const r = rethemeText(css, repl);
+    assert.equal(r.text, ':root { --motion-base: 260ms; --primary: #abc; }\n@media (prefers-reduced-motion: reduce) { :root { --motion-base: 200ms; } }');
+    assert.equal(r.count, 1);
+  });
+
+  it('should swap color literals outside declarations', () => {
+    const repl = { byVar: new Map(), literals: new Map([['#123456', '#654321']]) };
+    const r = rethemeText("colors: { brand: '#123456' }", repl);
+    assert.equal(r.text, "colors: { brand: '#654321' }");
+    assert.equal(r.count, 1);
+  });
+});
+
+// =========================================================================
+// themeReplacements
+// =========================================================================
+describe('themeReplacements', () => {
+  const theme = (light, dark) => ({
+    palette: { colors: { '--primary': light } },
+    tokens: { color: { light: { '--on-primary': light }, dark: { '--on-primary': dark } } },
+  });
+
+  it('should drop literals that map to more than one new color', () => {
+    const { byVar, literals } = themeReplacements(theme('#ffffff', '#ffffff'), theme('#eeeeee', '#111111'));
+    assert.equal(literals.has('#ffffff'), false);
+    assert.deepEqual(byVar.get('--on-primary').map(p => p.to), ['#eeeeee', '#111111']);
+  });
+
+  it('should keep unchanged values as pairs but not as literals', () => {
+    const { byVar, literals } = themeReplacements(theme('#ffffff', '#000000'), theme('#ffffff', '#222222'));
+    assert.deepEqual(byVar.get('--primary'), [{ from: '#ffffff', to: '#ffffff', scheme: 'light' }]);
+    assert.deepEqual([...literals], [['#000000', '#222222']]);
+  });
+});
+
+describe('rethemeInstruction', () => {
+  it('should name the preset and seed', () => {
+    assert.equal(rethemeInstruction({ presetId: 'nature', presetName: 'Nature', seed: 's1' }), 'Re-theme: Nature preset (nature), seed "s1"');
+  });
+});
@@ -0,0 +1,26 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { successResult, failureResult, parseRunResult } from '../run_result.mjs';
+
+describe('run_result', () => {
+  it('should report an aborted run separately from a failed one', () => {
+    const aborted = Object.assign(new Error('killed by SIGTERM'), { runId: 'run-1', outId: 'o', category: 'aborted' });
+    assert.equal(failureResult(aborted).status, 'aborted');
+    const failed = failureResult(new Error('boom'));
+    assert.deepEqual(failed, { ok: false, status: 'failed', runId: null, outId: null, ideaId: null, category: 'unknown', error: 'boom' });
+  });
+
+  it('should take the last result line and ignore build output', () => {
+    const first = successResult({ runId: 'run-1', outId: '2026-03-01-a-abc123', ideaId: 'i1', title: 'A' });
+    const stdout = [
+      '{"not":"a result"}',
+      JSON.stringify({ ...first, outId: 'older' }),
+      'Extra project done: /x',
+      JSON.stringify(first),
+      '',
+    ].join('\n');
+    assert.deepEqual(parseRunResult(stdout), first);
+    assert.equal(parseRunResult('Extra project done\n{broken'), null);
+    assert.equal(parseRunResult(''), null);
+  });
+});
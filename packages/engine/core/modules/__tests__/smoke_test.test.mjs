@@ -0,0 +1,136 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import os from 'node:os';
+import {
+  resolveSmokeOptions,
+  extractScripts,
+  toClassicScript,
+  runSmokeTest,
+  writeSmokeReport,
+  formatSmokeFailure,
+  DEFAULT_SMOKE_TIMEOUT_MS,
+} from '../smoke_test.mjs';
+
+const fixedClock = { now: () => '2026-03-01T00:00:00.000Z' };
+const PAGE = '<!doctype html><html><head><script type="module" crossorigin src="./assets/index.js"></script></head><body><div id="root"></div></body></html>';
+
+let tmp;
+
+async function makeDist(name, js, html = PAGE) {
+  const dir = path.join(tmp, name);
+  await fs.mkdir(path.join(dir, 'dist', 'assets'), { recursive: true });
+  await fs.writeFile(path.join(dir, 'dist', 'index.html'), html);
+  if (js !== null) await fs.writeFile(path.join(dir, 'dist', 'assets', 'index.js'), js);
+  return dir;
+}
+
+before(async () => { tmp = await fs.mkdtemp(path.join(os.tmpdir(), 'smoke-')); });
+after(async () => { await fs.rm(tmp, { recursive: true, force: true }); });
+
+// =========================================================================
+// resolveSmokeOptions
+// =========================================================================
+describe('resolveSmokeOptions', () => {
+  it('should be enabled with the default timeout unless turned off', () => {
+    assert.deepEqual(resolveSmokeOptions({}), { enabled: true, timeoutMs: DEFAULT_SMOKE_TIMEOUT_MS });
+    assert.equal(resolveSmokeOptions({ DAILY_APP_LAB_SMOKE_TEST: '0' }).enabled, false);
+    assert.equal(resolveSmokeOptions({ DAILY_APP_LAB_SMOKE_TIMEOUT_MS: '800' }).timeoutMs, 800);
+    assert.equal(resolveSmokeOptions({ DAILY_APP_LAB_SMOKE_TIMEOUT_MS: 'x' }).timeoutMs, DEFAULT_SMOKE_TIMEOUT_MS);
+  });
+});
+
+// =========================================================================
+// extractScripts / toClassicScript
+// =========================================================================
+describe('extractScripts', () => {
+  it('should pull local bundles out of the page and keep external ones', () => {
+    const html = '<script type="module" src="./assets/a.js"></script><script src="https://cdn.x/y.js"></script>';
+    const r = extractScripts(html);
+    assert.deepEqual(r.scripts, ['./assets/a.js']);
+    assert.equal(r.html, '<script src="https://cdn.x/y.js"></script>');
+  });
+});
+
+describe('toClassicScript', () => {
+  it('should rewrite import.meta and drop a trailing export list', () => {
+    const r = toClassicScript('const u = import.meta.url;export{u as a};', 'file:///x/a.js');
+    assert.equal(r.reason, null);
+    assert.equal(r.code, 'const u = ({ url: "file:///x/a.js" }).url;');
+  });
+
+  it('should refuse bundles that import other chunks', () => {
+    const r = toClassicScript('import{a as b}from"./vendor-1.js";b();', 'file:///x/a.js');
+    assert.equal(r.code, null);
+    assert.match(r.reason, /static chunk imports/);
+  });
+});
+
+// =========================================================================
+// runSmokeTest
+// =========================================================================
+describe('runSmokeTest', () => {
+  it('should pass when the root mounts with content', async () => {
+    const dir = await makeDist('ok', [
+      'setTimeout(() => {',
+      '  document.getElementById("root").innerHTML = "<main><h1>Hello</h1><canvas></canvas></main>";',
+      '  document.querySelector("canvas").getContext("2d").fillRect(0, 0, 1, 1);',
+      '  matchMedia("(prefers-color-scheme: dark)");',
+      '  localStorage.setItem("k", "v");',
+      '}, 10);',
+    ].join('\n'));
+    const r = await runSmokeTest(dir, { timeoutMs: 500, clock: fixedClock });
+    assert.equal(r.status, 'passed');
+    assert.equal(r.ok, true);
+    assert.equal(r.selector, '#root');
+    assert.equal(r.textLength, 5);
+    assert.equal(r.checkedAt, '2026-03-01T00:00:00.000Z');
+  });
+
+  it('should fail on a blank page', async () => {
+    const dir = await makeDist('blank', 'void 0;');
+    const r = await runSmokeTest(dir, { timeoutMs: 100 });
+    assert.equal(r.status, 'failed');
+    assert.match(r.reason, /nothing rendered into #root/);
+  });
+
+  it('should capture uncaught errors thrown at load and later', async () => {
+    const sync = await runSmokeTest(await makeDist('throw', 'throw new Error("boom at load");'), { timeoutMs: 100 });
+    assert.match(sync.reason, /boom at load/);
+
+    const late = await runSmokeTest(await makeDist('late', 'setTimeout(() => { null.x; }, 5);'), { timeoutMs: 300 });
+    assert.equal(late.status, 'failed');
+    assert.match(late.errors[0], /Cannot read properties of null/);
+  });
+
+  it('should fail on console.error even when something rendered', async () => {
+    const dir = await makeDist('console', 'document.getElementById("root").innerHTML = "<p>Oops</p>"; console.error("render failed", { code: 1 });');
+    const r = await runSmokeTest(dir, { timeoutMs: 100 });
+    assert.equal(r.mounted, true);
+    assert.equal(r.status, 'failed');
+    assert.deepEqual(r.consoleErrors, ['render failed {"code":1}']);
+  });
+
+  it('should fail when dist or a bundle is missing', async () => {
+    assert.match((await runSmokeTest(path.join(tmp, 'nope'))).reason, /index.html missing/);
+    assert.match((await runSmokeTest(await makeDist('nobundle', null))).reason, /script not found/);
+  });
+
+  it('should skip bundles it cannot evaluate', async () => {
+    const r = await runSmokeTest(await makeDist('chunks', 'import"./vendor.js";'));
+    assert.equal(r.status, 'skipped');
+    assert.equal(r.ok, true);
+  });
+});
+
+describe('writeSmokeReport / formatSmokeFailure', () => {
+  it('should write smoke.json and format errors for the repair prompt', async () => {
+    const dir = await makeDist('report', 'throw new Error("x");');
+    const r = await runSmokeTest(dir, { timeoutMs: 50 });
+    await writeSmokeReport(dir, r);
+    const saved = JSON.parse(await fs.readFile(path.join(dir, 'smoke.json'), 'utf8'));
+    assert.equal(saved.status, 'failed');
+    assert.equal(formatSmokeFailure(r), 'Smoke test failed: uncaught error: ./assets/index.js: x\nUncaught: ./assets/index.js: x');
+  });
+});
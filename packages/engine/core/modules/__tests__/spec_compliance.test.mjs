@@ -0,0 +1,135 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import os from 'node:os';
+import {
+  evaluateCompliance,
+  analyzeCompliance,
+  readCompliance,
+  collectSources,
+  COMPLIANCE_RULES,
+} from '../spec_compliance.mjs';
+import { buildFixtureFiles } from '../../generators/fixture.mjs';
+import { generateTheme } from '../../theme.mjs';
+
+const fixedClock = { now: () => '2026-03-01T00:00:00.000Z' };
+
+/** A project that satisfies every rule. */
+function goodProject() {
+  return new Map([
+    ['README.md', '# Tide Planner\n\n## Scenario\n\nSailors plan departures around tides.\n\n## Features\n- x\n'],
+    ['src/index.css', ':root { --primary: #0af; --secondary: #08c; --surface: #fff; }\nbutton { background: var(--primary); }'],
+    ['src/ErrorBoundary.jsx', 'export class ErrorBoundary extends React.Component { componentDidCatch() {} }'],
+    ['src/App.jsx', [
+      'const saved = localStorage.getItem("tide");',
+      'const save = (s) => localStorage.setItem("tide", JSON.stringify(s));',
+      'const copy = () => navigator.clipboard.writeText(result);',
+      'fetch("http://localhost:5173/sim.json");',
+    ].join('\n')],
+  ]);
+}
+
+const ids = (report) => report.violations.map(v => v.id);
+
+// =========================================================================
+// evaluateCompliance
+// =========================================================================
+describe('evaluateCompliance', () => {
+  it('should score a compliant project 100 / pass', () => {
+    const r = evaluateCompliance({ files: goodProject() }, fixedClock);
+    assert.equal(r.score, 100);
+    assert.equal(r.status, 'pass');
+    assert.deepEqual(r.violations, []);
+    assert.equal(r.checks.length, COMPLIANCE_RULES.length);
+    assert.equal(r.fileCount, 4);
+    assert.equal(r.checkedAt, '2026-03-01T00:00:00.000Z');
+  });
+
+  it('should have rule weights that add up to 100', () => {
+    assert.equal(COMPLIANCE_RULES.reduce((n, r) => n + r.weight, 0), 100);
+  });
+
+  it('should flag theme variables that are not defined or not used', () => {
+    const files = goodProject();
+    files.set('src/index.css', ':root { --primary: #0af; }\nbutton { background: #0af; }');
+    const r = evaluateCompliance({ files });
+    assert.deepEqual(ids(r), ['theme_vars']);
+    assert.match(r.violations[0].detail, /--secondary, --surface/);
+    assert.equal(r.score, 80);
+    assert.equal(r.status, 'warn');
+  });
+
+  it('should require a non-empty ## Scenario section', () => {
+    const files = goodProject();
+    files.set('README.md', '# Tide Planner\n\n## Scenario\n\n## Features\n');
+    assert.match(evaluateCompliance({ files }).violations[0].detail, /empty/);
+    files.set('README.md', '# Tide Planner\n\n## Use Case\nx\n');
+    assert.deepEqual(ids(evaluateCompliance({ files })), ['readme_scenario']);
+  });
+
+  it('should accept downloads as an export action', () => {
+    const files = goodProject();
+    files.set('src/App.jsx', files.get('src/App.jsx').replace('navigator.clipboard.writeText(result)', 'a.download = "plan.json"'));
+    assert.deepEqual(ids(evaluateCompliance({ files })), []);
+  });
+
+  it('should flag external fetch / WebSocket URLs but not localhost', () => {
+    const files = goodProject();
+    files.set('src/api.js', 'fetch("https://api.example.com/v1/tides");\nnew WebSocket(`wss://feed.example.com`);');
+    const r = evaluateCompliance({ files });
+    assert.deepEqual(ids(r), ['no_external_api']);
+    assert.match(r.violations[0].detail, /api\.example\.com/);
+    assert.match(r.violations[0].detail, /feed\.example\.com/);
+    assert.deepEqual(r.checks.find(c => c.id === 'no_external_api').files, ['src/api.js']);
+  });
+
+  it('should fail a project with most rules missing', () => {
+    const r = evaluateCompliance({ files: new Map([['src/main.js', 'console.log(1)']]) });
+    assert.equal(r.status, 'fail');
+    assert.equal(r.score, 15);
+    assert.deepEqual(ids(r), ['theme_vars', 'readme_scenario', 'export_action', 'error_boundary', 'state_recovery']);
+  });
+
+  it('should carry dependency policy violations without changing the score', () => {
+    const violation = { name: 'left-pad', field: 'dependencies', wanted: '^1.3.0', rule: 'unknown', action: 'stripped' };
+    const r = evaluateCompliance({ files: goodProject(), dependencyPolicy: { mode: 'strip', ignoreScripts: true, violations: [violation] } });
+    assert.equal(r.score, 100);
+    assert.equal(r.status, 'pass');
+    assert.deepEqual(r.dependencies, { mode: 'strip', ignoreScripts: true, violations: [violation] });
+    assert.equal(evaluateCompliance({ files: goodProject() }).dependencies, null);
+  });
+});
+
+// =========================================================================
+// analyzeCompliance (fs)
+// =========================================================================
+describe('analyzeCompliance', () => {
+  it('should score the fixture app 100 and write compliance.json', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'compliance-'));
+    try {
+      const theme = generateTheme('2026-03-01-test', 'professional');
+      const files = buildFixtureFiles({ idea: { title: 'Fixture', scenario: 'Used in tests.' }, theme });
+      for (const [rel, content] of Object.entries(files)) {
+        await fs.mkdir(path.dirname(path.join(dir, rel)), { recursive: true });
+        await fs.writeFile(path.join(dir, rel), content);
+      }
+      await fs.writeFile(path.join(dir, 'theme.json'), JSON.stringify(theme));
+      await fs.mkdir(path.join(dir, 'node_modules', 'x'), { recursive: true });
+      await fs.writeFile(path.join(dir, 'node_modules', 'x', 'i.js'), 'fetch("https://evil.example.com")');
+
+      assert.ok(!(await collectSources(dir)).has('node_modules/x/i.js'));
+
+      const r = await analyzeCompliance(dir, { clock: fixedClock });
+      assert.deepEqual(r.violations, []);
+      assert.equal(r.score, 100);
+      assert.deepEqual(await readCompliance(dir), r);
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('should return null when no report exists', async () => {
+    assert.equal(await readCompliance(path.join(os.tmpdir(), 'no-such-output')), null);
+  });
+});
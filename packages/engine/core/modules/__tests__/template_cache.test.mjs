@@ -0,0 +1,152 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import os from 'node:os';
+import {
+  TEMPLATE_STACK,
+  resolveTemplateCacheOptions,
+  npmInstallArgs,
+  stackHash,
+  planInstall,
+  templateDir,
+  readTemplateStamp,
+  warmTemplate,
+  linkTemplateModules,
+} from '../template_cache.mjs';
+
+const clock = { now: () => '2026-03-01T10:00:00.000Z' };
+
+// =========================================================================
+// Options
+// =========================================================================
+describe('resolveTemplateCacheOptions / npmInstallArgs', () => {
+  it('should be enabled and online by default', () => {
+    assert.deepEqual(resolveTemplateCacheOptions({}), { enabled: true, offline: false });
+    assert.deepEqual(
+      resolveTemplateCacheOptions({ DAILY_APP_LAB_TEMPLATE_CACHE: '0', DAILY_APP_LAB_OFFLINE: 'true' }),
+      { enabled: false, offline: true },
+    );
+  });
+
+  it('should use the shared cache and go offline on request', () => {
+    assert.deepEqual(npmInstallArgs({ npmCache: '/c' }), ['install', '--cache', '/c', '--prefer-offline', '--no-audit', '--no-fund']);
+    assert.ok(npmInstallArgs({ npmCache: '/c', offline: true }).includes('--offline'));
+    assert.ok(npmInstallArgs({ npmCache: '/c', ignoreScripts: true }).includes('--ignore-scripts'));
+  });
+});
+
+describe('stackHash', () => {
+  it('should change with the dependency list only', () => {
+    const reordered = { ...TEMPLATE_STACK, dependencies: Object.fromEntries(Object.entries(TEMPLATE_STACK.dependencies).reverse()) };
+    assert.equal(stackHash(reordered), stackHash(TEMPLATE_STACK));
+    const bumped = { ...TEMPLATE_STACK, dependencies: { ...TEMPLATE_STACK.dependencies, react: '^19.0.0' } };
+    assert.notEqual(stackHash(bumped), stackHash(TEMPLATE_STACK));
+  });
+});
+
+// =========================================================================
+// planInstall
+// =========================================================================
+describe('planInstall', () => {
+  it('should cover template packages at the same major version', () => {
+    const plan = planInstall({
+      dependencies: { react: '^18.2.0', 'react-dom': '~18.3.0', 'framer-motion': '11.x' },
+      devDependencies: { vite: '^7.1.0', tailwindcss: '^3.4.0' },
+    });
+    assert.equal(plan.templateOnly, true);
+    assert.deepEqual(plan.covered, ['framer-motion', 'react', 'react-dom', 'tailwindcss', 'vite']);
+  });
+
+  it('should report extra and differently-versioned packages', () => {
+    const plan = planInstall(
+      { dependencies: { react: '^18.2.0', dayjs: '^1.11.0', 'framer-motion': 'latest' }, devDependencies: { vite: '^5.4.0' } },
+      { installed: { vite: '7.1.3' } },
+    );
+    assert.equal(plan.templateOnly, false);
+    assert.deepEqual(plan.extra, ['dayjs']);
+    assert.deepEqual(plan.mismatched, [
+      { name: 'framer-motion', wanted: 'latest', template: TEMPLATE_STACK.dependencies['framer-motion'] },
+      { name: 'vite', wanted: '^5.4.0', template: '7.1.3' },
+    ]);
+  });
+
+  it('should treat a package.json without dependencies as covered', () => {
+    assert.equal(planInstall({}).templateOnly, true);
+  });
+});
+
+// =========================================================================
+// Filesystem helpers
+// =========================================================================
+describe('warmTemplate / linkTemplateModules', () => {
+  let root;
+  let cacheRoot;
+  let calls;
+
+  /** Fake npm that "installs" vite into the directory it runs in. */
+  async function run(cmd, args, { cwd }) {
+    calls.push({ cmd: [cmd, ...args].join(' '), cwd });
+    const mod = path.join(cwd, 'node_modules', 'vite');
+    await fs.mkdir(path.join(mod, 'bin'), { recursive: true });
+    await fs.writeFile(path.join(mod, 'package.json'), JSON.stringify({ name: 'vite', version: '7.1.3' }));
+    await fs.writeFile(path.join(mod, 'bin', 'vite.js'), '#!/usr/bin/env node\n');
+    await fs.mkdir(path.join(cwd, 'node_modules', '.bin'), { recursive: true });
+    await fs.symlink('../vite/bin/vite.js', path.join(cwd, 'node_modules', '.bin', 'vite'));
+    return { code: 0 };
+  }
+
+  beforeEach(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'template-cache-'));
+    cacheRoot = path.join(root, 'template_cache');
+    calls = [];
+  });
+
+  afterEach(async () => {
+    await fs.rm(root, { recursive: true, force: true });
+  });
+
+  it('should install the stack once and stamp it', async () => {
+    const first = await warmTemplate({ cacheRoot, npmCache: path.join(root, 'npm'), run, clock });
+    assert.equal(first.warmed, true);
+    assert.equal(first.stamp.hash, stackHash());
+    assert.deepEqual(first.stamp.installed, { vite: '7.1.3' });
+    assert.equal(calls.length, 1);
+    assert.ok(calls[0].cmd.startsWith('npm install --cache'));
+
+    const pkg = JSON.parse(await fs.readFile(path.join(templateDir(cacheRoot), 'package.json'), 'utf8'));
+    assert.deepEqual(pkg.dependencies, TEMPLATE_STACK.dependencies);
+
+    const second = await warmTemplate({ cacheRoot, npmCache: path.join(root, 'npm'), run, clock });
+    assert.equal(second.warmed, false);
+    assert.equal(calls.length, 1);
+    assert.deepEqual(await fs.readdir(cacheRoot), [TEMPLATE_STACK.id]);
+  });
+
+  it('should rewarm when the stack changes', async () => {
+    await warmTemplate({ cacheRoot, npmCache: path.join(root, 'npm'), run, clock });
+    const stack = { ...TEMPLATE_STACK, devDependencies: { ...TEMPLATE_STACK.devDependencies, vite: '^8.0.0' } };
+    assert.equal(await readTemplateStamp(cacheRoot, stack), null);
+    assert.equal((await warmTemplate({ cacheRoot, npmCache: path.join(root, 'npm'), run, stack, clock })).warmed, true);
+  });
+
+  it('should leave no template behind when npm fails', async () => {
+    const failing = async () => { throw new Error('npm install exited 1'); };
+    await assert.rejects(warmTemplate({ cacheRoot, npmCache: path.join(root, 'npm'), run: failing, clock }), /exited 1/);
+    assert.equal(await readTemplateStamp(cacheRoot), null);
+    assert.deepEqual(await fs.readdir(cacheRoot), []);
+  });
+
+  it('should hardlink node_modules into an output once', async () => {
+    await warmTemplate({ cacheRoot, npmCache: path.join(root, 'npm'), run, clock });
+    const outDir = path.join(root, 'out');
+    await fs.mkdir(outDir);
+
+    assert.equal(await linkTemplateModules(cacheRoot, outDir), true);
+    const linked = path.join(outDir, 'node_modules', 'vite', 'package.json');
+    assert.equal((await fs.stat(linked)).nlink, 2);
+    assert.equal(await fs.readlink(path.join(outDir, 'node_modules', '.bin', 'vite')), '../vite/bin/vite.js');
+
+    assert.equal(await linkTemplateModules(cacheRoot, outDir), false);
+  });
+});
@@ -0,0 +1,110 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  matchesKeyword,
+  scorePresets,
+  classifyPreset,
+  selectPreset,
+} from '../theme_classifier.mjs';
+import { PRESETS } from '../../theme.mjs';
+
+// =========================================================================
+// matchesKeyword
+// =========================================================================
+describe('matchesKeyword', () => {
+  it('should match short ASCII keywords only as whole words', () => {
+    assert.equal(matchesKeyword('ai note taker', 'ai'), true);
+    assert.equal(matchesKeyword('rain gauge', 'ai'), false);
+    assert.equal(matchesKeyword('email digest', 'ai'), false);
+    assert.equal(matchesKeyword('ai助手', 'ai'), true);
+  });
+
+  it('should match longer ASCII keywords at word starts', () => {
+    assert.equal(matchesKeyword('plants to water', 'plant'), true);
+    assert.equal(matchesKeyword('transplant log', 'plant'), false);
+  });
+
+  it('should match CJK keywords anywhere', () => {
+    assert.equal(matchesKeyword('街边奶茶店', '奶茶'), true);
+    assert.equal(matchesKeyword('咖啡店', '奶茶'), false);
+  });
+});
+
+// =========================================================================
+// scorePresets / classifyPreset
+// =========================================================================
+describe('classifyPreset', () => {
+  it('should classify Chinese ideas by their keywords', () => {
+    const r = classifyPreset({ title: '菜园浇水提醒', hudScenario: '阳台种植蔬菜的浇水计划' });
+    assert.equal(r.presetId, 'nature');
+    assert.equal(r.method, 'keywords');
+    assert.ok(r.confidence > 0 && r.confidence <= 1);
+    assert.match(r.reasons[0], /^nature \d+: .*"种植"/);
+  });
+
+  it('should weigh the title above the scenario', () => {
+    const r = classifyPreset({ title: '数据看板', hudScenario: '给奶茶店老板看' });
+    assert.equal(r.presetId, 'tech');
+  });
+
+  it('should use the idea keywords and target persona', () => {
+    const scores = Object.fromEntries(scorePresets({
+      title: '叫号屏',
+      keywords: ['排队', '奶茶'],
+      targetPersona: '街边奶茶店老板',
+    }).map(s => [s.id, s]));
+    assert.equal(scores.vibrant.score, 4);
+    assert.deepEqual(scores.vibrant.hits, { keywords: ['奶茶'], targetPersona: ['奶茶'] });
+    assert.equal(classifyPreset({ title: '叫号屏', targetPersona: '街边奶茶店老板' }).presetId, 'vibrant');
+  });
+
+  it('should not read "ai" inside English words', () => {
+    assert.notEqual(classifyPreset({ title: 'Rain email digest' }).presetId, 'tech');
+  });
+
+  it('should give lower confidence to close calls', () => {
+    const clear = classifyPreset({ title: '游戏 美食' });
+    const close = classifyPreset({ title: '游戏 数据' });
+    assert.ok(close.confidence < clear.confidence);
+  });
+
+  it('should fall back to the preset descriptions without keyword hits', () => {
+    const presets = {
+      ...PRESETS,
+      harbor: { ...PRESETS.professional, name: 'Harbor', description: '港口 航运 码头', keywords: [] },
+    };
+    const r = classifyPreset({ title: '港口船期查询' }, presets);
+    assert.equal(r.presetId, 'harbor');
+    assert.equal(r.method, 'embedding');
+    assert.ok(r.confidence <= 0.5);
+    assert.match(r.reasons[0], /no keyword hits/);
+  });
+
+  it('should default to professional for an empty idea', () => {
+    assert.deepEqual(classifyPreset({}), {
+      presetId: 'professional', method: 'default', confidence: 0, reasons: ['no keyword hits or similar preset description'],
+    });
+  });
+});
+
+// =========================================================================
+// selectPreset
+// =========================================================================
+describe('selectPreset', () => {
+  it('should keep a known visualTheme', () => {
+    const r = selectPreset({ title: '菜园浇水提醒', visualTheme: 'Minimal' });
+    assert.deepEqual(r, { presetId: 'minimal', method: 'explicit', confidence: 1, reasons: ['idea visualTheme "minimal"'] });
+  });
+
+  it('should classify and say so when visualTheme is unknown', () => {
+    const r = selectPreset({ title: '菜园浇水提醒', visualTheme: 'forest' });
+    assert.equal(r.presetId, 'nature');
+    assert.equal(r.reasons[0], 'unknown visualTheme "forest"');
+  });
+
+  it('should not treat Object.prototype members as presets', () => {
+    const r = selectPreset({ title: '菜园浇水提醒', visualTheme: 'constructor' });
+    assert.equal(r.presetId, 'nature');
+    assert.equal(r.reasons[0], 'unknown visualTheme "constructor"');
+  });
+});
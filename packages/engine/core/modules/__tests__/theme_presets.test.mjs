@@ -0,0 +1,165 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import os from 'node:os';
+import {
+  normalizePresetId,
+  normalizePreset,
+  normalizePresetFile,
+  mergePresets,
+  listPresets,
+  upsertPreset,
+  removePreset,
+  loadThemePresets,
+} from '../theme_presets.mjs';
+import { PRESETS, generateTheme } from '../../theme.mjs';
+import { classifyPreset } from '../theme_classifier.mjs';
+
+const fixedClock = { now: () => '2026-03-01T10:00:00.000Z' };
+
+const ocean = {
+  name: 'Ocean',
+  description: 'teal, calm',
+  baseHue: [180, 195],
+  saturation: [40, 55],
+  lightness: [35, 45],
+  analogous: 25,
+  tokens: { display: 'rounded', radius: 12, typeScale: 1.25, motionMs: 240, easing: 'ease-out' },
+  keywords: ['Sea', 'boat', '海'],
+};
+
+// =========================================================================
+// normalizePresetId / normalizePreset
+// =========================================================================
+describe('normalizePresetId', () => {
+  it('should kebab-case names and reject empty ones', () => {
+    assert.equal(normalizePresetId('My Ocean Preset!'), 'my-ocean-preset');
+    assert.equal(normalizePresetId('tech'), 'tech');
+    assert.equal(normalizePresetId('  '), null);
+    assert.equal(normalizePresetId('海洋'), null);
+  });
+
+  it('should reject Object.prototype member names', () => {
+    assert.equal(normalizePresetId('constructor'), null);
+    assert.equal(normalizePresetId('Constructor'), null);
+  });
+});
+
+describe('normalizePreset', () => {
+  it('should keep a valid preset and lowercase its keywords', () => {
+    const p = normalizePreset(ocean);
+    assert.deepEqual(p.baseHue, [180, 195]);
+    assert.deepEqual(p.tokens, ocean.tokens);
+    assert.deepEqual(p.keywords, ['sea', 'boat', '海']);
+  });
+
+  it('should clamp, order ranges and fall back to the base for bad fields', () => {
+    const p = normalizePreset({
+      name: 'X',
+      baseHue: [400, -5],
+      saturation: 'bad',
+      lightness: [0, 100],
+      analogous: 999,
+      tokens: { display: 'comic', radius: 100, typeScale: 3, motionMs: -1, easing: 'url(evil)' },
+    });
+    assert.deepEqual(p.baseHue, [0, 360]);
+    assert.deepEqual(p.saturation, PRESETS.professional.saturation);
+    assert.deepEqual(p.lightness, [5, 95]);
+    assert.equal(p.analogous, 360);
+    assert.deepEqual(p.tokens, {
+      display: 'sans', radius: 32, typeScale: 1.618, motionMs: 0, easing: PRESETS.professional.tokens.easing,
+    });
+  });
+
+  it('should fill missing fields from the edited preset', () => {
+    const p = normalizePreset({ name: 'Tech 2' }, PRESETS.tech);
+    assert.deepEqual(p.baseHue, PRESETS.tech.baseHue);
+    assert.equal(p.tokens.display, 'mono');
+    assert.deepEqual(p.keywords, PRESETS.tech.keywords);
+  });
+});
+
+// =========================================================================
+// File helpers
+// =========================================================================
+describe('upsertPreset / removePreset / listPresets', () => {
+  it('should add a user preset and list it after the built-ins', () => {
+    const r = upsertPreset(null, 'ocean', ocean, fixedClock);
+    assert.equal(r.ok, true);
+    assert.equal(r.file.updatedAt, fixedClock.now());
+    const list = listPresets(r.file);
+    assert.deepEqual(list.map(p => p.id), [...Object.keys(PRESETS), 'ocean']);
+    assert.deepEqual(list.at(-1), { id: 'ocean', ...normalizePreset(ocean), builtin: false, overridden: false });
+  });
+
+  it('should derive the id from the name and reject unusable ids', () => {
+    assert.equal(upsertPreset(null, undefined, { name: 'Deep Sea' }, fixedClock).id, 'deep-sea');
+    const bad = upsertPreset(null, '!!', ocean, fixedClock);
+    assert.equal(bad.ok, false);
+    assert.match(bad.error, /kebab-case/);
+  });
+
+  it('should override a built-in and restore it on delete', () => {
+    const { file } = upsertPreset(null, 'tech', { name: 'Tech', tokens: { radius: 0 } }, fixedClock);
+    const tech = listPresets(file).find(p => p.id === 'tech');
+    assert.equal(tech.overridden, true);
+    assert.equal(tech.tokens.radius, 0);
+    assert.equal(tech.tokens.display, 'mono');
+
+    const r = removePreset(file, 'tech', fixedClock);
+    assert.equal(r.ok, true);
+    assert.equal(r.restored, true);
+    assert.deepEqual(r.file.presets, {});
+  });
+
+  it('should not delete built-ins or unknown presets', () => {
+    assert.match(removePreset(null, 'tech').error, /cannot be deleted/);
+    assert.match(removePreset(null, 'nope').error, /unknown preset/);
+  });
+
+  it('should drop entries with invalid ids when reading the file', () => {
+    const file = normalizePresetFile({ presets: { 'Bad Id': ocean, ocean } });
+    assert.deepEqual(Object.keys(file.presets), ['ocean']);
+  });
+
+  it('should not accept or list presets named after Object.prototype members', () => {
+    assert.equal(upsertPreset(null, 'constructor', ocean, fixedClock).ok, false);
+    const file = normalizePresetFile({ presets: { constructor: ocean, ocean } });
+    assert.deepEqual(Object.keys(file.presets), ['ocean']);
+    assert.equal(Object.hasOwn(mergePresets({ presets: { constructor: ocean } }), 'constructor'), false);
+    assert.match(removePreset(null, 'constructor').error, /unknown preset/);
+  });
+});
+
+// =========================================================================
+// Theme generation with user presets
+// =========================================================================
+describe('mergePresets with generateTheme / classifyPreset', () => {
+  const presets = mergePresets({ presets: { ocean: normalizePreset(ocean) } });
+
+  it('should generate from a user preset', () => {
+    const theme = generateTheme('2026-03-01-test', 'ocean', presets);
+    assert.equal(theme.preset, 'ocean');
+    assert.equal(theme.metadata.presetName, 'Ocean');
+    assert.ok(theme.metadata.hue >= 180 && theme.metadata.hue <= 195);
+    assert.equal(theme.tokens.radius['--radius-md'], '12px');
+  });
+
+  it('should try user preset keywords before the built-ins', () => {
+    assert.equal(classifyPreset({ title: 'Boat data tracker' }, presets).presetId, 'ocean');
+    assert.equal(classifyPreset({ title: 'Boat data tracker' }).presetId, 'tech');
+    assert.equal(classifyPreset({ title: '海边日记' }, presets).presetId, 'ocean');
+  });
+
+  it('should load the built-ins when the file is missing', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'presets-'));
+    try {
+      assert.deepEqual(Object.keys(await loadThemePresets(path.join(dir, 'theme_presets.json'))), Object.keys(PRESETS));
+      await fs.writeFile(path.join(dir, 'theme_presets.json'), JSON.stringify({ presets: { ocean } }));
+      assert.ok((await loadThemePresets(path.join(dir, 'theme_presets.json'))).ocean);
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,36 @@
+/**
+ * Azure Config – resolve Azure OpenAI credentials for the build pipeline.
+ *
+ * Order: AZURE_OPENAI_* env vars, then ~/.openclaw/clawdbot.json
+ * (`models.providers['azure-openai']`). Returns null when neither exists.
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import os from 'node:os';
+
+/** @returns {Promise<{ baseUrl: string, apiKey: string, version: string } | null>} */
+export async function getAzureConfig() {
+  if (process.env.AZURE_OPENAI_API_KEY && process.env.AZURE_OPENAI_ENDPOINT) {
+    return {
+      baseUrl: process.env.AZURE_OPENAI_ENDPOINT,
+      apiKey: process.env.AZURE_OPENAI_API_KEY,
+      version: process.env.AZURE_OPENAI_API_VERSION || '2024-08-01-preview'
+    };
+  }
+
+  try {
+    const configPath = process.env.CLAWDBOT_CONFIG || path.join(os.homedir(), '.openclaw', 'clawdbot.json');
+    const raw = await fs.readFile(configPath, 'utf8');
+    const j = JSON.parse(raw);
+    const az = j?.models?.providers?.['azure-openai'];
+    if (!az) return null;
+    return {
+      baseUrl: az.baseUrl,
+      apiKey: az.apiKey,
+      version: '2024-08-01-preview' // default version
+    };
+  } catch (_e) {
+    return null;
+  }
+}
@@ -6,6 +6,7 @@
  */
 
 import { createHash } from 'node:crypto';
+import { FAILURE_CATEGORIES } from './build_failure.mjs';
 
 // ---------------------------------------------------------------------------
 // Job-level status machine
@@ -43,6 +44,24 @@ const ITEM_TRANSITIONS = {
   skipped: new Set(),
 };
 
+// ---------------------------------------------------------------------------
+// Retry policy
+// ---------------------------------------------------------------------------
+//   A failed attempt whose category is retryable goes back to `queued` with
+//   `retryAt` = now + backoffMs * 2^(attempt - 1), until maxAttempts.
+// ---------------------------------------------------------------------------
+export const DEFAULT_RETRY_POLICY = Object.freeze({
+  maxAttempts: 2,
+  backoffMs: 60 * 1000,
+  // Failures another attempt can fix; a missing key, a content filter, the
+  // dependency policy or a user abort fail the same way again
+  retryableCategories: Object.freeze([
+    'timeout', 'npm_eresolve', 'typescript_error', 'vite_build_error', 'smoke_test', 'llm_token_limit', 'unknown',
+  ]),
+});
+const MAX_ATTEMPTS_LIMIT = 5;
+const MAX_BACKOFF_MS = 60 * 60 * 1000;
+
 // ---------------------------------------------------------------------------
 // ID generation
 // ---------------------------------------------------------------------------
@@ -51,14 +70,14 @@ const ITEM_TRANSITIONS = {
  * Build a deterministic job ID.
  * Format: job_{compactTimestamp}_{shortHash}
  *
- * @param {string} campaignId
+ * @param {string|null} campaignId – null for a job over an arbitrary selection
  * @param {{ now: () => string }} clock
  * @returns {string}
  */
 export function buildJobId(campaignId, clock = { now: () => new Date().toISOString() }) {
   const iso = clock.now();
   const ts = iso.replace(/[-:]/g, '').slice(0, 13);
-  const hash = createHash('sha256').update(`${campaignId}_${iso}`).digest('hex').slice(0, 4);
+  const hash = createHash('sha256').update(`${campaignId || 'selection'}_${iso}`).digest('hex').slice(0, 4);
   return `job_${ts}_${hash}`;
 }
 
@@ -118,14 +137,15 @@ export function validateItemTransition(current, target) {
  * Create a new batch job object.
  *
  * @param {object} opts
- * @param {string} opts.campaignId
+ * @param {string|null} [opts.campaignId] – set for campaign-scoped jobs
  * @param {string[]} opts.ideaIds – ordered list of idea IDs to build
+ * @param {object|null} [opts.filter] – the saved filter ideaIds were selected by (idea_filter.mjs)
  * @param {number}  [opts.concurrency=1]
+ * @param {object}  [opts.retryPolicy] – see normalizeRetryPolicy()
  * @param {{ now: () => string }} [opts.clock]
  * @returns {object} job
  */
-export function createBatchJob({ campaignId, ideaIds, concurrency = 1, clock }) {
-  if (!campaignId) throw new Error('campaignId is required');
+export function createBatchJob({ campaignId = null, ideaIds, filter = null, concurrency = 1, retryPolicy, clock }) {
   if (!Array.isArray(ideaIds) || ideaIds.length === 0) {
     throw new Error('ideaIds must be a non-empty array');
   }
@@ -135,17 +155,23 @@ export function createBatchJob({ campaignId, ideaIds, concurrency = 1, clock })
 
   return {
     jobId,
-    campaignId,
+    campaignId: campaignId ? String(campaignId) : null,
+    filter: filter && typeof filter === 'object' ? filter : null,
     createdAt: clk.now(),
     concurrency: Math.max(1, Math.min(4, Number(concurrency) || 1)),
+    retryPolicy: normalizeRetryPolicy(retryPolicy),
     status: 'pending',
-    items: ideaIds.map(ideaId => ({
-      ideaId: String(ideaId),
+    // A selection may list an idea twice; it is built once
+    items: [...new Set(ideaIds.map(String))].map(ideaId => ({
+      ideaId,
       status: 'queued',
       projectId: null,
-      error: null,
+      runId: null,   // the item's latest build run (build_status/<runId>.json)
+      error: null,   // latest error; every attempt is kept in `attempts`
       startedAt: null,
       finishedAt: null,
+      attempts: [],
+      retryAt: null, // queued for an automatic retry, not before this time
     })),
   };
 }
@@ -153,11 +179,110 @@ export function createBatchJob({ campaignId, ideaIds, concurrency = 1, clock })
 /**
  * Get the next queued item in a job (status-driven, not cursor-based).
  * @param {object} job
+ * @param {string} [now] – skip items waiting for a retry later than this
  * @returns {object|null} item or null if no queued items remain
  */
-export function nextQueuedItem(job) {
+export function nextQueuedItem(job, now) {
+  if (!job || !Array.isArray(job.items)) return null;
+  return job.items.find(it => it.status === 'queued' && (!now || !it.retryAt || it.retryAt <= now)) || null;
+}
+
+/** Earliest `retryAt` of the job's queued items, or null. */
+export function nextRetryAt(job) {
   if (!job || !Array.isArray(job.items)) return null;
-  return job.items.find(it => it.status === 'queued') || null;
+  return job.items
+    .filter(it => it.status === 'queued' && it.retryAt)
+    .map(it => it.retryAt)
+    .sort()[0] || null;
+}
+
+/**
+ * Fill in and clamp a retry policy (missing fields take the defaults).
+ * @param {*} raw – { maxAttempts?, backoffMs?, retryableCategories? }
+ * @returns {{ maxAttempts: number, backoffMs: number, retryableCategories: string[] }}
+ */
+export function normalizeRetryPolicy(raw) {
+  const p = raw && typeof raw === 'object' ? raw : {};
+  const maxAttempts = Math.floor(Number(p.maxAttempts));
+  const backoffMs = Math.floor(Number(p.backoffMs));
+  return {
+    maxAttempts: Number.isFinite(maxAttempts) ? Math.max(1, Math.min(MAX_ATTEMPTS_LIMIT, maxAttempts)) : DEFAULT_RETRY_POLICY.maxAttempts,
+    backoffMs: Number.isFinite(backoffMs) ? Math.max(0, Math.min(MAX_BACKOFF_MS, backoffMs)) : DEFAULT_RETRY_POLICY.backoffMs,
+    retryableCategories: Array.isArray(p.retryableCategories)
+      ? [...new Set(p.retryableCategories.filter(c => c in FAILURE_CATEGORIES))]
+      : [...DEFAULT_RETRY_POLICY.retryableCategories],
+  };
+}
+
+/**
+ * Whether a failed item gets another automatic attempt.
+ * @param {object} policy
+ * @param {object[]} attempts – the item's attempts, including the failed one
+ * @param {string|null} category – failure category of that attempt
+ */
+export function canRetry(policy, attempts, category) {
+  const p = normalizeRetryPolicy(policy);
+  return attempts.length < p.maxAttempts && p.retryableCategories.includes(category || 'unknown');
+}
+
+/** Wait before automatic attempt `attempts + 1`: backoffMs, doubling each time. */
+export function retryDelayMs(policy, attempts) {
+  return normalizeRetryPolicy(policy).backoffMs * 2 ** Math.max(0, attempts - 1);
+}
+
+/**
+ * Record a finished attempt of a running item (immutable – returns new job).
+ * A success makes it `built`; a failure makes it `failed`, or `queued` with
+ * `retryAt` when the job's retry policy allows another attempt.
+ *
+ * @param {object} job
+ * @param {string} ideaId
+ * @param {{ ok: boolean, projectId?: string|null, runId?: string|null, error?: string|null, category?: string|null }} outcome
+ * @param {{ now: () => string }} [clock]
+ * @returns {{ job: object, ok: boolean, error?: string, attempt?: object, retryAt?: string|null }}
+ */
+export function settleItemAttempt(job, ideaId, outcome, clock) {
+  const clk = clock || { now: () => new Date().toISOString() };
+  const item = job.items.find(it => it.ideaId === ideaId);
+  if (!item) return { job, ok: false, error: `item not found: ${ideaId}` };
+
+  const now = clk.now();
+  const attempts = item.attempts || [];
+  const attempt = {
+    attempt: attempts.length + 1,
+    startedAt: item.startedAt || null,
+    finishedAt: now,
+    status: outcome.ok ? 'built' : 'failed',
+    runId: outcome.runId || null,
+    projectId: outcome.projectId || null,
+    error: outcome.ok ? null : (outcome.error || 'Build failed'),
+    category: outcome.ok ? null : (outcome.category || 'unknown'),
+  };
+  const history = [...attempts, attempt];
+  const common = { attempts: history, runId: attempt.runId, finishedAt: now, retryAt: null };
+
+  if (outcome.ok) {
+    const r = updateItemStatus(job, ideaId, 'built', { ...common, projectId: attempt.projectId });
+    return { ...r, attempt, retryAt: null };
+  }
+
+  const failed = updateItemStatus(job, ideaId, 'failed', { ...common, error: attempt.error });
+  if (!failed.ok || !canRetry(job.retryPolicy, history, attempt.category)) return { ...failed, attempt, retryAt: null };
+
+  const retryAt = new Date(Date.parse(now) + retryDelayMs(job.retryPolicy, history.length)).toISOString();
+  const queued = updateItemStatus(failed.job, ideaId, 'queued', { retryAt, startedAt: null });
+  return { ...queued, attempt, retryAt };
+}
+
+/**
+ * Change the retry policy of a job that is not running (immutable).
+ * @returns {{ job: object, ok: boolean, error?: string }}
+ */
+export function updateJobRetryPolicy(job, policy) {
+  if (job.status !== 'paused' && job.status !== 'pending') {
+    return { job, ok: false, error: `retry policy can only change while a job is paused (it is ${job.status})` };
+  }
+  return { job: { ...job, retryPolicy: normalizeRetryPolicy({ ...normalizeRetryPolicy(job.retryPolicy), ...policy }) }, ok: true };
 }
 
 /**
@@ -238,6 +363,56 @@ export function isJobComplete(job) {
   return job.items.every(it => it.status === 'built' || it.status === 'failed' || it.status === 'skipped');
 }
 
+/**
+ * Settle a job a hub left `running` when it stopped mid-batch (pure).
+ *
+ * Each `running` item is decided from `findings` – what became of its build:
+ *   { status: 'built', projectId, runId }            → built
+ *   { status: 'failed', error, category?, runId }    → a failed attempt (see settleItemAttempt)
+ *   { status: 'running', runId }                     → its detached build outlived the hub: stays
+ *                                                      running until the next runner sees it finish
+ *   missing                                          → the build never started: queued again
+ * The job ends `done` when every item is final, otherwise `paused` so the
+ * user (or the hub's auto-resume) decides when it continues.
+ *
+ * @param {object} job
+ * @param {Map<string, object>} [findings] – ideaId → finding
+ * @param {{ now: () => string }} [clock]
+ * @returns {{ job: object, changed: boolean, built: string[], failed: string[], requeued: string[], running: string[] }}
+ */
+export function reconcileInterruptedJob(job, findings = new Map(), clock) {
+  const clk = clock || { now: () => new Date().toISOString() };
+  const out = { job, changed: false, built: [], failed: [], requeued: [], running: [] };
+  if (!job || job.status !== 'running') return out;
+
+  let next = job;
+  for (const item of job.items.filter(it => it.status === 'running')) {
+    const f = findings.get(item.ideaId);
+    if (f?.status === 'running') {
+      // Not settled (or retried) before its process has exited
+      out.running.push(item.ideaId);
+    } else if (f?.status === 'built') {
+      next = settleItemAttempt(next, item.ideaId, { ok: true, projectId: f.projectId, runId: f.runId }, clk).job;
+      out.built.push(item.ideaId);
+    } else if (f?.status === 'failed') {
+      // Counts as an attempt – the retry policy may queue it again
+      const r = settleItemAttempt(next, item.ideaId, {
+        ok: false, error: f.error || 'Interrupted by a hub restart', category: f.category, runId: f.runId,
+      }, clk);
+      next = r.job;
+      (r.retryAt ? out.requeued : out.failed).push(item.ideaId);
+    } else {
+      // running → failed → queued: the state machine's retry path
+      next = updateItemStatus(next, item.ideaId, 'failed', {}).job;
+      next = updateItemStatus(next, item.ideaId, 'queued', { startedAt: null, error: null }).job;
+      out.requeued.push(item.ideaId);
+    }
+  }
+
+  next = updateJobStatus(next, isJobComplete(next) ? 'done' : 'paused').job;
+  return { ...out, job: next, changed: true };
+}
+
 // ---------------------------------------------------------------------------
 // batch_jobs.json container helpers
 // ---------------------------------------------------------------------------
@@ -294,7 +469,30 @@ export function findJob(container, jobId) {
  */
 export function findActiveJobsByCampaign(container, campaignId) {
   if (!container || !Array.isArray(container.jobs)) return [];
-  return container.jobs.filter(
-    j => j.campaignId === campaignId && (j.status === 'pending' || j.status === 'running' || j.status === 'paused'),
-  );
+  return container.jobs.filter(j => j.campaignId === campaignId && isActiveJob(j));
+}
+
+/**
+ * Find active jobs that would still build one of `ideaIds` (a queued or
+ * running item) – two jobs must not build the same idea.
+ * @param {object} container
+ * @param {string[]} ideaIds
+ * @returns {{ job: object, ideaIds: string[] }[]} each job with the overlapping IDs
+ */
+export function findActiveJobsWithIdeas(container, ideaIds) {
+  if (!container || !Array.isArray(container.jobs) || !Array.isArray(ideaIds)) return [];
+  const wanted = new Set(ideaIds.map(String));
+  return container.jobs
+    .filter(isActiveJob)
+    .map(job => ({
+      job,
+      ideaIds: (job.items || [])
+        .filter(it => (it.status === 'queued' || it.status === 'running') && wanted.has(it.ideaId))
+        .map(it => it.ideaId),
+    }))
+    .filter(m => m.ideaIds.length > 0);
+}
+
+function isActiveJob(job) {
+  return job.status === 'pending' || job.status === 'running' || job.status === 'paused';
 }
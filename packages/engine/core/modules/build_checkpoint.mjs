@@ -0,0 +1,180 @@
+/**
+ * Build Checkpoint – stage tracking + quarantine for failed outputs.
+ *
+ * generate.mjs records which stages of a run completed in
+ * `outputs/<outId>/checkpoint.json`. On failure the folder is moved to
+ * `outputs/_failed/<outId>` (outside the `YYYY-MM-DD*` namespace the hub
+ * scans) instead of being deleted, so `generate.mjs --resume <outId>` can
+ * skip the expensive coding stage and pick up at install/build/verify.
+ *
+ * Checkpoint helpers are pure (clock injectable); the fs helpers at the
+ * bottom do the moving.
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { writeJsonAtomic, readJsonSafe } from '../../../shared/atomic_fs.mjs';
+
+export const BUILD_STAGES = Object.freeze(['coding', 'installing', 'building', 'verifying', 'finalizing']);
+export const FAILED_DIR = '_failed';
+export const CHECKPOINT_FILE = 'checkpoint.json';
+export const DEFAULT_QUARANTINE_KEEP = 20;
+
+const defaultClock = { now: () => new Date().toISOString() };
+
+// ---------------------------------------------------------------------------
+// Pure checkpoint state
+// ---------------------------------------------------------------------------
+
+/**
+ * @param {object} input
+ * @param {string} input.outId
+ * @param {string} input.runId
+ * @param {object|null} input.idea – the queue idea (kept so resume needs no queue)
+ * @param {string} [input.presetId]
+ * @param {string} [input.generator]
+ * @param {boolean} [input.langVariant] – a language variant build (resume keeps it one)
+ * @param {{ now: () => string }} [clock]
+ */
+export function createCheckpoint({ outId, runId, idea = null, presetId = null, generator = null, template = null, lang = null, langVariant = false }, clock = defaultClock) {
+  const now = clock.now();
+  return {
+    version: 1,
+    outId,
+    runId,
+    ideaId: idea?.id || null,
+    title: idea?.title || '',
+    idea,
+    presetId,
+    generator,
+    template,
+    lang,
+    langVariant,
+    completedStages: [],
+    failedStage: null,
+    error: null,
+    resumes: 0,
+    createdAt: now,
+    updatedAt: now,
+  };
+}
+
+/** Normalise a checkpoint read from disk (unknown stages dropped, order fixed). */
+export function normalizeCheckpoint(raw) {
+  if (!raw || typeof raw !== 'object' || !raw.outId) return null;
+  const completed = Array.isArray(raw.completedStages) ? raw.completedStages : [];
+  return {
+    ...raw,
+    completedStages: BUILD_STAGES.filter(s => completed.includes(s)),
+    failedStage: BUILD_STAGES.includes(raw.failedStage) ? raw.failedStage : null,
+    resumes: Number(raw.resumes) || 0,
+  };
+}
+
+export function markStageComplete(cp, stage, clock = defaultClock) {
+  if (!BUILD_STAGES.includes(stage) || cp.completedStages.includes(stage)) return cp;
+  return {
+    ...cp,
+    completedStages: BUILD_STAGES.filter(s => s === stage || cp.completedStages.includes(s)),
+    updatedAt: clock.now(),
+  };
+}
+
+export function markStageFailed(cp, stage, error, clock = defaultClock) {
+  return {
+    ...cp,
+    failedStage: BUILD_STAGES.includes(stage) ? stage : null,
+    error: error ? String(error).slice(0, 500) : null,
+    updatedAt: clock.now(),
+  };
+}
+
+/**
+ * First stage that has not completed yet – where a resume starts.
+ * @returns {string|null} null when every stage completed
+ */
+export function resumeStageFor(cp) {
+  return BUILD_STAGES.find(s => !cp.completedStages.includes(s)) || null;
+}
+
+/** Whether `stage` still has to run for this checkpoint. */
+export function shouldRunStage(cp, stage) {
+  return !cp.completedStages.includes(stage);
+}
+
+/** Reset failure markers and bump the resume counter for a new attempt. */
+export function beginResume(cp, runId, clock = defaultClock) {
+  return {
+    ...cp,
+    runId,
+    failedStage: null,
+    error: null,
+    resumes: cp.resumes + 1,
+    updatedAt: clock.now(),
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Filesystem helpers
+// ---------------------------------------------------------------------------
+
+export function quarantineDir(outputsDir, outId) {
+  return path.join(outputsDir, FAILED_DIR, outId);
+}
+
+export async function readCheckpoint(dir) {
+  return normalizeCheckpoint(await readJsonSafe(path.join(dir, CHECKPOINT_FILE), null));
+}
+
+export async function writeCheckpoint(dir, cp) {
+  await writeJsonAtomic(path.join(dir, CHECKPOINT_FILE), cp);
+}
+
+/**
+ * Move `outputs/<outId>` to `outputs/_failed/<outId>` (replacing any older
+ * quarantined copy) and trim the quarantine to the newest `keep` entries.
+ * @returns {Promise<string>} the quarantine path
+ */
+export async function quarantineOutput(outputsDir, outId, { keep = DEFAULT_QUARANTINE_KEEP } = {}) {
+  const src = path.join(outputsDir, outId);
+  const dest = quarantineDir(outputsDir, outId);
+  await fs.mkdir(path.dirname(dest), { recursive: true });
+  await fs.rm(dest, { recursive: true, force: true });
+  await fs.rename(src, dest);
+  await pruneQuarantine(outputsDir, keep);
+  return dest;
+}
+
+/** Move a quarantined output back to `outputs/<outId>` for a resume. */
+export async function restoreQuarantined(outputsDir, outId) {
+  const src = quarantineDir(outputsDir, outId);
+  const dest = path.join(outputsDir, outId);
+  await fs.access(src);
+  await fs.rm(dest, { recursive: true, force: true });
+  await fs.rename(src, dest);
+  return dest;
+}
+
+/**
+ * List quarantined builds, newest first.
+ * @returns {Promise<object[]>} checkpoints augmented with `resumeStage`
+ */
+export async function listFailedBuilds(outputsDir) {
+  const root = path.join(outputsDir, FAILED_DIR);
+  let names = [];
+  try { names = await fs.readdir(root); } catch { return []; }
+
+  const out = [];
+  for (const name of names) {
+    const cp = await readCheckpoint(path.join(root, name));
+    if (cp) out.push({ ...cp, resumeStage: resumeStageFor(cp) });
+  }
+  return out.sort((a, b) => String(b.updatedAt).localeCompare(String(a.updatedAt)));
+}
+
+async function pruneQuarantine(outputsDir, keep) {
+  const list = await listFailedBuilds(outputsDir);
+  for (const cp of list.slice(Math.max(0, keep))) {
+    await fs.rm(quarantineDir(outputsDir, cp.outId), { recursive: true, force: true }).catch(() => {});
+  }
+}
@@ -0,0 +1,175 @@
+/**
+ * Build Failure – stage tagging + typed classification of build errors.
+ *
+ * Every stage in generate.mjs wraps its work in `withStage()` so errors
+ * carry `e.stage`. On failure, `classifyFailure()` matches the error message
+ * and the tail of `<outId>-generate.log` against known signatures and
+ * returns one of FAILURE_CATEGORIES. The category is stored on the backlog
+ * idea (`lastFailureCategory`) and in `build.failed` events, and
+ * `summarizeFailures()` aggregates those events for the hub.
+ *
+ * Pure functions, no I/O.
+ */
+
+// ---------------------------------------------------------------------------
+// Categories
+// ---------------------------------------------------------------------------
+
+export const FAILURE_CATEGORIES = Object.freeze({
+  aborted:            'Aborted',
+  smoke_test:         'Smoke test',
+  dependency_policy:  'Dependency policy',
+  missing_api_key:    'Missing API key',
+  llm_content_filter: 'LLM content filter',
+  llm_token_limit:    'LLM token limit',
+  timeout:            'Timeout',
+  npm_eresolve:       'npm ERESOLVE',
+  typescript_error:   'TypeScript error',
+  vite_build_error:   'Vite build error',
+  unknown:            'Unknown',
+});
+
+/**
+ * Ordered rules – the first category with a matching pattern wins, so the
+ * more specific/root causes come first (a missing key also shows up as a
+ * generic build error later in the log).
+ */
+const RULES = [
+  ['aborted', [/killed by SIG(TERM|INT)\b/, /received SIG(TERM|INT)\b/, /exited 143\b/]],
+  ['smoke_test', [/^Smoke test failed:/]],
+  ['dependency_policy', [/^Dependency policy rejected:/]],
+  ['missing_api_key', [
+    /Azure OpenAI config missing/i,
+    /api[_ -]?key (is )?(missing|not set|required)/i,
+    /AuthenticationError/,
+    /\b401\b.*(unauthori[sz]ed|access denied|invalid (api )?key)/i,
+    /Access denied due to invalid subscription key/i,
+  ]],
+  ['llm_content_filter', [/content[_ ]filter/i, /ResponsibleAIPolicyViolation/, /content management policy/i]],
+  ['llm_token_limit', [
+    /context_length_exceeded/i,
+    /maximum context length/i,
+    /ContextWindowExceeded/i,
+    /token limit/i,
+    /max_output_tokens/i,
+    /exceeds? (the )?(output|context) (token )?(limit|window)/i,
+  ]],
+  ['timeout', [/\bETIMEDOUT\b/, /\btimed out\b/i, /\btimeout (of|after|exceeded)\b/i, /operation was aborted/i, /\bAbortError\b/]],
+  ['npm_eresolve', [/\bERESOLVE\b/, /unable to resolve dependency tree/i, /conflicting peer dependency/i]],
+  ['typescript_error', [/\berror TS\d{4}\b/, /\bTS\d{4}:/]],
+  ['vite_build_error', [
+    /error during build/i,
+    /\[vite[:\]]/i,
+    /Rollup failed to resolve/i,
+    /Could not resolve ".+" from/i,
+    /is not exported by/i,
+    /Transform failed with \d+ error/i,
+    /\[postcss\]/i,
+  ]],
+];
+
+const TAIL_LINES = 400;
+
+// ---------------------------------------------------------------------------
+// Stage tagging
+// ---------------------------------------------------------------------------
+
+/**
+ * Attach `stage` to an error (first tag wins, so nested stages keep the
+ * innermost one). Non-Error values are wrapped.
+ * @returns {Error}
+ */
+export function tagStage(err, stage) {
+  const e = err instanceof Error ? err : new Error(String(err));
+  if (!e.stage) e.stage = stage;
+  return e;
+}
+
+/**
+ * Run `fn` and tag anything it throws with `stage`.
+ * @template T
+ * @param {string} stage
+ * @param {() => Promise<T>} fn
+ * @returns {Promise<T>}
+ */
+export async function withStage(stage, fn) {
+  try {
+    return await fn();
+  } catch (e) {
+    throw tagStage(e, stage);
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Classification
+// ---------------------------------------------------------------------------
+
+/**
+ * @param {object} input
+ * @param {string} [input.message] – error message
+ * @param {string} [input.log]     – generate log contents (only the tail is scanned)
+ * @param {string} [input.stage]   – failed stage, echoed back
+ * @returns {{ category: string, label: string, evidence: string|null, stage: string }}
+ */
+export function classifyFailure({ message = '', log = '', stage = 'unknown' } = {}) {
+  const toLines = (text) => String(text || '').split(/\r?\n/).map(l => l.trim()).filter(Boolean);
+  // The error itself is the strongest evidence; the log tail only fills in
+  // when the message is generic ("aider exited 1").
+  const found = match(toLines(message)) || match(toLines(log).slice(-TAIL_LINES));
+  if (found) return { ...found, label: FAILURE_CATEGORIES[found.category], stage };
+  return { category: 'unknown', label: FAILURE_CATEGORIES.unknown, evidence: null, stage };
+}
+
+function match(lines) {
+  for (const [category, patterns] of RULES) {
+    const line = lines.find(l => patterns.some(re => re.test(l)));
+    if (line) return { category, evidence: line.slice(0, 300) };
+  }
+  return null;
+}
+
+/** Whether a failure should count against the idea (user aborts don't). */
+export function countsAsFailure(category) {
+  return category !== 'aborted';
+}
+
+// ---------------------------------------------------------------------------
+// Aggregation
+// ---------------------------------------------------------------------------
+
+/**
+ * Aggregate `build.failed` events.
+ * @param {object[]} events – parsed event-log entries (other events ignored)
+ * @param {{ recent?: number }} [opts]
+ * @returns {{ total: number, byCategory: object[], byStage: Record<string, number>, recent: object[] }}
+ */
+export function summarizeFailures(events, { recent = 10 } = {}) {
+  const failed = (events || []).filter(e => e && e.event === 'build.failed');
+  const counts = new Map();
+  const byStage = {};
+
+  for (const e of failed) {
+    const category = FAILURE_CATEGORIES[e.category] ? e.category : 'unknown';
+    counts.set(category, (counts.get(category) || 0) + 1);
+    const stage = e.failedStage || 'unknown';
+    byStage[stage] = (byStage[stage] || 0) + 1;
+  }
+
+  const byCategory = [...counts.entries()]
+    .map(([category, count]) => ({ category, label: FAILURE_CATEGORIES[category], count }))
+    .sort((a, b) => b.count - a.count || a.category.localeCompare(b.category));
+
+  const latest = [...failed]
+    .sort((a, b) => String(b.ts || b.timestamp).localeCompare(String(a.ts || a.timestamp)))
+    .slice(0, recent)
+    .map(e => ({
+      ts: e.ts || e.timestamp,
+      ideaId: e.ideaId || null,
+      title: e.title || '',
+      category: FAILURE_CATEGORIES[e.category] ? e.category : 'unknown',
+      failedStage: e.failedStage || 'unknown',
+      evidence: e.categoryEvidence || null,
+    }));
+
+  return { total: failed.length, byCategory, byStage, recent: latest };
+}
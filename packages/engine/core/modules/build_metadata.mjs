@@ -0,0 +1,163 @@
+/**
+ * Build Metadata – the self-describing `build.json` written into every output.
+ *
+ * generate.mjs records who/what/how for each build (idea + campaign links,
+ * run id, generator + model, language, theme preset, template, per-stage durations,
+ * file count, bundle size, token usage) so the hub manifest no longer has to
+ * scrape README.md and the output stays linked to its idea after backlog edits.
+ *
+ * The stage timer and usage helpers are pure; the fs helpers at the bottom
+ * measure the output and read/write the file.
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { snapshotFiles } from './build_repair.mjs';
+import { writeJsonAtomic, readJsonSafe } from '../../../shared/atomic_fs.mjs';
+
+export const BUILD_META_FILE = 'build.json';
+export const BUILD_META_VERSION = 1;
+
+const defaultClock = { now: () => new Date().toISOString() };
+
+// ---------------------------------------------------------------------------
+// Stage timer
+// ---------------------------------------------------------------------------
+
+/**
+ * Accumulates wall time per stage (repair rounds add to the same stage).
+ * @param {Record<string, number>} [initial] – durations carried over from a checkpoint
+ * @param {() => number} [nowMs]
+ */
+export function createStageTimer(initial = {}, nowMs = Date.now) {
+  const totals = { ...initial };
+  const running = new Map();
+  return {
+    start(stage) {
+      running.set(stage, nowMs());
+    },
+    stop(stage) {
+      const t0 = running.get(stage);
+      if (t0 === undefined) return;
+      running.delete(stage);
+      totals[stage] = (totals[stage] || 0) + Math.max(0, nowMs() - t0);
+    },
+    /** @returns {Record<string, number>} ms per stage */
+    durations() {
+      return { ...totals };
+    },
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Token usage
+// ---------------------------------------------------------------------------
+
+/**
+ * Sum two usage records (`{ inputTokens, outputTokens, totalTokens, calls }`).
+ * Null means "unknown" and is ignored.
+ * @returns {object|null}
+ */
+export function mergeUsage(a, b) {
+  if (!a) return b ? { ...b } : null;
+  if (!b) return { ...a };
+  const sum = (k) => (Number(a[k]) || 0) + (Number(b[k]) || 0);
+  return {
+    inputTokens: sum('inputTokens'),
+    outputTokens: sum('outputTokens'),
+    totalTokens: sum('totalTokens'),
+    calls: sum('calls'),
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Metadata record
+// ---------------------------------------------------------------------------
+
+/**
+ * Assemble `build.json` from the build context. Only known values are set;
+ * the hub treats missing fields as "fall back to README".
+ *
+ * @param {object} input
+ * @param {{ now: () => string }} [clock]
+ */
+export function createBuildMetadata(input, clock = defaultClock) {
+  const {
+    outId, runId, idea = null, title, scenario = '', generator, model = null, language,
+    themePreset = null, themeName = null, template = null, stageDurations = {}, fileCount = null, bundleBytes = null,
+    usage = null, installCache = null, repairAttempts = 0, resumes = 0, smokeTest = null, complianceScore = null,
+    appVersion = 1, iteratedFrom = null,
+  } = input;
+
+  const durations = Object.fromEntries(Object.entries(stageDurations).map(([k, v]) => [k, Math.round(v)]));
+  const workflow = Array.isArray(idea?.coreInteractions) && idea.coreInteractions.length
+    ? idea.coreInteractions.map(s => `- ${s}`).join('\n')
+    : null;
+
+  return {
+    version: BUILD_META_VERSION,
+    outId,
+    runId,
+    ideaId: idea?.id || null,
+    campaignId: idea?.campaignId || null,
+    topicTag: idea?.topicTag || null,
+    title,
+    desc: idea?.output || idea?.desc || idea?.description || null,
+    scenario: scenario || null,
+    workflow,
+    generator,
+    model,
+    language,
+    themePreset,
+    themeName,
+    template,
+    stageDurations: durations,
+    totalDurationMs: Object.values(durations).reduce((n, v) => n + v, 0),
+    fileCount,
+    bundleBytes,
+    usage,
+    installCache,
+    repairAttempts,
+    resumes,
+    smokeTest,
+    complianceScore,
+    appVersion,
+    iteratedFrom,
+    builtAt: clock.now(),
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Filesystem helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * Count project source files (node_modules/dist/versions skipped) and sum
+ * the bytes under dist/.
+ * @returns {Promise<{ fileCount: number, bundleBytes: number }>}
+ */
+export async function measureOutput(outDir) {
+  const sources = await snapshotFiles(outDir);
+  let bundleBytes = 0;
+  async function walk(dir) {
+    let entries = [];
+    try { entries = await fs.readdir(dir, { withFileTypes: true }); } catch { return; }
+    for (const ent of entries) {
+      const p = path.join(dir, ent.name);
+      if (ent.isDirectory()) await walk(p);
+      else if (ent.isFile()) bundleBytes += (await fs.stat(p).catch(() => ({ size: 0 }))).size;
+    }
+  }
+  await walk(path.join(outDir, 'dist'));
+  return { fileCount: sources.size, bundleBytes };
+}
+
+export async function writeBuildMetadata(outDir, meta) {
+  await writeJsonAtomic(path.join(outDir, BUILD_META_FILE), meta);
+}
+
+/** @returns {Promise<object|null>} null when missing or not a build.json */
+export async function readBuildMetadata(outDir) {
+  const raw = await readJsonSafe(path.join(outDir, BUILD_META_FILE), null);
+  return raw && typeof raw === 'object' && raw.outId ? raw : null;
+}
@@ -0,0 +1,394 @@
+/**
+ * Build Queue – pure functions for the hub's single build queue.
+ *
+ * Every build of a backlog idea goes through runtime/data/build_queue.json:
+ * "Implement now" and "Build in X" (manual), batch jobs (batch) and the
+ * idle launchd job (idle). So does work on an existing output – resuming a
+ * quarantined build, iterating or re-theming (manual, `kind` + `target`).
+ * The hub's build_queue_service.mjs is the only consumer; it starts the
+ * next entry when a build slot is free.
+ *
+ * Order: source priority (manual > batch > idle), then FIFO (`seq`).
+ * One build runs at a time unless an entry asks for more `slots` (a batch
+ * job's concurrency): it may start while fewer than that many are running.
+ * All functions are pure (clock injectable), no side effects.
+ */
+
+import crypto from 'node:crypto';
+
+// ---------------------------------------------------------------------------
+// Entry status machine
+// ---------------------------------------------------------------------------
+//   queued → running → done
+//                    → failed
+//                    → cancelled (aborted while running)
+//   queued → cancelled
+// ---------------------------------------------------------------------------
+export const SOURCE_PRIORITY = { manual: 0, batch: 1, idle: 2 };
+/** What an entry runs: an idea build, or a generate.mjs mode on the `target` output. */
+export const ENTRY_KINDS = ['build', 'resume', 'iterate', 'retheme'];
+
+const ENTRY_TRANSITIONS = {
+  queued:    new Set(['running', 'cancelled']),
+  running:   new Set(['done', 'failed', 'cancelled']),
+  // terminal
+  done:      new Set(),
+  failed:    new Set(),
+  cancelled: new Set(),
+};
+
+const ACTIVE = new Set(['queued', 'running']);
+
+/** Fallback build duration for start estimates before any build finished. */
+export const DEFAULT_BUILD_MS = 5 * 60 * 1000;
+/** The service rewrites `hubHeartbeatAt` every few seconds while it runs. */
+export const HUB_HEARTBEAT_MAX_AGE_MS = 30 * 1000;
+/** Upper bound for `slots` – matches the batch job concurrency clamp. */
+export const MAX_SLOTS = 4;
+const KEEP_FINISHED = 50;
+const AVERAGE_OVER = 10;
+
+const defaultClock = { now: () => new Date().toISOString() };
+
+/**
+ * Build a queue entry ID. Format: bq_{compactTimestamp}_{random}
+ * @param {{ now: () => string }} clock
+ */
+export function buildEntryId(clock = defaultClock) {
+  const ts = clock.now().replace(/[-:]/g, '').slice(0, 15);
+  return `bq_${ts}_${crypto.randomBytes(2).toString('hex')}`;
+}
+
+export function isActiveEntry(entry) {
+  return !!entry && ACTIVE.has(entry.status);
+}
+
+// ---------------------------------------------------------------------------
+// build_queue.json container
+// ---------------------------------------------------------------------------
+
+/**
+ * @param {*} raw
+ * @returns {{ updatedAt: string, paused: boolean, hubHeartbeatAt: string|null, nextSeq: number, entries: object[] }}
+ */
+export function normalizeBuildQueue(raw) {
+  if (!raw || typeof raw !== 'object') raw = {};
+  const entries = (Array.isArray(raw.entries) ? raw.entries : [])
+    .filter(e => e && e.entryId && (e.ideaId || e.target))
+    .map(e => ({
+      ...e,
+      kind: ENTRY_KINDS.includes(e.kind) ? e.kind : 'build',
+      source: e.source in SOURCE_PRIORITY ? e.source : 'idle',
+      status: e.status in ENTRY_TRANSITIONS ? e.status : 'queued',
+      slots: clampSlots(e.slots),
+    }));
+  const maxSeq = entries.reduce((m, e) => Math.max(m, Number(e.seq) || 0), 0);
+  return {
+    updatedAt: raw.updatedAt || new Date().toISOString(),
+    paused: raw.paused === true,
+    hubHeartbeatAt: raw.hubHeartbeatAt || null,
+    nextSeq: Math.max(Number(raw.nextSeq) || 0, maxSeq + 1),
+    entries,
+  };
+}
+
+/**
+ * Add a build of `ideaId` to the queue. An idea that is already queued or
+ * running (in the same language) is not queued twice – the existing entry
+ * is returned, moved up to the new source's priority if that is higher.
+ * Likewise an output gets one resume, iteration or re-theme at a time.
+ *
+ * @param {object} queue – normalized container
+ * @param {object} input
+ * @param {string} [input.ideaId] – required for `build`
+ * @param {'build'|'resume'|'iterate'|'retheme'} [input.kind='build']
+ * @param {string|null} [input.target] – output id, required for the other kinds
+ * @param {{ instruction?: string, preset?: string, seed?: string }|null} [input.params] – iterate/retheme options
+ * @param {'manual'|'batch'|'idle'} [input.source='manual']
+ * @param {string|null} [input.lang] – output language override (generate.mjs --lang)
+ * @param {boolean} [input.langVariant] – build `lang` as a variant of the idea (generate.mjs --lang-variant)
+ * @param {string|null} [input.jobId] – batch job the entry belongs to
+ * @param {number} [input.slots=1] – builds that may run while this one starts (1..MAX_SLOTS)
+ * @param {{ now: () => string }} [clock]
+ * @returns {{ queue: object, entry: object, created: boolean }}
+ */
+export function enqueueBuild(queue, { ideaId = null, kind = 'build', target = null, params = null, source = 'manual', lang = null, langVariant = false, jobId = null, slots = 1 }, clock = defaultClock) {
+  if (!ENTRY_KINDS.includes(kind)) throw new Error(`unknown entry kind: "${kind}"`);
+  if (kind === 'build' && !ideaId) throw new Error('ideaId is required');
+  if (kind !== 'build' && !target) throw new Error(`target is required for ${kind}`);
+  if (!(source in SOURCE_PRIORITY)) throw new Error(`unknown build source: "${source}"`);
+
+  const existing = queue.entries.find(e => isActiveEntry(e) && (kind === 'build'
+    ? e.kind === 'build' && e.ideaId === String(ideaId) && (e.lang || null) === (lang || null)
+    : e.target === String(target)));
+  if (existing) {
+    if (existing.status !== 'queued' || SOURCE_PRIORITY[source] >= SOURCE_PRIORITY[existing.source]) {
+      return { queue, entry: existing, created: false };
+    }
+    const raised = { ...existing, source };
+    return { queue: replaceEntry(queue, raised, clock), entry: raised, created: false };
+  }
+
+  const entry = {
+    entryId: buildEntryId(clock),
+    ideaId: ideaId ? String(ideaId) : null,
+    kind,
+    target: kind === 'build' ? null : String(target),
+    params: kind === 'build' ? null : params || null,
+    source,
+    lang: lang || null,
+    langVariant: !!lang && langVariant === true,
+    jobId: jobId || null,
+    slots: clampSlots(slots),
+    seq: queue.nextSeq,
+    status: 'queued',
+    enqueuedAt: clock.now(),
+    startedAt: null,
+    finishedAt: null,
+    runId: null,
+    outId: null,
+    error: null,
+    category: null,
+  };
+  return {
+    queue: { ...queue, updatedAt: clock.now(), nextSeq: queue.nextSeq + 1, entries: [...queue.entries, entry] },
+    entry,
+    created: true,
+  };
+}
+
+/**
+ * generate.mjs arguments that run `entry` (after the script path).
+ * @returns {string[]}
+ */
+export function generateArgs(entry) {
+  const p = entry.params || {};
+  let args;
+  if (entry.kind === 'resume') args = ['--resume', entry.target];
+  else if (entry.kind === 'iterate') args = ['--iterate', entry.target, '--instruction', String(p.instruction || '')];
+  else if (entry.kind === 'retheme') {
+    args = ['--retheme', entry.target];
+    if (p.preset) args.push('--preset', String(p.preset));
+    if (p.seed) args.push('--seed', String(p.seed));
+  } else {
+    args = ['--idea-id', entry.ideaId];
+    if (entry.lang) args.push('--lang', entry.lang);
+    if (entry.langVariant) args.push('--lang-variant');
+  }
+  return [...args, '--json'];
+}
+
+function clampSlots(slots) {
+  return Math.max(1, Math.min(MAX_SLOTS, Math.floor(Number(slots)) || 1));
+}
+
+function replaceEntry(queue, entry, clock) {
+  return {
+    ...queue,
+    updatedAt: clock.now(),
+    entries: queue.entries.map(e => e.entryId === entry.entryId ? entry : e),
+  };
+}
+
+export function findEntry(queue, entryId) {
+  return queue.entries.find(e => e.entryId === entryId) || null;
+}
+
+/** Queued entries in start order: priority, then FIFO. */
+export function pendingEntries(queue) {
+  return queue.entries
+    .filter(e => e.status === 'queued')
+    .sort((a, b) => SOURCE_PRIORITY[a.source] - SOURCE_PRIORITY[b.source] || a.seq - b.seq);
+}
+
+/** The queued or running entry working on output `target`, or null. */
+export function activeEntryForOutput(queue, target) {
+  return queue.entries.find(e => isActiveEntry(e) && e.target === String(target)) || null;
+}
+
+/** Queued or running entries from `source` (the idle job adds one at a time). */
+export function activeEntriesFrom(queue, source) {
+  return queue.entries.filter(e => isActiveEntry(e) && e.source === source);
+}
+
+export function runningEntries(queue) {
+  return queue.entries.filter(e => e.status === 'running');
+}
+
+/** The entry to start next, or null (paused or nothing queued). */
+export function nextEntry(queue) {
+  if (queue.paused) return null;
+  return pendingEntries(queue)[0] || null;
+}
+
+/**
+ * Whether `entry` may start now: fewer builds are running than the larger
+ * of the service's `concurrency` and the entry's own `slots`.
+ */
+export function hasFreeSlot(queue, entry, concurrency = 1) {
+  return runningEntries(queue).length < Math.max(concurrency, entry?.slots || 1);
+}
+
+/**
+ * Move an entry to `status` (immutable – returns new container).
+ * @param {object} queue
+ * @param {string} entryId
+ * @param {string} status
+ * @param {object} [extra] – runId, outId, error, category, startedAt, finishedAt
+ * @param {{ now: () => string }} [clock]
+ * @returns {{ queue: object, ok: boolean, entry?: object, error?: string }}
+ */
+export function updateEntryStatus(queue, entryId, status, extra = {}, clock = defaultClock) {
+  const entry = findEntry(queue, entryId);
+  if (!entry) return { queue, ok: false, error: `entry not found: ${entryId}` };
+  const allowed = ENTRY_TRANSITIONS[entry.status];
+  if (!(status in ENTRY_TRANSITIONS)) return { queue, ok: false, error: `unknown entry status: "${status}"` };
+  if (!allowed.has(status)) return { queue, ok: false, error: `illegal entry transition: ${entry.status} → ${status}` };
+
+  const next = { ...entry, ...extra, status };
+  return { queue: replaceEntry(queue, next, clock), ok: true, entry: next };
+}
+
+export function setPaused(queue, paused, clock = defaultClock) {
+  return { ...queue, paused: !!paused, updatedAt: clock.now() };
+}
+
+export function touchHeartbeat(queue, clock = defaultClock) {
+  return { ...queue, hubHeartbeatAt: clock.now() };
+}
+
+/** True while a hub is consuming the queue (its heartbeat is recent). */
+export function isHubAlive(queue, now = new Date().toISOString(), maxAgeMs = HUB_HEARTBEAT_MAX_AGE_MS) {
+  if (!queue.hubHeartbeatAt) return false;
+  return Date.parse(now) - Date.parse(queue.hubHeartbeatAt) <= maxAgeMs;
+}
+
+/** Drop all but the newest `keep` finished entries. */
+export function pruneFinished(queue, keep = KEEP_FINISHED) {
+  const finished = queue.entries
+    .filter(e => !isActiveEntry(e))
+    .sort((a, b) => String(b.finishedAt || '').localeCompare(String(a.finishedAt || '')) || b.seq - a.seq);
+  const drop = new Set(finished.slice(keep).map(e => e.entryId));
+  if (drop.size === 0) return queue;
+  return { ...queue, entries: queue.entries.filter(e => !drop.has(e.entryId)) };
+}
+
+// ---------------------------------------------------------------------------
+// Time limit
+// ---------------------------------------------------------------------------
+
+/** Limit of a batch or idle build without repair rounds. */
+export const DEFAULT_BUILD_TIMEOUT_MS = 10 * 60 * 1000;
+/** Added to the limit for each repair round a build may spend. */
+export const REPAIR_ROUND_TIMEOUT_MS = 5 * 60 * 1000;
+
+function positiveMs(raw) {
+  const n = Math.round(Number(raw));
+  return Number.isFinite(n) && n > 0 ? n : null;
+}
+
+/**
+ * How long the build of `entry` may run before the queue stops it.
+ * Batch and idle builds get DAILY_APP_LAB_BUILD_TIMEOUT_MS (default 10 min,
+ * `0` turns it off) plus REPAIR_ROUND_TIMEOUT_MS per repair round. Manual
+ * builds are watched by someone and only get a limit when
+ * DAILY_APP_LAB_MANUAL_BUILD_TIMEOUT_MS is set.
+ *
+ * @param {{ source?: string }} entry
+ * @param {object} [opts]
+ * @param {Record<string, string|undefined>} [opts.env]
+ * @param {number} [opts.repairAttempts] – the build's repair budget
+ * @returns {number|null} milliseconds, null for no limit
+ */
+export function buildTimeoutMs(entry, { env = process.env, repairAttempts = 0 } = {}) {
+  if (entry?.source === 'manual') return positiveMs(env.DAILY_APP_LAB_MANUAL_BUILD_TIMEOUT_MS);
+  const raw = env.DAILY_APP_LAB_BUILD_TIMEOUT_MS;
+  const base = raw === undefined || raw === '' ? DEFAULT_BUILD_TIMEOUT_MS : positiveMs(raw);
+  if (base === null) return null;
+  return base + Math.max(0, repairAttempts) * REPAIR_ROUND_TIMEOUT_MS;
+}
+
+/**
+ * Note on a running entry that the queue stopped its build at the time
+ * limit, so the settlement can tell a timeout from a cancel.
+ * @returns {{ queue: object, ok: boolean, entry?: object, error?: string }}
+ */
+export function markTimedOut(queue, entryId, timeoutMs, clock = defaultClock) {
+  const entry = findEntry(queue, entryId);
+  if (entry?.status !== 'running') return { queue, ok: false, error: `entry not running: ${entryId}` };
+  const next = { ...entry, stopReason: 'timeout', timeoutMs, stoppedAt: clock.now() };
+  return { queue: replaceEntry(queue, next, clock), ok: true, entry: next };
+}
+
+/**
+ * Final status of an entry whose build ended as `status`. A build the queue
+ * stopped at its limit reports itself aborted; it is settled as a `timeout`
+ * failure instead, so it is counted and retried like one. A build that
+ * finished before the signal landed stays done.
+ *
+ * @param {object} entry – the running entry
+ * @param {string} status – done | failed | cancelled
+ * @param {object} [extra] – outId, error, category
+ * @returns {[string, object]}
+ */
+export function settlement(entry, status, extra = {}) {
+  if (entry?.stopReason !== 'timeout' || status === 'done') return [status, extra];
+  const ms = entry.timeoutMs || 0;
+  const limit = ms >= 60000 ? `${Math.round(ms / 60000)} min` : `${Math.round(ms / 1000)} s`;
+  return ['failed', { ...extra, error: `Build timed out after ${limit}`, category: 'timeout' }];
+}
+
+// ---------------------------------------------------------------------------
+// Start time estimates
+// ---------------------------------------------------------------------------
+
+/**
+ * Mean duration of the last finished builds, `fallbackMs` without history.
+ * @returns {number} milliseconds
+ */
+export function averageBuildMs(queue, fallbackMs = DEFAULT_BUILD_MS) {
+  const durations = queue.entries
+    .filter(e => e.status === 'done' && e.startedAt && e.finishedAt)
+    .sort((a, b) => b.finishedAt.localeCompare(a.finishedAt))
+    .slice(0, AVERAGE_OVER)
+    .map(e => Date.parse(e.finishedAt) - Date.parse(e.startedAt))
+    .filter(ms => ms > 0);
+  if (durations.length === 0) return fallbackMs;
+  return Math.round(durations.reduce((a, b) => a + b, 0) / durations.length);
+}
+
+/**
+ * Estimated start of every queued entry: each build slot frees up when its
+ * running build reaches the average duration (or now, if it is over), and
+ * queued entries take the earliest free slot in start order. Entries with
+ * more `slots` widen the estimate to that many slots.
+ *
+ * @param {object} queue
+ * @param {object} [opts]
+ * @param {string} [opts.now]
+ * @param {number} [opts.concurrency=1]
+ * @param {number} [opts.avgBuildMs]
+ * @returns {Map<string, string|null>} entryId → ISO time (null while paused)
+ */
+export function estimateStartTimes(queue, { now = new Date().toISOString(), concurrency = 1, avgBuildMs = averageBuildMs(queue) } = {}) {
+  const pending = pendingEntries(queue);
+  const estimates = new Map();
+  if (queue.paused) {
+    for (const e of pending) estimates.set(e.entryId, null);
+    return estimates;
+  }
+
+  const nowMs = Date.parse(now);
+  const width = queue.entries.filter(isActiveEntry).reduce((m, e) => Math.max(m, e.slots || 1), Math.max(1, concurrency));
+  const slots = runningEntries(queue).map(e => Math.max(nowMs, Date.parse(e.startedAt || now) + avgBuildMs));
+  while (slots.length < width) slots.push(nowMs);
+  slots.sort((a, b) => a - b);
+
+  for (const e of pending) {
+    const start = slots.shift();
+    estimates.set(e.entryId, new Date(start).toISOString());
+    slots.push(start + avgBuildMs);
+    slots.sort((a, b) => a - b);
+  }
+  return estimates;
+}
@@ -0,0 +1,134 @@
+/**
+ * Build Repair – helpers for the bounded "fix the build" loop in generate.mjs.
+ *
+ * When install/build fails, the tail of the failing command output is fed
+ * back to the generator with a "fix only these errors" instruction. These
+ * helpers keep that loop testable:
+ *   - resolveRepairBudget: how many repair rounds a run may spend
+ *   - extractErrorExcerpt: trim noisy npm/vite output down to the error tail
+ *   - buildRepairPrompt:  the follow-up instruction sent to the generator
+ *   - snapshotFiles / diffSnapshots: which files a repair round touched
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+export const DEFAULT_REPAIR_ATTEMPTS = 2;
+export const MAX_REPAIR_ATTEMPTS = 5;
+
+const SKIP_DIRS = new Set(['node_modules', 'dist', '.git', 'versions']);
+// eslint-disable-next-line no-control-regex
+const ANSI_RE = /\x1b\[[0-9;]*[A-Za-z]/g;
+const ERROR_LINE_RE = /error|failed|cannot|could not|unexpected|not found|ERR!/i;
+
+// ---------------------------------------------------------------------------
+// Budget
+// ---------------------------------------------------------------------------
+
+/**
+ * @param {string|number|undefined} raw – e.g. process.env.DAILY_APP_LAB_REPAIR_ATTEMPTS
+ * @returns {number} 0..MAX_REPAIR_ATTEMPTS
+ */
+export function resolveRepairBudget(raw) {
+  if (raw === undefined || raw === null || raw === '') return DEFAULT_REPAIR_ATTEMPTS;
+  const n = Math.round(Number(raw));
+  if (!Number.isFinite(n)) return DEFAULT_REPAIR_ATTEMPTS;
+  return Math.max(0, Math.min(MAX_REPAIR_ATTEMPTS, n));
+}
+
+// ---------------------------------------------------------------------------
+// Error excerpt
+// ---------------------------------------------------------------------------
+
+/**
+ * Keep the last `maxLines` lines of output, starting at the first line that
+ * looks like an error when one exists inside that window.
+ *
+ * @param {string} text – combined stdout/stderr of the failing command
+ * @param {object} [opts]
+ * @param {number} [opts.maxLines=60]
+ * @param {number} [opts.maxChars=4000]
+ */
+export function extractErrorExcerpt(text, { maxLines = 60, maxChars = 4000 } = {}) {
+  const lines = String(text || '')
+    .replace(ANSI_RE, '')
+    .split(/\r?\n/)
+    .map(l => l.trimEnd())
+    .filter(Boolean);
+
+  let tail = lines.slice(-maxLines);
+  const firstError = tail.findIndex(l => ERROR_LINE_RE.test(l));
+  if (firstError > 0) tail = tail.slice(firstError);
+
+  const excerpt = tail.join('\n');
+  return excerpt.length > maxChars ? excerpt.slice(-maxChars) : excerpt;
+}
+
+// ---------------------------------------------------------------------------
+// Repair prompt
+// ---------------------------------------------------------------------------
+
+/**
+ * @param {{ stage: string, excerpt: string, attempt: number, maxAttempts: number, command?: string }} input
+ */
+export function buildRepairPrompt({ stage, excerpt, attempt, maxAttempts, command }) {
+  return [
+    `The project in this folder fails during the "${stage}" step${command ? ` (\`${command}\`)` : ''}.`,
+    `Repair attempt ${attempt} of ${maxAttempts}.`,
+    ``,
+    `Fix ONLY the errors below. Do not redesign the app, rename features or add new dependencies unless an error requires it.`,
+    `Keep every existing file that is not involved in the error unchanged.`,
+    ``,
+    `Errors:`,
+    '```',
+    excerpt || '(no output captured)',
+    '```',
+  ].join('\n');
+}
+
+// ---------------------------------------------------------------------------
+// File snapshots
+// ---------------------------------------------------------------------------
+
+/**
+ * Record `size:mtime` for every source file under `dir`
+ * (node_modules, dist and versions/ are skipped).
+ * @returns {Promise<Map<string, string>>} relative posix path → signature
+ */
+export async function snapshotFiles(dir) {
+  const out = new Map();
+  async function walk(abs, rel) {
+    let entries = [];
+    try { entries = await fs.readdir(abs, { withFileTypes: true }); } catch { return; }
+    for (const ent of entries) {
+      if (ent.isDirectory()) {
+        if (SKIP_DIRS.has(ent.name)) continue;
+        await walk(path.join(abs, ent.name), rel ? `${rel}/${ent.name}` : ent.name);
+      } else if (ent.isFile()) {
+        const st = await fs.stat(path.join(abs, ent.name)).catch(() => null);
+        if (st) out.set(rel ? `${rel}/${ent.name}` : ent.name, `${st.size}:${st.mtimeMs}`);
+      }
+    }
+  }
+  await walk(dir, '');
+  return out;
+}
+
+/**
+ * @param {Map<string, string>} before
+ * @param {Map<string, string>} after
+ * @returns {{ added: string[], modified: string[], removed: string[] }}
+ */
+export function diffSnapshots(before, after) {
+  const added = [];
+  const modified = [];
+  const removed = [];
+  for (const [file, sig] of after) {
+    if (!before.has(file)) added.push(file);
+    else if (before.get(file) !== sig) modified.push(file);
+  }
+  for (const file of before.keys()) {
+    if (!after.has(file)) removed.push(file);
+  }
+  return { added: added.sort(), modified: modified.sort(), removed: removed.sort() };
+}
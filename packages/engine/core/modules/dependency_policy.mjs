@@ -0,0 +1,254 @@
+/**
+ * Dependency Policy – vet a generated package.json before npm touches it.
+ *
+ * The LLM picks the dependencies of every output and the idle job installs
+ * them unattended, so an unknown package (or its install script) would run
+ * on this machine. Before each install the generated package.json is
+ * checked against an allowlist / denylist:
+ *
+ *   denied  – on the denylist (wins over the allowlist)
+ *   unknown – not on the allowlist
+ *   source  – git / url / file / alias spec instead of a registry version
+ *   version – allowed, but at a different major than the pinned range
+ *   lifecycle_script – the project defines preinstall/install/postinstall/prepare
+ *   override – `overrides` / `resolutions` (can point an allowed name anywhere)
+ *   bundled  – `bundleDependencies` (shipped as-is, never fetched or vetted)
+ *
+ * In `strip` mode (default) offending entries are removed and off-major
+ * versions pinned to the allowlist range; `reject` fails the install (the
+ * repair loop asks the generator to drop them); `off` skips the check.
+ * Installs run with `--ignore-scripts` unless the policy allows scripts,
+ * and a generated lockfile is always removed: its `resolved` URLs would
+ * bypass the vetted package.json.
+ *
+ * Defaults below are extended by `runtime/data/dependency_policy.json`
+ * ({ mode, ignoreScripts, allow: { name: range }, deny: [name | "scope/*"] })
+ * and by DAILY_APP_LAB_DEP_POLICY / DAILY_APP_LAB_INSTALL_SCRIPTS.
+ *
+ * `evaluateDependencyPolicy()` is pure; the fs helpers at the bottom load the
+ * policy and rewrite the package.json.
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { readJsonSafe } from '../../../shared/atomic_fs.mjs';
+import { TEMPLATES } from '../templates/index.mjs';
+
+export const POLICY_MODES = Object.freeze(['strip', 'reject', 'off']);
+export const DEPENDENCY_FIELDS = Object.freeze(['dependencies', 'devDependencies', 'optionalDependencies', 'peerDependencies']);
+/** package.json fields that are removed whole, with their rule. */
+export const FORBIDDEN_FIELDS = Object.freeze({
+  overrides: 'override',
+  resolutions: 'override',
+  bundleDependencies: 'bundled',
+  bundledDependencies: 'bundled',
+});
+/** Lockfiles npm would install from as they are. */
+export const LOCKFILES = Object.freeze(['package-lock.json', 'npm-shrinkwrap.json']);
+export const LIFECYCLE_SCRIPTS = Object.freeze(['preinstall', 'install', 'postinstall', 'prepare', 'prepublish']);
+
+/** Any registry version is fine for these ('*'), others are pinned to their major. */
+export const DEFAULT_DEPENDENCY_POLICY = Object.freeze({
+  mode: 'strip',
+  ignoreScripts: true,
+  allow: Object.freeze({
+    // Every template stack (react-tailwind, preact, svelte, vanilla-canvas)
+    ...Object.assign({}, ...Object.values(TEMPLATES).filter(t => t.stack).map(t => ({ ...t.stack.dependencies, ...t.stack.devDependencies }))),
+    // UI / state helpers
+    'lucide-react': '*',
+    'clsx': '^2.1.1',
+    'zustand': '^5.0.0',
+    'immer': '^10.1.1',
+    'nanoid': '^5.0.0',
+    'uuid': '^11.0.0',
+    // Dates, data, files
+    'dayjs': '^1.11.13',
+    'date-fns': '^4.1.0',
+    'papaparse': '^5.4.1',
+    'jszip': '^3.10.1',
+    'file-saver': '^2.0.5',
+    'html-to-image': '^1.11.11',
+    'qrcode': '^1.5.4',
+    'marked': '*',
+    'dompurify': '^3.2.0',
+    'lodash-es': '^4.17.21',
+    // Charts, graphics, audio, physics
+    'recharts': '^2.13.0',
+    'chart.js': '^4.4.0',
+    'react-chartjs-2': '^5.2.0',
+    'd3': '^7.9.0',
+    'three': '*',
+    'tone': '*',
+    'howler': '^2.2.4',
+    'matter-js': '*',
+    'canvas-confetti': '^1.9.3',
+    // Tooling from the Vite react template
+    'typescript': '^5.6.0',
+    '@types/react': '^18.3.0',
+    '@types/react-dom': '^18.3.0',
+    'eslint': '*',
+    '@eslint/js': '*',
+    'globals': '*',
+    'eslint-plugin-react-hooks': '*',
+    'eslint-plugin-react-refresh': '*',
+  }),
+  // Native builds, browsers and packages with a known compromise history
+  deny: Object.freeze([
+    'electron', 'puppeteer', 'playwright', 'sharp', 'canvas', 'node-gyp',
+    'sqlite3', 'better-sqlite3', 'bcrypt', 'node-ipc', 'event-stream', 'flatmap-stream',
+  ]),
+});
+
+/**
+ * `DAILY_APP_LAB_DEP_POLICY=strip|reject|off` overrides the mode;
+ * `DAILY_APP_LAB_INSTALL_SCRIPTS=1` lets npm run lifecycle scripts.
+ * Unset values leave the policy file / defaults alone.
+ */
+export function resolveDependencyPolicyOptions(env = process.env) {
+  const mode = String(env.DAILY_APP_LAB_DEP_POLICY ?? '').trim().toLowerCase();
+  const scripts = String(env.DAILY_APP_LAB_INSTALL_SCRIPTS ?? '').trim().toLowerCase();
+  return {
+    mode: POLICY_MODES.includes(mode) ? mode : undefined,
+    ignoreScripts: scripts ? !['1', 'true', 'on'].includes(scripts) : undefined,
+  };
+}
+
+/**
+ * Layer a policy file and env overrides over the defaults. `allow` and
+ * `deny` extend the defaults; a file entry with a range overrides the
+ * default range.
+ */
+export function mergeDependencyPolicy(base = DEFAULT_DEPENDENCY_POLICY, file = null, overrides = {}) {
+  const allow = { ...base.allow };
+  if (file?.allow && typeof file.allow === 'object' && !Array.isArray(file.allow)) {
+    for (const [name, range] of Object.entries(file.allow)) allow[name] = String(range || '*');
+  } else if (Array.isArray(file?.allow)) {
+    for (const name of file.allow) if (!(name in allow)) allow[String(name)] = '*';
+  }
+  const deny = [...new Set([...base.deny, ...(Array.isArray(file?.deny) ? file.deny.map(String) : [])])];
+  const pick = (...vals) => vals.find(v => v !== undefined && v !== null);
+  const mode = pick(overrides.mode, POLICY_MODES.includes(file?.mode) ? file.mode : undefined, base.mode);
+  const ignoreScripts = pick(overrides.ignoreScripts, typeof file?.ignoreScripts === 'boolean' ? file.ignoreScripts : undefined, base.ignoreScripts);
+  return { mode, ignoreScripts, allow, deny };
+}
+
+const isDenied = (name, deny) => deny.some(d => (d.endsWith('/*') ? name.startsWith(d.slice(0, -1)) : d === name));
+// Anything npm would fetch from somewhere other than the registry
+const NON_REGISTRY_RE = /^(?:git(?:\+\w+)?:|https?:|file:|link:|npm:|github:|gitlab:|bitbucket:|workspace:)|^[\w.-]+\/[\w.-]+(?:#.*)?$/i;
+const majorOf = (v) => {
+  const m = String(v || '').match(/(\d+)/);
+  return m ? Number(m[1]) : null;
+};
+
+/**
+ * Check a package.json against the policy.
+ *
+ * @param {object} pkg – parsed package.json
+ * @param {object} policy – see mergeDependencyPolicy()
+ * @returns {{ pkg: object, violations: object[], changed: boolean, rejected: boolean }}
+ *   `pkg` is the sanitized copy (identical to the input in reject/off mode)
+ */
+export function evaluateDependencyPolicy(pkg, policy = DEFAULT_DEPENDENCY_POLICY) {
+  const next = JSON.parse(JSON.stringify(pkg || {}));
+  const violations = [];
+  if (policy.mode === 'off') return { pkg: next, violations, changed: false, rejected: false };
+
+  const strip = policy.mode === 'strip';
+  const block = (v) => violations.push({ ...v, action: strip ? 'stripped' : 'rejected' });
+
+  for (const field of DEPENDENCY_FIELDS) {
+    const deps = next[field];
+    if (!deps || typeof deps !== 'object') continue;
+    for (const [name, spec] of Object.entries(deps)) {
+      const wanted = String(spec);
+      if (isDenied(name, policy.deny)) {
+        block({ name, field, wanted, rule: 'denied' });
+      } else if (!(name in policy.allow)) {
+        block({ name, field, wanted, rule: 'unknown' });
+      } else if (NON_REGISTRY_RE.test(wanted)) {
+        block({ name, field, wanted, rule: 'source' });
+      } else {
+        const range = policy.allow[name];
+        if (range === '*' || (/^[\^~]?\d/.test(wanted) && majorOf(wanted) === majorOf(range))) continue;
+        // Off-major or "latest": pinning is a safe fix in every mode
+        deps[name] = range;
+        violations.push({ name, field, wanted, rule: 'version', action: 'pinned', pinnedTo: range });
+        continue;
+      }
+      if (strip) delete deps[name];
+    }
+  }
+
+  for (const [field, rule] of Object.entries(FORBIDDEN_FIELDS)) {
+    if (next[field] === undefined) continue;
+    block({ name: field, field, wanted: JSON.stringify(next[field]), rule });
+    if (strip) delete next[field];
+  }
+
+  for (const hook of LIFECYCLE_SCRIPTS) {
+    const cmd = next.scripts?.[hook];
+    if (cmd === undefined) continue;
+    block({ name: `scripts.${hook}`, field: 'scripts', wanted: String(cmd), rule: 'lifecycle_script' });
+    if (strip) delete next.scripts[hook];
+  }
+
+  const rejected = violations.some(v => v.action === 'rejected');
+  return { pkg: rejected ? JSON.parse(JSON.stringify(pkg || {})) : next, violations, changed: !rejected && violations.length > 0, rejected };
+}
+
+/** One line per violation, for the build log and the repair prompt. */
+export function formatPolicyViolations(violations) {
+  return violations.map((v) => {
+    const what = v.field === 'scripts' ? `${v.name} ("${v.wanted.slice(0, 80)}")`
+      : v.field in FORBIDDEN_FIELDS ? `${v.name} (${v.wanted.slice(0, 80)})`
+        : `${v.name}@${v.wanted}`;
+    const how = v.action === 'pinned' ? `pinned to ${v.pinnedTo}` : v.action;
+    return `  - ${what}: ${v.rule}, ${how}`;
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Filesystem helpers
+// ---------------------------------------------------------------------------
+
+/** Defaults + `policyFile` (when present) + env overrides. */
+export async function loadDependencyPolicy(policyFile, env = process.env) {
+  const file = policyFile ? await readJsonSafe(policyFile, null) : null;
+  return mergeDependencyPolicy(DEFAULT_DEPENDENCY_POLICY, file, resolveDependencyPolicyOptions(env));
+}
+
+/**
+ * Apply the policy to `<dir>/package.json`. A sanitized package.json is
+ * written back. A generated lockfile is removed whenever the policy is on,
+ * also for a compliant package.json: npm would fetch its `resolved` URLs
+ * without looking at the allowlist.
+ *
+ * @returns {Promise<{ mode: string, ignoreScripts: boolean, violations: object[], changed: boolean, rejected: boolean }>}
+ */
+export async function enforceDependencyPolicy(dir, policy) {
+  const file = path.join(dir, 'package.json');
+  const pkg = await readJsonSafe(file, null);
+  const base = { mode: policy.mode, ignoreScripts: policy.ignoreScripts };
+  if (!pkg) return { ...base, violations: [], changed: false, rejected: false };
+
+  const result = evaluateDependencyPolicy(pkg, policy);
+  if (result.changed) await fs.writeFile(file, JSON.stringify(result.pkg, null, 2) + '\n');
+  if (policy.mode !== 'off') {
+    await Promise.all(LOCKFILES.map(name => fs.rm(path.join(dir, name), { force: true })));
+  }
+  return { ...base, violations: result.violations, changed: result.changed, rejected: result.rejected };
+}
+
+/**
+ * Combine the reports of several install rounds (a repair round sees the
+ * already-sanitized package.json, so earlier violations would be lost).
+ * @returns {{ mode: string, ignoreScripts: boolean, violations: object[] }|null}
+ */
+export function mergePolicyReports(a, b) {
+  const summary = (r) => ({ mode: r.mode, ignoreScripts: r.ignoreScripts, violations: [...r.violations] });
+  if (!a || !b) return a || b ? summary(a || b) : null;
+  const key = (v) => `${v.field}:${v.name}:${v.rule}:${v.wanted}`;
+  const seen = new Map(a.violations.map(v => [key(v), v]));
+  for (const v of b.violations) seen.set(key(v), v);
+  return { ...summary(b), violations: [...seen.values()] };
+}
@@ -0,0 +1,79 @@
+/**
+ * Idea Filter – pure functions to select backlog ideas by a saved filter.
+ *
+ * Batch jobs can be created from a filter instead of explicit idea IDs; the
+ * normalized filter is stored on the job so it shows what was selected.
+ * Matching mirrors the hub's backlog view: the keyword is a case-insensitive
+ * substring of the title, a keyword or the scenario; `maxSimilarity` keeps
+ * ideas whose dedupe similarity score is at most that value.
+ */
+
+const IDEA_STATUSES = new Set([
+  'new', 'backlog', 'implement-now', 'picked', 'implemented', 'blocked', 'archived', 'filtered',
+]);
+
+/** Without a status filter, everything but built ideas (the backlog view). */
+const DEFAULT_EXCLUDED_STATUSES = new Set(['implemented']);
+
+/**
+ * Normalize a filter; unknown fields are dropped, empty ones become null.
+ * @param {*} raw – { status?, keyword?, maxSimilarity?, campaignId? }
+ * @returns {{ status: string[]|null, keyword: string|null, maxSimilarity: number|null, campaignId: string|null }}
+ */
+export function normalizeIdeaFilter(raw) {
+  const src = raw && typeof raw === 'object' ? raw : {};
+
+  const statuses = (Array.isArray(src.status) ? src.status : [src.status])
+    .map(s => String(s ?? '').toLowerCase().trim())
+    .filter(s => IDEA_STATUSES.has(s));
+  const keyword = String(src.keyword ?? '').trim();
+  const maxSimilarity = src.maxSimilarity == null || src.maxSimilarity === '' ? NaN : Number(src.maxSimilarity);
+  const campaignId = String(src.campaignId ?? '').trim();
+
+  return {
+    status: statuses.length ? [...new Set(statuses)] : null,
+    keyword: keyword || null,
+    maxSimilarity: Number.isFinite(maxSimilarity) ? Math.max(0, maxSimilarity) : null,
+    campaignId: campaignId || null,
+  };
+}
+
+/** True when the filter selects nothing beyond the default backlog view. */
+export function isEmptyIdeaFilter(filter) {
+  const f = normalizeIdeaFilter(filter);
+  return !f.status && !f.keyword && f.maxSimilarity == null && !f.campaignId;
+}
+
+/**
+ * Does an idea match a filter?
+ * @param {object} idea – a normalized idea (json_contract normalizeIdea)
+ * @param {object} filter
+ * @returns {boolean}
+ */
+export function matchesIdeaFilter(idea, filter) {
+  if (!idea || typeof idea !== 'object') return false;
+  const f = normalizeIdeaFilter(filter);
+  const status = String(idea.status || 'new').toLowerCase();
+
+  if (f.status ? !f.status.includes(status) : DEFAULT_EXCLUDED_STATUSES.has(status)) return false;
+  if (f.campaignId && idea.campaignId !== f.campaignId) return false;
+  if (f.maxSimilarity != null && (Number(idea.similarity?.score) || 0) > f.maxSimilarity) return false;
+
+  if (f.keyword) {
+    const kw = f.keyword.toLowerCase();
+    const haystack = [idea.title, idea.hudScenario, ...(Array.isArray(idea.keywords) ? idea.keywords : [])];
+    if (!haystack.some(s => String(s || '').toLowerCase().includes(kw))) return false;
+  }
+  return true;
+}
+
+/**
+ * IDs of the ideas matching a filter, in backlog order.
+ * @param {object[]} ideas
+ * @param {object} filter
+ * @returns {string[]}
+ */
+export function selectIdeaIds(ideas, filter) {
+  if (!Array.isArray(ideas)) return [];
+  return ideas.filter(i => matchesIdeaFilter(i, filter)).map(i => String(i.id));
+}
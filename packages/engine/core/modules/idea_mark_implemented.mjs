@@ -10,25 +10,40 @@ const DATA = path.join(ROOT, 'runtime', 'data');
 const BACKLOG = path.join(DATA, 'idea_backlog.json');
 const QUEUE = path.join(DATA, 'idea_queue.json');
 
-export async function markImplemented({ ideaId, title, relPath }) {
+/**
+ * Mark a backlog idea implemented by the output at `relPath`. With
+ * `variantLang` (a "Build in another language" run) the idea keeps its
+ * status and `link`, implemented or not; the output is added to
+ * `langVariants` (one per language) instead.
+ */
+export async function markImplemented({ ideaId, title, relPath }, { clearQueue = true, variantLang = null } = {}) {
   await withFileLock(BACKLOG, async () => {
     const j = await readJsonSafe(BACKLOG, null);
     if (j) {
       const items = j.ideas || j.items || j.backlog || [];
       const it = items.find(x => (ideaId && (x.id===ideaId)) || (title && (x.title===title)));
-      if (it) {
+      if (it && variantLang) {
+        const others = (Array.isArray(it.langVariants) ? it.langVariants : []).filter(v => v?.lang !== variantLang);
+        it.langVariants = [...others, { lang: variantLang, link: relPath, implementedAt: Date.now() }];
+        await writeJsonAtomic(BACKLOG, j);
+      } else if (it) {
         it.status = 'implemented';
         it.implementedAt = Date.now();
         it.link = relPath;
+        // a quarantined build of this idea is no longer worth resuming
+        delete it.lastFailedOutId;
+        delete it.lastResumeStage;
         await writeJsonAtomic(BACKLOG, j);
       }
     }
   });
-  // clear queue
-  await writeJsonAtomic(QUEUE, { updatedAt: new Date().toISOString(), idea: null }).catch(()=>{});
+  // clear queue (resumed builds were not taken from the queue, so leave it alone)
+  if (clearQueue) {
+    await writeJsonAtomic(QUEUE, { updatedAt: new Date().toISOString(), idea: null }).catch(()=>{});
+  }
 }
 
-export async function unpickIdea(ideaId) {
+export async function unpickIdea(ideaId, { clearQueue = true } = {}) {
   await withFileLock(BACKLOG, async () => {
     const j = await readJsonSafe(BACKLOG, null);
     if (j && ideaId) {
@@ -42,5 +57,62 @@ export async function unpickIdea(ideaId) {
     }
   });
   // clear queue so it doesn't get stuck
-  await writeJsonAtomic(QUEUE, { updatedAt: new Date().toISOString(), idea: null }).catch(()=>{});
+  if (clearQueue) {
+    await writeJsonAtomic(QUEUE, { updatedAt: new Date().toISOString(), idea: null }).catch(()=>{});
+  }
+}
+
+/**
+ * Change one backlog idea under the backlog lock, so builds running side by
+ * side do not overwrite each other's updates.
+ * @param {string} ideaId
+ * @param {(idea: object) => void} fn – mutates the idea in place
+ * @returns {Promise<boolean>} false when the idea is not in the backlog
+ */
+export async function updateBacklogIdea(ideaId, fn) {
+  let found = false;
+  await withFileLock(BACKLOG, async () => {
+    const j = await readJsonSafe(BACKLOG, null);
+    if (!j || !ideaId) return;
+    const items = j.ideas || j.items || j.backlog || [];
+    const it = items.find(x => x.id === ideaId);
+    if (!it) return;
+    fn(it);
+    found = true;
+    await writeJsonAtomic(BACKLOG, j);
+  });
+  return found;
+}
+
+/**
+ * One backlog idea, unchanged – a language variant build leaves the status
+ * of the idea it translates alone.
+ * @returns {Promise<object|null>} the idea, null when it is not in the backlog
+ */
+export async function readBacklogIdea(ideaId) {
+  const j = await readJsonSafe(BACKLOG, null);
+  const items = j?.ideas || j?.items || j?.backlog || [];
+  const it = ideaId ? items.find(x => String(x.id) === String(ideaId)) : null;
+  return it ? { ...it } : null;
+}
+
+/**
+ * Mark one backlog idea picked and return it – a build by id (`generate.mjs
+ * --idea-id`) that skips backlog_pick_pm.mjs and idea_queue.json.
+ * @returns {Promise<object|null>} the idea, null when it is not in the backlog
+ */
+export async function pickIdea(ideaId) {
+  let picked = null;
+  await withFileLock(BACKLOG, async () => {
+    const j = await readJsonSafe(BACKLOG, null);
+    if (!j || !ideaId) return;
+    const items = j.ideas || j.items || j.backlog || [];
+    const it = items.find(x => String(x.id) === String(ideaId));
+    if (!it) return;
+    if (it.status !== 'implemented') it.status = 'picked';
+    it.pickedAt = Date.now();
+    await writeJsonAtomic(BACKLOG, j);
+    picked = { ...it };
+  });
+  return picked;
 }
@@ -0,0 +1,222 @@
+/**
+ * Output ids – folder names under outputs/.
+ *
+ *   YYYY-MM-DD-<slug>-<suffix>     e.g. 2026-10-19-pomodoro-board-3f9a1c
+ *
+ * The date prefix is what the hub (serve.mjs, manifest_dynamic.mjs) and
+ * run_idle_job.sh's daily counter match on; the slug makes the folder
+ * readable and the random suffix keeps two builds of the same minute
+ * (batch concurrency, a manual build next to an idle one) apart.
+ * `allocateOutputDir` creates the folder exclusively, so a clash is retried
+ * instead of two runs sharing one directory.
+ *
+ * Older outputs are `YYYY-MM-DD-extra-HHMM`; core/scripts/migrate_output_ids.mjs
+ * renames them.
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import crypto from 'node:crypto';
+import { writeJsonAtomic, readJsonSafe, withFileLock } from '../../../shared/atomic_fs.mjs';
+
+export const OUTPUT_ID_RE = /^\d{4}-\d{2}-\d{2}-[a-z0-9]+(?:-[a-z0-9]+)*$/;
+export const LEGACY_OUTPUT_ID_RE = /^(\d{4}-\d{2}-\d{2})-extra-(\d{4})$/;
+
+const SLUG_MAX = 40;
+const FALLBACK_SLUG = 'app';
+const MAX_ATTEMPTS = 5;
+
+/**
+ * ASCII slug of a title (accents folded, everything else dropped).
+ * Titles without latin letters or digits – e.g. Chinese ones – give `app`.
+ */
+export function slugify(title, maxLength = SLUG_MAX) {
+  const slug = String(title ?? '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, maxLength)
+    .replace(/-+$/, '');
+  return slug || FALLBACK_SLUG;
+}
+
+/** Local calendar date as YYYY-MM-DD (the prefix every output id starts with). */
+export function dateTag(date = new Date()) {
+  const yyyy = date.getFullYear();
+  const mm = String(date.getMonth() + 1).padStart(2, '0');
+  const dd = String(date.getDate()).padStart(2, '0');
+  return `${yyyy}-${mm}-${dd}`;
+}
+
+/** 6 hex chars. */
+export function randomSuffix() {
+  return crypto.randomBytes(3).toString('hex');
+}
+
+/**
+ * @param {object} [input]
+ * @param {string} [input.title]
+ * @param {Date}   [input.date]
+ * @param {string} [input.suffix] – default: random
+ */
+export function createOutputId({ title, date = new Date(), suffix = randomSuffix() } = {}) {
+  return `${dateTag(date)}-${slugify(title)}-${suffix}`;
+}
+
+/**
+ * Create `<outputsDir>/<new id>` exclusively and return it. A clash (same
+ * slug and suffix) draws a new suffix.
+ * @returns {Promise<{ outId: string, outDir: string }>}
+ * @throws {Error} when every attempt clashed or mkdir fails otherwise
+ */
+export async function allocateOutputDir(outputsDir, { title, date = new Date() } = {}, { suffix = randomSuffix } = {}) {
+  await fs.mkdir(outputsDir, { recursive: true });
+  for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+    const outId = createOutputId({ title, date, suffix: suffix() });
+    const outDir = path.join(outputsDir, outId);
+    try {
+      await fs.mkdir(outDir);
+      return { outId, outDir };
+    } catch (e) {
+      if (e?.code !== 'EEXIST') throw e;
+    }
+  }
+  throw new Error(`Could not allocate a unique output id for "${title}" after ${MAX_ATTEMPTS} attempts`);
+}
+
+export function isLegacyOutputId(id) {
+  return LEGACY_OUTPUT_ID_RE.test(String(id));
+}
+
+/**
+ * New id for a legacy `YYYY-MM-DD-extra-HHMM` output. Deterministic: the
+ * HHMM becomes the suffix, so legacy ids (unique per folder) stay unique.
+ * @returns {string|null} null when `id` is not a legacy id
+ */
+export function migratedOutputId(id, title) {
+  const m = String(id).match(LEGACY_OUTPUT_ID_RE);
+  if (!m) return null;
+  return `${m[1]}-${slugify(title)}-${m[2]}`;
+}
+
+/**
+ * Replace `/<old>/` path segments in a link (backlog `link`, manifest `path`).
+ * @param {string} link
+ * @param {Map<string, string>} renames – old id → new id
+ */
+export function rewriteOutputLink(link, renames) {
+  if (typeof link !== 'string') return link;
+  return link.replace(/\/(\d{4}-\d{2}-\d{2}[^/]*)(?=\/|$)/g, (whole, id) => renames.has(id) ? `/${renames.get(id)}` : whole);
+}
+
+// ---------------------------------------------------------------------------
+// Migration of legacy ids
+// ---------------------------------------------------------------------------
+
+async function exists(p) {
+  return fs.access(p).then(() => true, () => false);
+}
+
+/** Title of an output: build.json, else the README heading, else the manifest entry. */
+async function outputTitle(outDir, manifestTitles) {
+  const meta = await readJsonSafe(path.join(outDir, 'build.json'), null);
+  if (meta?.title) return meta.title;
+  const readme = await fs.readFile(path.join(outDir, 'README.md'), 'utf8').catch(() => '');
+  const heading = readme.match(/^#\s+(.+)$/m)?.[1]?.trim();
+  return heading || manifestTitles.get(path.basename(outDir)) || '';
+}
+
+function manifestItems(m) {
+  return ['items', 'projects', 'entries'].flatMap(k => Array.isArray(m?.[k]) ? m[k] : []);
+}
+
+/**
+ * Plan (and unless `dryRun`, apply) the rename of every legacy output folder.
+ *
+ * Applying renames outputs/<old> → outputs/<new> and keeps everything that
+ * points at it valid: build.json `outId`, backlog `link`s, manifest.json
+ * entries, feedback/<old>.json and logs/<old>-generate.log. The renames are
+ * recorded in data/output_id_migration.json. Quarantined builds
+ * (outputs/_failed) keep their ids – their checkpoints name them.
+ *
+ * @param {object} dirs
+ * @param {string} dirs.outputsDir
+ * @param {string} dirs.runtimeDir – holds data/, feedback/ and logs/
+ * @param {object} [options]
+ * @param {boolean} [options.dryRun]
+ * @returns {Promise<{ renames: Array<{ from: string, to: string, title: string }>, skipped: Array<{ id: string, reason: string }> }>}
+ */
+export async function migrateLegacyOutputIds({ outputsDir, runtimeDir }, { dryRun = false } = {}) {
+  const dataDir = path.join(runtimeDir, 'data');
+  const manifestPath = path.join(dataDir, 'manifest.json');
+  const backlogPath = path.join(dataDir, 'idea_backlog.json');
+  const manifestTitles = new Map(manifestItems(await readJsonSafe(manifestPath, {})).map(x => [x.id, x.title]));
+
+  const dirents = await fs.readdir(outputsDir, { withFileTypes: true }).catch(() => []);
+  const legacy = dirents.filter(d => d.isDirectory() && isLegacyOutputId(d.name)).map(d => d.name).sort();
+
+  const renames = [];
+  const skipped = [];
+  const taken = new Set(dirents.map(d => d.name));
+  for (const from of legacy) {
+    const title = await outputTitle(path.join(outputsDir, from), manifestTitles);
+    const to = migratedOutputId(from, title);
+    if (taken.has(to)) {
+      skipped.push({ id: from, reason: `${to} already exists` });
+      continue;
+    }
+    taken.add(to);
+    renames.push({ from, to, title });
+  }
+  if (dryRun || renames.length === 0) return { renames, skipped };
+
+  const map = new Map(renames.map(r => [r.from, r.to]));
+  for (const { from, to } of renames) {
+    await fs.rename(path.join(outputsDir, from), path.join(outputsDir, to));
+    const metaPath = path.join(outputsDir, to, 'build.json');
+    const meta = await readJsonSafe(metaPath, null);
+    if (meta) await writeJsonAtomic(metaPath, { ...meta, outId: to });
+
+    const feedbackFrom = path.join(runtimeDir, 'feedback', `${from}.json`);
+    if (await exists(feedbackFrom)) {
+      const feedback = await readJsonSafe(feedbackFrom, {});
+      await writeJsonAtomic(path.join(runtimeDir, 'feedback', `${to}.json`), { ...feedback, date: to });
+      await fs.rm(feedbackFrom, { force: true });
+    }
+    const logFrom = path.join(runtimeDir, 'logs', `${from}-generate.log`);
+    if (await exists(logFrom)) await fs.rename(logFrom, path.join(runtimeDir, 'logs', `${to}-generate.log`));
+  }
+
+  if (await exists(backlogPath)) {
+    await withFileLock(backlogPath, async () => {
+      const backlog = await readJsonSafe(backlogPath, null);
+      const items = backlog?.ideas || backlog?.items || backlog?.backlog || [];
+      let changed = false;
+      for (const it of items) {
+        const link = rewriteOutputLink(it.link, map);
+        if (link !== it.link) { it.link = link; changed = true; }
+      }
+      if (changed) await writeJsonAtomic(backlogPath, backlog);
+    });
+  }
+
+  if (await exists(manifestPath)) {
+    await withFileLock(manifestPath, async () => {
+      const m = await readJsonSafe(manifestPath, null);
+      for (const item of manifestItems(m)) {
+        for (const key of ['id', 'date']) if (map.has(item[key])) item[key] = map.get(item[key]);
+        for (const key of ['path', 'indexPath']) item[key] = rewriteOutputLink(item[key], map);
+      }
+      if (m) await writeJsonAtomic(manifestPath, { ...m, updatedAt: new Date().toISOString() });
+    });
+  }
+
+  const logPath = path.join(dataDir, 'output_id_migration.json');
+  const log = await readJsonSafe(logPath, { runs: [] });
+  log.runs = [...(Array.isArray(log.runs) ? log.runs : []), { migratedAt: new Date().toISOString(), renames }];
+  await writeJsonAtomic(logPath, log);
+
+  return { renames, skipped };
+}
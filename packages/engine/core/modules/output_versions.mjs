@@ -0,0 +1,244 @@
+/**
+ * Output Versions – keep prior states of an app when it is iterated.
+ *
+ * `generate.mjs --iterate <outId> --instruction "…"` runs the generator inside
+ * an existing output with a follow-up instruction and rebuilds it. Every
+ * successful state is copied to `<outDir>/versions/vN/` (sources + dist,
+ * without node_modules) and listed in `versions/versions.json`, so the hub
+ * can preview older versions, diff them and switch back.
+ *
+ * The original build becomes v1 the first time an output is iterated. The
+ * project root always holds the current version.
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { writeJsonAtomic, readJsonSafe } from '../../../shared/atomic_fs.mjs';
+
+export const VERSIONS_DIR = 'versions';
+export const VERSIONS_INDEX = 'versions.json';
+export const MAX_INSTRUCTION_CHARS = 2000;
+
+// Never copied into (or removed from the root by) a snapshot
+const SNAPSHOT_SKIP = new Set(['node_modules', VERSIONS_DIR, '.git', 'checkpoint.json']);
+// Left out of diffs: build artefacts and per-build reports
+const DIFF_SKIP_DIRS = new Set(['dist']);
+const DIFF_SKIP_FILES = new Set(['build.json', 'compliance.json', 'smoke.json', 'package-lock.json']);
+const TEXT_EXT_RE = /\.(m?[jt]sx?|json|css|scss|html|md|svg|txt|vue|svelte)$/i;
+const MAX_DIFF_FILE_CHARS = 500_000;
+// Content placeholder for binary / oversized files: compared by size only
+const BINARY_MARK = '\u0000binary:';
+
+const defaultClock = { now: () => new Date().toISOString() };
+
+const versionDir = (outDir, version) => path.join(outDir, VERSIONS_DIR, `v${version}`);
+
+// ---------------------------------------------------------------------------
+// Pure helpers
+// ---------------------------------------------------------------------------
+
+/** Normalise a versions.json read from disk. */
+export function normalizeVersionIndex(raw) {
+  const versions = Array.isArray(raw?.versions)
+    ? raw.versions.filter(v => Number.isInteger(v?.version) && v.version > 0).sort((a, b) => a.version - b.version)
+    : [];
+  const current = versions.some(v => v.version === raw?.current) ? raw.current : (versions.at(-1)?.version ?? null);
+  return { current, versions };
+}
+
+export function nextVersionNumber(index) {
+  return (index?.versions?.at(-1)?.version || 0) + 1;
+}
+
+/**
+ * Follow-up instruction sent to the generator in `iterate` mode.
+ * @param {object} input
+ * @param {string} input.instruction
+ * @param {string} input.title
+ * @param {string} [input.scenario]
+ * @param {number} input.version – the version being created
+ * @param {string} [input.lang] – output language of the existing app
+ */
+export function buildIteratePrompt({ instruction, title, scenario = '', version, lang = '' }) {
+  return [
+    `The app "${title}" is already built and working. Refine it (this will become version ${version}).`,
+    scenario ? `Scenario: ${scenario}` : '',
+    `\nRequested change:\n${String(instruction).trim()}`,
+    `\nRules:`,
+    `- Edit the existing files; keep everything that is not part of the requested change as it is.`,
+    `- Keep following DAILY_SPEC.md and keep using the theme variables from theme.json.`,
+    `- Keep 'npm run build -- --base ./' working and keep README.md accurate.`,
+    lang ? `- Keep ALL UI text and README.md in ${lang}.` : '',
+    `- Just output the code. No explanations.`,
+  ].filter(Boolean).join('\n');
+}
+
+/**
+ * Count changed lines between two texts (multiset comparison – cheap and
+ * order-insensitive, good enough for a "+12 −3" summary).
+ * @returns {{ added: number, removed: number }}
+ */
+export function countLineChanges(before, after) {
+  const counts = new Map();
+  for (const line of String(before).split('\n')) counts.set(line, (counts.get(line) || 0) + 1);
+  let added = 0;
+  for (const line of String(after).split('\n')) {
+    const n = counts.get(line) || 0;
+    if (n > 0) counts.set(line, n - 1);
+    else added++;
+  }
+  let removed = 0;
+  for (const n of counts.values()) removed += n;
+  return { added, removed };
+}
+
+const isBinary = (text) => String(text).startsWith(BINARY_MARK);
+const lineCount = (text) => (isBinary(text) ? null : String(text).split('\n').length);
+
+/**
+ * File-level diff of two file maps (relative path → content). Binary files
+ * get null line counts.
+ * @returns {{ added: object[], removed: object[], modified: object[] }}
+ */
+export function diffFileMaps(before, after) {
+  const added = [];
+  const removed = [];
+  const modified = [];
+  for (const [rel, text] of after) {
+    if (!before.has(rel)) {
+      added.push({ path: rel, added: lineCount(text), removed: 0 });
+    } else if (before.get(rel) !== text) {
+      const old = before.get(rel);
+      modified.push(isBinary(old) || isBinary(text)
+        ? { path: rel, added: null, removed: null }
+        : { path: rel, ...countLineChanges(old, text) });
+    }
+  }
+  for (const [rel, text] of before) {
+    if (!after.has(rel)) removed.push({ path: rel, added: 0, removed: lineCount(text) });
+  }
+  const byPath = (a, b) => a.path.localeCompare(b.path);
+  return { added: added.sort(byPath), removed: removed.sort(byPath), modified: modified.sort(byPath) };
+}
+
+// ---------------------------------------------------------------------------
+// Filesystem helpers
+// ---------------------------------------------------------------------------
+
+/** @returns {Promise<{ current: number|null, versions: object[] }|null>} null before the first iteration */
+export async function readVersions(outDir) {
+  const raw = await readJsonSafe(path.join(outDir, VERSIONS_DIR, VERSIONS_INDEX), null);
+  return raw ? normalizeVersionIndex(raw) : null;
+}
+
+async function writeVersions(outDir, index) {
+  await writeJsonAtomic(path.join(outDir, VERSIONS_DIR, VERSIONS_INDEX), index);
+}
+
+async function copyTree(from, to) {
+  await fs.mkdir(to, { recursive: true });
+  const entries = await fs.readdir(from, { withFileTypes: true });
+  for (const ent of entries) {
+    if (SNAPSHOT_SKIP.has(ent.name)) continue;
+    await fs.cp(path.join(from, ent.name), path.join(to, ent.name), { recursive: true });
+  }
+}
+
+/**
+ * Copy the current project root to `versions/vN` and record it as current.
+ *
+ * @param {string} outDir
+ * @param {object} entry
+ * @param {number} entry.version
+ * @param {string|null} [entry.instruction] – null for the original build
+ * @param {number|null} [entry.parent] – version it was iterated from
+ * @param {string|null} [entry.runId]
+ * @param {{ now: () => string }} [clock]
+ * @returns {Promise<object>} the updated index
+ */
+export async function snapshotVersion(outDir, { version, instruction = null, parent = null, runId = null }, clock = defaultClock) {
+  const index = (await readVersions(outDir)) || { current: null, versions: [] };
+  const dir = versionDir(outDir, version);
+  await fs.rm(dir, { recursive: true, force: true });
+  await copyTree(outDir, dir);
+
+  const record = { version, instruction, parent, runId, createdAt: clock.now() };
+  const next = normalizeVersionIndex({
+    current: version,
+    versions: [...index.versions.filter(v => v.version !== version), record],
+  });
+  await writeVersions(outDir, next);
+  return next;
+}
+
+/**
+ * Make sure the original build is stored as v1 before the first iteration.
+ * @returns {Promise<object>} the index
+ */
+export async function ensureBaseVersion(outDir, { runId = null } = {}, clock = defaultClock) {
+  const index = await readVersions(outDir);
+  if (index?.versions.length) return index;
+  return snapshotVersion(outDir, { version: 1, runId }, clock);
+}
+
+/**
+ * Replace the project root with `versions/vN` (node_modules is kept) and
+ * mark it current. Used to roll back a failed iteration and by the hub's
+ * "use this version".
+ * @returns {Promise<object>} the updated index
+ */
+export async function restoreVersion(outDir, version) {
+  const index = await readVersions(outDir);
+  if (!index?.versions.some(v => v.version === version)) throw new Error(`Unknown version: v${version}`);
+  const src = versionDir(outDir, version);
+  await fs.access(src);
+
+  for (const ent of await fs.readdir(outDir, { withFileTypes: true })) {
+    if (SNAPSHOT_SKIP.has(ent.name)) continue;
+    await fs.rm(path.join(outDir, ent.name), { recursive: true, force: true });
+  }
+  await copyTree(src, outDir);
+
+  const next = { ...index, current: version };
+  await writeVersions(outDir, next);
+  return next;
+}
+
+/** Text of every diffable file under `dir` (a size marker for binary / oversized files). */
+async function readDiffable(dir) {
+  const out = new Map();
+  async function walk(abs, rel) {
+    let entries = [];
+    try { entries = await fs.readdir(abs, { withFileTypes: true }); } catch { return; }
+    for (const ent of entries) {
+      const childRel = rel ? `${rel}/${ent.name}` : ent.name;
+      if (ent.isDirectory()) {
+        if (SNAPSHOT_SKIP.has(ent.name) || DIFF_SKIP_DIRS.has(ent.name)) continue;
+        await walk(path.join(abs, ent.name), childRel);
+      } else if (ent.isFile() && !DIFF_SKIP_FILES.has(childRel)) {
+        const abs2 = path.join(abs, ent.name);
+        const st = await fs.stat(abs2).catch(() => null);
+        if (!st) continue;
+        const text = TEXT_EXT_RE.test(ent.name) && st.size <= MAX_DIFF_FILE_CHARS
+          ? await fs.readFile(abs2, 'utf8').catch(() => null)
+          : null;
+        out.set(childRel, text ?? `${BINARY_MARK}${st.size}`);
+      }
+    }
+  }
+  await walk(dir, '');
+  return out;
+}
+
+/**
+ * File-level diff between two stored versions.
+ * @returns {Promise<{ from: number, to: number, added: object[], removed: object[], modified: object[] }>}
+ */
+export async function diffVersions(outDir, from, to) {
+  const index = await readVersions(outDir);
+  for (const v of [from, to]) {
+    if (!index?.versions.some(x => x.version === v)) throw new Error(`Unknown version: v${v}`);
+  }
+  const [a, b] = await Promise.all([readDiffable(versionDir(outDir, from)), readDiffable(versionDir(outDir, to))]);
+  return { from, to, ...diffFileMaps(a, b) };
+}
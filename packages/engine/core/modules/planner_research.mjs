@@ -2,13 +2,15 @@
  * Research V2 (trend-driven) – multi-agent pipeline.
  *
  * Refactored to use research_pipeline.mjs shared skeleton + research_providers.mjs.
- * Run: node planner_research.mjs
+ * Run: node planner_research.mjs [--lang en]
  *
  * V2-specific behaviour:
  *   - Plan: diversity-aware query generation (random-domain exploration)
  *   - Ideate: broad micro-app ideas with domain/interaction quotas
  *   - Summarize: trend report in Markdown (runs in parallel with ideation)
  *   - Persist: trends report, sources, research log, dedupe & backlog merge
+ *
+ * Ideas are written in (and tagged with) `--lang`, else DAILY_APP_LAB_LANG.
  */
 
 import fs from 'node:fs/promises';
@@ -18,8 +20,10 @@ import { isTooSimilar } from './rag_dedupe.mjs';
 import { callWithRetry, extractJson, extractJsonArray } from '../../../shared/extract_json.mjs';
 import { normalizeIdea, normalizeIdeaList, normalizeDiversityPlan } from '../../../shared/json_contract.mjs';
 import { createEventLogger, generateRunId } from '../../../shared/event_logger.mjs';
+import { resolveLang } from '../../../shared/lang.mjs';
 import { createProviders } from './research_providers.mjs';
 import { runResearchPipeline } from './research_pipeline.mjs';
+import { parseCliArgs } from './targeted_research/config.mjs';
 
 const HERE = path.dirname(fileURLToPath(import.meta.url));
 const ROOT = path.resolve(process.env.DAILY_APP_LAB_ROOT || path.resolve(HERE, '..', '..'));
@@ -30,15 +34,13 @@ const TRENDS_REPORT = path.join(DATA, 'trends_report.md');
 const SOURCES_DATA = path.join(DATA, 'idea_sources.json');
 const RAG_INDEX = path.join(DATA, 'rag_projects_index.json');
 
-const LANG = process.env.DAILY_APP_LAB_LANG || 'zh-CN';
-
 // =====================================================================
 //  V2-specific Pipeline Phases
 // =====================================================================
 
 async function v2PlanPhase(providers, ctx) {
   const { llm, search, store } = providers;
-  const { eventLog, runId, logDir } = ctx;
+  const { eventLog, runId, logDir, lang } = ctx;
 
   console.log('[V2:Planner] Creating diversity-aware research plan...');
 
@@ -69,7 +71,7 @@ async function v2PlanPhase(providers, ctx) {
 
   STEP 2 – Generate 8 search queries:
   - 4 queries in English (global: Product Hunt, Indie Hackers, HN)
-  - 4 queries in ${LANG} (local pain points)
+  - 4 queries in ${lang} (local pain points)
   - Each query must target an UNDERREPRESENTED domain
   - Ensure queries do NOT repeat themes from "RECENT TRENDS ANALYZED YESTERDAY"
 
@@ -157,7 +159,7 @@ async function v2PlanPhase(providers, ctx) {
 
 async function v2IdeatePhase(researchContext, planMeta, providers, ctx) {
   const { llm } = providers;
-  const { eventLog, runId, logDir } = ctx;
+  const { eventLog, runId, logDir, lang } = ctx;
 
   console.log('[V2:Ideator] Generating diverse candidate ideas...');
 
@@ -173,7 +175,7 @@ async function v2IdeatePhase(researchContext, planMeta, providers, ctx) {
   - MUST use at least ${planMeta.minInteractions || 4} DIFFERENT interaction primitives from: ${JSON.stringify(planMeta.validInteractions || [])}
   - NO TWO ideas should share the SAME primary domain + interaction combination
   
-  IMPORTANT: All fields in the resulting JSON MUST be written in ${LANG}. 
+  IMPORTANT: All fields in the resulting JSON MUST be written in ${lang}. 
   
   Philosophy: "Simple, Fast, Tactile, Self-Contained".
   
@@ -222,7 +224,9 @@ async function v2IdeatePhase(researchContext, planMeta, providers, ctx) {
 
   let ideas = [];
   if (result.ok) {
-    ideas = (Array.isArray(result.value) ? result.value : []).map(normalizeIdea).filter(Boolean);
+    ideas = (Array.isArray(result.value) ? result.value : [])
+      .map(raw => normalizeIdea(raw && typeof raw === 'object' ? { ...raw, lang } : raw))
+      .filter(Boolean);
   }
 
   if (eventLog) await eventLog.emit('ideator.complete', { runId, candidateCount: ideas.length });
@@ -230,7 +234,7 @@ async function v2IdeatePhase(researchContext, planMeta, providers, ctx) {
   return ideas;
 }
 
-async function v2SummarizePhase(researchContext, providers, _ctx) {
+async function v2SummarizePhase(researchContext, providers, ctx) {
   console.log('[V2:Summarizer] Creating trends report...');
   const prompt = `
   Based on the following research context, generate a high-quality Markdown report highlighting the most interesting digital tool trends and opportunities for innovation.
@@ -240,7 +244,7 @@ async function v2SummarizePhase(researchContext, providers, _ctx) {
   
   Requirements:
   1. Title should be "AI-Native Trends & Opportunities".
-  2. Language MUST be ${LANG}.
+  2. Language MUST be ${ctx.lang}.
   3. Focus on "Micro-Apps" and "Combinatorial Innovation".
   4. Include 3-4 key trend pillars with brief descriptions.
   5. Suggest 2-3 "Wildcard" ideas that bridge unexpected categories.
@@ -383,7 +387,9 @@ export const v2Phases = {
 // =====================================================================
 
 async function main() {
-  const providers = await createProviders();
+  const args = parseCliArgs(process.argv.slice(2));
+  const lang = resolveLang([args.lang]);
+  const providers = await createProviders({ lang });
   const runId = generateRunId();
   const eventLog = createEventLogger({ logDir: LOGS_DIR });
 
@@ -393,7 +399,7 @@ async function main() {
     runId,
     eventLog,
     logDir: path.join(LOGS_DIR, 'diagnostics'),
-    lang: LANG,
+    lang,
   });
 }
 
@@ -16,6 +16,7 @@ import os from 'node:os';
 import 'dotenv/config';
 import { setGlobalDispatcher, ProxyAgent } from 'undici';
 import { writeJsonAtomic, readJsonSafe, withFileLock } from '../../../shared/atomic_fs.mjs';
+import { defaultLang } from '../../../shared/lang.mjs';
 
 const API_VERSION = process.env.AZURE_OPENAI_API_VERSION || '2025-04-01-preview';
 
@@ -32,7 +33,7 @@ export async function loadConfig() {
   console.log(`[Config] Proxy: ${proxy}`);
   setGlobalDispatcher(new ProxyAgent(proxy));
 
-  const lang = process.env.DAILY_APP_LAB_LANG || 'zh-CN';
+  const lang = defaultLang();
   const model = process.env.AZURE_OPENAI_MODEL || 'gpt-5.2';
   const clawConfig = process.env.CLAWDBOT_CONFIG || path.join(os.homedir(), '.openclaw', 'clawdbot.json');
 
@@ -63,7 +64,23 @@ export async function loadConfig() {
 // LLM Provider – Azure OpenAI Responses API
 // ---------------------------------------------------------------------------
 
-/** @returns {{ complete(prompt: string, opts?: object): Promise<string> }} */
+/**
+ * Token usage from a Responses API payload, or null when absent.
+ * @returns {{ inputTokens: number, outputTokens: number, totalTokens: number, calls: number }|null}
+ */
+export function parseResponseUsage(data) {
+  const u = data?.usage;
+  if (!u || typeof u !== 'object') return null;
+  const inputTokens = Number(u.input_tokens ?? u.prompt_tokens) || 0;
+  const outputTokens = Number(u.output_tokens ?? u.completion_tokens) || 0;
+  return { inputTokens, outputTokens, totalTokens: Number(u.total_tokens) || inputTokens + outputTokens, calls: 1 };
+}
+
+/**
+ * `options.onUsage` / `opts.onUsage` (per call) receive the token usage of
+ * each successful completion, e.g. for build.json accounting.
+ * @returns {{ complete(prompt: string, opts?: object): Promise<string> }}
+ */
 export function createLlmProvider(azureConfig, options = {}) {
   const defaultLang = options.lang || 'zh-CN';
   const defaultModel = options.model || 'gpt-5.2';
@@ -100,6 +117,13 @@ export function createLlmProvider(azureConfig, options = {}) {
         if (!res.ok) throw new Error(`LLM Error (${res.status}): ${raw.slice(0, 200)}`);
         const data = JSON.parse(raw);
 
+        const usage = parseResponseUsage(data);
+        if (usage) {
+          for (const cb of [options.onUsage, opts.onUsage]) {
+            if (typeof cb === 'function') cb({ ...usage, model: model.id });
+          }
+        }
+
         const output = data?.output;
         if (!Array.isArray(output)) return '';
         let text = '';
@@ -199,13 +223,14 @@ export function createStoreProvider() {
 /**
  * Create all providers. Pass overrides to swap any provider (for tests).
  *
- * @param {object} [overrides] – partial overrides: { llm?, search?, fetcher?, store?, clock?, rng?, config? }
+ * @param {object} [overrides] – partial overrides: { llm?, search?, fetcher?, store?, clock?, rng?, config?, lang? }
+ *   (`lang` replaces the configured output language for this run)
  * @returns {Promise<{ llm, search, fetcher, store, clock, rng, config }>}
  */
 export async function createProviders(overrides = {}) {
   const config = overrides.config || await loadConfig();
   return {
-    llm: overrides.llm || createLlmProvider(config.azure, { lang: config.lang, model: config.model }),
+    llm: overrides.llm || createLlmProvider(config.azure, { lang: overrides.lang || config.lang, model: config.model }),
     search: overrides.search || createSearchProvider(config.braveKey),
     fetcher: overrides.fetcher || createFetcherProvider(),
     store: overrides.store || createStoreProvider(),
@@ -0,0 +1,182 @@
+/**
+ * Re-theme – swap the palette and design tokens of a finished output
+ * without regenerating its code.
+ *
+ * `generate.mjs --retheme <outId> [--preset id] [--seed text]` generates a
+ * new theme, rewrites the CSS variable values the generator copied from
+ * theme.json, rebuilds `dist` and stores the result as the next output
+ * version (output_versions.mjs); the version before it is the rollback.
+ *
+ * Values are swapped by what they were, not where they are: a declaration
+ * `--primary: <old light value>` gets the new light value, one holding the
+ * old dark value (the prefers-color-scheme block) the new dark value, and
+ * anything the generator changed by hand is left alone. Old color literals
+ * outside declarations (tailwind.config.js, inline styles) are swapped when
+ * they map to a single new color.
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+/** Source files scanned for theme values. */
+const SOURCE_EXT_RE = /\.(css|scss|html|m?[jt]sx?|svelte|vue)$/i;
+const SKIP_DIRS = new Set(['node_modules', 'dist', 'versions', '.git']);
+const SKIP_FILES = new Set(['theme.json', 'build.json', 'compliance.json', 'smoke.json', 'checkpoint.json', 'package.json', 'package-lock.json']);
+const MAX_FILE_CHARS = 500_000;
+
+// Custom property declaration: name, separator, value (up to ; or a brace)
+const DECL_RE = /(--[a-z0-9-]+)(\s*:\s*)([^;{}]+)/gi;
+const DARK_MEDIA_RE = /@media[^{]*prefers-color-scheme\s*:\s*dark[^{]*\{/gi;
+// Its motion values are zeroed on purpose and never swapped
+const REDUCED_MOTION_RE = /@media[^{]*prefers-reduced-motion\s*:\s*reduce[^{]*\{/gi;
+// Only color values are swapped as bare literals; "8px" or "200ms" are too common
+const COLOR_LITERAL_RE = /^(#[0-9a-f]{3,8}|(hsla?|rgba?)\(.+\)|linear-gradient\(.+\))$/i;
+
+const escapeRe = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/** [scheme, var → value map] pairs of a theme, in the same order for every theme. */
+function valueMaps(theme) {
+  const t = theme?.tokens || {};
+  return [
+    ['light', theme?.palette?.colors],
+    ['light', t.color?.light], ['dark', t.color?.dark],
+    ['light', t.font], ['light', t.type], ['light', t.radius],
+    ['light', t.shadow?.light], ['dark', t.shadow?.dark],
+    ['light', t.motion],
+  ];
+}
+
+/**
+ * What to swap when going from `oldTheme` to `newTheme`. Unchanged values are
+ * kept as pairs too, so a value that only changes in the other scheme stays.
+ * @returns {{ byVar: Map<string, { from: string, to: string, scheme: 'light'|'dark' }[]>, literals: Map<string, string> }}
+ */
+export function themeReplacements(oldTheme, newTheme) {
+  const byVar = new Map();
+  const literalTargets = new Map();
+  const newMaps = valueMaps(newTheme);
+
+  valueMaps(oldTheme).forEach(([scheme, oldMap], i) => {
+    const newMap = newMaps[i][1];
+    if (!oldMap || !newMap) return;
+    for (const [name, raw] of Object.entries(oldMap)) {
+      const from = String(raw ?? '').trim();
+      const to = String(newMap[name] ?? '').trim();
+      if (!from || !to) continue;
+      const pairs = byVar.get(name) || [];
+      if (!pairs.some(p => p.scheme === scheme && p.from === from)) pairs.push({ from, to, scheme });
+      byVar.set(name, pairs);
+      if (COLOR_LITERAL_RE.test(from)) {
+        literalTargets.set(from, (literalTargets.get(from) || new Set()).add(to));
+      }
+    }
+  });
+
+  // A literal that stands for two different new colors (or stays in one
+  // place) is ambiguous outside a declaration – leave it
+  const literals = new Map([...literalTargets]
+    .filter(([from, tos]) => tos.size === 1 && !tos.has(from))
+    .map(([from, tos]) => [from, [...tos][0]]));
+  return { byVar, literals };
+}
+
+/** [start, end) ranges of the `@media (…) { … }` blocks whose opening `re` matches. */
+function blockRanges(text, re) {
+  const ranges = [];
+  for (const m of text.matchAll(re)) {
+    let depth = 1;
+    let i = m.index + m[0].length;
+    for (; i < text.length && depth > 0; i++) {
+      if (text[i] === '{') depth++;
+      else if (text[i] === '}') depth--;
+    }
+    ranges.push([m.index, i]);
+  }
+  return ranges;
+}
+
+/**
+ * Swap old theme values in one source text.
+ * @param {string} text
+ * @param {ReturnType<typeof themeReplacements>} replacements
+ * @returns {{ text: string, count: number }}
+ */
+export function rethemeText(text, { byVar, literals }) {
+  const src = String(text);
+  let count = 0;
+  const literalRe = literals.size
+    ? new RegExp([...literals.keys()].sort((a, b) => b.length - a.length).map(escapeRe).join('|'), 'g')
+    : null;
+  const swapLiterals = (s) => (literalRe ? s.replace(literalRe, (m) => { count++; return literals.get(m); }) : s);
+  const dark = blockRanges(src, DARK_MEDIA_RE);
+  const reduced = blockRanges(src, REDUCED_MOTION_RE);
+  const within = (ranges, i) => ranges.some(([a, b]) => i >= a && i < b);
+
+  let out = '';
+  let last = 0;
+  for (const m of src.matchAll(DECL_RE)) {
+    const [whole, name, sep, rawValue] = m;
+    if (within(reduced, m.index)) continue;
+    const value = rawValue.trim();
+    const scheme = within(dark, m.index) ? 'dark' : 'light';
+    const pairs = (byVar.get(name) || []).filter(p => p.from === value);
+    const hit = pairs.find(p => p.scheme === scheme) || pairs[0];
+    if (!hit) continue;
+    out += swapLiterals(src.slice(last, m.index)) + name + sep + rawValue.replace(value, hit.to);
+    last = m.index + whole.length;
+    if (hit.to !== hit.from) count++;
+  }
+  out += swapLiterals(src.slice(last));
+  return { text: out, count };
+}
+
+/** versions.json instruction recorded for a re-theme. */
+export function rethemeInstruction({ presetId, presetName, seed }) {
+  return `Re-theme: ${presetName || presetId} preset (${presetId}), seed "${seed}"`;
+}
+
+// ---------------------------------------------------------------------------
+// Filesystem helpers
+// ---------------------------------------------------------------------------
+
+/** Relative paths of the source files that may hold theme values. */
+async function listSourceFiles(outDir) {
+  const out = [];
+  async function walk(abs, rel) {
+    let entries = [];
+    try { entries = await fs.readdir(abs, { withFileTypes: true }); } catch { return; }
+    for (const ent of entries) {
+      const childRel = rel ? `${rel}/${ent.name}` : ent.name;
+      if (ent.isDirectory()) {
+        if (!SKIP_DIRS.has(ent.name)) await walk(path.join(abs, ent.name), childRel);
+      } else if (ent.isFile() && SOURCE_EXT_RE.test(ent.name) && !SKIP_FILES.has(childRel)) {
+        out.push(childRel);
+      }
+    }
+  }
+  await walk(outDir, '');
+  return out.sort();
+}
+
+/**
+ * Rewrite the output's sources and theme.json for `newTheme`.
+ * @param {string} outDir
+ * @param {object} oldTheme – the output's current theme.json
+ * @param {object} newTheme
+ * @returns {Promise<{ files: { path: string, replaced: number }[], replaced: number }>}
+ */
+export async function rethemeOutput(outDir, oldTheme, newTheme) {
+  const replacements = themeReplacements(oldTheme, newTheme);
+  const files = [];
+  for (const rel of await listSourceFiles(outDir)) {
+    const abs = path.join(outDir, rel);
+    const text = await fs.readFile(abs, 'utf8').catch(() => null);
+    if (text === null || text.length > MAX_FILE_CHARS) continue;
+    const r = rethemeText(text, replacements);
+    if (!r.count) continue;
+    await fs.writeFile(abs, r.text);
+    files.push({ path: rel, replaced: r.count });
+  }
+  await fs.writeFile(path.join(outDir, 'theme.json'), JSON.stringify(newTheme, null, 2));
+  return { files, replaced: files.reduce((n, f) => n + f.replaced, 0) };
+}
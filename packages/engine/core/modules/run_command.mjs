@@ -0,0 +1,44 @@
+/**
+ * Run Command – spawn a child process and tee its output into a build log.
+ *
+ * Shared by generate.mjs and the generator backends so every external tool
+ * (aider, npm, vite) writes into the same `<outId>-generate.log`.
+ *
+ * Rejects with an Error carrying `{ code, signal, out, err }` on non-zero exit
+ * or when the child is killed by a signal (e.g. the hub aborting a build).
+ */
+
+import fs from 'node:fs/promises';
+import { spawn } from 'node:child_process';
+
+/**
+ * @param {string} cmd
+ * @param {string[]} args
+ * @param {object} [opts]
+ * @param {string} [opts.cwd]
+ * @param {string} [opts.logFile] – append stdout/stderr here
+ * @param {object} [opts.env]     – merged over process.env
+ * @returns {Promise<{ out: string, err: string, code: number }>}
+ */
+export function runCommand(cmd, args, { cwd, logFile, env = {} } = {}) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(cmd, args, {
+      cwd,
+      stdio: ['ignore', 'pipe', 'pipe'],
+      env: { ...process.env, ...env }
+    });
+    const append = (buf) => { if (logFile) fs.appendFile(logFile, buf).catch(()=>{}); };
+    let out = '';
+    let err = '';
+    child.stdout.on('data', (b) => { out += b.toString('utf8'); append(b); });
+    child.stderr.on('data', (b) => { err += b.toString('utf8'); append(b); });
+    child.on('error', reject);
+    child.on('close', (code, signal) => {
+      if (code === 0) resolve({ out, err, code });
+      else {
+        const how = signal ? `killed by ${signal}` : `exited ${code}`;
+        reject(Object.assign(new Error(`${cmd} ${args.join(' ')} ${how}`), { code, signal, out, err }));
+      }
+    });
+  });
+}
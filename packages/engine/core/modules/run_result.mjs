@@ -0,0 +1,59 @@
+/**
+ * Run result – the machine-readable outcome `generate.mjs --json` prints as
+ * the last line of stdout.
+ *
+ *   { ok: true,  status: 'complete', runId, outId, ideaId, title }
+ *   { ok: false, status: 'failed' | 'aborted', runId, outId, ideaId, category, error }
+ *
+ * Callers (the hub's batch runner, "Implement now") read it with
+ * `parseRunResult(stdout)` instead of polling the queue or the status file.
+ */
+
+/**
+ * @param {{ runId: string, outId: string, ideaId?: string, title?: string }} res – runGenerate() result
+ */
+export function successResult(res) {
+  return {
+    ok: true,
+    status: 'complete',
+    runId: res.runId,
+    outId: res.outId,
+    ideaId: res.ideaId ?? null,
+    title: res.title || '',
+  };
+}
+
+/**
+ * @param {Error & { runId?: string, outId?: string, ideaId?: string, category?: string }} e
+ *   – runGenerate() rejection (it tags the error with the run's ids and failure category)
+ */
+export function failureResult(e) {
+  const category = e?.category || 'unknown';
+  return {
+    ok: false,
+    status: category === 'aborted' ? 'aborted' : 'failed',
+    runId: e?.runId ?? null,
+    outId: e?.outId ?? null,
+    ideaId: e?.ideaId ?? null,
+    category,
+    error: e?.message || String(e),
+  };
+}
+
+/**
+ * The last run result line in a process's stdout.
+ * @param {string} stdout
+ * @returns {object|null} null when the run printed none (crashed, killed)
+ */
+export function parseRunResult(stdout) {
+  const lines = String(stdout || '').split('\n');
+  for (let i = lines.length - 1; i >= 0; i--) {
+    const line = lines[i].trim();
+    if (!line.startsWith('{')) continue;
+    try {
+      const parsed = JSON.parse(line);
+      if (parsed && typeof parsed.ok === 'boolean' && typeof parsed.status === 'string') return parsed;
+    } catch (_e) { /* not a result line */ }
+  }
+  return null;
+}
@@ -0,0 +1,232 @@
+/**
+ * Smoke Test – load a built app in jsdom and check that it actually renders.
+ *
+ * `vite build` succeeding says nothing about runtime errors: a bad import
+ * order or a throw in the first render leaves a blank page. After the build,
+ * generate.mjs loads `dist/index.html` plus its script bundles into jsdom,
+ * waits for the root element to mount, and collects uncaught errors and
+ * `console.error` calls. The report is written to `<outDir>/smoke.json`;
+ * a failed report is handled like a build error (repair loop, quarantine).
+ *
+ * jsdom has no ES module loader, so entry bundles are evaluated as classic
+ * scripts (`import.meta` rewritten). Bundles with static chunk imports are
+ * reported as `skipped` rather than failed.
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { JSDOM, VirtualConsole } from 'jsdom';
+import { writeJsonAtomic } from '../../../shared/atomic_fs.mjs';
+
+export const SMOKE_FILE = 'smoke.json';
+export const DEFAULT_SMOKE_TIMEOUT_MS = 5000;
+
+const ROOT_SELECTORS = ['#root', '#app', 'body'];
+const SETTLE_MS = 150;
+const POLL_MS = 25;
+const MAX_MESSAGES = 20;
+const SCRIPT_TAG_RE = /<script\b([^>]*?)\bsrc\s*=\s*["']([^"']+)["']([^>]*)>\s*<\/script>/gi;
+const STATIC_IMPORT_RE = /(?:^|[;\n}])\s*import\s*(?:[\w*{$][^;]*?\bfrom\s*)?["'][^"']+["']/;
+const TRAILING_EXPORT_RE = /(?<=^|[;\n])\s*export\s*\{[^}]*\}\s*;?\s*$/;
+
+/**
+ * Resolve the smoke-test switch and timeout from the environment.
+ * `DAILY_APP_LAB_SMOKE_TEST=0` disables the step.
+ */
+export function resolveSmokeOptions(env = process.env) {
+  const timeout = Number(env.DAILY_APP_LAB_SMOKE_TIMEOUT_MS);
+  return {
+    enabled: !['0', 'false', 'off'].includes(String(env.DAILY_APP_LAB_SMOKE_TEST ?? '').trim().toLowerCase()),
+    timeoutMs: Number.isFinite(timeout) && timeout > 0 ? timeout : DEFAULT_SMOKE_TIMEOUT_MS,
+  };
+}
+
+/**
+ * Split the script tags pointing at local bundles out of the page.
+ * @returns {{ html: string, scripts: string[] }} html without those tags, bundle paths in order
+ */
+export function extractScripts(html) {
+  const scripts = [];
+  const rest = String(html || '').replace(SCRIPT_TAG_RE, (tag, _before, src) => {
+    if (/^(?:[a-z]+:)?\/\//i.test(src)) return tag; // external – left for jsdom to ignore
+    scripts.push(src);
+    return '';
+  });
+  return { html: rest, scripts };
+}
+
+/**
+ * Make an ES module bundle runnable as a classic script.
+ * @returns {{ code: string|null, reason: string|null }} reason set when it cannot be run
+ */
+export function toClassicScript(source, fileUrl) {
+  const code = String(source || '');
+  if (STATIC_IMPORT_RE.test(code)) return { code: null, reason: 'bundle has static chunk imports' };
+  return {
+    code: code
+      .replace(/\bimport\.meta\b/g, `({ url: ${JSON.stringify(fileUrl)} })`)
+      .replace(TRAILING_EXPORT_RE, ''),
+    reason: null,
+  };
+}
+
+/** Browser APIs that generated apps commonly touch on first render but jsdom lacks. */
+function installBrowserStubs(window) {
+  window.matchMedia ||= (query) => ({
+    matches: false, media: query, onchange: null,
+    addListener() {}, removeListener() {}, addEventListener() {}, removeEventListener() {}, dispatchEvent: () => false,
+  });
+  class NoopObserver { observe() {} unobserve() {} disconnect() {} takeRecords() { return []; } }
+  window.ResizeObserver ||= NoopObserver;
+  window.IntersectionObserver ||= NoopObserver;
+  window.scrollTo = () => {};
+  window.HTMLElement.prototype.scrollIntoView = () => {};
+  window.HTMLCanvasElement.prototype.getContext = function getContext() {
+    const target = {
+      canvas: this,
+      measureText: (t) => ({ width: String(t ?? '').length * 8 }),
+      getImageData: (_x, _y, w = 1, h = 1) => ({ width: w, height: h, data: new Uint8ClampedArray(w * h * 4) }),
+      createLinearGradient: () => ({ addColorStop() {} }),
+      createRadialGradient: () => ({ addColorStop() {} }),
+      getLineDash: () => [],
+    };
+    return new Proxy(target, { get: (t, k) => (k in t ? t[k] : () => {}) });
+  };
+}
+
+function formatArgs(args) {
+  return args.map(a => (a instanceof Error ? a.message : typeof a === 'string' ? a : safeJson(a))).join(' ').slice(0, 500);
+}
+
+function safeJson(v) {
+  try { return JSON.stringify(v); } catch { return String(v); }
+}
+
+function push(list, msg) {
+  if (list.length < MAX_MESSAGES && !list.includes(msg)) list.push(msg);
+}
+
+function inspectRoot(document) {
+  for (const sel of ROOT_SELECTORS) {
+    const el = document.querySelector(sel);
+    if (!el) continue;
+    const elementCount = el.querySelectorAll('*').length;
+    const textLength = (el.textContent || '').replace(/\s+/g, ' ').trim().length;
+    const hasMedia = !!el.querySelector('img, svg, canvas, video');
+    return { selector: sel, elementCount, textLength, mounted: elementCount > 0 && (textLength > 0 || hasMedia) };
+  }
+  return { selector: null, elementCount: 0, textLength: 0, mounted: false };
+}
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+/**
+ * Load `<outDir>/dist/index.html` in jsdom and report whether it rendered.
+ *
+ * @param {string} outDir
+ * @param {object} [opts]
+ * @param {number} [opts.timeoutMs] – how long to wait for the root to mount
+ * @param {{ now: () => string }} [opts.clock]
+ * @returns {Promise<{ ok: boolean, status: 'passed'|'failed'|'skipped', reason: string|null,
+ *   mounted: boolean, selector: string|null, elementCount: number, textLength: number,
+ *   scripts: string[], errors: string[], consoleErrors: string[], durationMs: number, checkedAt: string }>}
+ */
+export async function runSmokeTest(outDir, { timeoutMs = DEFAULT_SMOKE_TIMEOUT_MS, clock = { now: () => new Date().toISOString() } } = {}) {
+  const started = Date.now();
+  const distDir = path.join(outDir, 'dist');
+  const errors = [];
+  const consoleErrors = [];
+  const report = (fields) => ({
+    ok: false,
+    status: 'failed',
+    reason: null,
+    mounted: false,
+    selector: null,
+    elementCount: 0,
+    textLength: 0,
+    scripts: [],
+    errors,
+    consoleErrors,
+    ...fields,
+    durationMs: Date.now() - started,
+    checkedAt: clock.now(),
+  });
+
+  let html;
+  try {
+    html = await fs.readFile(path.join(distDir, 'index.html'), 'utf8');
+  } catch {
+    return report({ reason: 'dist/index.html missing' });
+  }
+
+  const { html: page, scripts } = extractScripts(html);
+  const bundles = [];
+  for (const src of scripts) {
+    const file = path.resolve(distDir, src.replace(/^\/+/, '').split(/[?#]/)[0]);
+    if (!file.startsWith(distDir + path.sep)) return report({ scripts, reason: `script outside dist: ${src}` });
+    let source;
+    try { source = await fs.readFile(file, 'utf8'); } catch { return report({ scripts, reason: `script not found: ${src}` }); }
+    const { code, reason } = toClassicScript(source, pathToFileURL(file).href);
+    if (!code) return report({ ok: true, status: 'skipped', scripts, reason: `${src}: ${reason}` });
+    bundles.push({ src, code });
+  }
+
+  const virtualConsole = new VirtualConsole();
+  virtualConsole.on('error', (...args) => push(consoleErrors, formatArgs(args)));
+  virtualConsole.on('jsdomError', (e) => {
+    if (/^Not implemented/.test(e?.message || '')) return;
+    push(errors, String(e?.detail?.message || e?.message || e).slice(0, 500));
+  });
+
+  const dom = new JSDOM(page, {
+    url: 'http://localhost/',
+    runScripts: 'dangerously',
+    pretendToBeVisual: true,
+    virtualConsole,
+    beforeParse: installBrowserStubs,
+  });
+
+  try {
+    for (const { src, code } of bundles) {
+      try {
+        dom.window.eval(code);
+      } catch (e) {
+        push(errors, `${src}: ${e?.message || e}`);
+      }
+    }
+
+    let root = inspectRoot(dom.window.document);
+    const deadline = Date.now() + timeoutMs;
+    while (!root.mounted && !errors.length && Date.now() < deadline) {
+      await sleep(POLL_MS);
+      root = inspectRoot(dom.window.document);
+    }
+    // Let effects scheduled by the first render run (and throw) before judging
+    await sleep(SETTLE_MS);
+    root = inspectRoot(dom.window.document);
+
+    let reason = null;
+    if (errors.length) reason = `uncaught error: ${errors[0]}`;
+    else if (consoleErrors.length) reason = `console.error: ${consoleErrors[0]}`;
+    else if (!root.mounted) reason = `nothing rendered into ${root.selector || 'the page'} within ${timeoutMs}ms`;
+
+    return report({ ...root, ok: !reason, status: reason ? 'failed' : 'passed', reason, scripts });
+  } finally {
+    dom.window.close();
+  }
+}
+
+/** Write the report next to the output (`<outDir>/smoke.json`). */
+export async function writeSmokeReport(outDir, report) {
+  await writeJsonAtomic(path.join(outDir, SMOKE_FILE), report);
+}
+
+/** Error-log text for a failed report – what the repair loop sends back to the generator. */
+export function formatSmokeFailure(report) {
+  return [
+    `Smoke test failed: ${report.reason}`,
+    ...report.errors.map(e => `Uncaught: ${e}`),
+    ...report.consoleErrors.map(e => `console.error: ${e}`),
+  ].join('\n');
+}
@@ -0,0 +1,227 @@
+/**
+ * Spec Compliance – static check of a generated project against DAILY_SPEC.md.
+ *
+ * Runs after a successful build and greps the project sources for the
+ * things the spec demands: theme CSS variables, a `## Scenario` README
+ * section, a Copy/Export action, an error boundary, localStorage state
+ * recovery and no external API calls. The result (score + violations) is
+ * written to `<outDir>/compliance.json` and shown on the hub project card.
+ * The report also carries the install's dependency policy violations
+ * (`dependencies`, see dependency_policy.mjs); they do not change the score.
+ *
+ * `evaluateCompliance()` is pure (file map in, report out); the fs helpers
+ * at the bottom collect the sources and write the report.
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { snapshotFiles } from './build_repair.mjs';
+import { writeJsonAtomic, readJsonSafe } from '../../../shared/atomic_fs.mjs';
+
+export const COMPLIANCE_FILE = 'compliance.json';
+
+const SOURCE_EXT = new Set(['.js', '.jsx', '.ts', '.tsx', '.mjs', '.vue', '.svelte', '.css', '.scss', '.html', '.md']);
+const MAX_FILE_CHARS = 200_000;
+const MAX_TOTAL_CHARS = 2_000_000;
+const REQUIRED_THEME_VARS = ['--primary', '--secondary', '--surface'];
+
+const defaultClock = { now: () => new Date().toISOString() };
+
+const isCode = (rel) => /\.(m?js|jsx|tsx?|vue|svelte|html)$/.test(rel);
+const isStyle = (rel) => /\.(s?css|html|vue|svelte)$/.test(rel) || isCode(rel);
+
+/** Files (relative paths) whose content matches any of `patterns`. */
+function filesMatching(files, patterns, filter = () => true) {
+  const hits = [];
+  for (const [rel, text] of files) {
+    if (filter(rel) && patterns.some(re => re.test(text))) hits.push(rel);
+  }
+  return hits;
+}
+
+// ---------------------------------------------------------------------------
+// Rules
+// ---------------------------------------------------------------------------
+
+/**
+ * Each rule: `check(files, ctx)` → `{ passed, detail, files }`.
+ * Weights add up to 100 so the score reads as a percentage.
+ */
+const RULES = [
+  {
+    id: 'theme_vars',
+    label: 'Theme CSS variables',
+    weight: 20,
+    check(files, { theme }) {
+      const expected = Object.keys(theme?.palette?.colors || {}).filter(v => REQUIRED_THEME_VARS.includes(v));
+      const required = expected.length ? expected : REQUIRED_THEME_VARS;
+      const defined = required.filter(v => filesMatching(files, [new RegExp(`${v}\\s*:`)], isStyle).length);
+      const used = filesMatching(files, [/var\(\s*--primary\b/], isStyle);
+      const missing = required.filter(v => !defined.includes(v));
+      if (missing.length) return { passed: false, detail: `CSS variables not defined: ${missing.join(', ')}`, files: [] };
+      if (!used.length) return { passed: false, detail: 'var(--primary) is never used', files: [] };
+      return { passed: true, detail: `${required.join(', ')} defined; var(--primary) used`, files: used };
+    },
+  },
+  {
+    id: 'readme_scenario',
+    label: 'README Scenario section',
+    weight: 15,
+    check(files) {
+      const readme = files.get('README.md') || '';
+      const m = readme.match(/^##\s*(?:Scenario|场景)\s*$([\s\S]*?)(?=^##\s|(?![\s\S]))/mi);
+      if (!readme) return { passed: false, detail: 'README.md missing', files: [] };
+      if (!m) return { passed: false, detail: "README.md has no '## Scenario' section", files: [] };
+      if (!m[1].trim()) return { passed: false, detail: "'## Scenario' section is empty", files: [] };
+      return { passed: true, detail: "'## Scenario' section present", files: ['README.md'] };
+    },
+  },
+  {
+    id: 'export_action',
+    label: 'Copy / Export action',
+    weight: 20,
+    check(files) {
+      const hits = filesMatching(files, [
+        /navigator\.clipboard/,
+        /execCommand\(\s*['"]copy['"]/,
+        /URL\.createObjectURL/,
+        /\.toDataURL\(/,
+        /\bdownload\s*=/,
+        /\.download\s*=/,
+      ], isCode);
+      return hits.length
+        ? { passed: true, detail: 'clipboard/download code found', files: hits }
+        : { passed: false, detail: 'no clipboard copy or file download found', files: [] };
+    },
+  },
+  {
+    id: 'error_boundary',
+    label: 'Error boundary',
+    weight: 15,
+    check(files) {
+      const hits = filesMatching(files, [
+        /componentDidCatch/,
+        /getDerivedStateFromError/,
+        /\bErrorBoundary\b/,
+        /window\.onerror/,
+        /onErrorCaptured/,
+        /addEventListener\(\s*['"](?:error|unhandledrejection)['"]/,
+      ], isCode);
+      return hits.length
+        ? { passed: true, detail: 'error boundary / global error handler found', files: hits }
+        : { passed: false, detail: 'no error boundary or window error handler', files: [] };
+    },
+  },
+  {
+    id: 'state_recovery',
+    label: 'localStorage state recovery',
+    weight: 15,
+    check(files) {
+      const writes = filesMatching(files, [/localStorage\.setItem\(/, /localStorage\[[^\]]+\]\s*=/], isCode);
+      const reads = filesMatching(files, [/localStorage\.getItem\(/, /localStorage\[[^\]]+\](?!\s*=)/], isCode);
+      if (!writes.length) return { passed: false, detail: 'state is never saved to localStorage', files: [] };
+      if (!reads.length) return { passed: false, detail: 'localStorage is written but never read back', files: writes };
+      return { passed: true, detail: 'state saved and restored via localStorage', files: [...new Set([...writes, ...reads])] };
+    },
+  },
+  {
+    id: 'no_external_api',
+    label: 'No external APIs',
+    weight: 15,
+    check(files) {
+      const CALL_RE = /\b(?:fetch|axios(?:\.\w+)?|new\s+WebSocket|new\s+EventSource)\s*\(\s*(?:['"`](?:[A-Z]+['"`]\s*,\s*['"`])?)?((?:https?|wss?):\/\/[^'"`\s)]+)/g;
+      const offenders = [];
+      for (const [rel, text] of files) {
+        if (!isCode(rel) || rel.endsWith('.html')) continue;
+        for (const m of text.matchAll(CALL_RE)) {
+          if (/^(?:https?|wss?):\/\/(?:localhost|127\.0\.0\.1)(?:[:/]|$)/.test(m[1])) continue;
+          offenders.push(`${rel}: ${m[1]}`);
+        }
+      }
+      return offenders.length
+        ? { passed: false, detail: `external calls: ${offenders.slice(0, 5).join('; ')}`, files: [...new Set(offenders.map(o => o.split(':')[0]))] }
+        : { passed: true, detail: 'no external fetch/WebSocket URLs', files: [] };
+    },
+  },
+];
+
+export const COMPLIANCE_RULES = Object.freeze(RULES.map(({ id, label, weight }) => ({ id, label, weight })));
+
+// ---------------------------------------------------------------------------
+// Pure evaluation
+// ---------------------------------------------------------------------------
+
+/**
+ * @param {object} input
+ * @param {Map<string, string>} input.files – relative path → content
+ * @param {object|null} [input.theme] – theme.json of the output
+ * @param {object|null} [input.dependencyPolicy] – report from the install (mergePolicyReports)
+ * @param {{ now: () => string }} [clock]
+ * @returns {{ version: number, score: number, status: 'pass'|'warn'|'fail', checks: object[], violations: object[], dependencies: object|null, fileCount: number, checkedAt: string }}
+ */
+export function evaluateCompliance({ files, theme = null, dependencyPolicy = null }, clock = defaultClock) {
+  const checks = RULES.map((rule) => {
+    const r = rule.check(files, { theme });
+    return { id: rule.id, label: rule.label, weight: rule.weight, passed: r.passed, detail: r.detail, files: r.files.slice(0, 10) };
+  });
+  const total = checks.reduce((n, c) => n + c.weight, 0);
+  const earned = checks.reduce((n, c) => n + (c.passed ? c.weight : 0), 0);
+  const score = total ? Math.round((earned / total) * 100) : 0;
+  const violations = checks.filter(c => !c.passed).map(({ id, label, detail }) => ({ id, label, detail }));
+
+  return {
+    version: 1,
+    score,
+    status: violations.length === 0 ? 'pass' : score >= 60 ? 'warn' : 'fail',
+    checks,
+    violations,
+    dependencies: dependencyPolicy
+      ? { mode: dependencyPolicy.mode, ignoreScripts: dependencyPolicy.ignoreScripts, violations: dependencyPolicy.violations || [] }
+      : null,
+    fileCount: files.size,
+    checkedAt: clock.now(),
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Filesystem helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * Read the project's text sources (node_modules, dist and versions skipped).
+ * @returns {Promise<Map<string, string>>}
+ */
+export async function collectSources(outDir) {
+  const files = new Map();
+  let budget = MAX_TOTAL_CHARS;
+  const rels = [...(await snapshotFiles(outDir)).keys()].sort();
+  for (const rel of rels) {
+    if (!SOURCE_EXT.has(path.extname(rel).toLowerCase()) || budget <= 0) continue;
+    const text = await fs.readFile(path.join(outDir, rel), 'utf8').catch(() => null);
+    if (text === null) continue;
+    const clipped = text.slice(0, Math.min(MAX_FILE_CHARS, budget));
+    budget -= clipped.length;
+    files.set(rel, clipped);
+  }
+  return files;
+}
+
+/**
+ * Analyse `outDir` and write `<outDir>/compliance.json`.
+ * @returns {Promise<object>} the report
+ */
+export async function analyzeCompliance(outDir, { clock = defaultClock, dependencyPolicy = null } = {}) {
+  const [files, theme] = await Promise.all([
+    collectSources(outDir),
+    readJsonSafe(path.join(outDir, 'theme.json'), null),
+  ]);
+  const report = evaluateCompliance({ files, theme, dependencyPolicy }, clock);
+  await writeJsonAtomic(path.join(outDir, COMPLIANCE_FILE), report);
+  return report;
+}
+
+/** Read a stored report (null when missing or unreadable). */
+export async function readCompliance(outDir) {
+  const raw = await readJsonSafe(path.join(outDir, COMPLIANCE_FILE), null);
+  return raw && typeof raw.score === 'number' ? raw : null;
+}
@@ -52,6 +52,11 @@ describe('parseTargetedConfig', () => {
     assert.equal(DEFAULTS.searchLangs.length, 2);
   });
 
+  it('should normalise the output lang and leave it null when unset', () => {
+    assert.equal(parseTargetedConfig({ topic: 'x', lang: 'EN' }).value.lang, 'en');
+    assert.equal(parseTargetedConfig({ topic: 'x' }).value.lang, null);
+  });
+
   it('should enforce minimum contextTokenBudget of 2000', () => {
     assert.equal(parseTargetedConfig({ topic: 'x', contextTokenBudget: 500 }).value.contextTokenBudget, 2000);
   });
@@ -34,6 +34,11 @@ describe('tagIdea', () => {
     assert.equal(tagged.campaignId, 'camp_20260206T1200_a3f2');
     assert.equal(tagged.isTargeted, true);
   });
+
+  it('should stamp the campaign language only when given', () => {
+    assert.equal(tagIdea({ id: 'idea1' }, { ...campaignMeta, lang: 'en' }).lang, 'en');
+    assert.equal('lang' in tagIdea({ id: 'idea1' }, campaignMeta), false);
+  });
 });
 
 describe('tagIdeas', () => {
@@ -3,6 +3,8 @@
  * Pure function, no side effects.
  */
 
+import { normalizeLang } from '../../../../shared/lang.mjs';
+
 export const DEFAULTS = {
   creative: 0.6,
   count: 6,
@@ -27,10 +29,12 @@ export function parseTargetedConfig(raw = {}) {
     ? raw.searchLangs.map(String)
     : [...DEFAULTS.searchLangs];
   const contextTokenBudget = Math.max(2000, Number(raw.contextTokenBudget) || DEFAULTS.contextTokenBudget);
+  // Output language of the ideas (null: DAILY_APP_LAB_LANG); searchLangs only steer the queries
+  const lang = normalizeLang(raw.lang);
 
   return {
     ok: true,
-    value: { topic, creative, count, searchLangs, contextTokenBudget },
+    value: { topic, creative, count, searchLangs, contextTokenBudget, lang },
   };
 }
 
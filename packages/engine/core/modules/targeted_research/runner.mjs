@@ -7,7 +7,7 @@
  *   - Critique: extends default with diversity_score penalty
  *   - Persist: tag ideas with campaign metadata, create campaign, merge backlog
  *
- * CLI: node targeted_research/runner.mjs --topic "摄影师资产维护工具" [--creative 0.7] [--count 8]
+ * CLI: node targeted_research/runner.mjs --topic "摄影师资产维护工具" [--creative 0.7] [--count 8] [--output-lang en]
  * API: import { runTargetedResearch } from './runner.mjs'
  *
  * See: §2.1.1, §3, §6.1 of 01_targeted_research_design.md
@@ -18,6 +18,7 @@ import { fileURLToPath } from 'node:url';
 import { callWithRetry, extractJsonArray } from '../../../../shared/extract_json.mjs';
 import { normalizeIdea, normalizeIdeaList } from '../../../../shared/json_contract.mjs';
 import { createEventLogger, generateRunId } from '../../../../shared/event_logger.mjs';
+import { resolveLang } from '../../../../shared/lang.mjs';
 import { createProviders } from '../research_providers.mjs';
 import { runResearchPipeline, defaultCritiquePhase } from '../research_pipeline.mjs';
 import { parseTargetedConfig, parseCliArgs } from './config.mjs';
@@ -33,8 +34,6 @@ const BACKLOG = path.join(DATA, 'idea_backlog.json');
 const CAMPAIGNS = path.join(DATA, 'campaigns.json');
 const SOURCES_DATA = path.join(DATA, 'idea_sources.json');
 
-const LANG = process.env.DAILY_APP_LAB_LANG || 'zh-CN';
-
 // =====================================================================
 //  Targeted-specific Pipeline Phases
 // =====================================================================
@@ -128,7 +127,7 @@ async function targetedPlanPhase(providers, ctx) {
  */
 async function targetedIdeatePhase(researchContext, planMeta, providers, ctx) {
   const { llm } = providers;
-  const { runId, eventLog, logDir } = ctx;
+  const { runId, eventLog, logDir, lang } = ctx;
   const { originalAnchor, targetCount, creative, dimensions } = planMeta;
 
   console.log(`[Targeted:Ideate] Generating ${targetCount} perspective-diverse ideas...`);
@@ -151,6 +150,7 @@ async function targetedIdeatePhase(researchContext, planMeta, providers, ctx) {
   2. 使用本地 Mock 数据或浏览器 API
   3. hudScenario 必须指明具体人群（如"婚庆摄影师"）
   4. 每个 idea 附带 perspectiveTags 和 challengesOriginal 字段
+  5. 所有文本字段必须使用 ${lang} 撰写（URL 和 perspectiveTags 除外）
 
   Return JSON ONLY:
   [
@@ -242,14 +242,14 @@ async function targetedCritiquePhase(candidateIdeas, providers, ctx) {
 async function targetedPersistPhase(result, providers, ctx) {
   const { selectedIdeas, sources, planMeta } = result;
   const { store, clock } = providers;
-  const { runId, eventLog } = ctx;
+  const { runId, eventLog, lang } = ctx;
   const { campaignId, topicTag, originalAnchor } = planMeta;
 
   console.log(`[Targeted:Persist] Saving ${selectedIdeas.length} ideas for campaign ${campaignId}`);
 
   // 1. Tag all selected ideas with campaign metadata
   const taggedIdeas = selectedIdeas.map(idea => {
-    const tagged = tagIdea(idea, { campaignId, topicTag, originalAnchor });
+    const tagged = tagIdea(idea, { campaignId, topicTag, originalAnchor, lang });
     tagged.status = 'new';
     tagged.build = {
       projectId: null,
@@ -276,7 +276,7 @@ async function targetedPersistPhase(result, providers, ctx) {
       campaignId,
       topicTag,
       originalAnchor,
-      options: { creative: planMeta.creative, count: planMeta.targetCount },
+      options: { creative: planMeta.creative, count: planMeta.targetCount, lang },
       clock,
     });
     campaignMeta.stats.total = taggedIdeas.length;
@@ -329,7 +329,8 @@ export const targetedPhases = {
 /**
  * Run targeted research.
  *
- * @param {{ topic: string, creative?: number, count?: number, searchLangs?: string[] }} rawConfig
+ * @param {{ topic: string, creative?: number, count?: number, searchLangs?: string[], lang?: string }} rawConfig
+ *   `lang` is the output language of the ideas and campaign (default: DAILY_APP_LAB_LANG)
  * @param {object} [providerOverrides] – for testing: { llm?, search?, fetcher?, store?, clock? }
  * @returns {Promise<object>} pipeline result
  */
@@ -337,7 +338,8 @@ export async function runTargetedResearch(rawConfig, providerOverrides = {}) {
   const parsed = parseTargetedConfig(rawConfig);
   if (!parsed.ok) throw new Error(parsed.error);
 
-  const providers = await createProviders(providerOverrides);
+  const lang = resolveLang([parsed.value.lang]);
+  const providers = await createProviders({ lang, ...providerOverrides });
   const runId = generateRunId();
   const eventLog = createEventLogger({ logDir: LOGS_DIR });
 
@@ -347,7 +349,7 @@ export async function runTargetedResearch(rawConfig, providerOverrides = {}) {
     runId,
     eventLog,
     logDir: path.join(LOGS_DIR, 'diagnostics'),
-    lang: LANG,
+    lang,
     // Pass targeted config through ctx (phases.plan reads ctx.targetedConfig)
     targetedConfig: parsed.value,
   });
@@ -365,6 +367,7 @@ async function main() {
     creative: args.creative ? Number(args.creative) : undefined,
     count: args.count ? Number(args.count) : undefined,
     searchLangs: args.lang ? [args.lang] : undefined,
+    lang: args['output-lang'],
   };
 
   const result = await runTargetedResearch(rawConfig);
@@ -9,13 +9,14 @@
  * @param {{ campaignId: string, topicTag: string, originalAnchor: string }} meta
  * @returns {object} idea with injected fields
  */
-export function tagIdea(idea, { campaignId, topicTag, originalAnchor }) {
+export function tagIdea(idea, { campaignId, topicTag, originalAnchor, lang }) {
   return {
     ...idea,
     campaignId,
     topicTag,
     isTargeted: true,
     originalAnchor,
+    ...(lang ? { lang } : {}),
   };
 }
 
@@ -0,0 +1,215 @@
+/**
+ * Template Cache – prewarmed node_modules per template stack.
+ *
+ * A full `npm install` in every fresh output dominates build time and fails
+ * without network. Each template has a fixed stack (the default is React 18
+ * + Tailwind v3 + framer-motion + Vite), so its dependencies are installed
+ * once into `runtime/template_cache/<stack>/` and hardlinked into each new
+ * output.
+ * When the generated package.json only uses template dependencies no npm
+ * call is needed at all (works offline); extra or differently-versioned
+ * dependencies are installed on top incrementally. All npm calls share one
+ * cache directory (`runtime/npm_cache`).
+ *
+ * Install outcome (reported in build status, the log and build.json):
+ *   hit      – template linked, nothing else to install
+ *   partial  – template linked, npm installed the difference
+ *   miss     – template unavailable, full npm install
+ *   disabled – DAILY_APP_LAB_TEMPLATE_CACHE=0
+ *   none     – the template installs nothing (single-html)
+ *
+ * `planInstall()` is pure; the fs helpers below warm and link the template.
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { createHash } from 'node:crypto';
+import { writeJsonAtomic, readJsonSafe } from '../../../shared/atomic_fs.mjs';
+
+export const TEMPLATE_STAMP = 'template.json';
+export const NPM_FLAGS = ['--no-audit', '--no-fund'];
+
+/** The default (react-tailwind) stack; other templates bring their own (core/templates). */
+export const TEMPLATE_STACK = Object.freeze({
+  id: 'react-tailwind',
+  dependencies: {
+    'react': '^18.3.1',
+    'react-dom': '^18.3.1',
+    'framer-motion': '^11.11.0',
+  },
+  devDependencies: {
+    'vite': '^7.0.0',
+    '@vitejs/plugin-react': '^5.0.0',
+    'tailwindcss': '^3.4.14',
+    'postcss': '^8.4.47',
+    'autoprefixer': '^10.4.20',
+  },
+});
+
+/**
+ * `DAILY_APP_LAB_TEMPLATE_CACHE=0` disables the cache;
+ * `DAILY_APP_LAB_OFFLINE=1` never lets npm touch the network.
+ */
+export function resolveTemplateCacheOptions(env = process.env) {
+  const off = (v) => ['0', 'false', 'off'].includes(String(v ?? '').trim().toLowerCase());
+  const on = (v) => ['1', 'true', 'on'].includes(String(v ?? '').trim().toLowerCase());
+  return {
+    enabled: !off(env.DAILY_APP_LAB_TEMPLATE_CACHE),
+    offline: on(env.DAILY_APP_LAB_OFFLINE),
+  };
+}
+
+/**
+ * npm flags for an install that should use the shared cache.
+ * `ignoreScripts` keeps package lifecycle scripts from running (see dependency_policy.mjs).
+ */
+export function npmInstallArgs({ npmCache, offline = false, ignoreScripts = false }) {
+  return ['install', '--cache', npmCache, offline ? '--offline' : '--prefer-offline', ...(ignoreScripts ? ['--ignore-scripts'] : []), ...NPM_FLAGS];
+}
+
+/** Stable hash of a stack's dependency lists – a changed stack rewarms the cache. */
+export function stackHash(stack = TEMPLATE_STACK) {
+  const sorted = (o) => Object.keys(o || {}).sort().map(k => `${k}@${o[k]}`);
+  return createHash('sha256')
+    .update(JSON.stringify([stack.id, sorted(stack.dependencies), sorted(stack.devDependencies)]))
+    .digest('hex')
+    .slice(0, 16);
+}
+
+const majorOf = (v) => {
+  const m = String(v || '').match(/(\d+)/);
+  return m ? Number(m[1]) : null;
+};
+
+/**
+ * Compare a generated package.json with the template.
+ *
+ * A dependency is covered when the template has it at the same major
+ * version (the installed version when known, otherwise the template range).
+ *
+ * @param {object} pkg – parsed package.json of the output
+ * @param {object} [opts]
+ * @param {object} [opts.stack]
+ * @param {Record<string, string>} [opts.installed] – package → version in the template
+ * @returns {{ covered: string[], extra: string[], mismatched: { name: string, wanted: string, template: string }[], templateOnly: boolean }}
+ */
+export function planInstall(pkg, { stack = TEMPLATE_STACK, installed = {} } = {}) {
+  const template = { ...stack.dependencies, ...stack.devDependencies };
+  const wanted = { ...(pkg?.dependencies || {}), ...(pkg?.devDependencies || {}) };
+  const covered = [];
+  const extra = [];
+  const mismatched = [];
+  for (const [name, range] of Object.entries(wanted)) {
+    if (!(name in template)) { extra.push(name); continue; }
+    const have = installed[name] || template[name];
+    // Non-semver specs (git urls, tags, file:) always go to npm
+    if (/^\d/.test(String(range).replace(/^[\^~>=<\s]+/, '')) && majorOf(range) === majorOf(have)) covered.push(name);
+    else mismatched.push({ name, wanted: String(range), template: have });
+  }
+  return { covered: covered.sort(), extra: extra.sort(), mismatched, templateOnly: extra.length === 0 && mismatched.length === 0 };
+}
+
+// ---------------------------------------------------------------------------
+// Filesystem helpers
+// ---------------------------------------------------------------------------
+
+export function templateDir(cacheRoot, stack = TEMPLATE_STACK) {
+  return path.join(cacheRoot, stack.id);
+}
+
+/** @returns {Promise<object|null>} the stamp when the template is warm for this stack */
+export async function readTemplateStamp(cacheRoot, stack = TEMPLATE_STACK) {
+  const stamp = await readJsonSafe(path.join(templateDir(cacheRoot, stack), TEMPLATE_STAMP), null);
+  return stamp && stamp.hash === stackHash(stack) ? stamp : null;
+}
+
+/**
+ * Install the stack into the template directory unless it is already warm.
+ * Installs into a temp dir and renames it into place, so a concurrent
+ * build never sees a half-installed template.
+ *
+ * @param {object} opts
+ * @param {string} opts.cacheRoot – runtime/template_cache
+ * @param {string} opts.npmCache  – runtime/npm_cache
+ * @param {Function} opts.run     – runCommand
+ * @param {string} [opts.logFile]
+ * @param {boolean} [opts.offline]
+ * @param {boolean} [opts.ignoreScripts]
+ * @param {object} [opts.stack]
+ * @param {{ now: () => string }} [opts.clock]
+ * @returns {Promise<{ warmed: boolean, stamp: object }>} warmed=false when it was already warm
+ */
+export async function warmTemplate({ cacheRoot, npmCache, run, logFile, offline = false, ignoreScripts = false, stack = TEMPLATE_STACK, clock = { now: () => new Date().toISOString() } }) {
+  const existing = await readTemplateStamp(cacheRoot, stack);
+  if (existing) return { warmed: false, stamp: existing };
+
+  const dir = templateDir(cacheRoot, stack);
+  const tmp = `${dir}.tmp-${process.pid}-${Date.now()}`;
+  await fs.mkdir(tmp, { recursive: true });
+  try {
+    await fs.writeFile(path.join(tmp, 'package.json'), JSON.stringify({
+      name: `template-${stack.id}`,
+      private: true,
+      version: '0.0.0',
+      type: 'module',
+      dependencies: stack.dependencies,
+      devDependencies: stack.devDependencies,
+    }, null, 2) + '\n');
+    await run('npm', npmInstallArgs({ npmCache, offline, ignoreScripts }), { cwd: tmp, logFile });
+
+    const stamp = { stack: stack.id, hash: stackHash(stack), installed: await readInstalledVersions(tmp, stack), warmedAt: clock.now() };
+    await writeJsonAtomic(path.join(tmp, TEMPLATE_STAMP), stamp);
+
+    await fs.rm(dir, { recursive: true, force: true });
+    await fs.rename(tmp, dir).catch(async (e) => {
+      // Another build finished warming first – use theirs
+      if (!(await readTemplateStamp(cacheRoot, stack))) throw e;
+    });
+    return { warmed: true, stamp: (await readTemplateStamp(cacheRoot, stack)) || stamp };
+  } finally {
+    await fs.rm(tmp, { recursive: true, force: true }).catch(() => {});
+  }
+}
+
+async function readInstalledVersions(dir, stack) {
+  const names = Object.keys({ ...stack.dependencies, ...stack.devDependencies });
+  const out = {};
+  for (const name of names) {
+    const pkg = await readJsonSafe(path.join(dir, 'node_modules', name, 'package.json'), null);
+    if (pkg?.version) out[name] = pkg.version;
+  }
+  return out;
+}
+
+/** Recreate `src` under `dest` with hardlinks (copy when linking is not possible). */
+async function linkTree(src, dest) {
+  await fs.mkdir(dest, { recursive: true });
+  for (const ent of await fs.readdir(src, { withFileTypes: true })) {
+    const from = path.join(src, ent.name);
+    const to = path.join(dest, ent.name);
+    if (ent.isDirectory()) {
+      await linkTree(from, to);
+    } else if (ent.isSymbolicLink()) {
+      await fs.symlink(await fs.readlink(from), to).catch((e) => { if (e.code !== 'EEXIST') throw e; });
+    } else if (ent.isFile()) {
+      await fs.link(from, to).catch(async (e) => {
+        if (e.code === 'EEXIST') return;
+        await fs.copyFile(from, to);
+      });
+    }
+  }
+}
+
+/**
+ * Link the template's node_modules into `outDir` (skipped when the output
+ * already has one, e.g. on a repair round).
+ * @returns {Promise<boolean>} whether anything was linked
+ */
+export async function linkTemplateModules(cacheRoot, outDir, stack = TEMPLATE_STACK) {
+  const src = path.join(templateDir(cacheRoot, stack), 'node_modules');
+  const dest = path.join(outDir, 'node_modules');
+  if (await fs.access(dest).then(() => true).catch(() => false)) return false;
+  if (!(await fs.access(src).then(() => true).catch(() => false))) return false;
+  await linkTree(src, dest);
+  return true;
+}
@@ -0,0 +1,171 @@
+/**
+ * Theme Classifier – pick a theme preset for an idea.
+ *
+ * An idea's `visualTheme` wins when it names a known preset (selectPreset).
+ *
+ * Most ideas are generated in zh-CN, so presets carry keywords in several
+ * languages. ASCII keywords match at word starts, and those of three letters
+ * or fewer only as whole words ("ai" no longer matches "rain"); CJK keywords
+ * match anywhere. Each preset is scored over the title, the idea's own
+ * keywords, its target persona and the scenario. Without any keyword hit the
+ * idea is compared with each preset's name, description and keywords through
+ * the hash embedding (packages/shared/similarity.mjs).
+ *
+ * The result carries a 0–1 confidence and human-readable reasons, which the
+ * build logs and stores under the theme's `metadata.selection`.
+ * All functions are pure.
+ */
+
+import { embed, cosine } from '../../../shared/similarity.mjs';
+import { PRESETS } from '../theme.mjs';
+
+export const DEFAULT_PRESET = 'professional';
+
+/** Idea fields scored for keyword hits, with their weight per hit. */
+const FIELDS = [
+  ['title', 3],
+  ['keywords', 2],
+  ['targetPersona', 2],
+  ['scenario', 1],
+];
+
+// A keyword score at which confidence stops growing (e.g. two title hits)
+const STRONG_SCORE = 6;
+// Embedding matches are weak evidence: below MIN they are ignored, and
+// their confidence never exceeds CAP
+const EMBED_MIN = 0.05;
+const EMBED_CAP = 0.5;
+
+// Ties go to user presets, then the built-ins in this order
+const TIE_ORDER = ['nature', 'tech', 'minimal', 'vibrant', 'professional', 'creative'];
+
+const CJK_RE = /[\u3040-\u30ff\u3400-\u9fff\uf900-\ufaff]/;
+const CJK_RUN_RE = /[\u3400-\u9fff]{2,}/g;
+
+const round2 = (n) => Math.round(n * 100) / 100;
+const escapeRe = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Does `text` contain `keyword`? (see the header for the matching rules)
+ * @param {string} text – lowercased
+ * @param {string} keyword – lowercased
+ */
+export function matchesKeyword(text, keyword) {
+  if (!keyword || !text) return false;
+  if (CJK_RE.test(keyword)) return text.includes(keyword);
+  const end = keyword.length <= 3 ? '(?![a-z0-9])' : '';
+  return new RegExp(`(?<![a-z0-9])${escapeRe(keyword)}${end}`).test(text);
+}
+
+/** Text of each scored field of an idea. */
+function ideaFields(idea) {
+  const src = idea && typeof idea === 'object' ? idea : {};
+  const kw = Array.isArray(src.keywords) ? src.keywords.join(' ') : String(src.keywords || '');
+  return {
+    title: String(src.title || src.name || ''),
+    keywords: kw,
+    targetPersona: String(src.targetPersona || ''),
+    scenario: String(src.scenario || src.hudScenario || src.desc || src.description || ''),
+  };
+}
+
+/**
+ * Add the CJK bigrams of `text` as separate words. The hash embedding treats
+ * a run of Chinese characters as a single token; bigrams let "奶茶店订单" and
+ * "订单管理" share some.
+ */
+function withCjkBigrams(text) {
+  const bigrams = [];
+  for (const run of String(text).match(CJK_RUN_RE) || []) {
+    for (let i = 0; i < run.length - 1; i++) bigrams.push(run.slice(i, i + 2));
+  }
+  return bigrams.length ? `${text} ${bigrams.join(' ')}` : text;
+}
+
+/** Preset ids in tie-break order: user presets first. */
+function rankOrder(presets) {
+  const custom = Object.keys(presets).filter(id => !Object.hasOwn(PRESETS, id));
+  const builtin = TIE_ORDER.filter(id => Object.hasOwn(presets, id));
+  const rest = Object.keys(presets).filter(id => !custom.includes(id) && !builtin.includes(id));
+  return [...custom, ...builtin, ...rest];
+}
+
+/**
+ * Keyword scores of every preset.
+ * @returns {{ id: string, score: number, hits: Record<string, string[]> }[]} in tie-break order
+ */
+export function scorePresets(idea, presets = PRESETS) {
+  const fields = Object.fromEntries(Object.entries(ideaFields(idea)).map(([k, v]) => [k, v.toLowerCase()]));
+  return rankOrder(presets).map(id => {
+    const keywords = [...new Set((presets[id]?.keywords || []).map(k => String(k).toLowerCase()).filter(Boolean))];
+    const hits = {};
+    let score = 0;
+    for (const [field, weight] of FIELDS) {
+      const found = keywords.filter(k => matchesKeyword(fields[field], k));
+      if (!found.length) continue;
+      hits[field] = found;
+      score += weight * found.length;
+    }
+    return { id, score, hits };
+  });
+}
+
+/**
+ * Choose a preset for an idea.
+ * @param {object} idea – { title, hudScenario|scenario, keywords?, targetPersona? }
+ * @param {object} [presets] – built-ins merged with user presets (modules/theme_presets.mjs)
+ * @returns {{ presetId: string, method: 'keywords'|'embedding'|'default', confidence: number, reasons: string[] }}
+ */
+export function classifyPreset(idea, presets = PRESETS) {
+  const scored = scorePresets(idea, presets);
+  const ranked = [...scored].sort((a, b) => b.score - a.score);
+  const [top, second] = ranked;
+
+  if (top?.score > 0) {
+    // Strong and unambiguous hits give high confidence
+    const margin = (top.score - (second?.score || 0)) / top.score;
+    const confidence = round2(Math.min(1, top.score / STRONG_SCORE) * (0.5 + 0.5 * margin));
+    const reasons = ranked.filter(r => r.score > 0).slice(0, 3).map(r => {
+      const hits = Object.entries(r.hits).map(([field, words]) => `${field} ${words.map(w => `"${w}"`).join(', ')}`);
+      return `${r.id} ${r.score}: ${hits.join('; ')}`;
+    });
+    return { presetId: top.id, method: 'keywords', confidence, reasons };
+  }
+
+  const f = ideaFields(idea);
+  const ideaText = [f.title, f.keywords, f.targetPersona, f.scenario].join(' ').trim();
+  if (ideaText) {
+    const ideaVec = embed(withCjkBigrams(ideaText));
+    const sims = rankOrder(presets).map(id => {
+      const p = presets[id] || {};
+      const presetText = [p.name, p.description, ...(p.keywords || [])].join(' ');
+      return { id, sim: cosine(ideaVec, embed(withCjkBigrams(presetText))) };
+    }).sort((a, b) => b.sim - a.sim);
+
+    const best = sims[0];
+    if (best && best.sim >= EMBED_MIN) {
+      return {
+        presetId: best.id,
+        method: 'embedding',
+        confidence: round2(Math.min(EMBED_CAP, best.sim)),
+        reasons: [`no keyword hits; closest description: ${sims.slice(0, 3).map(s => `${s.id} ${round2(s.sim)}`).join(', ')}`],
+      };
+    }
+  }
+
+  const presetId = Object.hasOwn(presets, DEFAULT_PRESET) ? DEFAULT_PRESET : Object.keys(presets)[0] || DEFAULT_PRESET;
+  return { presetId, method: 'default', confidence: 0, reasons: ['no keyword hits or similar preset description'] };
+}
+
+/**
+ * The idea's own `visualTheme` when it names a known preset, otherwise classifyPreset().
+ * @returns {{ presetId: string, method: 'explicit'|'keywords'|'embedding'|'default', confidence: number, reasons: string[] }}
+ */
+export function selectPreset(idea, presets = PRESETS) {
+  const wanted = idea?.visualTheme ? String(idea.visualTheme).trim().toLowerCase() : '';
+  if (wanted && Object.hasOwn(presets, wanted)) {
+    return { presetId: wanted, method: 'explicit', confidence: 1, reasons: [`idea visualTheme "${wanted}"`] };
+  }
+  const result = classifyPreset(idea, presets);
+  return wanted ? { ...result, reasons: [`unknown visualTheme "${wanted}"`, ...result.reasons] } : result;
+}
@@ -0,0 +1,141 @@
+/**
+ * Theme Presets – user-defined presets layered over the built-ins.
+ *
+ * runtime/data/theme_presets.json holds `{ updatedAt, presets: { [id]: preset } }`.
+ * An entry with a built-in id overrides that preset; removing it restores
+ * the built-in. Ideas pick a preset by id through `visualTheme`.
+ *
+ * Presets are repaired rather than rejected (ranges clamped and ordered,
+ * unknown fonts and easings replaced by the professional preset's) so a
+ * hand-edited file can never break theme generation.
+ * All functions are pure (clock injectable); loadThemePresets() reads the file.
+ */
+
+import { readJsonSafe } from '../../../shared/atomic_fs.mjs';
+import { PRESETS, FONT_STACKS } from '../theme.mjs';
+
+const ID_RE = /^[a-z0-9][a-z0-9-]{0,31}$/;
+const EASING_RE = /^(linear|ease|ease-in|ease-out|ease-in-out|cubic-bezier\(\s*-?[\d.]+\s*(,\s*-?[\d.]+\s*){3}\))$/;
+const MAX_KEYWORDS = 40;
+
+const defaultClock = { now: () => new Date().toISOString() };
+
+const clamp = (v, min, max, fallback) => {
+  const n = Number(v);
+  return Number.isFinite(n) ? Math.min(max, Math.max(min, n)) : fallback;
+};
+
+function normalizeRange(raw, min, max, fallback) {
+  if (!Array.isArray(raw) || raw.length !== 2) return [...fallback];
+  const [a, b] = raw.map((v, i) => Math.round(clamp(v, min, max, fallback[i])));
+  return a <= b ? [a, b] : [b, a];
+}
+
+/** Kebab-case preset id ("My Preset" → "my-preset"), or null (also for Object.prototype names like "constructor"). */
+export function normalizePresetId(raw) {
+  const id = String(raw ?? '').trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 32);
+  return ID_RE.test(id) && !(id in Object.prototype) ? id : null;
+}
+
+/** The built-in preset with this id, or undefined. */
+const builtinPreset = (id) => (Object.hasOwn(PRESETS, id) ? PRESETS[id] : undefined);
+
+/**
+ * Fill in and clamp a preset (missing fields take `base`'s values).
+ * @param {*} raw
+ * @param {object} [base] – the preset being edited, or the professional built-in
+ * @returns {object} preset in the shape of PRESETS entries
+ */
+export function normalizePreset(raw, base = PRESETS.professional) {
+  const src = raw && typeof raw === 'object' ? raw : {};
+  const baseTokens = base.tokens || PRESETS.professional.tokens;
+  const tokens = src.tokens && typeof src.tokens === 'object' ? src.tokens : {};
+  const keywords = Array.isArray(src.keywords) ? src.keywords : base.keywords || [];
+
+  return {
+    name: String(src.name ?? base.name ?? '').trim().slice(0, 40) || 'Untitled',
+    description: String(src.description ?? base.description ?? '').trim().slice(0, 120),
+    baseHue: normalizeRange(src.baseHue, 0, 360, base.baseHue),
+    saturation: normalizeRange(src.saturation, 0, 100, base.saturation),
+    lightness: normalizeRange(src.lightness, 5, 95, base.lightness),
+    analogous: Math.round(clamp(src.analogous, 0, 360, base.analogous)),
+    tokens: {
+      display: Object.hasOwn(FONT_STACKS, tokens.display) ? tokens.display : baseTokens.display,
+      radius: Math.round(clamp(tokens.radius, 0, 32, baseTokens.radius)),
+      typeScale: Math.round(clamp(tokens.typeScale, 1.05, 1.618, baseTokens.typeScale) * 1000) / 1000,
+      motionMs: Math.round(clamp(tokens.motionMs, 0, 1000, baseTokens.motionMs)),
+      easing: EASING_RE.test(String(tokens.easing ?? '').trim()) ? String(tokens.easing).trim() : baseTokens.easing,
+    },
+    keywords: [...new Set(keywords.map(k => String(k ?? '').trim().toLowerCase()).filter(Boolean))].slice(0, MAX_KEYWORDS),
+  };
+}
+
+/**
+ * Normalize theme_presets.json; entries with invalid ids are dropped.
+ * @param {*} raw
+ * @returns {{ updatedAt: string|null, presets: Record<string, object> }}
+ */
+export function normalizePresetFile(raw) {
+  const src = raw && typeof raw === 'object' && raw.presets && typeof raw.presets === 'object' ? raw.presets : {};
+  const presets = {};
+  for (const [rawId, preset] of Object.entries(src)) {
+    const id = normalizePresetId(rawId);
+    if (id && id === rawId) presets[id] = normalizePreset(preset, builtinPreset(id));
+  }
+  return { updatedAt: raw?.updatedAt || null, presets };
+}
+
+/** Built-ins with the file's presets merged over them (generateTheme / guessPreset input). */
+export function mergePresets(file) {
+  return { ...PRESETS, ...normalizePresetFile(file).presets };
+}
+
+/**
+ * Every preset for the hub, built-ins first.
+ * @returns {{ id: string, builtin: boolean, overridden: boolean }[]} with the preset fields
+ */
+export function listPresets(file) {
+  const custom = normalizePresetFile(file).presets;
+  const merged = { ...PRESETS, ...custom };
+  return Object.entries(merged).map(([id, preset]) => ({
+    id,
+    ...normalizePreset(preset, builtinPreset(id)),
+    builtin: Object.hasOwn(PRESETS, id),
+    overridden: Object.hasOwn(PRESETS, id) && Object.hasOwn(custom, id),
+  }));
+}
+
+/**
+ * Create or replace a preset (a built-in id stores an override).
+ * @returns {{ file: object, ok: boolean, id?: string, preset?: object, error?: string }}
+ */
+export function upsertPreset(file, rawId, raw, clock = defaultClock) {
+  const cur = normalizePresetFile(file);
+  const id = normalizePresetId(rawId ?? raw?.name);
+  if (!id) return { file: cur, ok: false, error: 'preset id must be kebab-case (a-z, 0-9, -) and not a reserved name' };
+  const preset = normalizePreset(raw, Object.hasOwn(cur.presets, id) ? cur.presets[id] : builtinPreset(id));
+  return { file: { updatedAt: clock.now(), presets: { ...cur.presets, [id]: preset } }, ok: true, id, preset };
+}
+
+/**
+ * Delete a user preset, or drop a built-in's override.
+ * @returns {{ file: object, ok: boolean, restored?: boolean, error?: string }}
+ */
+export function removePreset(file, id, clock = defaultClock) {
+  const cur = normalizePresetFile(file);
+  if (!Object.hasOwn(cur.presets, id)) {
+    return { file: cur, ok: false, error: Object.hasOwn(PRESETS, id) ? `built-in preset "${id}" cannot be deleted` : `unknown preset "${id}"` };
+  }
+  const presets = { ...cur.presets };
+  delete presets[id];
+  return { file: { updatedAt: clock.now(), presets }, ok: true, restored: Object.hasOwn(PRESETS, id) };
+}
+
+// ---------------------------------------------------------------------------
+// Filesystem helpers
+// ---------------------------------------------------------------------------
+
+/** Built-ins merged with `presetsFile` (when present). */
+export async function loadThemePresets(presetsFile) {
+  return mergePresets(presetsFile ? await readJsonSafe(presetsFile, null) : null);
+}
@@ -0,0 +1,87 @@
+/**
+ * Hand a build to the hub's build queue (runtime/data/build_queue.json)
+ * instead of running generate.mjs here – used by the idle job.
+ *
+ *   node core/scripts/enqueue_build.mjs --idea-id <id> [--source idle] [--lang <lang>]
+ *   node core/scripts/enqueue_build.mjs --from-queue [--source idle]
+ *   node core/scripts/enqueue_build.mjs --check [--source idle]
+ *
+ * --from-queue takes the idea backlog_pick_pm.mjs left in idea_queue.json
+ * and clears it once queued, so it is not built twice.
+ *
+ * --check queues nothing: the idle job runs it before picking an idea, so
+ * ticks during a long batch do not pile up idle entries (and `picked` ideas)
+ * while an earlier one still waits.
+ *
+ * Exit codes: 0 queued (--check: nothing from the source pending), 2 no hub
+ * is consuming the queue (stale heartbeat – build directly instead), 3 no
+ * idea to queue while a hub is (no build outside its queue), 4 (--check) an
+ * entry from the source is queued or running, 1 error.
+ */
+
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import 'dotenv/config';
+import { readJsonSafe, writeJsonAtomic, withFileLock } from '../../../shared/atomic_fs.mjs';
+import { normalizeIdeaQueue } from '../../../shared/json_contract.mjs';
+import { normalizeBuildQueue, enqueueBuild, isHubAlive, activeEntriesFrom } from '../modules/build_queue.mjs';
+import { parseCliArgs } from '../modules/targeted_research/config.mjs';
+
+const HERE = path.dirname(fileURLToPath(import.meta.url));
+const ROOT = path.resolve(process.env.DAILY_APP_LAB_ROOT || path.resolve(HERE, '..', '..'));
+const DATA = path.join(ROOT, 'runtime', 'data');
+const BUILD_QUEUE = path.join(DATA, 'build_queue.json');
+const IDEA_QUEUE = path.join(DATA, 'idea_queue.json');
+
+try {
+  const args = parseCliArgs(process.argv.slice(2));
+  const source = args.source || 'idle';
+  const lang = typeof args.lang === 'string' ? args.lang : null;
+
+  if (args.check) {
+    const queue = normalizeBuildQueue(await readJsonSafe(BUILD_QUEUE, null));
+    if (!isHubAlive(queue)) {
+      console.log('enqueue_build: no hub is consuming the build queue');
+      process.exit(2);
+    }
+    const pending = activeEntriesFrom(queue, source);
+    if (pending.length) {
+      console.log(`enqueue_build: ${source} build still pending: ${pending.map(e => `${e.ideaId} (${e.status})`).join(', ')}`);
+      process.exit(4);
+    }
+    console.log(`enqueue_build: no ${source} build pending`);
+    process.exit(0);
+  }
+
+  let ideaId = typeof args['idea-id'] === 'string' ? args['idea-id'] : null;
+  if (!ideaId && args['from-queue']) {
+    ideaId = normalizeIdeaQueue(await readJsonSafe(IDEA_QUEUE, null)).idea?.id ?? null;
+  }
+  if (!ideaId) {
+    if (!isHubAlive(normalizeBuildQueue(await readJsonSafe(BUILD_QUEUE, null)))) {
+      console.log('enqueue_build: no idea to queue and no hub is consuming the build queue');
+      process.exit(2);
+    }
+    console.log('enqueue_build: no idea to queue');
+    process.exit(3);
+  }
+
+  const outcome = await withFileLock(BUILD_QUEUE, async () => {
+    const queue = normalizeBuildQueue(await readJsonSafe(BUILD_QUEUE, null));
+    if (!isHubAlive(queue)) return null;
+    const r = enqueueBuild(queue, { ideaId: String(ideaId), source, lang });
+    await writeJsonAtomic(BUILD_QUEUE, r.queue);
+    return r;
+  });
+  if (!outcome) {
+    console.log('enqueue_build: no hub is consuming the build queue');
+    process.exit(2);
+  }
+
+  if (args['from-queue']) await writeJsonAtomic(IDEA_QUEUE, { updatedAt: new Date().toISOString(), idea: null });
+  const { entry, created } = outcome;
+  console.log(`enqueue_build: ${entry.ideaId} ${created ? 'queued' : 'already queued'} as ${entry.entryId} (${entry.source})`);
+} catch (e) {
+  console.error(`enqueue_build: failed – ${e?.message || e}`);
+  process.exit(1);
+}
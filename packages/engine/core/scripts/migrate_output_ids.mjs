@@ -0,0 +1,34 @@
+/**
+ * One-time rename of legacy output folders (YYYY-MM-DD-extra-HHMM) to
+ * readable ids (YYYY-MM-DD-<slug>-HHMM), keeping backlog links, the
+ * manifest, build.json, feedback and logs pointing at them.
+ *
+ *   node core/scripts/migrate_output_ids.mjs [--dry-run]
+ *
+ * --dry-run prints the renames without touching anything. Stop the hub's
+ * builds first; running it again only picks up what is still legacy.
+ */
+
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import 'dotenv/config';
+import { migrateLegacyOutputIds } from '../modules/output_id.mjs';
+import { parseCliArgs } from '../modules/targeted_research/config.mjs';
+
+const HERE = path.dirname(fileURLToPath(import.meta.url));
+const ROOT = path.resolve(process.env.DAILY_APP_LAB_ROOT || path.resolve(HERE, '..', '..'));
+
+try {
+  const args = parseCliArgs(process.argv.slice(2));
+  const dryRun = !!args['dry-run'];
+  const { renames, skipped } = await migrateLegacyOutputIds(
+    { outputsDir: path.join(ROOT, 'outputs'), runtimeDir: path.join(ROOT, 'runtime') },
+    { dryRun },
+  );
+  for (const { from, to } of renames) console.log(`migrate_output_ids: ${from} → ${to}`);
+  for (const { id, reason } of skipped) console.log(`migrate_output_ids: skipped ${id} (${reason})`);
+  console.log(`migrate_output_ids: ${renames.length} ${dryRun ? 'to rename (dry run)' : 'renamed'}, ${skipped.length} skipped`);
+} catch (e) {
+  console.error(`migrate_output_ids: failed – ${e?.message || e}`);
+  process.exit(1);
+}
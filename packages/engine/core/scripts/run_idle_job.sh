@@ -83,6 +83,17 @@ else
     log "skip: reached max outputs today ($C/$MAX_PER_DAY)"
     exit 0
   fi
+
+  # one idle build at a time: check before picking, so no idea is left "picked"
+  set +e
+  node "$PROJECT_ROOT/core/scripts/enqueue_build.mjs" --check --source idle 2>&1 | tee -a "$TRACE_LOG"
+  CHECK_CODE=${PIPESTATUS[0]}
+  set -e
+  if [ "$CHECK_CODE" -eq 4 ]; then
+    SUMMARY="skipped reason=idle_build_pending"
+    log "skip: an idle build is still queued or running"
+    exit 0
+  fi
 fi
 
 # pick from backlog (best-effort)
@@ -97,6 +108,40 @@ else
   log "pm_pick_from_backlog=skip (no backlog file)"
 fi
 
+# prewarm the template dependency cache (no-op when warm; lets offline builds skip npm)
+log "template_cache=start offline=${DAILY_APP_LAB_OFFLINE:-0}"
+if ! node "$PROJECT_ROOT/core/scripts/warm_template.mjs" 2>&1 | tee -a "$TRACE_LOG"; then
+  log "WARNING: template cache unavailable, builds fall back to a full npm install"
+else
+  log "template_cache=ok"
+fi
+
+# hand the picked idea to the hub's build queue (idle priority) when a hub is running
+log "build_queue=enqueue"
+set +e
+node "$PROJECT_ROOT/core/scripts/enqueue_build.mjs" --from-queue --source idle 2>&1 | tee -a "$TRACE_LOG"
+ENQ_CODE=${PIPESTATUS[0]}
+set -e
+case "$ENQ_CODE" in
+  0)
+    SUMMARY="ok action=enqueued"
+    log "build_queue=queued (the hub builds it)"
+    exit 0
+    ;;
+  2)
+    log "build_queue=no_hub (building directly)"
+    ;;
+  3)
+    # every build on a hub's machine goes through its queue
+    SUMMARY="skipped reason=no_picked_idea"
+    log "build_queue=skip (no picked idea, the hub's queue owns builds)"
+    exit 0
+    ;;
+  *)
+    log "WARNING: enqueue_build failed (code=$ENQ_CODE), building directly"
+    ;;
+esac
+
 log "action=generate_extra"
 GEN_LOG="$LOG_DIR/$(date +%F)-idle-generate.log"
 if ! node "$PROJECT_ROOT/generate.mjs" 2>&1 | tee -a "$GEN_LOG"; then
@@ -0,0 +1,51 @@
+/**
+ * Prewarm the template dependency cache (runtime/template_cache).
+ *
+ *   node core/scripts/warm_template.mjs [--template <id> | --all]
+ *
+ * Run once while online; afterwards builds that only use template
+ * dependencies install without network. A warm cache makes this a no-op.
+ * Warms the default template's stack unless told otherwise; templates
+ * without dependencies (single-html) are skipped. Called by
+ * run_idle_job.sh before each build.
+ */
+
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import 'dotenv/config';
+import { runCommand } from '../modules/run_command.mjs';
+import { resolveTemplateCacheOptions, warmTemplate } from '../modules/template_cache.mjs';
+import { loadDependencyPolicy } from '../modules/dependency_policy.mjs';
+import { parseCliArgs } from '../modules/targeted_research/config.mjs';
+import { TEMPLATES, getTemplate } from '../templates/index.mjs';
+
+const HERE = path.dirname(fileURLToPath(import.meta.url));
+const ROOT = path.resolve(process.env.DAILY_APP_LAB_ROOT || path.resolve(HERE, '..', '..'));
+const RUNTIME = path.join(ROOT, 'runtime');
+
+const { enabled, offline } = resolveTemplateCacheOptions();
+if (!enabled) {
+  console.log('warm_template: disabled (DAILY_APP_LAB_TEMPLATE_CACHE=0)');
+} else {
+  try {
+    const args = parseCliArgs(process.argv.slice(2));
+    const templates = args.all ? Object.values(TEMPLATES)
+      : [getTemplate(typeof args.template === 'string' ? args.template : undefined)];
+    const { ignoreScripts } = await loadDependencyPolicy(path.join(RUNTIME, 'data', 'dependency_policy.json'));
+    for (const { stack } of templates) {
+      if (!stack) continue;
+      const { warmed, stamp } = await warmTemplate({
+        cacheRoot: path.join(RUNTIME, 'template_cache'),
+        npmCache: path.join(RUNTIME, 'npm_cache'),
+        run: runCommand,
+        offline,
+        ignoreScripts,
+        stack,
+      });
+      console.log(`warm_template: ${stack.id} ${warmed ? 'warmed' : 'already warm'} (${stamp.warmedAt})`);
+    }
+  } catch (e) {
+    console.error(`warm_template: failed – ${e?.message || e}`);
+    process.exit(1);
+  }
+}
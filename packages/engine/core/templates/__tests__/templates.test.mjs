@@ -0,0 +1,139 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import os from 'node:os';
+import {
+  TEMPLATES,
+  DEFAULT_TEMPLATE,
+  resolveTemplateId,
+  getTemplate,
+  listTemplates,
+  writeTemplateSpec,
+  writeScaffold,
+  copyStaticBuild,
+} from '../index.mjs';
+import { TEMPLATE_STACK } from '../../modules/template_cache.mjs';
+import { generateTheme, tailwindThemeExtend } from '../../theme.mjs';
+
+const theme = { palette: { colors: { '--primary': 'hsl(10, 80%, 50%)', '--surface': '#fff' } } };
+
+// =========================================================================
+// Selection
+// =========================================================================
+describe('resolveTemplateId', () => {
+  it('should prefer the option, then stack, then form, then the default', () => {
+    assert.deepEqual(resolveTemplateId({ stack: 'svelte', form: 'game' }, 'preact'), { id: 'preact', source: 'option', unknown: null });
+    assert.deepEqual(resolveTemplateId({ stack: 'Svelte ', form: 'game' }), { id: 'svelte', source: 'stack', unknown: null });
+    assert.deepEqual(resolveTemplateId({ form: 'game' }), { id: 'vanilla-canvas', source: 'form', unknown: null });
+    assert.deepEqual(resolveTemplateId({ form: 'single-file' }), { id: 'single-html', source: 'form', unknown: null });
+    assert.deepEqual(resolveTemplateId(null), { id: DEFAULT_TEMPLATE, source: 'default', unknown: null });
+  });
+
+  it('should treat "auto" as unset and report unknown stacks', () => {
+    assert.equal(resolveTemplateId({ stack: 'auto', form: 'canvas' }).id, 'vanilla-canvas');
+    assert.deepEqual(resolveTemplateId({ stack: 'angular' }), { id: DEFAULT_TEMPLATE, source: 'default', unknown: 'angular' });
+  });
+
+  it('should not treat Object.prototype members as stacks or forms', () => {
+    assert.deepEqual(resolveTemplateId({ stack: 'constructor' }), { id: DEFAULT_TEMPLATE, source: 'default', unknown: 'constructor' });
+    assert.deepEqual(resolveTemplateId({ form: 'constructor' }), { id: DEFAULT_TEMPLATE, source: 'default', unknown: null });
+  });
+});
+
+describe('getTemplate / listTemplates', () => {
+  it('should default to react-tailwind and reject unknown ids', () => {
+    assert.equal(getTemplate(undefined).id, 'react-tailwind');
+    assert.equal(getTemplate('react-tailwind').stack, TEMPLATE_STACK);
+    assert.throws(() => getTemplate('angular'), /Unknown template "angular"/);
+    assert.throws(() => getTemplate('constructor'), /Unknown template "constructor"/);
+  });
+
+  it('should list every template with whether it installs packages', () => {
+    const list = listTemplates();
+    assert.deepEqual(list.map(t => t.id), Object.keys(TEMPLATES));
+    assert.equal(list.find(t => t.id === 'single-html').install, false);
+    assert.equal(list.find(t => t.id === 'svelte').install, true);
+    for (const t of list) assert.ok(t.label && t.description);
+  });
+});
+
+// =========================================================================
+// Template contents
+// =========================================================================
+describe('template definitions', () => {
+  for (const template of Object.values(TEMPLATES)) {
+    it(`${template.id}: prompt carries the theme and spec names the stack`, () => {
+      const lines = template.prompt({ theme });
+      assert.ok(lines.some(l => l.includes('--primary: hsl(10, 80%, 50%);')));
+      assert.match(template.spec, /^## Stack: /);
+      assert.ok(template.appKind);
+      if (template.stack) {
+        const pkg = JSON.parse(template.scaffold()['package.json']);
+        assert.deepEqual(pkg.devDependencies, template.stack.devDependencies);
+        assert.deepEqual(template.build.args, ['run', 'build', '--', '--base', './']);
+      } else {
+        assert.deepEqual(template.build.copy, ['index.html']);
+      }
+    });
+  }
+
+  it('should inject the token CSS, and the Tailwind extension for Tailwind stacks', () => {
+    const full = generateTheme('2026-03-01-test', 'tech');
+    const react = getTemplate('react-tailwind').prompt({ theme: full }).join('\n');
+    assert.ok(react.includes('@media (prefers-color-scheme: dark)'));
+    assert.ok(react.includes('--font-display:'));
+    assert.ok(react.includes(JSON.stringify(tailwindThemeExtend(full))));
+    const svelte = getTemplate('svelte').prompt({ theme: full }).join('\n');
+    assert.ok(svelte.includes('--radius-md: 4px;'));
+    assert.ok(!svelte.includes('theme.extend'));
+  });
+
+  it('should keep the react prompt on React 18 + Tailwind', () => {
+    const text = getTemplate('react-tailwind').prompt({ theme }).join('\n');
+    assert.match(text, /React 18/);
+    assert.match(text, /Tailwind CSS \(standard v3 via PostCSS\)/);
+  });
+});
+
+// =========================================================================
+// Filesystem helpers
+// =========================================================================
+describe('writeTemplateSpec / writeScaffold / copyStaticBuild', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'templates-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('should append the stack addendum to DAILY_SPEC.md', async () => {
+    const base = path.join(dir, 'DAILY_SPEC.md');
+    await fs.writeFile(base, '# Spec\n\nBase rules.\n');
+    const specPath = await writeTemplateSpec(base, getTemplate('svelte'), path.join(dir, 'specs'));
+    assert.equal(specPath, path.join(dir, 'specs', 'DAILY_SPEC.svelte.md'));
+    const text = await fs.readFile(specPath, 'utf8');
+    assert.ok(text.startsWith('# Spec\n\nBase rules.\n\n---\n\n## Stack: Svelte'));
+  });
+
+  it('should only write scaffold files that are missing', async () => {
+    await fs.writeFile(path.join(dir, 'index.html'), 'mine');
+    const written = await writeScaffold(getTemplate('preact'), dir);
+    assert.deepEqual(written.sort(), ['package.json', 'postcss.config.js', 'tailwind.config.js', 'vite.config.js']);
+    assert.equal(await fs.readFile(path.join(dir, 'index.html'), 'utf8'), 'mine');
+    assert.deepEqual(await writeScaffold(getTemplate('single-html'), dir), []);
+  });
+
+  it('should copy static builds into a fresh dist/ and fail on missing files', async () => {
+    const template = getTemplate('single-html');
+    await assert.rejects(copyStaticBuild(template, dir), /Static build failed: index\.html missing/);
+    await fs.writeFile(path.join(dir, 'index.html'), '<div id="app"></div>');
+    await fs.mkdir(path.join(dir, 'dist'), { recursive: true });
+    await fs.writeFile(path.join(dir, 'dist', 'stale.js'), '');
+    assert.deepEqual(await copyStaticBuild(template, dir), ['index.html']);
+    assert.deepEqual(await fs.readdir(path.join(dir, 'dist')), ['index.html']);
+  });
+});
@@ -0,0 +1,126 @@
+/**
+ * Templates – selectable app stacks for generate.mjs.
+ *
+ * Every template is a plain object:
+ *
+ *   {
+ *     id, label, description,
+ *     appKind: string,                   // "React app" – used in the create prompt
+ *     stack: { id, dependencies, devDependencies } | null,  // null: nothing to install
+ *     build: { cmd, args } | { copy: string[] },            // copy: files → dist/ as is
+ *     scaffold() → Record<path, content>,  // written when the generator left no package.json
+ *     prompt({ theme }) → string[],        // stack lines of the create prompt
+ *     spec: string,                        // DAILY_SPEC.md addendum for this stack
+ *   }
+ *
+ * Selection: an explicit `--template`, else the idea's `stack`, else its
+ * `form` (FORM_TEMPLATES), else `react-tailwind`.
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { reactTailwindTemplate } from './react_tailwind.mjs';
+import { preactTemplate } from './preact.mjs';
+import { svelteTemplate } from './svelte.mjs';
+import { vanillaCanvasTemplate } from './vanilla_canvas.mjs';
+import { singleHtmlTemplate } from './single_html.mjs';
+
+export const TEMPLATES = Object.freeze({
+  'react-tailwind': reactTailwindTemplate,
+  'preact': preactTemplate,
+  'svelte': svelteTemplate,
+  'vanilla-canvas': vanillaCanvasTemplate,
+  'single-html': singleHtmlTemplate,
+});
+
+export const DEFAULT_TEMPLATE = 'react-tailwind';
+
+/** Idea `form` → template, for ideas without an explicit `stack`. */
+export const FORM_TEMPLATES = Object.freeze({
+  'game': 'vanilla-canvas',
+  'canvas': 'vanilla-canvas',
+  'single-file': 'single-html',
+});
+
+const clean = (v) => String(v ?? '').trim().toLowerCase();
+
+/**
+ * @param {object|null} idea
+ * @param {string} [override] – `--template` / options.template
+ * @returns {{ id: string, source: 'option'|'stack'|'form'|'default', unknown: string|null }}
+ *   `unknown` names a requested stack that is not registered (the default is used instead)
+ */
+export function resolveTemplateId(idea, override) {
+  let unknown = null;
+  for (const [value, source] of [[override, 'option'], [idea?.stack, 'stack']]) {
+    const id = clean(value);
+    if (!id || id === 'auto') continue;
+    if (Object.hasOwn(TEMPLATES, id)) return { id, source, unknown };
+    unknown ||= id;
+  }
+  const form = clean(idea?.form);
+  if (Object.hasOwn(FORM_TEMPLATES, form)) return { id: FORM_TEMPLATES[form], source: 'form', unknown };
+  return { id: DEFAULT_TEMPLATE, source: 'default', unknown };
+}
+
+/** @throws {Error} for an unknown id */
+export function getTemplate(id) {
+  const key = clean(id) || DEFAULT_TEMPLATE;
+  const template = Object.hasOwn(TEMPLATES, key) ? TEMPLATES[key] : null;
+  if (!template) throw new Error(`Unknown template "${id}". Available: ${Object.keys(TEMPLATES).join(', ')}`);
+  return template;
+}
+
+/** Summary for the hub. */
+export function listTemplates() {
+  return Object.values(TEMPLATES).map(({ id, label, description, stack }) => ({ id, label, description, install: !!stack }));
+}
+
+/**
+ * Write DAILY_SPEC.md plus the template's addendum to `<dir>/DAILY_SPEC.<id>.md`
+ * (the spec file handed to the generator).
+ * @returns {Promise<string>} the spec path
+ */
+export async function writeTemplateSpec(baseSpecPath, template, dir) {
+  if (!template.spec) return baseSpecPath;
+  const base = await fs.readFile(baseSpecPath, 'utf8').catch(() => '');
+  const dest = path.join(dir, `DAILY_SPEC.${template.id}.md`);
+  await fs.mkdir(dir, { recursive: true });
+  await fs.writeFile(dest, `${base.trimEnd()}\n\n---\n\n${template.spec}`);
+  return dest;
+}
+
+/**
+ * Write the template's scaffold files that do not exist yet.
+ * @returns {Promise<string[]>} relative paths written
+ */
+export async function writeScaffold(template, outDir) {
+  const written = [];
+  for (const [rel, content] of Object.entries(template.scaffold())) {
+    const abs = path.join(outDir, rel);
+    if (await fs.access(abs).then(() => true).catch(() => false)) continue;
+    await fs.mkdir(path.dirname(abs), { recursive: true });
+    await fs.writeFile(abs, content);
+    written.push(rel);
+  }
+  return written;
+}
+
+/**
+ * Copy a `{ copy: [...] }` build's files into dist/.
+ * @returns {Promise<string[]>} files copied
+ * @throws {Error} when a listed file is missing
+ */
+export async function copyStaticBuild(template, outDir) {
+  const dist = path.join(outDir, 'dist');
+  await fs.rm(dist, { recursive: true, force: true });
+  await fs.mkdir(dist, { recursive: true });
+  for (const rel of template.build.copy) {
+    await fs.copyFile(path.join(outDir, rel), path.join(dist, rel)).catch((e) => {
+      throw Object.assign(new Error(`Static build failed: ${rel} missing`), { out: String(e?.message || e) });
+    });
+  }
+  return [...template.build.copy];
+}
+
+export { reactTailwindTemplate, preactTemplate, svelteTemplate, vanillaCanvasTemplate, singleHtmlTemplate };
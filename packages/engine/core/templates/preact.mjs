@@ -0,0 +1,62 @@
+/**
+ * Preact + Tailwind – React-style components at a fraction of the bundle
+ * size, for small tools and widgets.
+ */
+
+import {
+  VITE_BUILD, vitePackageJson, viteIndexHtml, TAILWIND_CONFIG, POSTCSS_CONFIG, dependencyLine, themeLines,
+} from './shared.mjs';
+
+const STACK = Object.freeze({
+  id: 'preact',
+  dependencies: {
+    'preact': '^10.24.0',
+  },
+  devDependencies: {
+    'vite': '^7.0.0',
+    '@preact/preset-vite': '^2.9.0',
+    'tailwindcss': '^3.4.14',
+    'postcss': '^8.4.47',
+    'autoprefixer': '^10.4.20',
+  },
+});
+
+export const preactTemplate = Object.freeze({
+  id: 'preact',
+  label: 'Preact + Tailwind',
+  description: 'Preact 10 with hooks and Tailwind CSS v3. Small bundles for tools and widgets.',
+  appKind: 'Preact app',
+  stack: STACK,
+  build: VITE_BUILD,
+
+  scaffold() {
+    return {
+      'package.json': vitePackageJson(STACK),
+      'index.html': viteIndexHtml({ entry: '/src/main.jsx' }),
+      'vite.config.js': "import { defineConfig } from 'vite';\nimport preact from '@preact/preset-vite';\n\nexport default defineConfig({ plugins: [preact()] });\n",
+      'tailwind.config.js': TAILWIND_CONFIG,
+      'postcss.config.js': POSTCSS_CONFIG,
+    };
+  },
+
+  prompt({ theme }) {
+    return [
+      `- Tech stack: Preact 10 (hooks from 'preact/hooks') + Tailwind CSS (standard v3 via PostCSS). Do NOT import 'react'.`,
+      dependencyLine(STACK),
+      ...themeLines(theme, 'index.css', { tailwind: true }),
+      `- CRITICAL STYLE: You MUST provide 'vite.config.js' (with @preact/preset-vite), 'tailwind.config.js' and 'postcss.config.js'. Use refined, modern UI styling. All primary UI elements (buttons, highlights, focus rings) must use the generated theme variables.`,
+      `- CRITICAL INTERACTION: Follow "Drag & Drop Safety" in DAILY_SPEC.md. Use CSS transitions and pointer events for motion; no animation libraries.`,
+      `- Ensure 'npm run build -- --base ./' works.`,
+    ];
+  },
+
+  spec: [
+    '## Stack: Preact + Tailwind',
+    '',
+    "- Entry: `index.html` → `src/main.jsx` calling `render(<App />, document.getElementById('root'))` from 'preact'.",
+    "- Hooks come from 'preact/hooks'; never import 'react' or 'react-dom'.",
+    '- Error boundary: a class component with `componentDidCatch`, plus a `window` `error` listener.',
+    '- `vite.config.js` uses `@preact/preset-vite`; Tailwind v3 needs `tailwind.config.js` and `postcss.config.js`.',
+    '',
+  ].join('\n'),
+});
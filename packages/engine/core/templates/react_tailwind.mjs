@@ -0,0 +1,49 @@
+/**
+ * React + Tailwind – the default template (React 18, Tailwind v3 via
+ * PostCSS, framer-motion, Vite). Its stack is the prewarmed TEMPLATE_STACK.
+ */
+
+import { TEMPLATE_STACK } from '../modules/template_cache.mjs';
+import {
+  VITE_BUILD, vitePackageJson, viteIndexHtml, TAILWIND_CONFIG, POSTCSS_CONFIG, dependencyLine, themeLines,
+} from './shared.mjs';
+
+export const reactTailwindTemplate = Object.freeze({
+  id: 'react-tailwind',
+  label: 'React + Tailwind',
+  description: 'React 18, Tailwind CSS v3 and framer-motion. Best for rich UI and tools.',
+  appKind: 'React app',
+  stack: TEMPLATE_STACK,
+  build: VITE_BUILD,
+
+  scaffold() {
+    return {
+      'package.json': vitePackageJson(TEMPLATE_STACK),
+      'index.html': viteIndexHtml({ entry: '/src/main.jsx' }),
+      'vite.config.js': "import { defineConfig } from 'vite';\nimport react from '@vitejs/plugin-react';\n\nexport default defineConfig({ plugins: [react()] });\n",
+      'tailwind.config.js': TAILWIND_CONFIG,
+      'postcss.config.js': POSTCSS_CONFIG,
+    };
+  },
+
+  prompt({ theme }) {
+    return [
+      `- Tech stack: React 18 + Tailwind CSS (standard v3 via PostCSS).`,
+      dependencyLine(TEMPLATE_STACK),
+      ...themeLines(theme, 'index.css', { tailwind: true }),
+      `- CRITICAL STYLE: You MUST provide 'tailwind.config.js' and 'postcss.config.js'. Use refined, modern UI styling (Subtle shadows, purposeful spacing, and clean typography). Avoid overused generic "AI-style" neon gradients or heavy glassmorphism unless it strictly fits the persona. All primary UI elements (buttons, highlights, focus rings) must use the generated theme variables.`,
+      `- CRITICAL INTERACTION: Follow "Drag & Drop Safety" in DAILY_SPEC.md. Use 'framer-motion' for physics and animations.`,
+      `- Ensure 'npm run build -- --base ./' works.`,
+    ];
+  },
+
+  spec: [
+    '## Stack: React + Tailwind',
+    '',
+    '- Entry: `index.html` → `src/main.jsx` rendering `<App />` into `#root` inside an error boundary.',
+    '- Tailwind v3 via PostCSS: `tailwind.config.js` (content covers `index.html` and `src/**`) and `postcss.config.js` are required.',
+    '- Theme variables live in `src/index.css`; use them through the `theme.extend` classes (`bg-primary`, `rounded-lg`, `shadow-md`…) or `bg-[var(--primary)]`-style classes.',
+    '- Animations and drag gestures use framer-motion.',
+    '',
+  ].join('\n'),
+});
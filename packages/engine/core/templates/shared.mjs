@@ -0,0 +1,86 @@
+/**
+ * Template helpers shared by the stack definitions in this directory.
+ */
+
+import { themeToCss, tailwindThemeExtend } from '../theme.mjs';
+
+export const VITE_BUILD = Object.freeze({ cmd: 'npm', args: ['run', 'build', '--', '--base', './'] });
+
+/** package.json for a Vite project on `stack`. */
+export function vitePackageJson(stack, { name = 'daily-app' } = {}) {
+  return JSON.stringify({
+    name,
+    private: true,
+    version: '0.0.0',
+    type: 'module',
+    scripts: { dev: 'vite', build: 'vite build', preview: 'vite preview' },
+    dependencies: stack.dependencies,
+    devDependencies: stack.devDependencies,
+  }, null, 2) + '\n';
+}
+
+/** Minimal Vite entry page mounting into `#<mountId>`. */
+export function viteIndexHtml({ title = 'Daily App', mountId = 'root', entry }) {
+  return [
+    '<!doctype html>',
+    '<html lang="en">',
+    '  <head>',
+    '    <meta charset="UTF-8" />',
+    '    <meta name="viewport" content="width=device-width, initial-scale=1.0" />',
+    `    <title>${title}</title>`,
+    '  </head>',
+    '  <body>',
+    `    <div id="${mountId}"></div>`,
+    `    <script type="module" src="${entry}"></script>`,
+    '  </body>',
+    '</html>',
+    '',
+  ].join('\n');
+}
+
+export const TAILWIND_CONFIG = [
+  '/** @type {import(\'tailwindcss\').Config} */',
+  'export default {',
+  "  content: ['./index.html', './src/**/*.{js,jsx,ts,tsx}'],",
+  '  theme: { extend: {} },',
+  '  plugins: [],',
+  '};',
+  '',
+].join('\n');
+
+export const POSTCSS_CONFIG = 'export default {\n  plugins: { tailwindcss: {}, autoprefixer: {} },\n};\n';
+
+/** Prompt line listing the preinstalled packages of a stack. */
+export function dependencyLine(stack) {
+  const pkgs = Object.entries({ ...stack.dependencies, ...stack.devDependencies }).map(([n, v]) => `${n}@${v}`);
+  return `- Dependencies: these are preinstalled, so use exactly these versions in package.json and add others only when unavoidable: ${pkgs.join(', ')}.`;
+}
+
+/**
+ * Prompt lines putting the theme into `file`: the full token CSS (palette,
+ * dark scheme, fonts, type scale, radius, shadows, motion) and, for Tailwind
+ * stacks, the matching `theme.extend`. Themes from before design tokens only
+ * list their palette.
+ */
+export function themeLines(theme, file, { tailwind = false } = {}) {
+  if (!theme?.tokens) {
+    return [
+      `- CRITICAL THEME: Use the palette defined in 'theme.json'. Map these to CSS variables in your ${file}:`,
+      ...Object.entries(theme?.palette?.colors || {}).map(([k, v]) => `  ${k}: ${v};`),
+      ...(theme?.palette?.colors?.['--on-primary']
+        ? ['- Text and icons on --primary / --primary-dark backgrounds use --on-primary; the palette meets WCAG AA contrast, so keep these pairings.']
+        : []),
+    ];
+  }
+  return [
+    `- CRITICAL THEME: Put this CSS from 'theme.json' verbatim at the top of ${file}, and take colors, fonts, font sizes, radii, shadows and transition timings from these variables instead of ad-hoc values:`,
+    ...themeToCss(theme).split('\n').map(l => `  ${l}`),
+    '- Use --text / --text-muted on --surface / --bg-subtle and --on-primary on --primary; the palette meets WCAG AA in both schemes, so keep these pairings. Dark mode comes from the prefers-color-scheme block; never hard-code light-only colors. Headings use --font-display.',
+    ...(tailwind
+      ? [
+        "- In 'tailwind.config.js' set `theme.extend` to exactly this object, then style with bg-primary, text-on-primary, bg-surface, text-fg, text-fg-muted, border-border, font-display, text-lg, rounded-lg, shadow-md, duration-fast and similar classes:",
+        `  ${JSON.stringify(tailwindThemeExtend(theme))}`,
+      ]
+      : []),
+  ];
+}
@@ -0,0 +1,39 @@
+/**
+ * Single-file HTML – one self-contained index.html, no npm and no build
+ * tool. The "build" copies it into dist/.
+ */
+
+import { themeLines } from './shared.mjs';
+
+export const singleHtmlTemplate = Object.freeze({
+  id: 'single-html',
+  label: 'Single HTML file',
+  description: 'One self-contained index.html with inline CSS and JS. No dependencies, nothing to install.',
+  appKind: 'single-file HTML app',
+  stack: null,
+  build: { copy: ['index.html'] },
+
+  scaffold() {
+    return {};
+  },
+
+  prompt({ theme }) {
+    return [
+      `- Tech stack: ONE self-contained 'index.html' with an inline <style> and ONE inline classic <script> at the end of <body>. No package.json, no build tool, no imports, no CDN links.`,
+      ...themeLines(theme, 'the inline <style> (:root)'),
+      `- CRITICAL STYLE: Refined, modern UI styling with plain CSS. All primary UI elements (buttons, highlights, focus rings) must use the generated theme variables.`,
+      `- CRITICAL INTERACTION: Follow "Drag & Drop Safety" in DAILY_SPEC.md using pointer events and CSS transitions.`,
+      `- Ensure index.html works when opened directly from disk.`,
+    ];
+  },
+
+  spec: [
+    '## Stack: Single HTML file',
+    '',
+    '- The whole app is `index.html` (plus README.md). It is copied to `dist/index.html` as is.',
+    '- Inline `<style>` and one inline classic `<script>` (not `type="module"`), rendering into `<div id="app">`.',
+    '- No external resources of any kind: no CDN scripts, web fonts or remote images.',
+    '- Register `window` `error` / `unhandledrejection` handlers that show a fallback message.',
+    '',
+  ].join('\n'),
+});
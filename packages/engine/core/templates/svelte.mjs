@@ -0,0 +1,53 @@
+/**
+ * Svelte – compiled components with built-in transitions, no virtual DOM.
+ */
+
+import { VITE_BUILD, vitePackageJson, viteIndexHtml, dependencyLine, themeLines } from './shared.mjs';
+
+const STACK = Object.freeze({
+  id: 'svelte',
+  dependencies: {},
+  devDependencies: {
+    'svelte': '^5.0.0',
+    'vite': '^7.0.0',
+    '@sveltejs/vite-plugin-svelte': '^6.0.0',
+  },
+});
+
+export const svelteTemplate = Object.freeze({
+  id: 'svelte',
+  label: 'Svelte',
+  description: 'Svelte 5 with scoped CSS and built-in transitions. Lean, animated UIs.',
+  appKind: 'Svelte app',
+  stack: STACK,
+  build: VITE_BUILD,
+
+  scaffold() {
+    return {
+      'package.json': vitePackageJson(STACK),
+      'index.html': viteIndexHtml({ mountId: 'app', entry: '/src/main.js' }),
+      'vite.config.js': "import { defineConfig } from 'vite';\nimport { svelte } from '@sveltejs/vite-plugin-svelte';\n\nexport default defineConfig({ plugins: [svelte()] });\n",
+    };
+  },
+
+  prompt({ theme }) {
+    return [
+      `- Tech stack: Svelte 5 (runes: $state, $derived, $effect) + plain CSS. No Tailwind.`,
+      dependencyLine(STACK),
+      ...themeLines(theme, 'src/app.css'),
+      `- CRITICAL STYLE: You MUST provide 'vite.config.js' with @sveltejs/vite-plugin-svelte. Use component-scoped <style> blocks with refined, modern UI styling. All primary UI elements (buttons, highlights, focus rings) must use the generated theme variables.`,
+      `- CRITICAL INTERACTION: Follow "Drag & Drop Safety" in DAILY_SPEC.md. Use 'svelte/transition' and 'svelte/motion' for animations.`,
+      `- Ensure 'npm run build -- --base ./' works.`,
+    ];
+  },
+
+  spec: [
+    '## Stack: Svelte',
+    '',
+    "- Entry: `index.html` → `src/main.js` calling `mount(App, { target: document.getElementById('app') })` from 'svelte'.",
+    '- Svelte 5 runes syntax; components in `src/*.svelte` with scoped `<style>`.',
+    '- Error handling: `window` `error` / `unhandledrejection` listeners that show a fallback message.',
+    '- Theme variables live in `src/app.css`, imported from `src/main.js`.',
+    '',
+  ].join('\n'),
+});
@@ -0,0 +1,60 @@
+/**
+ * Vanilla TS + Canvas – games and simulations drawn on a <canvas> with a
+ * plain requestAnimationFrame loop; no framework re-rendering per frame.
+ */
+
+import { VITE_BUILD, vitePackageJson, viteIndexHtml, dependencyLine, themeLines } from './shared.mjs';
+
+const STACK = Object.freeze({
+  id: 'vanilla-canvas',
+  dependencies: {},
+  devDependencies: {
+    'vite': '^7.0.0',
+    'typescript': '^5.6.0',
+  },
+});
+
+export const vanillaCanvasTemplate = Object.freeze({
+  id: 'vanilla-canvas',
+  label: 'Vanilla TS + Canvas',
+  description: 'TypeScript and the Canvas 2D API with a fixed-step game loop. Best for games and simulations.',
+  appKind: 'TypeScript canvas game/app',
+  stack: STACK,
+  build: VITE_BUILD,
+
+  scaffold() {
+    return {
+      'package.json': vitePackageJson(STACK),
+      'index.html': viteIndexHtml({ mountId: 'app', entry: '/src/main.ts' }),
+      'tsconfig.json': JSON.stringify({
+        compilerOptions: {
+          target: 'ES2020', module: 'ESNext', moduleResolution: 'bundler', lib: ['ES2020', 'DOM'],
+          strict: true, noEmit: true, skipLibCheck: true,
+        },
+        include: ['src'],
+      }, null, 2) + '\n',
+    };
+  },
+
+  prompt({ theme }) {
+    return [
+      `- Tech stack: TypeScript + Canvas 2D API + Vite. No UI framework, no game engine.`,
+      dependencyLine(STACK),
+      ...themeLines(theme, 'src/style.css'),
+      `- CRITICAL STYLE: Draw the scene on a <canvas> sized with devicePixelRatio; keep HUD, score and controls as DOM elements styled with the theme variables (read them with getComputedStyle for canvas colors).`,
+      `- CRITICAL INTERACTION: Use pointer events on the canvas only (never on document/body), provide on-screen buttons for every keyboard control, and pause the loop on 'visibilitychange'.`,
+      `- Ensure 'npm run build -- --base ./' works (the build script is plain 'vite build', no tsc step).`,
+    ];
+  },
+
+  spec: [
+    '## Stack: Vanilla TS + Canvas',
+    '',
+    '- Entry: `index.html` → `src/main.ts`, mounting into `#app` (a DOM HUD plus one `<canvas>`).',
+    '- Game loop: `requestAnimationFrame` with a fixed update step (e.g. 1/60 s) separated from drawing; cap the frame delta after tab switches.',
+    '- Resize the canvas on `resize` using `devicePixelRatio`; `touch-action: none` only on the canvas.',
+    "- Always render a start/pause overlay in the DOM so the page is never blank before the first frame; handle `getContext('2d')` returning null.",
+    '- Save best score / settings to localStorage; offer a "copy result" or "export PNG" (`canvas.toDataURL`) action.',
+    '',
+  ].join('\n'),
+});
@@ -1,77 +1,150 @@
 /**
  * Theme Presets with unique visual foundations
+ *
+ * These are the built-ins; user-defined presets from
+ * runtime/data/theme_presets.json are merged over them
+ * (modules/theme_presets.mjs). `keywords` (English and Chinese) drive
+ * the preset classifier (modules/theme_classifier.mjs); `tokens` sets the
+ * non-color identity: display font stack, base radius (px), modular type
+ * scale ratio, base motion duration (ms) and easing.
  */
 export const PRESETS = {
   professional: {
     name: 'Professional',
+    description: 'clean, biz',
     baseHue: [210, 225], // Trustworthy Blues
     saturation: [40, 60], // More muted, serious
     lightness: [45, 55],
     analogous: 15, // Very tight color harmony
+    tokens: { display: 'sans', radius: 8, typeScale: 1.2, motionMs: 200, easing: 'cubic-bezier(0.2, 0, 0, 1)' },
+    keywords: [
+      'manage', 'tool', 'finance', 'dash', 'work', 'biz', 'stock', 'project', 'plan', 'task', 'job', 'bento', 'chart', 'crm',
+      '管理', '工具', '财务', '记账', '账单', '报表', '仪表盘', '办公', '商务', '股票', '项目', '计划', '任务', '排班', '客户', '库存', '订单', '效率',
+    ],
   },
   creative: {
     name: 'Creative',
+    description: 'deep purple, magic',
     baseHue: [260, 290], // Deep Purples
     saturation: [60, 75],
     lightness: [50, 60],
     analogous: 120, // Distinct offset
+    tokens: { display: 'serif', radius: 16, typeScale: 1.333, motionMs: 320, easing: 'cubic-bezier(0.34, 1.56, 0.64, 1)' },
+    keywords: [
+      'art', 'music', 'video', 'photo', 'style', 'design', 'magic', 'dream', 'color', 'spark', 'creative', 'gallery',
+      '艺术', '音乐', '视频', '照片', '摄影', '风格', '设计', '魔法', '梦想', '色彩', '灵感', '创意', '绘画', '手作',
+    ],
   },
   tech: {
     name: 'Tech',
+    description: 'slate, cyber, data',
     baseHue: [190, 210], // Dark Blues/Slate
     saturation: [50, 70],
     lightness: [40, 50],
     analogous: 30, // Subtle cyan/teal accents
+    tokens: { display: 'mono', radius: 4, typeScale: 1.2, motionMs: 150, easing: 'cubic-bezier(0.4, 0, 0.2, 1)' },
+    keywords: [
+      'ai', 'agent', 'bot', 'system', 'terminal', 'tech', 'future', 'hack', 'code', 'packet', 'network', 'data', 'security', 'cyber',
+      '智能', '机器人', '系统', '终端', '科技', '未来', '代码', '编程', '网络', '数据', '安全', '算法', '模型', '自动化',
+    ],
   },
   nature: {
     name: 'Nature',
+    description: 'sage, organic',
     baseHue: [140, 165], // Sage/Forest greens
     saturation: [30, 45], // Earthy/Natural
     lightness: [35, 45],
     analogous: 20,
+    tokens: { display: 'serif', radius: 12, typeScale: 1.25, motionMs: 280, easing: 'cubic-bezier(0.25, 0.1, 0.25, 1)' },
+    keywords: [
+      'farm', 'plant', 'env', 'nature', 'green', 'tree', 'eco', 'garden', 'health', 'bio', 'leaf', 'wood',
+      '农场', '种植', '植物', '环境', '自然', '绿色', '环保', '花园', '菜园', '园艺', '健康', '生物', '森林', '户外', '露营',
+    ],
   },
   vibrant: {
     name: 'Vibrant',
+    description: 'bright, energetic',
     baseHue: [10, 35], // Warm Oranges/Ambers
     saturation: [70, 85],
     lightness: [50, 60],
     analogous: 30,
+    tokens: { display: 'rounded', radius: 16, typeScale: 1.25, motionMs: 220, easing: 'cubic-bezier(0.34, 1.56, 0.64, 1)' },
+    keywords: [
+      'game', 'news', 'hot', 'fire', 'alert', 'social', 'play', 'fun', 'kids', 'shop', 'sale', 'fast', 'food',
+      '游戏', '新闻', '热点', '社交', '好玩', '趣味', '儿童', '孩子', '门店', '促销', '优惠', '美食', '外卖', '餐厅', '奶茶', '运动',
+    ],
   },
   minimal: {
     name: 'Minimal',
+    description: 'monochrome, zen',
     baseHue: [200, 240], // Cool Grays
     saturation: [2, 10], // Almost monochrome
     lightness: [15, 30],
     analogous: 180,
+    tokens: { display: 'sans', radius: 2, typeScale: 1.2, motionMs: 180, easing: 'cubic-bezier(0.2, 0, 0, 1)' },
+    keywords: [
+      'write', 'note', 'focus', 'clean', 'simple', 'minimal', 'pure', 'calm', 'text', 'book',
+      '写作', '笔记', '专注', '简洁', '极简', '平静', '禅', '文本', '阅读', '日记', '冥想', '读书',
+    ],
   }
 };
 
+// ---------------------------------------------------------------------------
+// WCAG 2.x contrast
+// ---------------------------------------------------------------------------
+// Minimum ratios (AA): 4.5 for normal text, 3 for large text and UI parts.
+export const AA_TEXT = 4.5;
+export const AA_UI = 3;
+
+/** Pairs checked for every theme: [foreground var, background var, minimum]. */
+export const CONTRAST_PAIRS = [
+  ['--on-primary', '--primary', AA_TEXT],       // button labels
+  ['--on-primary', '--primary-dark', AA_TEXT],  // hover / pressed buttons
+  ['--primary', '--surface', AA_TEXT],          // links and accent text
+  ['--secondary', '--surface', AA_UI],          // accents, icons, borders
+  ['--primary-light', '--surface-dark', AA_TEXT], // accent text in dark mode
+];
+
+const hsl = ({ h, s, l }) => `hsl(${h}, ${s}%, ${l}%)`;
+
+/** Relative luminance (WCAG) of an { h, s, l } color (s and l in percent). */
+export function relativeLuminance({ h, s, l }) {
+  const sat = s / 100;
+  const lit = l / 100;
+  const a = sat * Math.min(lit, 1 - lit);
+  const channel = (n) => {
+    const k = (n + h / 30) % 12;
+    const c = lit - a * Math.max(-1, Math.min(k - 3, 9 - k, 1));
+    return c <= 0.03928 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+  };
+  return 0.2126 * channel(0) + 0.7152 * channel(8) + 0.0722 * channel(4);
+}
+
+/** Contrast ratio (1–21) between two { h, s, l } colors. */
+export function contrastRatio(a, b) {
+  const [hi, lo] = [relativeLuminance(a), relativeLuminance(b)].sort((x, y) => y - x);
+  return (hi + 0.05) / (lo + 0.05);
+}
+
 /**
- * Heuristic to guess a preset based on keywords in title/scenario
+ * Move `color`'s lightness away from `against` one step at a time until the
+ * pair reaches `min` (or lightness runs out).
  */
-export function guessPreset(title = '', scenario = '') {
-  const text = (title + ' ' + scenario).toLowerCase();
-
-  const rules = [
-    { id: 'nature', keywords: ['farm', 'plant', 'env', 'nature', 'green', 'tree', 'eco', 'garden', 'health', 'bio', 'leaf', 'wood'] },
-    { id: 'tech', keywords: ['ai', 'agent', 'bot', 'system', 'terminal', 'tech', 'future', 'hack', 'code', 'packet', 'network', 'data', 'security', 'cyber'] },
-    { id: 'minimal', keywords: ['write', 'note', 'focus', 'clean', 'simple', 'minimal', 'pure', 'calm', '禅', 'text', 'book'] },
-    { id: 'vibrant', keywords: ['game', 'news', 'hot', 'fire', 'alert', 'social', 'play', 'fun', 'kids', 'shop', 'sale', 'fast', 'food'] },
-    { id: 'professional', keywords: ['manage', 'tool', 'finance', 'dash', 'work', 'biz', 'stock', 'project', 'plan', 'task', 'job', 'bento', 'chart', 'crm'] },
-    { id: 'creative', keywords: ['art', 'music', 'video', 'photo', 'style', 'design', 'magic', 'dream', 'color', 'spark', 'creative', 'gallery'] },
-  ];
-
-  for (const rule of rules) {
-    if (rule.keywords.some(k => text.includes(k))) return rule.id;
+export function nudgeLightness(color, against, min) {
+  const step = relativeLuminance(color) < relativeLuminance(against) ? -1 : 1;
+  let c = { ...color };
+  while (contrastRatio(c, against) < min && c.l + step >= 0 && c.l + step <= 100) {
+    c = { ...c, l: c.l + step };
   }
-
-  return 'professional'; // Default
+  return c;
 }
 
 /**
  * Generate a consistent, reproducible color palette from a string seed (e.g., outId).
+ * Lightness is nudged until the CONTRAST_PAIRS meet AA; the ratios are kept
+ * in `metadata.contrast` so the hub can flag themes that still fail.
  */
-export function generateTheme(seedString, presetId = 'professional') {
+export function generateTheme(seedString, presetId = 'professional', presets = PRESETS) {
   // Simple hash function to get a number from a string
   let hash = 0;
   for (let i = 0; i < seedString.length; i++) {
@@ -81,7 +154,10 @@ export function generateTheme(seedString, presetId = 'professional') {
   }
   const seed = Math.abs(hash);
 
-  const preset = PRESETS[presetId] || PRESETS.professional;
+  // Own keys only: ids like "constructor" must not reach Object.prototype
+  const preset = (Object.hasOwn(presets, presetId) && presets[presetId])
+    || (Object.hasOwn(PRESETS, presetId) && PRESETS[presetId])
+    || PRESETS.professional;
 
   // Use preset ranges
   const [minHue, maxHue] = preset.baseHue;
@@ -93,28 +169,104 @@ export function generateTheme(seedString, presetId = 'professional') {
   const [minLit, maxLit] = preset.lightness;
   const lightness = minLit + (seed % (maxLit - minLit + 1));
 
-  // HSL strings
-  const primary = `hsl(${hue}, ${saturation}%, ${lightness}%)`;
-  const primaryLight = `hsl(${hue}, ${saturation}%, ${lightness + 10}%)`;
-  const primaryDark = `hsl(${hue}, ${saturation}%, ${lightness - 10}%)`;
+  // Background/Surface colors - derive from the hue for cohesion
+  const surfaceHsl = { h: hue, s: Math.min(10, saturation), l: 98 };
+  const surfaceDarkHsl = { h: hue, s: Math.min(20, saturation), l: 8 };
+
+  // Primary must read as text on the surface, then carry its own label color
+  const picked = { h: hue, s: saturation, l: lightness };
+  let primaryHsl = nudgeLightness(picked, surfaceHsl, AA_TEXT);
+  const white = { h: 0, s: 0, l: 100 };
+  const ink = { h: hue, s: 15, l: 10 };
+  const onPrimaryHsl = contrastRatio(white, primaryHsl) >= contrastRatio(ink, primaryHsl) ? white : ink;
+  primaryHsl = nudgeLightness(primaryHsl, onPrimaryHsl, AA_TEXT);
+
+  const darkL = Math.max(0, primaryHsl.l - 10);
+  const lightL = Math.min(100, primaryHsl.l + 10);
+  const primaryDarkHsl = nudgeLightness({ ...primaryHsl, l: darkL }, onPrimaryHsl, AA_TEXT);
+  const primaryLightHsl = nudgeLightness({ ...primaryHsl, l: lightL }, surfaceDarkHsl, AA_TEXT);
 
   // Complementary or Analogous color for accents based on preset shift
   // We keep the secondary much closer to primary for sophistication unless it's creative/minimal
   const shift = preset.analogous;
   const secondaryHue = (hue + shift + (seed % 10)) % 360;
   const secondarySaturation = Math.max(10, saturation - 15);
-  const secondary = `hsl(${secondaryHue}, ${secondarySaturation}%, ${lightness}%)`;
+  const secondaryHsl = nudgeLightness({ h: secondaryHue, s: secondarySaturation, l: primaryHsl.l }, surfaceHsl, AA_UI);
 
-  const accentSoft = `hsla(${hue}, ${saturation}%, ${lightness}%, 0.1)`;
+  // HSL strings
+  const primary = hsl(primaryHsl);
+  const primaryLight = hsl(primaryLightHsl);
+  const primaryDark = hsl(primaryDarkHsl);
+  const onPrimary = onPrimaryHsl === white ? '#ffffff' : hsl(ink);
+  const secondary = hsl(secondaryHsl);
 
-  // Background/Surface colors - derive from the hue for cohesion
-  const surface = `hsl(${hue}, ${Math.min(10, saturation)}%, 98%)`;
-  const surfaceDark = `hsl(${hue}, ${Math.min(20, saturation)}%, 8%)`;
+  const accentSoft = `hsla(${hue}, ${saturation}%, ${primaryHsl.l}%, 0.1)`;
+
+  const surface = hsl(surfaceHsl);
+  const surfaceDark = hsl(surfaceDarkHsl);
   
   // New: Specific background for container/card depth
   const bgSubtle = `hsl(${hue}, ${Math.min(5, saturation)}%, 96%)`;
   const bgSubtleDark = `hsl(${hue}, ${Math.min(10, saturation)}%, 12%)`;
 
+  const byVar = {
+    '--on-primary': onPrimaryHsl,
+    '--primary': primaryHsl,
+    '--primary-dark': primaryDarkHsl,
+    '--primary-light': primaryLightHsl,
+    '--secondary': secondaryHsl,
+    '--surface': surfaceHsl,
+    '--surface-dark': surfaceDarkHsl,
+  };
+  // Vars whose lightness was moved off the preset's pick to reach AA
+  const adjusted = [
+    ['--primary', primaryHsl.l !== lightness],
+    ['--primary-dark', primaryDarkHsl.l !== darkL],
+    ['--primary-light', primaryLightHsl.l !== lightL],
+    ['--secondary', secondaryHsl.l !== primaryHsl.l],
+  ].filter(([, moved]) => moved).map(([v]) => v);
+  // Dark scheme: the same semantic vars over the dark surface. Its primary
+  // starts from --primary-light and carries dark labels, so it only gets lighter
+  const primaryOnDarkHsl = nudgeLightness(primaryLightHsl, ink, AA_TEXT);
+  const secondaryDarkHsl = nudgeLightness(secondaryHsl, surfaceDarkHsl, AA_UI);
+  const darkByVar = {
+    '--on-primary': ink,
+    '--primary': primaryOnDarkHsl,
+    '--secondary': secondaryDarkHsl,
+    '--surface': surfaceDarkHsl,
+  };
+  const dark = checkContrast(darkByVar);
+  const light = checkContrast(byVar);
+  const contrast = {
+    ...light,
+    pass: light.pass && dark.pass,
+    adjusted,
+    dark: { ratios: dark.ratios, failing: dark.failing },
+  };
+
+  const colorScheme = {
+    light: {
+      '--surface': surface,
+      '--bg-subtle': bgSubtle,
+      '--text': `hsl(${hue}, 15%, 12%)`,
+      '--text-muted': `hsl(${hue}, 8%, 40%)`,
+      '--border': `hsl(${hue}, 12%, 88%)`,
+      '--primary': primary,
+      '--on-primary': onPrimary,
+      '--secondary': secondary,
+    },
+    dark: {
+      '--surface': surfaceDark,
+      '--bg-subtle': bgSubtleDark,
+      '--text': `hsl(${hue}, 10%, 94%)`,
+      '--text-muted': `hsl(${hue}, 8%, 68%)`,
+      '--border': `hsl(${hue}, 10%, 22%)`,
+      '--primary': hsl(primaryOnDarkHsl),
+      '--on-primary': hsl(ink),
+      '--secondary': hsl(secondaryDarkHsl),
+    },
+  };
+
   return {
     seed: seedString,
     id: seedString,
@@ -123,6 +275,7 @@ export function generateTheme(seedString, presetId = 'professional') {
       primary,
       primaryLight,
       primaryDark,
+      onPrimary,
       secondary,
       surface,
       surfaceDark,
@@ -130,6 +283,7 @@ export function generateTheme(seedString, presetId = 'professional') {
         '--primary': primary,
         '--primary-light': primaryLight,
         '--primary-dark': primaryDark,
+        '--on-primary': onPrimary,
         '--secondary': secondary,
         '--surface': surface,
         '--surface-dark': surfaceDark,
@@ -142,12 +296,158 @@ export function generateTheme(seedString, presetId = 'professional') {
       },
       gradient: `linear-gradient(135deg, ${primary}, ${secondary})`,
     },
+    tokens: designTokens(hue, colorScheme, preset.tokens || PRESETS.professional.tokens),
     // Metadata for UI
     metadata: {
       hue,
       mainColor: primary,
-      presetName: preset.name
+      presetName: preset.name,
+      contrast,
     }
   };
 }
 
+/**
+ * Contrast ratios of CONTRAST_PAIRS for { var: { h, s, l } }.
+ * @returns {{ level: 'AA', pass: boolean, ratios: Record<string, number>, failing: string[] }}
+ */
+export function checkContrast(byVar) {
+  const ratios = {};
+  const failing = [];
+  for (const [fg, bg, min] of CONTRAST_PAIRS) {
+    if (!byVar[fg] || !byVar[bg]) continue;
+    const key = `${fg}/${bg}`;
+    ratios[key] = Math.round(contrastRatio(byVar[fg], byVar[bg]) * 100) / 100;
+    if (ratios[key] < min) failing.push(key);
+  }
+  return { level: 'AA', pass: failing.length === 0, ratios, failing };
+}
+
+// ---------------------------------------------------------------------------
+// Design tokens
+// ---------------------------------------------------------------------------
+// System font stacks only (apps must not load remote fonts). Every stack
+// lists CJK faces before the generic family so Chinese, Japanese and Korean
+// text keeps a matching face on macOS, Windows and Linux.
+const CJK_SANS = [
+  '"PingFang SC"', '"Hiragino Sans"', '"Hiragino Sans GB"', '"Microsoft YaHei"', '"Yu Gothic"',
+  '"Apple SD Gothic Neo"', '"Malgun Gothic"', '"Noto Sans CJK SC"', '"Noto Sans SC"',
+];
+const CJK_SERIF = ['"Songti SC"', '"Hiragino Mincho ProN"', '"Yu Mincho"', '"Noto Serif CJK SC"', '"Source Han Serif SC"', 'SimSun'];
+
+export const FONT_STACKS = {
+  sans: ['-apple-system', 'BlinkMacSystemFont', '"Segoe UI"', 'Roboto', '"Helvetica Neue"', 'Arial', ...CJK_SANS, 'sans-serif'],
+  serif: ['"Iowan Old Style"', '"Palatino Linotype"', 'Georgia', ...CJK_SERIF, 'serif'],
+  rounded: ['ui-rounded', '"SF Pro Rounded"', '-apple-system', '"Segoe UI"', ...CJK_SANS, 'sans-serif'],
+  mono: ['ui-monospace', '"SF Mono"', '"Cascadia Code"', 'Menlo', 'Consolas', ...CJK_SANS, 'monospace'],
+};
+
+// [name, steps from 1rem on the preset's ratio, floor in rem (legible small text)]
+const TYPE_STEPS = [['xs', -2, 0.75], ['sm', -1, 0.875], ['base', 0, 1], ['lg', 1], ['xl', 2], ['2xl', 3], ['3xl', 4]];
+
+const rem = (n) => `${Math.round(n * 1000) / 1000}rem`;
+
+/** Token set of a theme: colors per scheme plus font, type, radius, shadow and motion vars. */
+function designTokens(hue, colorScheme, { display, radius, typeScale, motionMs, easing }) {
+  const tint = `${hue}, 30%, 12%`;
+  return {
+    color: colorScheme,
+    font: {
+      '--font-sans': FONT_STACKS.sans.join(', '),
+      '--font-display': (FONT_STACKS[display] || FONT_STACKS.sans).join(', '),
+      '--font-mono': FONT_STACKS.mono.join(', '),
+    },
+    type: {
+      ...Object.fromEntries(TYPE_STEPS.map(([name, step, floor = 0]) => [`--font-size-${name}`, rem(Math.max(floor, typeScale ** step))])),
+      '--leading-tight': '1.25',
+      '--leading-normal': '1.6',
+    },
+    radius: {
+      '--radius-sm': `${Math.max(1, Math.round(radius / 2))}px`,
+      '--radius-md': `${radius}px`,
+      '--radius-lg': `${Math.round(radius * 1.5)}px`,
+      '--radius-xl': `${radius * 2}px`,
+      '--radius-full': '9999px',
+    },
+    shadow: {
+      light: {
+        '--shadow-sm': `0 1px 2px hsla(${tint}, 0.06)`,
+        '--shadow-md': `0 4px 12px hsla(${tint}, 0.08), 0 1px 3px hsla(${tint}, 0.06)`,
+        '--shadow-lg': `0 12px 32px hsla(${tint}, 0.12), 0 2px 6px hsla(${tint}, 0.06)`,
+      },
+      dark: {
+        '--shadow-sm': '0 1px 2px hsla(0, 0%, 0%, 0.4)',
+        '--shadow-md': '0 4px 12px hsla(0, 0%, 0%, 0.45), 0 1px 3px hsla(0, 0%, 0%, 0.3)',
+        '--shadow-lg': '0 12px 32px hsla(0, 0%, 0%, 0.55), 0 2px 6px hsla(0, 0%, 0%, 0.3)',
+      },
+    },
+    motion: {
+      '--motion-fast': `${Math.round(motionMs * 0.6)}ms`,
+      '--motion-base': `${motionMs}ms`,
+      '--motion-slow': `${Math.round(motionMs * 1.6)}ms`,
+      '--motion-ease': easing,
+    },
+  };
+}
+
+/**
+ * The theme as a CSS block: palette and tokens on :root, the dark scheme
+ * under prefers-color-scheme, and no motion under prefers-reduced-motion.
+ * Themes written before tokens existed only get their palette.
+ * @param {object} theme – generateTheme() result (theme.json)
+ * @returns {string}
+ */
+export function themeToCss(theme) {
+  const t = theme?.tokens;
+  const decls = (vars, indent) => Object.entries(vars).map(([k, v]) => `${indent}${k}: ${v};`);
+  const root = {
+    ...(theme?.palette?.colors || {}),
+    ...(t ? { ...t.color.light, ...t.font, ...t.type, ...t.radius, ...t.shadow.light, ...t.motion } : {}),
+  };
+  const lines = [':root {', ...(t ? ['  color-scheme: light dark;'] : []), ...decls(root, '  '), '}'];
+  if (t) {
+    lines.push(
+      '@media (prefers-color-scheme: dark) {',
+      '  :root {',
+      ...decls({ ...t.color.dark, ...t.shadow.dark }, '    '),
+      '  }',
+      '}',
+      '@media (prefers-reduced-motion: reduce) {',
+      '  :root {',
+      ...decls({ '--motion-fast': '0ms', '--motion-base': '0ms', '--motion-slow': '0ms' }, '    '),
+      '  }',
+      '}',
+    );
+  }
+  return lines.join('\n');
+}
+
+/**
+ * `theme.extend` for tailwind.config.js mapping Tailwind names onto the
+ * token vars (bg-primary, text-fg, rounded-lg, shadow-md, font-display,
+ * duration-fast…), so utility classes follow the theme and its dark scheme.
+ */
+export function tailwindThemeExtend(theme) {
+  if (!theme?.tokens) return {};
+  const v = (name) => `var(${name})`;
+  return {
+    colors: {
+      primary: { DEFAULT: v('--primary'), light: v('--primary-light'), dark: v('--primary-dark') },
+      'on-primary': v('--on-primary'),
+      secondary: v('--secondary'),
+      surface: v('--surface'),
+      subtle: v('--bg-subtle'),
+      fg: { DEFAULT: v('--text'), muted: v('--text-muted') },
+      border: v('--border'),
+    },
+    fontFamily: { sans: [v('--font-sans')], display: [v('--font-display')], mono: [v('--font-mono')] },
+    fontSize: Object.fromEntries(TYPE_STEPS.map(([name]) => [name, v(`--font-size-${name}`)])),
+    borderRadius: {
+      sm: v('--radius-sm'), DEFAULT: v('--radius-md'), md: v('--radius-md'),
+      lg: v('--radius-lg'), xl: v('--radius-xl'), full: v('--radius-full'),
+    },
+    boxShadow: { sm: v('--shadow-sm'), DEFAULT: v('--shadow-md'), md: v('--shadow-md'), lg: v('--shadow-lg') },
+    transitionDuration: { fast: v('--motion-fast'), DEFAULT: v('--motion-base'), slow: v('--motion-slow') },
+    transitionTimingFunction: { DEFAULT: v('--motion-ease') },
+  };
+}
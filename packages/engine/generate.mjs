@@ -1,15 +1,71 @@
 import fs from 'node:fs/promises';
 import path from 'node:path';
-import os from 'node:os';
-import { spawn } from 'node:child_process';
 import { fileURLToPath } from 'node:url';
 import 'dotenv/config';
 import { appendManifest } from './core/modules/manifest_update.mjs';
-import { markImplemented, unpickIdea } from './core/modules/idea_mark_implemented.mjs';
-import { generateTheme, guessPreset } from './core/theme.mjs';
-import { writeJsonAtomic, readJsonSafe } from '../shared/atomic_fs.mjs';
-import { normalizeIdeaQueue, normalizeBuildStatus } from '../shared/json_contract.mjs';
+import { markImplemented, unpickIdea, pickIdea, readBacklogIdea, updateBacklogIdea } from './core/modules/idea_mark_implemented.mjs';
+import { runCommand as defaultRunCommand } from './core/modules/run_command.mjs';
+import {
+  CHECKPOINT_FILE,
+  createCheckpoint,
+  markStageComplete,
+  markStageFailed,
+  resumeStageFor,
+  shouldRunStage,
+  beginResume,
+  readCheckpoint,
+  writeCheckpoint,
+  quarantineDir,
+  quarantineOutput,
+  restoreQuarantined,
+} from './core/modules/build_checkpoint.mjs';
+import {
+  resolveRepairBudget,
+  extractErrorExcerpt,
+  buildRepairPrompt,
+  snapshotFiles,
+  diffSnapshots,
+} from './core/modules/build_repair.mjs';
+import { withStage, tagStage, classifyFailure, countsAsFailure } from './core/modules/build_failure.mjs';
+import { resolveSmokeOptions, runSmokeTest, writeSmokeReport, formatSmokeFailure } from './core/modules/smoke_test.mjs';
+import { analyzeCompliance } from './core/modules/spec_compliance.mjs';
+import {
+  TEMPLATE_STACK,
+  resolveTemplateCacheOptions,
+  npmInstallArgs,
+  planInstall,
+  warmTemplate,
+  linkTemplateModules,
+} from './core/modules/template_cache.mjs';
+import {
+  loadDependencyPolicy,
+  enforceDependencyPolicy,
+  formatPolicyViolations,
+  mergePolicyReports,
+} from './core/modules/dependency_policy.mjs';
+import { createStageTimer, mergeUsage, createBuildMetadata, measureOutput, writeBuildMetadata, readBuildMetadata } from './core/modules/build_metadata.mjs';
+import {
+  MAX_INSTRUCTION_CHARS,
+  buildIteratePrompt,
+  ensureBaseVersion,
+  nextVersionNumber,
+  snapshotVersion,
+  restoreVersion,
+} from './core/modules/output_versions.mjs';
+import { allocateOutputDir } from './core/modules/output_id.mjs';
+import { successResult, failureResult } from './core/modules/run_result.mjs';
+import { parseCliArgs } from './core/modules/targeted_research/config.mjs';
+import { getTemplate, resolveTemplateId, writeTemplateSpec, writeScaffold, copyStaticBuild } from './core/templates/index.mjs';
+import { createGenerator, resolveGeneratorName } from './core/generators/index.mjs';
+import { generateTheme } from './core/theme.mjs';
+import { loadThemePresets } from './core/modules/theme_presets.mjs';
+import { selectPreset } from './core/modules/theme_classifier.mjs';
+import { rethemeOutput, rethemeInstruction } from './core/modules/retheme.mjs';
+import { readJsonSafe } from '../shared/atomic_fs.mjs';
+import { normalizeIdeaQueue, normalizeIdea } from '../shared/json_contract.mjs';
+import { createBuildStatusStore } from '../shared/build_status_store.mjs';
 import { createEventLogger, generateRunId } from '../shared/event_logger.mjs';
+import { resolveLang } from '../shared/lang.mjs';
 
 const HERE = path.dirname(fileURLToPath(import.meta.url));
 const ROOT = path.resolve(process.env.DAILY_APP_LAB_ROOT || HERE);
@@ -17,281 +73,1048 @@ const RUNTIME = path.join(ROOT, 'runtime');
 const DATA = path.join(RUNTIME, 'data');
 const OUTPUTS = path.join(ROOT, 'outputs');
 const LOGS = path.join(RUNTIME, 'logs');
+const TEMPLATE_CACHE = path.join(RUNTIME, 'template_cache');
+const NPM_CACHE = path.join(RUNTIME, 'npm_cache');
+const DEPENDENCY_POLICY_FILE = path.join(DATA, 'dependency_policy.json');
+const THEME_PRESETS_FILE = path.join(DATA, 'theme_presets.json');
+const SPECS = path.join(RUNTIME, 'specs');
 
-// --- Azure Config Logic ---
-async function getAzureConfig() {
-  if (process.env.AZURE_OPENAI_API_KEY && process.env.AZURE_OPENAI_ENDPOINT) {
-    return {
-      baseUrl: process.env.AZURE_OPENAI_ENDPOINT,
-      apiKey: process.env.AZURE_OPENAI_API_KEY,
-      version: process.env.AZURE_OPENAI_API_VERSION || '2024-08-01-preview'
-    };
+const LOG_TAIL_BYTES = 64 * 1024;
+
+async function exists(p) {
+  try { await fs.access(p); return true; } catch { return false; }
+}
+
+/**
+ * Scaffold what the generator left out, vet the package.json, then install
+ * the template's stack. Templates without a stack (single-html) install nothing.
+ * @returns {Promise<{ cache: string, dependencies: object|null }>} install cache outcome + dependency policy report
+ */
+async function prepareProject(dir, logFile, run, template) {
+  if (!template.stack) {
+    await fs.appendFile(logFile, `Install: nothing to install for template ${template.id}\n`).catch(()=>{});
+    return { cache: 'none', dependencies: null };
   }
+  if (!(await exists(path.join(dir, 'package.json')))) {
+    // Only scaffold when the generator wrote no package.json (rare), so
+    // generator failures still surface in the build.
+    const written = await writeScaffold(template, dir);
+    await fs.appendFile(logFile, `Scaffolded ${template.id}: ${written.join(', ')}\n`).catch(()=>{});
+  }
+  const policy = await loadDependencyPolicy(DEPENDENCY_POLICY_FILE);
+  const dependencies = await checkDependencyPolicy(dir, logFile, policy);
+  const cache = await installDependencies(dir, logFile, run, { ignoreScripts: policy.ignoreScripts, stack: template.stack });
+  return { cache, dependencies };
+}
 
-  try {
-    const configPath = process.env.CLAWDBOT_CONFIG || path.join(os.homedir(), '.openclaw', 'clawdbot.json');
-    const raw = await fs.readFile(configPath, 'utf8');
-    const j = JSON.parse(raw);
-    const az = j?.models?.providers?.['azure-openai'];
-    if (!az) return null;
-    return {
-      baseUrl: az.baseUrl,
-      apiKey: az.apiKey,
-      version: '2024-08-01-preview' // default version
-    };
-  } catch (_e) {
-    return null;
+/** Run the template's build: its command, or a plain copy into dist/. */
+async function buildProject(dir, logFile, run, template) {
+  if (template.build.copy) {
+    const copied = await copyStaticBuild(template, dir);
+    await fs.appendFile(logFile, `Static build: copied ${copied.join(', ')} to dist/\n`).catch(()=>{});
+    return;
   }
+  await run(template.build.cmd, template.build.args, { cwd: dir, logFile });
 }
-// --------------------------
-
-const MODEL = process.env.AZURE_OPENAI_MODEL || 'gpt-5.2';
-const AIDER = process.env.DAILY_APP_LAB_AIDER_BIN || 'aider';
-const LANG = process.env.DAILY_APP_LAB_LANG || 'zh-CN';
-
-const nowTag = () => {
-  const d = new Date();
-  const yyyy = d.getFullYear();
-  const mm = String(d.getMonth() + 1).padStart(2, '0');
-  const dd = String(d.getDate()).padStart(2, '0');
-  const hh = String(d.getHours()).padStart(2, '0');
-  const min = String(d.getMinutes()).padStart(2, '0');
-  return `${yyyy}-${mm}-${dd}-extra-${hh}${min}`;
-};
 
-async function exists(p) {
-  try { await fs.access(p); return true; } catch { return false; }
+/**
+ * Apply the dependency allowlist (see dependency_policy.mjs). Violations go
+ * to the build log; in reject mode they fail the install so the repair loop
+ * can ask the generator to drop them.
+ * @returns {Promise<object>} the policy report
+ */
+async function checkDependencyPolicy(dir, logFile, policy) {
+  const report = await enforceDependencyPolicy(dir, policy);
+  const scripts = report.ignoreScripts ? 'install scripts disabled' : 'install scripts allowed';
+  const lines = [`Dependency policy (${report.mode}, ${scripts}): ${report.violations.length} violation(s)`, ...formatPolicyViolations(report.violations)];
+  await fs.appendFile(logFile, lines.join('\n') + '\n').catch(()=>{});
+  if (report.rejected) {
+    const blocked = report.violations.filter(v => v.action === 'rejected');
+    const out = [
+      'These package.json entries are not allowed by the dependency policy. Remove them and use an allowed package or plain code instead:',
+      ...formatPolicyViolations(blocked),
+    ].join('\n');
+    throw Object.assign(new Error(`Dependency policy rejected: ${blocked.map(v => v.name).join(', ')}`), { out });
+  }
+  return report;
 }
 
-function run(cmd, args, { cwd, logFile, env = {} } = {}) {
-  return new Promise((resolve, reject) => {
-    const child = spawn(cmd, args, { 
-      cwd, 
-      stdio: ['ignore', 'pipe', 'pipe'],
-      env: { ...process.env, ...env }
-    });
-    const append = (buf) => { if (logFile) fs.appendFile(logFile, buf).catch(()=>{}); };
-    let out = '';
-    let err = '';
-    child.stdout.on('data', (b) => { out += b.toString('utf8'); append(b); });
-    child.stderr.on('data', (b) => { err += b.toString('utf8'); append(b); });
-    child.on('error', reject);
-    child.on('close', (code) => {
-      if (code === 0) resolve({ out, err, code });
-      else reject(Object.assign(new Error(`${cmd} ${args.join(' ')} exited ${code}`), { code, out, err }));
-    });
-  });
+/**
+ * Install the output's dependencies, reusing the prewarmed template
+ * node_modules when the cache is enabled (see template_cache.mjs).
+ * @returns {Promise<'hit'|'partial'|'miss'|'disabled'>}
+ */
+async function installDependencies(dir, logFile, run, { ignoreScripts = true, stack = TEMPLATE_STACK } = {}) {
+  const { enabled, offline } = resolveTemplateCacheOptions();
+  if (!enabled) {
+    await run('npm', ['install', ...(ignoreScripts ? ['--ignore-scripts'] : [])], { cwd: dir, logFile });
+    return 'disabled';
+  }
+
+  let stamp = null;
+  try {
+    const warm = await warmTemplate({ cacheRoot: TEMPLATE_CACHE, npmCache: NPM_CACHE, run, logFile, offline, ignoreScripts, stack });
+    stamp = warm.stamp;
+    if (warm.warmed) await fs.appendFile(logFile, `Template cache warmed: ${stack.id}\n`).catch(()=>{});
+  } catch (e) {
+    if (e?.signal) throw e; // aborted – not a cache problem
+    await fs.appendFile(logFile, `Template cache unavailable: ${e?.message || e}\n`).catch(()=>{});
+  }
+  if (!stamp) {
+    await run('npm', npmInstallArgs({ npmCache: NPM_CACHE, offline, ignoreScripts }), { cwd: dir, logFile });
+    await fs.appendFile(logFile, 'Install cache: miss\n').catch(()=>{});
+    return 'miss';
+  }
+
+  await linkTemplateModules(TEMPLATE_CACHE, dir, stack);
+  const pkg = await readJsonSafe(path.join(dir, 'package.json'), {});
+  const plan = planInstall(pkg, { stack, installed: stamp.installed });
+  if (plan.templateOnly) {
+    await fs.appendFile(logFile, `Install cache: hit (${plan.covered.length} template packages)\n`).catch(()=>{});
+    return 'hit';
+  }
+  const diff = [...plan.extra, ...plan.mismatched.map(m => `${m.name}@${m.wanted}`)];
+  await fs.appendFile(logFile, `Install cache: partial, installing ${diff.join(', ')}\n`).catch(()=>{});
+  await run('npm', npmInstallArgs({ npmCache: NPM_CACHE, offline, ignoreScripts }), { cwd: dir, logFile });
+  return 'partial';
 }
 
-async function ensureViteProject(dir, logFile) {
-  const pkg = path.join(dir, 'package.json');
-  if (!(await exists(pkg))) {
-    // Scaffold a minimal Vite project only when nothing exists.
-    // (We intentionally do NOT use this as a fallback for Aider failures.)
-    await run('npm', ['create', 'vite@latest', '.', '--', '--template', 'react'], { cwd: dir, logFile });
+/** Last `bytes` of the generate log – enough for the classifier, cheap for huge aider logs. */
+async function readLogTail(logFile, bytes = LOG_TAIL_BYTES) {
+  let fh;
+  try {
+    fh = await fs.open(logFile, 'r');
+    const { size } = await fh.stat();
+    const start = Math.max(0, size - bytes);
+    const buf = Buffer.alloc(size - start);
+    await fh.read(buf, 0, buf.length, start);
+    return buf.toString('utf8');
+  } catch {
+    return '';
+  } finally {
+    await fh?.close();
   }
-  await run('npm', ['install'], { cwd: dir, logFile });
 }
 
-// --- RunId & Event Logger ---
-const RUN_ID = generateRunId();
+// --- Event Logger ---
 const eventLog = createEventLogger({ logDir: LOGS });
 
+// --- Build status (one record per run, see shared/build_status_store.mjs) ---
+const buildStatus = createBuildStatusStore({ dataDir: DATA });
+
 async function writeBuildStatus(status, details = {}) {
   try {
-    const p = path.join(DATA, 'build_status.json');
-    const normalized = normalizeBuildStatus({
-      status,
-      ...details,
-      runId: RUN_ID,
-      updatedAt: new Date().toISOString()
-    });
-    await writeJsonAtomic(p, normalized);
+    await buildStatus.write(details.runId, status, details);
   } catch (_e) {
     // Silently ignore status update errors
   }
 }
 
-async function main() {
-  await fs.mkdir(DATA, { recursive: true });
-  await fs.mkdir(OUTPUTS, { recursive: true });
-  await fs.mkdir(LOGS, { recursive: true });
+/**
+ * Load the built app in jsdom; a blank page or runtime error throws like a
+ * failed build so the repair loop can hand it back to the generator.
+ * @returns {Promise<object|null>} the smoke report, null when disabled
+ */
+async function verifyDist(outDir, logFile) {
+  const smoke = resolveSmokeOptions();
+  if (!smoke.enabled) {
+    await fs.appendFile(logFile, 'Smoke test: disabled (DAILY_APP_LAB_SMOKE_TEST=0)\n').catch(()=>{});
+    return null;
+  }
+  const report = await runSmokeTest(outDir, { timeoutMs: smoke.timeoutMs });
+  await writeSmokeReport(outDir, report);
+  const detail = report.reason || `${report.selector}, ${report.elementCount} elements`;
+  await fs.appendFile(logFile, `Smoke test: ${report.status} (${detail})\n`).catch(()=>{});
+  if (!report.ok) {
+    const text = formatSmokeFailure(report);
+    throw Object.assign(new Error(`Smoke test failed: ${report.reason}`), { out: text, smoke: report });
+  }
+  return report;
+}
 
-  const outId = nowTag();
-  const outDir = path.join(OUTPUTS, outId);
-  await fs.mkdir(outDir, { recursive: true });
+/**
+ * Score the sources against DAILY_SPEC.md (writes compliance.json, together
+ * with the dependency policy report). Advisory only – a low score is logged
+ * and shown in the hub, it never fails the build.
+ * @returns {Promise<object|null>}
+ */
+async function checkCompliance(outDir, logFile, dependencyPolicy = null) {
+  try {
+    const report = await analyzeCompliance(outDir, { dependencyPolicy });
+    const lines = [`Spec compliance: ${report.score}/100 (${report.status})`];
+    for (const v of report.violations) lines.push(`  - ${v.label}: ${v.detail}`);
+    await fs.appendFile(logFile, lines.join('\n') + '\n').catch(()=>{});
+    return report;
+  } catch (e) {
+    await fs.appendFile(logFile, `Spec compliance check failed: ${e?.message || e}\n`).catch(()=>{});
+    return null;
+  }
+}
+
+/**
+ * Install + build + smoke test, handing failures back to the generator for
+ * up to `budget` repair rounds. Each round (error excerpt, files touched,
+ * outcome) goes to the build log and a `build.repair` event. Rethrows the
+ * last error once the budget is spent, so the idea only counts as failed then.
+ * @returns {Promise<object|null>} the final smoke report
+ */
+async function installAndBuildWithRepair(ctx) {
+  const { runId, ideaId, title, outId, outDir, logFile, run, generator, specPath, idea, theme, template, budget, repairs } = ctx;
+  const onStageComplete = ctx.onStageComplete || (async () => {});
+  const onUsage = ctx.onUsage || (() => {});
+  const onInstalled = ctx.onInstalled || (() => {});
+  const timer = ctx.timer || createStageTimer();
+  let cache = ctx.installCache || null;
+
+  const settle = async (outcome) => {
+    const last = repairs.at(-1);
+    if (!last || last.outcome !== 'pending') return;
+    last.outcome = outcome;
+    last.finishedAt = new Date().toISOString();
+    await fs.appendFile(logFile, `\n=== REPAIR ATTEMPT ${last.attempt}/${budget} OUTCOME: ${outcome} ===\n`).catch(()=>{});
+    await eventLog.emit('build.repair', {
+      runId, ideaId, outId,
+      attempt: last.attempt,
+      maxAttempts: budget,
+      stage: last.stage,
+      errorExcerpt: last.errorExcerpt.slice(0, 1000),
+      filesTouched: last.filesTouched,
+      outcome,
+    });
+  };
+
+  for (let attempt = 0; ; attempt++) {
+    let stage = 'installing';
+    try {
+      // A resume that already finished installing goes straight to the build;
+      // after a repair round the install always reruns (package.json may change).
+      if (!(ctx.skipInstall && attempt === 0)) {
+        await writeBuildStatus('running', { runId, title, outId, progress: 40, stage, attempt });
+        timer.start(stage);
+        const installed = await prepareProject(outDir, logFile, run, template);
+        cache = installed.cache;
+        onInstalled(installed);
+        timer.stop(stage);
+        await onStageComplete(stage);
+      }
+
+      // Build inside outDir (a resume that failed verifying reuses the dist)
+      if (!(ctx.skipBuild && attempt === 0)) {
+        stage = 'building';
+        await writeBuildStatus('running', { runId, title, outId, progress: 70, stage, attempt, cache });
+        timer.start(stage);
+        await buildProject(outDir, logFile, run, template);
+        timer.stop(stage);
+        await onStageComplete(stage);
+      }
+
+      stage = 'verifying';
+      await writeBuildStatus('running', { runId, title, outId, progress: 80, stage, attempt, cache });
+      timer.start(stage);
+      const smoke = await verifyDist(outDir, logFile);
+      timer.stop(stage);
+      await onStageComplete(stage);
+
+      await settle('fixed');
+      return smoke;
+    } catch (e) {
+      timer.stop(stage);
+      tagStage(e, stage);
+      await settle('failed');
+      if (attempt >= budget) throw e;
+
+      const excerpt = extractErrorExcerpt(`${e?.out || ''}\n${e?.err || ''}\n${e?.message || ''}`);
+      const record = {
+        attempt: attempt + 1,
+        stage,
+        errorExcerpt: excerpt,
+        filesTouched: [],
+        outcome: 'pending',
+        startedAt: new Date().toISOString(),
+      };
+      repairs.push(record);
+      await fs.appendFile(logFile, `\n=== REPAIR ATTEMPT ${record.attempt}/${budget} (${stage}) ===\n${excerpt}\n`).catch(()=>{});
+      await writeBuildStatus('running', { runId, title, outId, progress: 55, stage: 'repairing', attempt: record.attempt });
+
+      const before = await snapshotFiles(outDir);
+      timer.start('repairing');
+      try {
+        const res = await generator.generate({
+          outDir,
+          prompt: buildRepairPrompt({ stage, excerpt, attempt: record.attempt, maxAttempts: budget, command: e?.message }),
+          specPath,
+          logFile,
+          idea,
+          theme,
+          template: template.id,
+          mode: 'repair',
+        });
+        onUsage(res?.usage);
+      } catch (genErr) {
+        timer.stop('repairing');
+        await fs.appendFile(logFile, `Repair generation failed: ${genErr?.message || genErr}\n`).catch(()=>{});
+        await settle('generator_error');
+        // A stopped run is aborted, not a failure of the build it was repairing
+        throw genErr?.signal ? genErr : e;
+      }
+      timer.stop('repairing');
+      const diff = diffSnapshots(before, await snapshotFiles(outDir));
+      record.filesTouched = [...diff.added, ...diff.modified, ...diff.removed];
+      await fs.appendFile(logFile, `Files touched: ${record.filesTouched.join(', ') || '(none)'}\n`).catch(()=>{});
+    }
+  }
+}
+
+/**
+ * Build an idea end-to-end:
+ * theme → code generation → install → build → smoke test (with repair rounds) → manifest + backlog.
+ *
+ * A fresh run builds the idea in idea_queue.json, or – without touching the
+ * queue – the backlog idea `options.ideaId` or the inline `options.idea`.
+ * With `options.resume` the
+ * quarantined output `outputs/_failed/<outId>` is moved back and the run
+ * continues from the first stage its checkpoint has not completed. With
+ * `options.iterate` an existing output is refined by `options.instruction`
+ * and stored as a new version (see output_versions.mjs); `options.retheme`
+ * swaps its theme the same way without calling the generator (retheme.mjs).
+ *
+ * @param {object} [options]
+ * @param {string} [options.generator] – aider | llm | fixture (default: env / aider)
+ * @param {string} [options.runId] – default: DAILY_APP_LAB_RUN_ID, else a new id
+ * @param {string} [options.ideaId] – build this backlog idea instead of the queued one
+ * @param {object} [options.idea] – build this idea (not looked up in the backlog)
+ * @param {string} [options.resume] – outId of a quarantined build to resume
+ * @param {string} [options.iterate] – outId of a finished output to refine
+ * @param {string} [options.instruction] – follow-up instruction for `iterate`
+ * @param {string} [options.retheme] – outId of a finished output to give a new theme
+ * @param {string} [options.preset] – theme preset for `retheme` (default: the output's)
+ * @param {string} [options.seed] – theme seed for `retheme` (default: `<outId>-v<version>`)
+ * @param {string} [options.template] – app template id (default: idea stack / form, see core/templates)
+ * @param {string} [options.lang] – output language (default: idea lang, then DAILY_APP_LAB_LANG / zh-CN)
+ * @param {boolean} [options.langVariant] – with `ideaId`: build another language of the idea without
+ *   picking it; success adds the output to its `langVariants`, failure leaves its backlog entry alone
+ * @param {number} [options.repairAttempts] – repair budget (default: DAILY_APP_LAB_REPAIR_ATTEMPTS / 2)
+ * @param {AbortSignal} [options.signal] – stops the run: pending generator calls reject, no new
+ *   command starts, and the failure path quarantines the output as for any other failure
+ * @param {object} [deps] – injection points for tests
+ * @param {Function} [deps.runCommand] – replaces npm/aider process spawning
+ * @param {object}   [deps.generator]  – a ready generator instance
+ * @returns {Promise<{ runId: string, outId: string, outDir: string, ideaId: string|undefined, title: string, generator: string, resumedFrom: string|null, version?: number }>}
+ */
+export async function runGenerate(options = {}, deps = {}) {
+  // The hub picks the run id so it can follow this run's status record
+  const runId = options.runId || process.env.DAILY_APP_LAB_RUN_ID || generateRunId();
+  try {
+    await fs.mkdir(DATA, { recursive: true });
+    await fs.mkdir(OUTPUTS, { recursive: true });
+    await fs.mkdir(LOGS, { recursive: true });
+
+    if (options.iterate) {
+      return await executeIterate(await prepareIterate(runId, String(options.iterate), options, deps));
+    }
+    if (options.retheme) {
+      return await executeRetheme(await prepareRetheme(runId, String(options.retheme), options, deps));
+    }
+    const ctx = options.resume
+      ? await prepareResume(runId, String(options.resume), options, deps)
+      : await prepareNew(runId, options, deps);
+    return await executeBuild(ctx);
+  } catch (e) {
+    if (e && typeof e === 'object') Object.assign(e, { runId, ideaId: e.ideaId ?? options.ideaId });
+    if (e?.category === 'aborted') await writeBuildStatus('idle', { runId, stage: 'aborted' });
+    else await writeBuildStatus('error', { runId, error: e?.message || String(e) });
+    throw e;
+  }
+}
+
+/** The error a run stopped by `options.signal` fails with (classified `aborted`). */
+function abortError() {
+  return Object.assign(new Error('generate: received SIGTERM, build stopped'), { signal: 'SIGTERM', category: 'aborted' });
+}
+
+/**
+ * Settle with `promise`, or reject as soon as `signal` fires – a generator
+ * call (an LLM request) has no child process the hub's signal could kill.
+ */
+function untilAborted(signal, promise) {
+  if (!signal) return promise;
+  if (signal.aborted) return Promise.reject(abortError());
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(abortError());
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+  });
+}
+
+/** The run's command runner; once `signal` fired no new command starts. */
+function commandRunner(deps, signal) {
+  const run = deps.runCommand || defaultRunCommand;
+  if (!signal) return run;
+  return async (...args) => {
+    if (signal.aborted) throw abortError();
+    return run(...args);
+  };
+}
 
-  const queuePath = path.join(DATA, 'idea_queue.json');
-  const qRaw = await readJsonSafe(queuePath, {});
-  const q = normalizeIdeaQueue(qRaw);
-  const idea = q?.idea || null;
+function pickGenerator(name, deps, run, signal) {
+  const generator = deps.generator || createGenerator(resolveGeneratorName(name), { runCommand: run });
+  if (!signal) return generator;
+  return Object.assign(Object.create(generator), { generate: req => untilAborted(signal, generator.generate(req)) });
+}
+
+/**
+ * Pick the template for an idea (see core/templates) and log why.
+ * An unknown stack falls back to the default instead of failing the build.
+ */
+async function selectTemplate(idea, override, logFile) {
+  const { id, source, unknown } = resolveTemplateId(idea, override);
+  const lines = [];
+  if (unknown) lines.push(`Unknown template "${unknown}", falling back`);
+  lines.push(`Template: ${id} (from ${source})`);
+  await fs.appendFile(logFile, lines.join('\n') + '\n').catch(()=>{});
+  return getTemplate(id);
+}
 
-  await eventLog.emit('build.start', { runId: RUN_ID, ideaId: idea?.id, title: idea?.title });
+/**
+ * The idea a new build is for: inline, by backlog id, else the queued one.
+ * @returns {Promise<{ idea: object|null, source: string }>}
+ */
+async function resolveIdea(options) {
+  if (options.idea) {
+    const idea = normalizeIdea(options.idea);
+    if (!idea) throw new Error('--idea-json must be a JSON object');
+    return { idea, source: 'inline' };
+  }
+  if (options.ideaId) {
+    const picked = options.langVariant ? await readBacklogIdea(String(options.ideaId)) : await pickIdea(String(options.ideaId));
+    if (!picked) throw new Error(`Idea ${options.ideaId} not found in backlog`);
+    return { idea: normalizeIdea(picked), source: 'backlog' };
+  }
+  const q = normalizeIdeaQueue(await readJsonSafe(path.join(DATA, 'idea_queue.json'), {}));
+  return { idea: q?.idea || null, source: 'queue' };
+}
+
+async function prepareNew(runId, options, deps) {
+  const run = commandRunner(deps, options.signal);
+  const generator = pickGenerator(options.generator, deps, run, options.signal);
+  const { idea, source } = await resolveIdea(options);
 
   const title = idea?.title || idea?.name || 'Extra interactive app project';
+  // Exclusive mkdir – concurrent builds never share a folder
+  const { outId, outDir } = await allocateOutputDir(OUTPUTS, { title });
+
+  await eventLog.emit('build.start', { runId, ideaId: idea?.id, outId, title: idea?.title, generator: generator.name });
+
   const scenario = idea?.scenario || idea?.hudScenario || idea?.desc || idea?.description || '';
-  const ideaId = idea?.id;
 
-  // Generate and save theme based on agent preference or semantics
-  const presetId = idea?.visualTheme || guessPreset(title, scenario);
-  const theme = generateTheme(outId, presetId);
+  // Generate and save theme based on agent preference or semantics;
+  // `visualTheme` may name a user-defined preset (runtime/data/theme_presets.json)
+  const presets = await loadThemePresets(THEME_PRESETS_FILE);
+  const selection = selectPreset({ ...idea, title, scenario }, presets);
+  const presetId = selection.presetId;
+  const theme = generateTheme(outId, presetId, presets);
+  theme.metadata.selection = { method: selection.method, confidence: selection.confidence, reasons: selection.reasons };
   await fs.writeFile(path.join(outDir, 'theme.json'), JSON.stringify(theme, null, 2));
 
   const logFile = path.join(LOGS, `${outId}-generate.log`);
-  await fs.appendFile(logFile, `Selected Theme Preset: ${presetId} (from ${idea?.visualTheme ? 'Agent' : 'Heuristic'})\n`).catch(()=>{});
+  const selectionLog = [
+    `Selected Theme Preset: ${presetId} (by ${selection.method}, confidence ${selection.confidence})`,
+    ...selection.reasons.map(r => `  - ${r}`),
+  ];
+  await fs.appendFile(logFile, selectionLog.join('\n') + '\n').catch(()=>{});
+  await fs.appendFile(logFile, `Generator: ${generator.name}\n`).catch(()=>{});
+  const template = await selectTemplate(idea, options.template, logFile);
+  const lang = resolveLang([options.lang, idea?.lang]);
+  await fs.appendFile(logFile, `Language: ${lang}\n`).catch(()=>{});
 
   if (idea) {
-    await fs.appendFile(logFile, `Auto-loaded idea from queue: ${title}\n`).catch(()=>{});
+    await fs.appendFile(logFile, `Auto-loaded idea from ${source}: ${title}\n`).catch(()=>{});
   }
 
-  // Stability logic: Fixed tech stack to reduce build failures and ensure reliable output
-  const chosenStyling = 'Tailwind CSS (standard v3 via PostCSS)';
-  const chosenUI = 'React 18';
+  const langVariant = options.langVariant === true && source === 'backlog';
+  const checkpoint = createCheckpoint({ outId, runId, idea, presetId, generator: generator.name, template: template.id, lang, langVariant });
+  await writeCheckpoint(outDir, checkpoint);
 
-  try {
-    await writeBuildStatus('running', { title, outId, progress: 10, stage: 'coding' });
-
-    const specPath = path.join(ROOT, 'DAILY_SPEC.md');
-    const msg = [
-    `Act as an expert app developer. Your task is to build a high-quality, interactive React app for the following project:`,
-    `- Project Name: ${title}`,
-    `- Scenario: ${scenario}`,
-    `\nMandatory Technical Standards:`,
-    `- Read and strictly follow ALL standards in DAILY_SPEC.md.`,
-    `- Tech stack: ${chosenUI} + ${chosenStyling}.`,
-    `- CRITICAL THEME: Use the palette defined in 'theme.json'. Map these to CSS variables in your index.css:`,
-    ...Object.entries(theme.palette.colors).map(([k, v]) => `  ${k}: ${v};`),
-    `- CRITICAL STYLE: You MUST provide 'tailwind.config.js' and 'postcss.config.js'. Use refined, modern UI styling (Subtle shadows, purposeful spacing, and clean typography). Avoid overused generic "AI-style" neon gradients or heavy glassmorphism unless it strictly fits the persona. All primary UI elements (buttons, highlights, focus rings) must use the generated theme variables.`,
-    `- CRITICAL INTERACTION: Follow "Drag & Drop Safety" in DAILY_SPEC.md. Use 'framer-motion' for physics and animations.`,
-    `- Language: Use ${LANG} for ALL UI and content.`,
-    `- No external APIs. Use a "SimulationEngine" for all data.`,
-    `- Ensure 'npm run build -- --base ./' works.` + (scenario ? `\n- CRITICAL: Your README.md MUST include a section '## Scenario' containing exactly the scenario text provided above.` : ''),
-    `\nOutput instructions:`,
-    `- Just output the code. No explanations.`,
-    `- Include all necessary files (~5-7 files maximum).`,
-    `- MUST include a README.md file (does not count towards the file limit).`,
-    `- Make sure the app is immediately usable with demo data.`,
-    `CRITICAL: Do NOT include HUGE external assets, but 50-100 lines of mock JSON/Simulation logic is REQUIRED.`,
-    `CRITICAL: If you need more space, prefer minimal working features over completeness.`,
-  ].filter(Boolean).join('\n');
-
-  // Load Azure config
-  const az = await getAzureConfig();
-  const aiderEnv = {};
-  if (az) {
-    let cleanEndpoint = az.baseUrl;
-    if (cleanEndpoint.endsWith('/openai/v1/')) cleanEndpoint = cleanEndpoint.replace('/openai/v1/', '');
-    if (cleanEndpoint.endsWith('/openai/v1')) cleanEndpoint = cleanEndpoint.replace('/openai/v1', '');
-
-    aiderEnv.OPENAI_API_BASE = az.baseUrl; // Keep for openai-compatible calls
-    aiderEnv.OPENAI_API_KEY = az.apiKey;
-    aiderEnv.OPENAI_API_TYPE = 'azure'; // Explicitly set for aider/litellm
-    
-    aiderEnv.AZURE_API_BASE = cleanEndpoint;
-    aiderEnv.AZURE_API_KEY = az.apiKey;
-    aiderEnv.AZURE_API_VERSION = az.version;
-    aiderEnv.AZURE_OPENAI_API_KEY = az.apiKey;
-    aiderEnv.AZURE_OPENAI_ENDPOINT = cleanEndpoint;
-    aiderEnv.AZURE_OPENAI_API_VERSION = az.version;
-    
-    await fs.appendFile(logFile, `Using Azure AI config for Aider. Endpoint: ${cleanEndpoint}\n`).catch(()=>{});
-  }
+  // Only a queued idea clears the queue – a build by id leaves it to the idle job
+  const fromQueue = source === 'queue';
+  return { runId, run, generator, outId, outDir, idea, title, scenario, theme, presetId, template, lang, langVariant, logFile, checkpoint, options, resumedFrom: null, fromQueue };
+}
 
-  const modelArg = MODEL.includes('/') ? MODEL : `azure/${MODEL}`;
+async function prepareResume(runId, outId, options, deps) {
+  const run = commandRunner(deps, options.signal);
 
-  // Run aider
-  try {
-    await run(AIDER, [
-      '--model', modelArg,
-      '--no-git',
-      '--read', specPath, // Ensure SPEC is visible to Aider!
-      '--yes-always',
-      '--no-auto-commits',
-      '--no-suggest-shell-commands',
-      '--no-attribute-author',
-      '--no-attribute-committer',
-      '--message', msg,
-    ], { cwd: outDir, logFile, env: aiderEnv });
-  } catch (e) {
-    // Detect common "bad output" causes (token limit, content filter, missing key)
-    const msg = String(e?.message || e);
-    await fs.appendFile(logFile, `\nAIDER_FAILED: ${msg}\n`).catch(()=>{});
+  const quarantined = quarantineDir(OUTPUTS, outId);
+  const saved = await readCheckpoint(quarantined);
+  if (!saved) throw new Error(`No quarantined build with a checkpoint: ${outId}`);
 
-    // If Aider failed, do NOT silently scaffold a template (would create "empty project")
-    // Instead, fail this generation so backlog can move on.
-    throw e;
-  }
+  const outDir = await restoreQuarantined(OUTPUTS, outId);
+  const checkpoint = beginResume(saved, runId);
+  await writeCheckpoint(outDir, checkpoint);
 
-  await writeBuildStatus('running', { title, outId, progress: 40, stage: 'installing' });
-  // Only scaffold if there is no package.json (rare). This avoids masking Aider failures.
-  await ensureViteProject(outDir, logFile);
-
-  // Build inside outDir
-  await writeBuildStatus('running', { title, outId, progress: 70, stage: 'building' });
-  await run('npm', ['run', 'build', '--', '--base', './'], { cwd: outDir, logFile });
-
-  await writeBuildStatus('running', { title, outId, progress: 90, stage: 'finalizing' });
-  const rel = `/${outId}/dist/index.html`;
-  await appendManifest({ id: outId, title, relPath: rel });
-  await markImplemented({ ideaId, title, relPath: rel });
-
-  await writeBuildStatus('idle', { lastProject: title, lastId: outId });
-  await eventLog.emit('build.success', { runId: RUN_ID, ideaId, outId, title });
-  console.log(`Extra project done: ${outDir}`);
-} catch (e) {
-  await fs.appendFile(logFile, `\nGENERATION_FAILED: ${e?.message || e}\n`).catch(()=>{});
-
-  // *** Structured failure logging ***
-  const failureRecord = {
-    runId: RUN_ID,
-    ideaId,
-    title,
-    outId,
-    failedStage: e?.stage || 'unknown',
-    errorMessage: e?.message || String(e),
-    logPath: logFile,
-    timestamp: new Date().toISOString(),
+  const generator = pickGenerator(options.generator || checkpoint.generator, deps, run, options.signal);
+  const idea = checkpoint.idea || null;
+  const title = checkpoint.title || idea?.title || 'Extra interactive app project';
+  const scenario = idea?.scenario || idea?.hudScenario || idea?.desc || idea?.description || '';
+  const presets = await loadThemePresets(THEME_PRESETS_FILE);
+  const presetId = checkpoint.presetId || selectPreset({ ...idea, title, scenario }, presets).presetId;
+  const theme = await readJsonSafe(path.join(outDir, 'theme.json'), null) || generateTheme(outId, presetId, presets);
+  const resumedFrom = resumeStageFor(checkpoint);
+
+  const logFile = path.join(LOGS, `${outId}-generate.log`);
+  await fs.appendFile(logFile, `\n=== RESUME ${checkpoint.resumes} (run ${runId}) from stage: ${resumedFrom} ===\n`).catch(()=>{});
+  await eventLog.emit('build.resume', { runId, ideaId: idea?.id, outId, title, generator: generator.name, resumedFrom });
+  // Checkpoints from before templates existed were react-tailwind builds
+  const template = getTemplate(checkpoint.template);
+  const lang = resolveLang([checkpoint.lang, idea?.lang]);
+
+  return { runId, run, generator, outId, outDir, idea, title, scenario, theme, presetId, template, lang, langVariant: checkpoint.langVariant === true, logFile, checkpoint, options, resumedFrom, fromQueue: false };
+}
+
+async function executeBuild(ctx) {
+  const { runId, run, generator, outId, outDir, idea, title, scenario, theme, presetId, template, lang, langVariant, logFile, options, resumedFrom, fromQueue } = ctx;
+  const ideaId = idea?.id;
+  let checkpoint = ctx.checkpoint;
+
+  // Durations and token usage carry over a resume via the checkpoint
+  const timer = createStageTimer(checkpoint.stageDurations || {});
+  let usage = checkpoint.usage || null;
+  let installCache = checkpoint.installCache || null;
+  let dependencyPolicy = checkpoint.dependencyPolicy || null;
+  const addUsage = (u) => { usage = mergeUsage(usage, u || null); };
+  const withProgress = (cp) => ({ ...cp, stageDurations: timer.durations(), usage, installCache, dependencyPolicy });
+
+  const completeStage = async (stage) => {
+    checkpoint = withProgress(markStageComplete(checkpoint, stage));
+    await writeCheckpoint(outDir, checkpoint);
   };
-  await eventLog.emit('build.failed', failureRecord);
 
-  // Write failure details back to backlog for learning
-  if (ideaId) {
+  // Each template fixes its stack (and spec addendum) to keep builds reliable
+  const specPath = await writeTemplateSpec(path.join(ROOT, 'DAILY_SPEC.md'), template, SPECS);
+  const repairs = [];
+
+  try {
+    if (shouldRunStage(checkpoint, 'coding')) await withStage('coding', async () => {
+      await writeBuildStatus('running', { runId, title, outId, progress: 10, stage: 'coding' });
+      timer.start('coding');
+
+      const msg = [
+        `Act as an expert app developer. Your task is to build a high-quality, interactive ${template.appKind} for the following project:`,
+        `- Project Name: ${title}`,
+        `- Scenario: ${scenario}`,
+        `\nMandatory Technical Standards:`,
+        `- Read and strictly follow ALL standards in DAILY_SPEC.md (including its "Stack" section).`,
+        ...template.prompt({ theme }),
+        `- Language: Use ${lang} for ALL UI and content.`,
+        `- No external APIs. Use a "SimulationEngine" for all data.`,
+        scenario ? `- CRITICAL: Your README.md MUST include a section '## Scenario' containing exactly the scenario text provided above.` : '',
+        `\nOutput instructions:`,
+        `- Just output the code. No explanations.`,
+        `- Include all necessary files (~5-7 files maximum).`,
+        `- MUST include a README.md file (does not count towards the file limit), written in ${lang}.`,
+        `- Make sure the app is immediately usable with demo data.`,
+        `CRITICAL: Do NOT include HUGE external assets, but 50-100 lines of mock JSON/Simulation logic is REQUIRED.`,
+        `CRITICAL: If you need more space, prefer minimal working features over completeness.`,
+      ].filter(Boolean).join('\n');
+
+      try {
+        const res = await generator.generate({ outDir, prompt: msg, specPath, logFile, idea, theme, template: template.id, lang });
+        addUsage(res?.usage);
+      } finally {
+        timer.stop('coding');
+      }
+      await completeStage('coding');
+    });
+
+    const budget = resolveRepairBudget(options.repairAttempts ?? process.env.DAILY_APP_LAB_REPAIR_ATTEMPTS);
+    const smoke = await installAndBuildWithRepair({
+      runId, ideaId, title, outId, outDir, logFile, run, generator, specPath, idea, theme, template, budget, repairs,
+      skipInstall: !shouldRunStage(checkpoint, 'installing'),
+      skipBuild: !shouldRunStage(checkpoint, 'building'),
+      onStageComplete: completeStage,
+      onUsage: addUsage,
+      onInstalled: (r) => { installCache = r.cache; dependencyPolicy = mergePolicyReports(dependencyPolicy, r.dependencies); },
+      installCache,
+      timer,
+    });
+
+    const rel = `/${outId}/dist/index.html`;
+    let compliance = null;
+    await withStage('finalizing', async () => {
+      await writeBuildStatus('running', { runId, title, outId, progress: 90, stage: 'finalizing', cache: installCache });
+      timer.start('finalizing');
+      compliance = await checkCompliance(outDir, logFile, dependencyPolicy);
+      const measured = await measureOutput(outDir);
+      timer.stop('finalizing');
+      await writeBuildMetadata(outDir, createBuildMetadata({
+        outId, runId, idea, title, scenario,
+        generator: generator.name,
+        model: generator.model ?? null,
+        language: lang,
+        themePreset: presetId || null,
+        themeName: theme?.metadata?.presetName || null,
+        template: template.id,
+        stageDurations: timer.durations(),
+        ...measured,
+        usage,
+        installCache,
+        repairAttempts: repairs.length,
+        resumes: checkpoint.resumes,
+        smokeTest: smoke?.status || 'disabled',
+        complianceScore: compliance?.score ?? null,
+      }));
+      await appendManifest({ id: outId, title, relPath: rel });
+      await markImplemented({ ideaId, title, relPath: rel }, { clearQueue: fromQueue, variantLang: langVariant ? lang : null });
+      await fs.rm(path.join(outDir, CHECKPOINT_FILE), { force: true });
+    });
+
+    await writeBuildStatus('complete', { runId, title, outId, progress: 100, stage: 'done', cache: installCache });
+    await eventLog.emit('build.success', {
+      runId, ideaId, outId, title,
+      generator: generator.name,
+      repairAttempts: repairs.length,
+      resumedFrom,
+      smokeTest: smoke?.status || 'disabled',
+      complianceScore: compliance?.score ?? null,
+      installCache,
+      template: template.id,
+      lang,
+    });
+    console.log(`Extra project done: ${outDir}`);
+    return { runId, outId, outDir, ideaId, title, generator: generator.name, resumedFrom };
+  } catch (e) {
+    await fs.appendFile(logFile, `\nGENERATION_FAILED: ${e?.message || e}\n`).catch(()=>{});
+    const failedStage = e?.stage || 'unknown';
+    // Only classify this run's part of the log – a resumed build appends to the old one
+    const tail = await readLogTail(logFile);
+    const resumeAt = tail.lastIndexOf('\n=== RESUME ');
+    const failure = classifyFailure({
+      message: [e?.message || String(e), e?.err].filter(Boolean).join('\n'),
+      log: resumeAt >= 0 ? tail.slice(resumeAt) : tail,
+      stage: failedStage,
+    });
+    await fs.appendFile(logFile, `Failure category: ${failure.category}${failure.evidence ? ` (${failure.evidence})` : ''}\n`).catch(()=>{});
+    if (e && typeof e === 'object') Object.assign(e, { category: failure.category, outId, ideaId });
+
+    // Keep the output for a later `--resume` instead of deleting it
+    checkpoint = withProgress(markStageFailed(checkpoint, failedStage, e?.message || e));
+    let quarantinedAt = null;
     try {
-      const backlogPath = path.join(DATA, 'idea_backlog.json');
-      const backlog = await readJsonSafe(backlogPath, { ideas: [] });
-      const items = backlog.ideas || backlog.items || [];
-      const item = items.find(x => x.id === ideaId);
-      if (item) {
-        item.failures = (item.failures || 0) + 1;
-        item.lastFailureReason = failureRecord.errorMessage.slice(0, 200);
-        item.lastFailureStage = failureRecord.failedStage;
-        item.lastFailureRunId = RUN_ID;
-        item.lastFailureAt = new Date().toISOString();
-        // Block after 3 consecutive failures
-        if (item.failures >= 3) item.status = 'blocked';
+      await writeCheckpoint(outDir, checkpoint);
+      quarantinedAt = await quarantineOutput(OUTPUTS, outId);
+      await fs.appendFile(logFile, `Quarantined output: ${quarantinedAt} (resume from: ${resumeStageFor(checkpoint)})\n`).catch(()=>{});
+    } catch (qErr) {
+      await fs.appendFile(logFile, `Quarantine failed, removing output: ${qErr?.message || qErr}\n`).catch(()=>{});
+      await fs.rm(outDir, { recursive: true, force: true }).catch(()=>{});
+    }
+
+    // *** Structured failure logging ***
+    const failureRecord = {
+      runId,
+      ideaId,
+      title,
+      outId,
+      generator: generator.name,
+      failedStage,
+      category: failure.category,
+      categoryEvidence: failure.evidence,
+      errorMessage: e?.message || String(e),
+      repairAttempts: repairs.length,
+      resumedFrom,
+      resumeStage: quarantinedAt ? resumeStageFor(checkpoint) : null,
+      logPath: logFile,
+      timestamp: new Date().toISOString(),
+    };
+    await eventLog.emit('build.failed', failureRecord);
+
+    // Write failure details back to backlog for learning – a failed
+    // translation says nothing about the idea and must not unpick it
+    if (ideaId && langVariant) {
+      await fs.appendFile(logFile, `Language variant build failed, backlog entry left unchanged: ${ideaId}\n`).catch(()=>{});
+    } else if (ideaId) {
+      try {
+        await updateBacklogIdea(ideaId, (item) => {
+          // An aborted run says nothing about the idea – record it, don't count it
+          if (countsAsFailure(failure.category)) item.failures = (item.failures || 0) + 1;
+          item.lastFailureReason = (failure.evidence || failureRecord.errorMessage).slice(0, 200);
+          item.lastFailureCategory = failure.category;
+          item.lastFailureStage = failedStage;
+          item.lastFailureRunId = runId;
+          item.lastFailureAt = new Date().toISOString();
+          if (quarantinedAt) {
+            item.lastFailedOutId = outId;
+            item.lastResumeStage = failureRecord.resumeStage;
+          } else {
+            delete item.lastFailedOutId;
+            delete item.lastResumeStage;
+          }
+          // Block after 3 consecutive failures
+          if (item.failures >= 3) item.status = 'blocked';
+        });
+      } catch (bErr) {
+        console.error('Failed to write failure to backlog:', bErr.message);
       }
-      await writeJsonAtomic(backlogPath, backlog);
-    } catch (bErr) {
-      console.error('Failed to write failure to backlog:', bErr.message);
+      await unpickIdea(ideaId, { clearQueue: fromQueue });
+      await fs.appendFile(logFile, `Reset backlog status for idea: ${ideaId}\n`).catch(()=>{});
     }
-    await unpickIdea(ideaId);
-    await fs.appendFile(logFile, `Reset backlog status for idea: ${ideaId}\n`).catch(()=>{});
+    throw e;
   }
-  // Delete the failed output directory
+}
+
+async function prepareIterate(runId, outId, options, deps) {
+  const run = commandRunner(deps, options.signal);
+  const instruction = String(options.instruction || '').trim().slice(0, MAX_INSTRUCTION_CHARS);
+  if (!instruction) throw new Error('--iterate needs an --instruction');
+
+  const outDir = path.join(OUTPUTS, outId);
+  if (path.dirname(outDir) !== OUTPUTS || !(await exists(path.join(outDir, 'dist', 'index.html')))) {
+    throw new Error(`No finished output to iterate: ${outId}`);
+  }
+
+  const generator = pickGenerator(options.generator, deps, run, options.signal);
+  const meta = await readBuildMetadata(outDir);
+  const readme = await fs.readFile(path.join(outDir, 'README.md'), 'utf8').catch(() => '');
+  const title = meta?.title || readme.match(/^#\s+(.+)$/m)?.[1]?.trim() || outId;
+  const scenario = meta?.scenario || '';
+  const theme = await readJsonSafe(path.join(outDir, 'theme.json'), null);
+  // Outputs built before templates existed are react-tailwind
+  const template = getTemplate(meta?.template);
+  const lang = resolveLang([meta?.language]);
+
+  const logFile = path.join(LOGS, `${outId}-generate.log`);
+  await fs.appendFile(logFile, `\n=== ITERATE (run ${runId}) ===\nInstruction: ${instruction}\nGenerator: ${generator.name}\nTemplate: ${template.id}\n`).catch(()=>{});
+
+  return { runId, run, generator, outId, outDir, meta, title, scenario, theme, template, lang, logFile, instruction, options };
+}
+
+/**
+ * Refine a finished output: generate (iterate mode) → install → build →
+ * smoke test (with repair rounds) → snapshot as the next version. A failed
+ * iteration restores the previous version; the output is never quarantined
+ * and the backlog is left alone.
+ */
+async function executeIterate(ctx) {
+  const { runId, run, generator, outId, outDir, meta, title, scenario, theme, template, lang, logFile, instruction, options } = ctx;
+  const ideaId = meta?.ideaId || undefined;
+  const specPath = await writeTemplateSpec(path.join(ROOT, 'DAILY_SPEC.md'), template, SPECS);
+  const repairs = [];
+  const timer = createStageTimer();
+  let usage = null;
+  let installCache = null;
+  let dependencyPolicy = null;
+  const addUsage = (u) => { usage = mergeUsage(usage, u || null); };
+
+  const index = await ensureBaseVersion(outDir, { runId: meta?.runId || null });
+  const parent = index.current;
+  const version = nextVersionNumber(index);
+  await eventLog.emit('build.iterate', { runId, ideaId, outId, title, generator: generator.name, version, parent, instruction });
+
   try {
-    if (await exists(outDir)) {
-      await fs.rm(outDir, { recursive: true, force: true });
+    await withStage('coding', async () => {
+      await writeBuildStatus('running', { runId, title, outId, progress: 10, stage: 'coding' });
+      timer.start('coding');
+      try {
+        const res = await generator.generate({
+          outDir,
+          prompt: buildIteratePrompt({ instruction, title, scenario, version, lang }),
+          specPath,
+          logFile,
+          idea: null,
+          theme,
+          template: template.id,
+          lang,
+          mode: 'iterate',
+        });
+        addUsage(res?.usage);
+      } finally {
+        timer.stop('coding');
+      }
+    });
+
+    const budget = resolveRepairBudget(options.repairAttempts ?? process.env.DAILY_APP_LAB_REPAIR_ATTEMPTS);
+    const smoke = await installAndBuildWithRepair({
+      runId, ideaId, title, outId, outDir, logFile, run, generator, specPath, idea: null, theme, template, budget, repairs,
+      onUsage: addUsage,
+      onInstalled: (r) => { installCache = r.cache; dependencyPolicy = mergePolicyReports(dependencyPolicy, r.dependencies); },
+      installCache,
+      timer,
+    });
+
+    let compliance = null;
+    await withStage('finalizing', async () => {
+      await writeBuildStatus('running', { runId, title, outId, progress: 90, stage: 'finalizing', cache: installCache });
+      timer.start('finalizing');
+      compliance = await checkCompliance(outDir, logFile, dependencyPolicy);
+      const measured = await measureOutput(outDir);
+      timer.stop('finalizing');
+      await writeBuildMetadata(outDir, {
+        ...createBuildMetadata({
+          outId, runId, title, scenario,
+          generator: generator.name,
+          model: generator.model ?? null,
+          language: lang,
+          themePreset: meta?.themePreset || null,
+          themeName: theme?.metadata?.presetName || meta?.themeName || null,
+          template: template.id,
+          stageDurations: timer.durations(),
+          ...measured,
+          usage,
+          installCache,
+          repairAttempts: repairs.length,
+          smokeTest: smoke?.status || 'disabled',
+          complianceScore: compliance?.score ?? null,
+          appVersion: version,
+          iteratedFrom: parent,
+        }),
+        // The idea link and texts stay those of the original build
+        ideaId: meta?.ideaId || null,
+        campaignId: meta?.campaignId || null,
+        topicTag: meta?.topicTag || null,
+        desc: meta?.desc || null,
+        workflow: meta?.workflow || null,
+      });
+      await snapshotVersion(outDir, { version, instruction, parent, runId });
+    });
+
+    await fs.appendFile(logFile, `Iteration stored as v${version} (from v${parent})\n`).catch(()=>{});
+    await writeBuildStatus('complete', { runId, title, outId, progress: 100, stage: 'done', cache: installCache });
+    await eventLog.emit('build.success', {
+      runId, ideaId, outId, title,
+      generator: generator.name,
+      repairAttempts: repairs.length,
+      resumedFrom: null,
+      smokeTest: smoke?.status || 'disabled',
+      complianceScore: compliance?.score ?? null,
+      installCache,
+      version,
+      iteratedFrom: parent,
+    });
+    console.log(`Iteration done: ${outDir} (v${version})`);
+    return { runId, outId, outDir, ideaId, title, generator: generator.name, resumedFrom: null, version };
+  } catch (e) {
+    await fs.appendFile(logFile, `\nITERATION_FAILED: ${e?.message || e}\n`).catch(()=>{});
+    const failedStage = e?.stage || 'unknown';
+    const tail = await readLogTail(logFile);
+    const iterateAt = tail.lastIndexOf('\n=== ITERATE ');
+    const failure = classifyFailure({
+      message: [e?.message || String(e), e?.err].filter(Boolean).join('\n'),
+      log: iterateAt >= 0 ? tail.slice(iterateAt) : tail,
+      stage: failedStage,
+    });
+    await fs.appendFile(logFile, `Failure category: ${failure.category}${failure.evidence ? ` (${failure.evidence})` : ''}\n`).catch(()=>{});
+    if (e && typeof e === 'object') Object.assign(e, { category: failure.category, outId, ideaId });
+
+    try {
+      await restoreVersion(outDir, parent);
+      await fs.appendFile(logFile, `Rolled back to v${parent}\n`).catch(()=>{});
+    } catch (rErr) {
+      await fs.appendFile(logFile, `Rollback to v${parent} failed: ${rErr?.message || rErr}\n`).catch(()=>{});
     }
-  } catch (_rmErr) {
-    // Ignore cleanup errors
+
+    await eventLog.emit('build.failed', {
+      runId,
+      ideaId,
+      title,
+      outId,
+      generator: generator.name,
+      failedStage,
+      category: failure.category,
+      categoryEvidence: failure.evidence,
+      errorMessage: e?.message || String(e),
+      repairAttempts: repairs.length,
+      version,
+      iteratedFrom: parent,
+      logPath: logFile,
+      timestamp: new Date().toISOString(),
+    });
+    throw e;
   }
-  throw e;
 }
+
+async function prepareRetheme(runId, outId, options, deps) {
+  const run = commandRunner(deps, options.signal);
+  const outDir = path.join(OUTPUTS, outId);
+  if (path.dirname(outDir) !== OUTPUTS || !(await exists(path.join(outDir, 'dist', 'index.html')))) {
+    throw new Error(`No finished output to re-theme: ${outId}`);
+  }
+  const oldTheme = await readJsonSafe(path.join(outDir, 'theme.json'), null);
+  if (!oldTheme?.palette?.colors) throw new Error(`Output has no theme.json to replace: ${outId}`);
+
+  const meta = await readBuildMetadata(outDir);
+  const presets = await loadThemePresets(THEME_PRESETS_FILE);
+  // Without --preset the output keeps its preset and only gets a new seed
+  const presetId = String(options.preset || oldTheme.preset || meta?.themePreset || 'professional').trim().toLowerCase();
+  if (!Object.hasOwn(presets, presetId)) throw new Error(`Unknown theme preset: ${presetId}`);
+
+  const readme = await fs.readFile(path.join(outDir, 'README.md'), 'utf8').catch(() => '');
+  const title = meta?.title || readme.match(/^#\s+(.+)$/m)?.[1]?.trim() || outId;
+  const template = getTemplate(meta?.template);
+
+  const logFile = path.join(LOGS, `${outId}-generate.log`);
+  await fs.appendFile(logFile, `\n=== RETHEME (run ${runId}) ===\nPreset: ${presetId}\n`).catch(()=>{});
+
+  return { runId, run, outId, outDir, meta, title, oldTheme, presets, presetId, template, logFile, options };
 }
 
-main().catch(async (e) => {
-  await writeBuildStatus('error', { error: e?.message || String(e) });
-  console.error(e);
-  process.exit(1);
-});
+/**
+ * Re-theme a finished output: new theme → swap the theme values in its
+ * sources (core/modules/retheme.mjs) → build → smoke test → snapshot as the
+ * next version. No generator call and no repair rounds; a failure restores
+ * the previous version.
+ */
+async function executeRetheme(ctx) {
+  const { runId, run, outId, outDir, meta, title, oldTheme, presets, presetId, template, logFile, options } = ctx;
+  const ideaId = meta?.ideaId || undefined;
+  const timer = createStageTimer();
+  let installCache = null;
+
+  const index = await ensureBaseVersion(outDir, { runId: meta?.runId || null });
+  const parent = index.current;
+  const version = nextVersionNumber(index);
+  const seed = String(options.seed || '').trim().slice(0, 100) || `${outId}-v${version}`;
+  const theme = generateTheme(seed, presetId, presets);
+  theme.metadata.selection = { method: 'explicit', confidence: 1, reasons: [`re-themed to ${presetId} (seed "${seed}")`] };
+  const instruction = rethemeInstruction({ presetId, presetName: theme.metadata.presetName, seed });
+  await eventLog.emit('build.retheme', { runId, ideaId, outId, title, version, parent, preset: presetId, seed });
+
+  try {
+    await withStage('theming', async () => {
+      await writeBuildStatus('running', { runId, title, outId, progress: 20, stage: 'theming' });
+      timer.start('theming');
+      const { files, replaced } = await rethemeOutput(outDir, oldTheme, theme);
+      timer.stop('theming');
+      await fs.appendFile(logFile, `Seed: ${seed}\nReplaced ${replaced} theme value(s) in ${files.length} file(s)${files.length ? `: ${files.map(f => f.path).join(', ')}` : ''}\n`).catch(()=>{});
+      if (!replaced) throw new Error('No theme values found in the sources – nothing to re-theme');
+    });
 
+    const smoke = await installAndBuildWithRepair({
+      runId, ideaId, title, outId, outDir, logFile, run, generator: null, specPath: null, idea: null, theme, template,
+      budget: 0,
+      repairs: [],
+      skipInstall: await exists(path.join(outDir, 'node_modules')),
+      onInstalled: (r) => { installCache = r.cache; },
+      timer,
+    });
+
+    await withStage('finalizing', async () => {
+      await writeBuildStatus('running', { runId, title, outId, progress: 90, stage: 'finalizing', cache: installCache });
+      const measured = await measureOutput(outDir);
+      // Outputs from before build.json get a minimal record
+      await writeBuildMetadata(outDir, {
+        ...(meta || createBuildMetadata({ outId, runId, title, template: template.id })),
+        ...measured,
+        runId,
+        themePreset: presetId,
+        themeName: theme.metadata.presetName || null,
+        smokeTest: smoke?.status || 'disabled',
+        appVersion: version,
+        iteratedFrom: parent,
+      });
+      await snapshotVersion(outDir, { version, instruction, parent, runId });
+    });
+
+    await fs.appendFile(logFile, `Re-theme stored as v${version} (from v${parent})\n`).catch(()=>{});
+    await writeBuildStatus('complete', { runId, title, outId, progress: 100, stage: 'done', cache: installCache });
+    await eventLog.emit('build.success', {
+      runId, ideaId, outId, title,
+      generator: null,
+      repairAttempts: 0,
+      resumedFrom: null,
+      smokeTest: smoke?.status || 'disabled',
+      installCache,
+      version,
+      iteratedFrom: parent,
+    });
+    console.log(`Re-theme done: ${outDir} (v${version}, ${presetId})`);
+    return { runId, outId, outDir, ideaId, title, generator: null, resumedFrom: null, version };
+  } catch (e) {
+    await fs.appendFile(logFile, `\nRETHEME_FAILED: ${e?.message || e}\n`).catch(()=>{});
+    const failedStage = e?.stage || 'unknown';
+    const tail = await readLogTail(logFile);
+    const rethemeAt = tail.lastIndexOf('\n=== RETHEME ');
+    const failure = classifyFailure({
+      message: [e?.message || String(e), e?.err].filter(Boolean).join('\n'),
+      log: rethemeAt >= 0 ? tail.slice(rethemeAt) : tail,
+      stage: failedStage,
+    });
+    await fs.appendFile(logFile, `Failure category: ${failure.category}${failure.evidence ? ` (${failure.evidence})` : ''}\n`).catch(()=>{});
+    if (e && typeof e === 'object') Object.assign(e, { category: failure.category, outId, ideaId });
+
+    try {
+      await restoreVersion(outDir, parent);
+      await fs.appendFile(logFile, `Rolled back to v${parent}\n`).catch(()=>{});
+    } catch (rErr) {
+      await fs.appendFile(logFile, `Rollback to v${parent} failed: ${rErr?.message || rErr}\n`).catch(()=>{});
+    }
+
+    await eventLog.emit('build.failed', {
+      runId,
+      ideaId,
+      title,
+      outId,
+      generator: null,
+      failedStage,
+      category: failure.category,
+      categoryEvidence: failure.evidence,
+      errorMessage: e?.message || String(e),
+      repairAttempts: 0,
+      version,
+      iteratedFrom: parent,
+      logPath: logFile,
+      timestamp: new Date().toISOString(),
+    });
+    throw e;
+  }
+}
+
+const isDirectRun = process.argv[1] && fileURLToPath(import.meta.url) === path.resolve(process.argv[1]);
+if (isDirectRun) {
+  const args = parseCliArgs(process.argv.slice(2));
+  // --json: print a run result line (core/modules/run_result.mjs) for the caller
+  const printResult = (result) => { if (args.json) console.log(JSON.stringify(result)); };
+  const runId = process.env.DAILY_APP_LAB_RUN_ID || generateRunId();
+  // The hub stops a build by signalling the whole process group. A running
+  // command dies with it; the abort signal stops everything else, so the
+  // failure path classifies the run as aborted and quarantines it. Should
+  // that hang, still leave a status record and a result line before exiting.
+  const abort = new AbortController();
+  process.once('SIGTERM', () => {
+    console.error('generate: received SIGTERM, aborting build');
+    abort.abort();
+    setTimeout(async () => {
+      await writeBuildStatus('idle', { runId, stage: 'aborted' }).catch(() => {});
+      const ideaId = typeof args['idea-id'] === 'string' ? args['idea-id'] : null;
+      printResult(failureResult(Object.assign(abortError(), { runId, ideaId })));
+      process.exit(143);
+    }, 5000).unref();
+  });
+  let idea;
+  try {
+    idea = typeof args['idea-json'] === 'string' ? JSON.parse(args['idea-json']) : undefined;
+  } catch (e) {
+    console.error(`generate: --idea-json is not valid JSON – ${e.message}`);
+    printResult(failureResult(new Error(`--idea-json is not valid JSON: ${e.message}`)));
+    process.exit(1);
+  }
+  runGenerate({
+    runId,
+    signal: abort.signal,
+    ideaId: typeof args['idea-id'] === 'string' ? args['idea-id'] : undefined,
+    idea,
+    generator: typeof args.generator === 'string' ? args.generator : undefined,
+    resume: typeof args.resume === 'string' ? args.resume : undefined,
+    iterate: typeof args.iterate === 'string' ? args.iterate : undefined,
+    template: typeof args.template === 'string' ? args.template : undefined,
+    lang: typeof args.lang === 'string' ? args.lang : undefined,
+    langVariant: args['lang-variant'] === true,
+    instruction: typeof args.instruction === 'string' ? args.instruction : undefined,
+    retheme: typeof args.retheme === 'string' ? args.retheme : undefined,
+    preset: typeof args.preset === 'string' ? args.preset : undefined,
+    seed: typeof args.seed === 'string' ? args.seed : undefined,
+  })
+    .then((res) => printResult(successResult(res)))
+    .catch((e) => {
+      console.error(e);
+      printResult(failureResult(e));
+      process.exit(1);
+    });
+}
@@ -0,0 +1,71 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import os from 'node:os';
+import { createBuildStatusStore, isValidRunId } from '../build_status_store.mjs';
+
+describe('createBuildStatusStore', () => {
+  let dataDir;
+  let now;
+  const clock = { now: () => now };
+
+  beforeEach(async () => {
+    dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'build-status-'));
+    now = '2026-03-01T10:00:00.000Z';
+  });
+  afterEach(async () => { await fs.rm(dataDir, { recursive: true, force: true }); });
+
+  it('keeps one record per run so concurrent builds do not clobber each other', async () => {
+    const store = createBuildStatusStore({ dataDir, clock });
+    await store.write('run-a', 'running', { title: 'A', stage: 'coding', progress: 10 });
+    await store.write('run-b', 'running', { title: 'B', stage: 'building', progress: 70 });
+
+    assert.equal((await store.read('run-a')).title, 'A');
+    assert.equal((await store.read('run-b')).stage, 'building');
+    assert.deepEqual((await store.listActive()).map(r => r.runId).sort(), ['run-a', 'run-b']);
+  });
+
+  it('drops finished runs from the active list but keeps failed ones until dismissed', async () => {
+    const store = createBuildStatusStore({ dataDir, clock });
+    await store.write('run-a', 'running', { title: 'A' });
+    await store.write('run-b', 'running', { title: 'B' });
+    await store.write('run-a', 'complete', { title: 'A', outId: '2026-03-01-a-abc123' });
+    await store.write('run-b', 'error', { error: 'boom' });
+
+    assert.deepEqual((await store.listActive()).map(r => [r.runId, r.status]), [['run-b', 'error']]);
+    assert.equal((await store.read('run-a')).outId, '2026-03-01-a-abc123');
+
+    await store.dismiss('run-b');
+    assert.deepEqual(await store.listActive(), []);
+  });
+
+  it('lists newest first and hides stale running records', async () => {
+    const store = createBuildStatusStore({ dataDir, clock, staleMs: 60_000 });
+    await store.write('run-old', 'running', { title: 'Old' });
+    now = '2026-03-01T10:00:30.000Z';
+    await store.write('run-new', 'running', { title: 'New' });
+    assert.deepEqual((await store.listActive()).map(r => r.runId), ['run-new', 'run-old']);
+
+    now = '2026-03-01T10:01:10.000Z';
+    assert.deepEqual((await store.listActive()).map(r => r.runId), ['run-new']);
+  });
+
+  it('prunes finished records beyond `keep`', async () => {
+    const store = createBuildStatusStore({ dataDir, clock, keep: 2 });
+    for (const id of ['run-1', 'run-2', 'run-3']) {
+      await store.write(id, 'complete', {});
+      await new Promise(r => setTimeout(r, 15));
+    }
+    const files = (await fs.readdir(store.dir)).sort();
+    assert.deepEqual(files, ['index.json', 'run-2.json', 'run-3.json']);
+  });
+
+  it('rejects run ids that are not plain file names', async () => {
+    const store = createBuildStatusStore({ dataDir, clock });
+    assert.equal(isValidRunId('run-20260301-abc'), true);
+    for (const bad of ['', '../x', 'a/b', 'index', undefined]) assert.equal(isValidRunId(bad), false, String(bad));
+    await assert.rejects(store.write('../x', 'running'), /Invalid runId/);
+    assert.equal(await store.read('../x'), null);
+  });
+});
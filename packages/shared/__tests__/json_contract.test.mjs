@@ -1,6 +1,6 @@
 import { describe, it } from 'node:test';
 import assert from 'node:assert/strict';
-import { normalizeIdeaStatus } from '../json_contract.mjs';
+import { normalizeIdea, normalizeIdeaStatus } from '../json_contract.mjs';
 
 describe('normalizeIdeaStatus – targeted idea state machine', () => {
   // ----- valid transitions -----
@@ -101,3 +101,24 @@ describe('normalizeIdeaStatus – targeted idea state machine', () => {
     assert.equal(r.ok, false);
   });
 });
+
+describe('normalizeIdea – template selectors', () => {
+  it('trims and lowercases stack and form', () => {
+    const idea = normalizeIdea({ id: 'a', title: 'A', stack: ' Svelte ', form: 'Game' });
+    assert.equal(idea.stack, 'svelte');
+    assert.equal(idea.form, 'game');
+  });
+
+  it('drops blank values and leaves missing ones unset', () => {
+    const idea = normalizeIdea({ id: 'a', title: 'A', stack: '  ' });
+    assert.equal('stack' in idea, false);
+    assert.equal('form' in idea, false);
+  });
+});
+
+describe('normalizeIdea – lang', () => {
+  it('canonicalises the tag and drops invalid values', () => {
+    assert.equal(normalizeIdea({ id: 'a', title: 'A', lang: 'EN' }).lang, 'en');
+    assert.equal('lang' in normalizeIdea({ id: 'a', title: 'A', lang: 'auto' }), false);
+  });
+});
@@ -0,0 +1,37 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_LANG, normalizeLang, defaultLang, resolveLang } from '../lang.mjs';
+
+describe('normalizeLang', () => {
+  it('canonicalises case and separators', () => {
+    assert.equal(normalizeLang('EN'), 'en');
+    assert.equal(normalizeLang('zh_cn'), 'zh-CN');
+    assert.equal(normalizeLang(' en-us '), 'en-US');
+    assert.equal(normalizeLang('zh-hant-tw'), 'zh-Hant-TW');
+  });
+
+  it('maps common aliases', () => {
+    assert.equal(normalizeLang('zh'), 'zh-CN');
+    assert.equal(normalizeLang('English'), 'en');
+  });
+
+  it('rejects things that are not tags', () => {
+    for (const v of [null, undefined, '', '  ', 'auto', 'e', 'en--US', 42]) {
+      assert.equal(normalizeLang(v), null, String(v));
+    }
+  });
+});
+
+describe('defaultLang / resolveLang', () => {
+  it('falls back to DAILY_APP_LAB_LANG, then zh-CN', () => {
+    assert.equal(defaultLang({}), DEFAULT_LANG);
+    assert.equal(defaultLang({ DAILY_APP_LAB_LANG: 'en' }), 'en');
+    assert.equal(defaultLang({ DAILY_APP_LAB_LANG: 'auto' }), DEFAULT_LANG);
+  });
+
+  it('takes the first valid candidate', () => {
+    assert.equal(resolveLang(['', 'auto', 'en', 'zh-CN'], {}), 'en');
+    assert.equal(resolveLang([undefined, null], { DAILY_APP_LAB_LANG: 'ja' }), 'ja');
+    assert.equal(resolveLang(undefined, {}), 'zh-CN');
+  });
+});
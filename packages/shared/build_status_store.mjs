@@ -0,0 +1,134 @@
+/**
+ * Build status store – one status record per build run.
+ *
+ *   runtime/data/build_status/<runId>.json   normalizeBuildStatus() record
+ *   runtime/data/build_status/index.json     { updatedAt, runs: { [runId]: { status, updatedAt } } }
+ *
+ * generate.mjs writes its own run's record, so concurrent builds no longer
+ * overwrite each other. The index lists the runs the hub should show:
+ * running ones and failed ones until they are dismissed. A finished run
+ * leaves the index but keeps its record (the newest `keep` are kept).
+ *
+ * Usage:
+ *   const store = createBuildStatusStore({ dataDir });
+ *   await store.write(runId, 'running', { title, outId, stage: 'coding', progress: 10 });
+ *   const runs = await store.listActive();
+ */
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { writeJsonAtomic, readJsonSafe, withFileLock } from './atomic_fs.mjs';
+import { normalizeBuildStatus } from './json_contract.mjs';
+
+export const BUILD_STATUS_DIR = 'build_status';
+export const BUILD_STATUS_INDEX = 'index.json';
+
+/** A `running` record not updated for this long belongs to a dead process. */
+export const DEFAULT_STALE_MS = 60 * 60 * 1000;
+const DEFAULT_KEEP = 50;
+const ACTIVE_STATUSES = new Set(['running', 'error']);
+const RUN_ID_RE = /^[\w.-]+$/;
+
+const defaultClock = { now: () => new Date().toISOString() };
+
+export function isValidRunId(runId) {
+  return typeof runId === 'string' && RUN_ID_RE.test(runId) && runId !== path.parse(BUILD_STATUS_INDEX).name;
+}
+
+/**
+ * @param {object} opts
+ * @param {string} opts.dataDir – runtime/data
+ * @param {{ now: () => string }} [opts.clock]
+ * @param {number} [opts.staleMs]
+ * @param {number} [opts.keep] – finished run records to keep
+ */
+export function createBuildStatusStore({ dataDir, clock = defaultClock, staleMs = DEFAULT_STALE_MS, keep = DEFAULT_KEEP }) {
+  const dir = path.join(dataDir, BUILD_STATUS_DIR);
+  const indexPath = path.join(dir, BUILD_STATUS_INDEX);
+  const recordPath = (runId) => path.join(dir, `${runId}.json`);
+
+  function assertRunId(runId) {
+    if (!isValidRunId(runId)) throw new Error(`Invalid runId: ${runId}`);
+  }
+
+  const isStale = (record) => record.status === 'running' && Date.parse(clock.now()) - Date.parse(record.updatedAt) > staleMs;
+
+  async function readIndex() {
+    const raw = await readJsonSafe(indexPath, null);
+    const runs = raw?.runs && typeof raw.runs === 'object' ? raw.runs : {};
+    return { updatedAt: raw?.updatedAt || null, runs };
+  }
+
+  async function updateIndex(fn) {
+    await fs.mkdir(dir, { recursive: true });
+    await withFileLock(indexPath, async () => {
+      const index = await readIndex();
+      fn(index.runs);
+      await writeJsonAtomic(indexPath, { updatedAt: clock.now(), runs: index.runs });
+    });
+  }
+
+  /** Delete finished run records beyond the newest `keep`. */
+  async function prune(active) {
+    const names = await fs.readdir(dir).catch(() => []);
+    const finished = [];
+    for (const name of names) {
+      if (!name.endsWith('.json') || name === BUILD_STATUS_INDEX) continue;
+      const runId = name.slice(0, -'.json'.length);
+      if (active[runId]) continue;
+      const stat = await fs.stat(path.join(dir, name)).catch(() => null);
+      if (stat) finished.push({ name, mtimeMs: stat.mtimeMs });
+    }
+    finished.sort((a, b) => b.mtimeMs - a.mtimeMs);
+    for (const { name } of finished.slice(keep)) {
+      await fs.rm(path.join(dir, name), { force: true });
+    }
+  }
+
+  /**
+   * Write a run's record and keep the index in step.
+   * @returns {Promise<object>} the normalized record
+   */
+  async function write(runId, status, details = {}) {
+    assertRunId(runId);
+    const record = normalizeBuildStatus({ ...details, status, runId, updatedAt: clock.now() });
+    await fs.mkdir(dir, { recursive: true });
+    await writeJsonAtomic(recordPath(runId), record);
+    let runs = null;
+    await updateIndex((r) => {
+      if (ACTIVE_STATUSES.has(record.status)) r[runId] = { status: record.status, updatedAt: record.updatedAt };
+      else delete r[runId];
+      runs = r;
+    });
+    if (!ACTIVE_STATUSES.has(record.status)) await prune(runs);
+    return record;
+  }
+
+  /** @returns {Promise<object|null>} */
+  async function read(runId) {
+    if (!isValidRunId(runId)) return null;
+    const raw = await readJsonSafe(recordPath(runId), null);
+    return raw ? normalizeBuildStatus(raw) : null;
+  }
+
+  /**
+   * Records of the runs in the index, newest first. Stale `running` records
+   * are left out (the process died without writing a final status).
+   */
+  async function listActive() {
+    const { runs } = await readIndex();
+    const records = [];
+    for (const runId of Object.keys(runs)) {
+      const record = await read(runId);
+      if (record && ACTIVE_STATUSES.has(record.status) && !isStale(record)) records.push(record);
+    }
+    return records.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+  }
+
+  /** Drop a run from the index (a dismissed error, an aborted build). */
+  async function dismiss(runId) {
+    if (!isValidRunId(runId)) return;
+    await updateIndex((r) => { delete r[runId]; });
+  }
+
+  return { dir, write, read, listActive, dismiss };
+}
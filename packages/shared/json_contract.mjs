@@ -6,6 +6,8 @@
  * same data yields the same result.
  */
 
+import { normalizeLang } from './lang.mjs';
+
 // ---------------------------------------------------------------------------
 // Idea status enum
 // ---------------------------------------------------------------------------
@@ -71,6 +73,19 @@ export function normalizeIdea(raw) {
     idea.targetPersona = String(idea.targetPersona).trim();
   }
 
+  // stack / form – template selectors for generate.mjs (e.g. "svelte", "game")
+  for (const key of ['stack', 'form']) {
+    if (idea[key] == null) continue;
+    const v = String(idea[key]).trim().toLowerCase();
+    if (v) idea[key] = v; else delete idea[key];
+  }
+
+  // lang – output language of the idea and its build (see lang.mjs)
+  if (idea.lang != null) {
+    const lang = normalizeLang(idea.lang);
+    if (lang) idea.lang = lang; else delete idea.lang;
+  }
+
   // timestamps
   idea.createdAt = idea.createdAt || new Date().toISOString();
 
@@ -108,7 +123,7 @@ export function normalizeIdeaQueue(raw) {
 }
 
 // ---------------------------------------------------------------------------
-// build_status.json
+// build_status/<runId>.json (shared/build_status_store.mjs)
 // ---------------------------------------------------------------------------
 const VALID_BUILD_STATUSES = new Set(['idle', 'running', 'error', 'complete']);
 
@@ -123,6 +138,7 @@ export function normalizeBuildStatus(raw) {
     outId: String(raw.outId || ''),
     runId: String(raw.runId || ''),
     attempt: Number(raw.attempt) || 0,
+    cache: raw.cache ? String(raw.cache) : null,
     error: raw.error || null,
     updatedAt: raw.updatedAt || new Date().toISOString(),
   };
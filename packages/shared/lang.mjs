@@ -0,0 +1,56 @@
+/**
+ * Output language – which language an idea's text and its built app use.
+ *
+ * Ideas and campaigns carry a `lang` tag (BCP 47, e.g. "zh-CN", "en");
+ * DAILY_APP_LAB_LANG is only the fallback for things that have none.
+ */
+
+export const DEFAULT_LANG = 'zh-CN';
+
+// Common spellings that are not valid tags (or that we want to pin to one region)
+const ALIASES = {
+  'zh': 'zh-CN',
+  'cn': 'zh-CN',
+  'zh-hans': 'zh-CN',
+  'zh-hans-cn': 'zh-CN',
+  'chinese': 'zh-CN',
+  'english': 'en',
+};
+
+const TAG_RE = /^[a-z]{2,3}(-[a-z0-9]{2,8})*$/i;
+
+/**
+ * Canonical tag for `value` ("EN" → "en", "zh_cn" → "zh-CN"), or null when
+ * it is not a language tag.
+ */
+export function normalizeLang(value) {
+  const raw = String(value ?? '').trim().replace(/_/g, '-');
+  if (!raw) return null;
+  const alias = ALIASES[raw.toLowerCase()];
+  if (alias) return alias;
+  if (!TAG_RE.test(raw)) return null;
+  const [base, ...subtags] = raw.split('-');
+  return [
+    base.toLowerCase(),
+    ...subtags.map(s => s.length === 2 ? s.toUpperCase()
+      : s.length === 4 ? s[0].toUpperCase() + s.slice(1).toLowerCase()
+      : s.toLowerCase()),
+  ].join('-');
+}
+
+/** DAILY_APP_LAB_LANG, else zh-CN. */
+export function defaultLang(env = process.env) {
+  return normalizeLang(env.DAILY_APP_LAB_LANG) || DEFAULT_LANG;
+}
+
+/**
+ * First valid tag among `candidates` (most specific first, e.g.
+ * `[options.lang, idea.lang]`), else the default.
+ */
+export function resolveLang(candidates = [], env = process.env) {
+  for (const c of candidates) {
+    const lang = normalizeLang(c);
+    if (lang) return lang;
+  }
+  return defaultLang(env);
+}
@@ -1,4 +1,5 @@
-// Hash-embedding similarity (same as idea-lab local implementation)
+// Hash-embedding similarity (same as idea-lab local implementation).
+// Used by the hub (idea dedupe, RAG index) and the engine (theme classifier).
 
 function tokenize(s){
   return String(s||'').toLowerCase().replace(/[^a-z0-9\u4e00-\u9fff]+/g,' ').split(/\s+/).filter(Boolean);